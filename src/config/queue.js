@@ -0,0 +1,39 @@
+/**
+ * Opções de conexão do BullMQ (ioredis).
+ * O BullMQ não aceita o cliente node-redis de config/redis.js, então a conexão
+ * é montada a partir de REDIS_URL/REDIS_PASSWORD.
+ */
+function buildConnection() {
+  const url = new URL(process.env.REDIS_URL || 'redis://localhost:6379');
+
+  const connection = {
+    host: url.hostname,
+    port: Number(url.port) || 6379,
+    username: url.username ? decodeURIComponent(url.username) : undefined,
+    password: process.env.REDIS_PASSWORD || (url.password ? decodeURIComponent(url.password) : undefined),
+    db: url.pathname && url.pathname.length > 1 ? Number(url.pathname.slice(1)) : 0,
+    // Exigido pelo BullMQ para workers com comandos bloqueantes
+    maxRetriesPerRequest: null
+  };
+
+  if (url.protocol === 'rediss:') {
+    connection.tls = {};
+  }
+
+  return connection;
+}
+
+const connection = buildConnection();
+
+// Nomes das filas compartilhados entre API e workers
+const QUEUES = {
+  WHATSAPP_SEND: 'wa:send',
+  WHATSAPP_STATUS: 'wa:status',
+  WEBHOOK_DELIVERY: 'webhooks:deliver',
+  ERP_SYNC: 'erp:sync'
+};
+
+module.exports = {
+  connection,
+  QUEUES
+};
@@ -0,0 +1,362 @@
+const Appointment = require('../models/Appointment');
+const Workshop = require('../models/Workshop');
+const Vehicle = require('../models/Vehicle');
+const OdometerReading = require('../models/OdometerReading');
+const SchedulingService = require('../services/SchedulingService');
+const { AppError } = require('../utils/errors');
+const { canonicalPhone } = require('../utils/phone');
+const { isValidDate, zonedParts } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+class AppointmentController {
+  /**
+   * Horários disponíveis da oficina em uma data
+   */
+  static async getAvailability(req, res) {
+    try {
+      const workshop = await Workshop.findById(req.params.id, req.user.tenant_id);
+      if (!workshop) {
+        return AppointmentController.workshopNotFound(res, req.params.id);
+      }
+
+      // Sem data, usa o dia atual no fuso da oficina
+      const date = req.query.date || zonedParts(new Date(), SchedulingService.timezoneOf(workshop)).date;
+      if (!isValidDate(date)) {
+        return AppointmentController.invalid(res, ['date deve estar no formato YYYY-MM-DD']);
+      }
+
+      const availability = await SchedulingService.getAvailability(workshop, date);
+
+      res.json({ workshop_id: workshop.id, ...availability });
+    } catch (error) {
+      logger.error('Erro ao buscar horários disponíveis', { error: error.message, workshop_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar horários disponíveis'
+        }
+      });
+    }
+  }
+
+  /**
+   * Agenda atendimento na oficina
+   */
+  static async create(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { vehicle_id, duration_minutes, service_description, notes } = req.body;
+
+      const errors = AppointmentController.validateDuration(duration_minutes);
+      if (!vehicle_id) {
+        errors.push('ID do veículo é obrigatório');
+      }
+      if (errors.length > 0) {
+        return AppointmentController.invalid(res, errors);
+      }
+
+      const workshop = await Workshop.findById(req.params.id, tenantId);
+      if (!workshop) {
+        return AppointmentController.workshopNotFound(res, req.params.id);
+      }
+
+      const vehicle = await Vehicle.findById(tenantId, vehicle_id);
+      if (!vehicle) {
+        return AppointmentController.invalid(res, ['Veículo não encontrado']);
+      }
+
+      const appointment = await SchedulingService.book(workshop, {
+        scheduled_at: req.body.scheduled_at,
+        date: req.body.date,
+        time: req.body.time,
+        vehicle_id: vehicle.id,
+        customer_id: vehicle.customer_id,
+        contact_phone: canonicalPhone(vehicle.owner?.phone),
+        duration_minutes,
+        service_description,
+        notes,
+        source: 'api',
+        created_by: req.user.user_id
+      });
+      appointment.plate = vehicle.plate;
+
+      res.status(201).json(appointment.toJSON());
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao criar agendamento', { error: error.message, workshop_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao criar agendamento'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista agendamentos da oficina
+   */
+  static async list(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { from, to, status, vehicle_id, page = 1, limit = 50 } = req.query;
+
+      const errors = [];
+      if (from && !isValidDate(from)) errors.push('from deve estar no formato YYYY-MM-DD');
+      if (to && !isValidDate(to)) errors.push('to deve estar no formato YYYY-MM-DD');
+      if (status && !Appointment.STATUSES.includes(status)) {
+        errors.push(`status deve ser um de: ${Appointment.STATUSES.join(', ')}`);
+      }
+      if (errors.length > 0) {
+        return AppointmentController.invalid(res, errors);
+      }
+
+      const workshop = await Workshop.findById(req.params.id, tenantId);
+      if (!workshop) {
+        return AppointmentController.workshopNotFound(res, req.params.id);
+      }
+
+      const result = await Appointment.list(
+        tenantId,
+        workshop.id,
+        { from, to, status, vehicle_id },
+        parseInt(page),
+        Math.min(parseInt(limit), 100)
+      );
+
+      res.json({
+        appointments: result.appointments.map(appointment => appointment.toJSON()),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar agendamentos', { error: error.message, workshop_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar agendamentos'
+        }
+      });
+    }
+  }
+
+  /**
+   * Busca agendamento
+   */
+  static async getById(req, res) {
+    try {
+      const appointment = await Appointment.findById(req.user.tenant_id, req.params.id, req.params.appointmentId);
+      if (!appointment) {
+        return AppointmentController.notFound(res, req.params.appointmentId);
+      }
+
+      res.json(appointment.toJSON());
+    } catch (error) {
+      logger.error('Erro ao buscar agendamento', { error: error.message, appointment_id: req.params.appointmentId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar agendamento'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remarca, altera observações ou muda o status (confirmed, cancelled, no_show)
+   */
+  static async update(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { scheduled_at, date, time, duration_minutes, service_description, notes, status, cancel_reason } = req.body;
+
+      const errors = AppointmentController.validateDuration(duration_minutes);
+      if (status !== undefined && !['confirmed', 'cancelled', 'no_show'].includes(status)) {
+        errors.push('status deve ser confirmed, cancelled ou no_show (a chegada usa /check-in)');
+      }
+      if (errors.length > 0) {
+        return AppointmentController.invalid(res, errors);
+      }
+
+      const workshop = await Workshop.findById(req.params.id, tenantId);
+      if (!workshop) {
+        return AppointmentController.workshopNotFound(res, req.params.id);
+      }
+
+      const appointment = await Appointment.findById(tenantId, workshop.id, req.params.appointmentId);
+      if (!appointment) {
+        return AppointmentController.notFound(res, req.params.appointmentId);
+      }
+
+      if (scheduled_at !== undefined || date !== undefined || time !== undefined || duration_minutes !== undefined) {
+        await SchedulingService.reschedule(workshop, appointment, { scheduled_at, date, time, duration_minutes });
+      }
+
+      if (service_description !== undefined || notes !== undefined) {
+        await appointment.update({ service_description, notes });
+      }
+
+      if (status !== undefined && status !== appointment.status) {
+        await SchedulingService.changeStatus(appointment, status, { reason: cancel_reason });
+      }
+
+      res.json(appointment.toJSON());
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao atualizar agendamento', { error: error.message, appointment_id: req.params.appointmentId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atualizar agendamento'
+        }
+      });
+    }
+  }
+
+  /**
+   * Cancela agendamento (o registro é mantido)
+   */
+  static async cancel(req, res) {
+    try {
+      const appointment = await Appointment.findById(req.user.tenant_id, req.params.id, req.params.appointmentId);
+      if (!appointment) {
+        return AppointmentController.notFound(res, req.params.appointmentId);
+      }
+
+      await SchedulingService.changeStatus(appointment, 'cancelled', { reason: req.body?.reason });
+
+      res.status(204).send();
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao cancelar agendamento', { error: error.message, appointment_id: req.params.appointmentId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao cancelar agendamento'
+        }
+      });
+    }
+  }
+
+  /**
+   * Chegada do veículo: abre a ordem de serviço do agendamento confirmado
+   */
+  static async checkIn(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { vehicle_id, estimate_amount, notes, mileage } = req.body;
+
+      if (estimate_amount !== undefined && (typeof estimate_amount !== 'number' || estimate_amount < 0)) {
+        return AppointmentController.invalid(res, ['estimate_amount deve ser um número maior ou igual a zero']);
+      }
+
+      const workshop = await Workshop.findById(req.params.id, tenantId);
+      if (!workshop) {
+        return AppointmentController.workshopNotFound(res, req.params.id);
+      }
+
+      const appointment = await Appointment.findById(tenantId, workshop.id, req.params.appointmentId);
+      if (!appointment) {
+        return AppointmentController.notFound(res, req.params.appointmentId);
+      }
+
+      const vehicle = await Vehicle.findById(tenantId, appointment.vehicle_id || vehicle_id);
+      if (!vehicle) {
+        return AppointmentController.invalid(res, ['Informe o vehicle_id do veículo recebido']);
+      }
+
+      if (mileage !== undefined) {
+        const latest = await OdometerReading.latest(tenantId, vehicle.id);
+        const mileageErrors = OdometerReading.validate(mileage, latest);
+
+        if (mileageErrors.length > 0) {
+          return res.status(400).json({
+            error: {
+              code: 'invalid_mileage',
+              message: 'Quilometragem inválida',
+              details: {
+                errors: mileageErrors,
+                last_mileage: latest ? latest.mileage : null
+              }
+            }
+          });
+        }
+      }
+
+      const result = await SchedulingService.checkIn(workshop, appointment, {
+        vehicleId: vehicle.id,
+        estimateAmount: estimate_amount || 0,
+        notes,
+        mileage,
+        actor: { type: 'user', id: req.user.user_id }
+      });
+
+      res.status(201).json({
+        appointment: result.appointment.toJSON(),
+        order: result.order.toJSON()
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao registrar chegada do agendamento', { error: error.message, appointment_id: req.params.appointmentId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao registrar chegada do veículo'
+        }
+      });
+    }
+  }
+
+  static validateDuration(durationMinutes) {
+    const errors = [];
+
+    if (durationMinutes !== undefined && (!Number.isInteger(durationMinutes) || durationMinutes < 15 || durationMinutes > 720)) {
+      errors.push('duration_minutes deve ser um inteiro entre 15 e 720');
+    }
+
+    return errors;
+  }
+
+  static invalid(res, errors) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_request',
+        message: 'Dados inválidos',
+        details: { errors }
+      }
+    });
+  }
+
+  static notFound(res, appointmentId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Agendamento não encontrado',
+        details: { appointment_id: appointmentId }
+      }
+    });
+  }
+
+  static workshopNotFound(res, workshopId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Oficina não encontrada',
+        details: { workshop_id: workshopId }
+      }
+    });
+  }
+}
+
+module.exports = AppointmentController;
@@ -524,9 +524,10 @@ class AuthController {
   static getUserScopes(role) {
     const roleScopes = {
       'admin': ['*'],
-      'manager': ['workshops', 'orders', 'vehicles', 'users', 'media', 'messages', 'webhooks', 'reports'],
-      'user': ['workshops', 'orders', 'vehicles', 'media', 'messages'],
-      'viewer': ['workshops', 'orders', 'vehicles', 'media', 'reports']
+      'manager': ['workshops', 'orders', 'vehicles', 'customers', 'inventory', 'users', 'media', 'messages', 'webhooks', 'reports', 'settings'],
+      'user': ['workshops', 'orders', 'vehicles', 'customers', 'inventory', 'media', 'messages'],
+      'viewer': ['workshops', 'orders', 'vehicles', 'customers', 'inventory', 'media', 'reports'],
+      'mechanic': ['orders', 'vehicles', 'inventory']
     };
 
     return roleScopes[role] || ['orders', 'vehicles'];
@@ -0,0 +1,192 @@
+const Conversation = require('../models/Conversation');
+const Vehicle = require('../models/Vehicle');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+class ConversationController {
+  /**
+   * Lista conversas do tenant (mais recentes primeiro)
+   */
+  static async list(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { assigned_to, unread, phone, page = 1, limit = 50 } = req.query;
+
+      const filters = {};
+      if (assigned_to === 'me') filters.assigned_user_id = req.user.user_id;
+      else if (assigned_to === 'none') filters.unassigned = true;
+      else if (assigned_to) filters.assigned_user_id = assigned_to;
+      if (unread === 'true') filters.unread = true;
+      if (phone) filters.phone = phone.replace(/\D/g, '');
+
+      const result = await Conversation.list(
+        tenantId,
+        filters,
+        parseInt(page) || 1,
+        Math.min(parseInt(limit) || 50, 100)
+      );
+
+      res.json({
+        conversations: result.conversations.map(conversation => conversation.toJSON()),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar conversas', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar conversas'
+        }
+      });
+    }
+  }
+
+  /**
+   * Busca conversa com os veículos do contato e suas ordens em aberto
+   */
+  static async getById(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const conversation = await Conversation.findById(tenantId, req.params.id);
+
+      if (!conversation) {
+        return ConversationController.notFound(res, req.params.id);
+      }
+
+      const vehicles = await Vehicle.findByOwnerPhone(tenantId, conversation.contact_phone);
+      const openOrders = await Order.findOpenByVehicles(tenantId, vehicles.map(vehicle => vehicle.id));
+
+      conversation.vehicles = vehicles.map(vehicle => vehicle.toJSON());
+      conversation.open_orders = openOrders.map(order => order.toJSON());
+
+      res.json(conversation.toJSON());
+    } catch (error) {
+      logger.error('Erro ao buscar conversa', { error: error.message, conversation_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar conversa'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista mensagens da conversa
+   */
+  static async listMessages(req, res) {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const conversation = await Conversation.findById(req.user.tenant_id, req.params.id);
+
+      if (!conversation) {
+        return ConversationController.notFound(res, req.params.id);
+      }
+
+      const result = await conversation.listMessages(parseInt(page) || 1, Math.min(parseInt(limit) || 50, 100));
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Erro ao listar mensagens da conversa', { error: error.message, conversation_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar mensagens da conversa'
+        }
+      });
+    }
+  }
+
+  /**
+   * Marca conversa como lida
+   */
+  static async markRead(req, res) {
+    try {
+      const conversation = await Conversation.findById(req.user.tenant_id, req.params.id);
+
+      if (!conversation) {
+        return ConversationController.notFound(res, req.params.id);
+      }
+
+      await conversation.markRead();
+
+      res.json(conversation.toJSON());
+    } catch (error) {
+      logger.error('Erro ao marcar conversa como lida', { error: error.message, conversation_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao marcar conversa como lida'
+        }
+      });
+    }
+  }
+
+  /**
+   * Atribui conversa a um usuário do tenant (user_id null remove a atribuição)
+   */
+  static async assign(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { user_id } = req.body;
+
+      if (user_id === undefined) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Campo "user_id" é obrigatório (null para remover a atribuição)'
+          }
+        });
+      }
+
+      const conversation = await Conversation.findById(tenantId, req.params.id);
+      if (!conversation) {
+        return ConversationController.notFound(res, req.params.id);
+      }
+
+      if (user_id !== null) {
+        const user = await User.findById(tenantId, user_id);
+        if (!user || user.status !== 'active') {
+          return res.status(400).json({
+            error: {
+              code: 'invalid_user',
+              message: 'Usuário não encontrado ou inativo',
+              details: { user_id }
+            }
+          });
+        }
+      }
+
+      await conversation.assign(user_id);
+
+      logger.info('Conversa atribuída', {
+        conversation_id: conversation.id,
+        assigned_user_id: user_id,
+        tenant_id: tenantId
+      });
+
+      res.json(conversation.toJSON());
+    } catch (error) {
+      logger.error('Erro ao atribuir conversa', { error: error.message, conversation_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atribuir conversa'
+        }
+      });
+    }
+  }
+
+  static notFound(res, conversationId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Conversa não encontrada',
+        details: { conversation_id: conversationId }
+      }
+    });
+  }
+}
+
+module.exports = ConversationController;
@@ -0,0 +1,334 @@
+const Customer = require('../models/Customer');
+const { validateDocument, maskDocument } = require('../utils/documents');
+const logger = require('../utils/logger');
+
+class CustomerController {
+  /**
+   * Cria cliente
+   */
+  static async create(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const customerData = req.body;
+
+      if (customerData.document) {
+        const documentCheck = validateDocument(customerData.document);
+        if (!documentCheck.valid) {
+          return CustomerController.invalidDocument(res, 'document', documentCheck);
+        }
+      }
+
+      const errors = Customer.validate(customerData);
+      if (errors.length > 0) {
+        return CustomerController.invalid(res, errors);
+      }
+
+      if (customerData.document) {
+        const existing = await Customer.findByDocument(tenantId, customerData.document);
+        if (existing) {
+          return CustomerController.documentConflict(res, existing.id);
+        }
+      }
+
+      const customer = await Customer.create(tenantId, customerData);
+
+      logger.info('Cliente criado com sucesso', { customer_id: customer.id, tenant_id: tenantId });
+
+      res.status(201).json(CustomerController.present(req, customer));
+    } catch (error) {
+      logger.error('Erro ao criar cliente', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao criar cliente'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista clientes com busca e paginação
+   */
+  static async list(req, res) {
+    try {
+      const { q, phone, document, page = 1, limit = 50 } = req.query;
+
+      const result = await Customer.list(
+        req.user.tenant_id,
+        { q, phone, document },
+        parseInt(page),
+        Math.min(parseInt(limit), 100)
+      );
+
+      res.json({
+        customers: result.customers.map(customer => CustomerController.present(req, customer)),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar clientes', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar clientes'
+        }
+      });
+    }
+  }
+
+  /**
+   * Busca cliente por ID, com os veículos vinculados
+   */
+  static async getById(req, res) {
+    try {
+      const customer = await Customer.findById(req.user.tenant_id, req.params.id);
+      if (!customer) {
+        return CustomerController.notFound(res, req.params.id);
+      }
+
+      customer.vehicles_list = await customer.vehicles();
+
+      res.json(CustomerController.present(req, customer));
+    } catch (error) {
+      logger.error('Erro ao buscar cliente', { error: error.message, customer_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar cliente'
+        }
+      });
+    }
+  }
+
+  /**
+   * Atualiza cliente (os dados de owner dos veículos vinculados acompanham)
+   */
+  static async update(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const updateData = req.body;
+
+      if (updateData.document) {
+        const documentCheck = validateDocument(updateData.document);
+        if (!documentCheck.valid) {
+          return CustomerController.invalidDocument(res, 'document', documentCheck);
+        }
+      }
+
+      const errors = Customer.validate(updateData, true);
+      if (errors.length > 0) {
+        return CustomerController.invalid(res, errors);
+      }
+
+      const customer = await Customer.findById(tenantId, req.params.id);
+      if (!customer) {
+        return CustomerController.notFound(res, req.params.id);
+      }
+
+      if (updateData.document) {
+        const existing = await Customer.findByDocument(tenantId, updateData.document);
+        if (existing && existing.id !== customer.id) {
+          return CustomerController.documentConflict(res, existing.id);
+        }
+      }
+
+      await customer.update(updateData);
+
+      logger.info('Cliente atualizado com sucesso', { customer_id: customer.id, tenant_id: tenantId });
+
+      res.json(CustomerController.present(req, customer));
+    } catch (error) {
+      logger.error('Erro ao atualizar cliente', { error: error.message, customer_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atualizar cliente'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove cliente
+   */
+  static async delete(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+
+      const customer = await Customer.findById(tenantId, req.params.id);
+      if (!customer) {
+        return CustomerController.notFound(res, req.params.id);
+      }
+
+      await customer.delete();
+
+      logger.info('Cliente removido com sucesso', { customer_id: customer.id, tenant_id: tenantId });
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao remover cliente', { error: error.message, customer_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao remover cliente'
+        }
+      });
+    }
+  }
+
+  /**
+   * Pares de clientes possivelmente duplicados
+   */
+  static async listDuplicates(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const pairs = await Customer.findDuplicates(tenantId, Math.min(parseInt(req.query.limit) || 100, 500));
+
+      // Carrega os clientes envolvidos uma vez só
+      const ids = [...new Set(pairs.flatMap(pair => [pair.customer_id, pair.duplicate_id]))];
+      const customers = new Map();
+      for (const id of ids) {
+        const customer = await Customer.findById(tenantId, id);
+        if (customer) customers.set(id, CustomerController.present(req, customer));
+      }
+
+      res.json({
+        duplicates: pairs.map(pair => ({
+          customer: customers.get(pair.customer_id),
+          duplicate: customers.get(pair.duplicate_id),
+          reasons: pair.reasons
+        }))
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar clientes duplicados', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar clientes duplicados'
+        }
+      });
+    }
+  }
+
+  /**
+   * Mescla outros clientes neste (veículos, telefones e dados que faltam)
+   */
+  static async merge(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { source_ids } = req.body;
+
+      if (!Array.isArray(source_ids) || source_ids.length === 0) {
+        return CustomerController.invalid(res, ['Informe source_ids com os clientes a mesclar']);
+      }
+
+      if (source_ids.includes(req.params.id)) {
+        return CustomerController.invalid(res, ['O cliente de destino não pode estar em source_ids']);
+      }
+
+      const customer = await Customer.findById(tenantId, req.params.id);
+      if (!customer) {
+        return CustomerController.notFound(res, req.params.id);
+      }
+
+      const sources = [];
+      for (const sourceId of [...new Set(source_ids)]) {
+        const source = await Customer.findById(tenantId, sourceId);
+        if (!source) {
+          return CustomerController.notFound(res, sourceId);
+        }
+        sources.push(source);
+      }
+
+      // CPF/CNPJ diferentes indicam pessoas diferentes
+      const documents = new Set([customer, ...sources].map(item => item.document).filter(Boolean));
+      if (documents.size > 1) {
+        return res.status(409).json({
+          error: {
+            code: 'document_conflict',
+            message: 'Clientes com CPF/CNPJ diferentes não podem ser mesclados',
+            details: { documents: [...documents] }
+          }
+        });
+      }
+
+      await customer.merge(sources);
+      customer.vehicles_list = await customer.vehicles();
+
+      logger.info('Clientes mesclados', {
+        customer_id: customer.id,
+        merged_ids: sources.map(source => source.id),
+        tenant_id: tenantId
+      });
+
+      res.json(CustomerController.present(req, customer));
+    } catch (error) {
+      logger.error('Erro ao mesclar clientes', { error: error.message, customer_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao mesclar clientes'
+        }
+      });
+    }
+  }
+
+  /**
+   * Serializa o cliente; usuários somente leitura recebem o documento mascarado
+   */
+  static present(req, customer) {
+    const json = customer.toJSON();
+
+    if (req.user.role === 'viewer' && json.document) {
+      json.document = maskDocument(json.document);
+      json.document_formatted = json.document;
+    }
+
+    return json;
+  }
+
+  static invalidDocument(res, field, documentCheck) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_document',
+        message: documentCheck.message,
+        details: {
+          field,
+          check: documentCheck.check,
+          document_type: documentCheck.type
+        }
+      }
+    });
+  }
+
+  static invalid(res, errors) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_request',
+        message: 'Dados inválidos',
+        details: { errors }
+      }
+    });
+  }
+
+  static documentConflict(res, customerId) {
+    return res.status(409).json({
+      error: {
+        code: 'conflict',
+        message: 'Já existe cliente com este CPF/CNPJ',
+        details: { customer_id: customerId }
+      }
+    });
+  }
+
+  static notFound(res, customerId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Cliente não encontrado',
+        details: { customer_id: customerId }
+      }
+    });
+  }
+}
+
+module.exports = CustomerController;
@@ -0,0 +1,225 @@
+const Workshop = require('../models/Workshop');
+const Part = require('../models/Part');
+const PartStock = require('../models/PartStock');
+const StockMovement = require('../models/StockMovement');
+const InventoryService = require('../services/InventoryService');
+const { AppError } = require('../utils/errors');
+const { isValidDate, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+class InventoryController {
+  /**
+   * Estoque da oficina (saldo, reservado e disponível por peça)
+   */
+  static async listStock(req, res) {
+    try {
+      const { q, active, page = 1, limit = 50 } = req.query;
+
+      const workshop = await Workshop.findById(req.params.id, req.user.tenant_id);
+      if (!workshop) {
+        return InventoryController.workshopNotFound(res, req.params.id);
+      }
+
+      const result = await PartStock.listByWorkshop(
+        workshop.tenant_id,
+        workshop.id,
+        {
+          q,
+          active: active === undefined ? undefined : active === 'true'
+        },
+        parseInt(page) || 1,
+        Math.min(parseInt(limit) || 50, 100)
+      );
+
+      res.json({
+        items: result.items.map(item => item.toJSON()),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar estoque da oficina', { error: error.message, workshop_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar estoque da oficina'
+        }
+      });
+    }
+  }
+
+  /**
+   * Define estoque mínimo e localização de uma peça na oficina
+   */
+  static async configureStock(req, res) {
+    try {
+      const { min_quantity, location } = req.body;
+
+      const errors = [];
+      if (min_quantity !== undefined && (min_quantity === null || isNaN(Number(min_quantity)) || Number(min_quantity) < 0)) {
+        errors.push('Estoque mínimo deve ser maior ou igual a zero');
+      }
+      if (location !== undefined && location !== null && String(location).length > 60) {
+        errors.push('Localização deve ter no máximo 60 caracteres');
+      }
+      if (errors.length > 0) {
+        return InventoryController.invalid(res, errors);
+      }
+
+      const workshop = await Workshop.findById(req.params.id, req.user.tenant_id);
+      if (!workshop) {
+        return InventoryController.workshopNotFound(res, req.params.id);
+      }
+
+      const part = await Part.findById(workshop.tenant_id, req.params.partId);
+      if (!part) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Peça não encontrada',
+            details: { part_id: req.params.partId }
+          }
+        });
+      }
+
+      const stock = await PartStock.configure(workshop.tenant_id, workshop.id, part.id, { min_quantity, location });
+
+      logger.info('Estoque da peça configurado', {
+        workshop_id: workshop.id,
+        part_id: part.id,
+        tenant_id: workshop.tenant_id,
+        min_quantity: stock.min_quantity
+      });
+
+      res.json(stock.toJSON());
+    } catch (error) {
+      logger.error('Erro ao configurar estoque da peça', { error: error.message, workshop_id: req.params.id, part_id: req.params.partId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao configurar estoque da peça'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lança compra ou ajuste de estoque
+   */
+  static async createMovement(req, res) {
+    try {
+      const workshop = await Workshop.findById(req.params.id, req.user.tenant_id);
+      if (!workshop) {
+        return InventoryController.workshopNotFound(res, req.params.id);
+      }
+
+      const movement = await InventoryService.recordMovement(workshop, req.body, req.user.user_id);
+
+      res.status(201).json(movement.toJSON());
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao lançar movimentação de estoque', { error: error.message, workshop_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao lançar movimentação de estoque'
+        }
+      });
+    }
+  }
+
+  /**
+   * Movimentações de estoque da oficina
+   */
+  static async listMovements(req, res) {
+    try {
+      const { part_id, type, order_id, from, to, page = 1, limit = 50 } = req.query;
+
+      const errors = [];
+      if (type && !StockMovement.TYPES.includes(type)) errors.push(`type deve ser um de: ${StockMovement.TYPES.join(', ')}`);
+      if (from && !isValidDate(from)) errors.push('from deve estar no formato YYYY-MM-DD');
+      if (to && !isValidDate(to)) errors.push('to deve estar no formato YYYY-MM-DD');
+      if (errors.length > 0) {
+        return InventoryController.invalid(res, errors);
+      }
+
+      const workshop = await Workshop.findById(req.params.id, req.user.tenant_id);
+      if (!workshop) {
+        return InventoryController.workshopNotFound(res, req.params.id);
+      }
+
+      const result = await StockMovement.list(
+        workshop.tenant_id,
+        workshop.id,
+        {
+          part_id,
+          type,
+          order_id,
+          // Datas locais da oficina; a data final é inclusiva
+          from: from ? zonedTimeToUtc(from, '00:00', workshop.timezone) : undefined,
+          to: to ? zonedTimeToUtc(addDays(to, 1), '00:00', workshop.timezone) : undefined
+        },
+        parseInt(page) || 1,
+        Math.min(parseInt(limit) || 50, 100)
+      );
+
+      res.json({
+        movements: result.movements.map(movement => movement.toJSON()),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar movimentações de estoque', { error: error.message, workshop_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar movimentações de estoque'
+        }
+      });
+    }
+  }
+
+  /**
+   * Relatório de peças com estoque baixo
+   */
+  static async lowStock(req, res) {
+    try {
+      const workshop = await Workshop.findById(req.params.id, req.user.tenant_id);
+      if (!workshop) {
+        return InventoryController.workshopNotFound(res, req.params.id);
+      }
+
+      res.json(await InventoryService.getLowStock(workshop));
+    } catch (error) {
+      logger.error('Erro ao gerar relatório de estoque baixo', { error: error.message, workshop_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao gerar relatório de estoque baixo'
+        }
+      });
+    }
+  }
+
+  static invalid(res, errors) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_request',
+        message: 'Dados inválidos',
+        details: { errors }
+      }
+    });
+  }
+
+  static workshopNotFound(res, workshopId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Oficina não encontrada',
+        details: { workshop_id: workshopId }
+      }
+    });
+  }
+}
+
+module.exports = InventoryController;
@@ -0,0 +1,365 @@
+const Vehicle = require('../models/Vehicle');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const MaintenanceReminder = require('../models/MaintenanceReminder');
+const OdometerReading = require('../models/OdometerReading');
+const MaintenanceService = require('../services/MaintenanceService');
+const NotificationController = require('./NotificationController');
+const logger = require('../utils/logger');
+
+class MaintenanceController {
+  /**
+   * Cria plano de manutenção para um veículo ou modelo
+   */
+  static async createPlan(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const planData = { template_language: 'pt_BR', variables: [], ...req.body };
+
+      const errors = MaintenancePlan.validate(planData);
+      if (errors.length > 0) {
+        return MaintenanceController.invalid(res, errors);
+      }
+
+      if (planData.vehicle_id && !(await Vehicle.findById(tenantId, planData.vehicle_id))) {
+        return MaintenanceController.invalid(res, ['Veículo não encontrado']);
+      }
+
+      const templateErrors = await NotificationController.checkTemplate(
+        tenantId, planData.template_name, planData.template_language, planData.variables
+      );
+      if (templateErrors.length > 0) {
+        return MaintenanceController.invalid(res, templateErrors);
+      }
+
+      const plan = await MaintenancePlan.create(tenantId, planData);
+
+      logger.info('Plano de manutenção criado', { plan_id: plan.id, tenant_id: tenantId });
+
+      res.status(201).json(plan.toJSON());
+    } catch (error) {
+      logger.error('Erro ao criar plano de manutenção', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao criar plano de manutenção'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista planos do tenant
+   */
+  static async listPlans(req, res) {
+    try {
+      const plans = await MaintenancePlan.findByTenant(req.user.tenant_id, {
+        vehicle_id: req.query.vehicle_id
+      });
+
+      res.json({
+        plans: plans.map(plan => plan.toJSON()),
+        service_types: MaintenancePlan.SERVICE_TYPES,
+        available_variables: MaintenancePlan.VARIABLES
+      });
+    } catch (error) {
+      logger.error('Erro ao listar planos de manutenção', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar planos de manutenção'
+        }
+      });
+    }
+  }
+
+  /**
+   * Atualiza intervalos, template ou pausa/reativa o plano
+   */
+  static async updatePlan(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const updateData = req.body;
+
+      if (updateData.vehicle_id !== undefined || updateData.brand !== undefined || updateData.model !== undefined) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Veículo e modelo do plano não podem ser alterados; crie um novo plano'
+          }
+        });
+      }
+
+      const errors = MaintenancePlan.validate(updateData, true);
+      if (errors.length > 0) {
+        return MaintenanceController.invalid(res, errors);
+      }
+
+      const plan = await MaintenancePlan.findById(tenantId, req.params.id);
+      if (!plan) {
+        return MaintenanceController.notFound(res, req.params.id);
+      }
+
+      // O plano precisa manter ao menos um intervalo
+      const intervalKm = updateData.interval_km !== undefined ? updateData.interval_km : plan.interval_km;
+      const intervalMonths = updateData.interval_months !== undefined ? updateData.interval_months : plan.interval_months;
+      if (!intervalKm && !intervalMonths) {
+        return MaintenanceController.invalid(res, ['Informe interval_km, interval_months ou ambos']);
+      }
+
+      if (updateData.template_name !== undefined || updateData.template_language !== undefined || updateData.variables !== undefined) {
+        const templateErrors = await NotificationController.checkTemplate(
+          tenantId,
+          updateData.template_name !== undefined ? updateData.template_name : plan.template_name,
+          updateData.template_language !== undefined ? updateData.template_language : plan.template_language,
+          updateData.variables !== undefined ? updateData.variables : plan.variables
+        );
+        if (templateErrors.length > 0) {
+          return MaintenanceController.invalid(res, templateErrors);
+        }
+      }
+
+      await plan.update(updateData);
+
+      logger.info('Plano de manutenção atualizado', { plan_id: plan.id, tenant_id: tenantId });
+
+      res.json(plan.toJSON());
+    } catch (error) {
+      logger.error('Erro ao atualizar plano de manutenção', { error: error.message, plan_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atualizar plano de manutenção'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove plano
+   */
+  static async deletePlan(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const plan = await MaintenancePlan.findById(tenantId, req.params.id);
+
+      if (!plan) {
+        return MaintenanceController.notFound(res, req.params.id);
+      }
+
+      await plan.delete();
+
+      logger.info('Plano de manutenção removido', { plan_id: plan.id, tenant_id: tenantId });
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao remover plano de manutenção', { error: error.message, plan_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao remover plano de manutenção'
+        }
+      });
+    }
+  }
+
+  /**
+   * Registra leitura do hodômetro do veículo
+   */
+  static async recordOdometer(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { mileage, recorded_at } = req.body;
+
+      const vehicle = await Vehicle.findById(tenantId, req.params.vehicleId);
+      if (!vehicle) {
+        return MaintenanceController.vehicleNotFound(res, req.params.vehicleId);
+      }
+
+      const latest = await OdometerReading.latest(tenantId, vehicle.id);
+      const errors = OdometerReading.validate(mileage, latest);
+      if (errors.length > 0) {
+        return MaintenanceController.invalidMileage(res, errors, latest);
+      }
+
+      const reading = await OdometerReading.create(tenantId, {
+        vehicle_id: vehicle.id,
+        mileage,
+        source: 'manual',
+        recorded_by: req.user.user_id,
+        recorded_at
+      });
+
+      logger.info('Leitura de hodômetro registrada', { vehicle_id: vehicle.id, tenant_id: tenantId });
+
+      res.status(201).json(reading.toJSON());
+    } catch (error) {
+      logger.error('Erro ao registrar leitura de hodômetro', { error: error.message, vehicleId: req.params.vehicleId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao registrar leitura de hodômetro'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista leituras do hodômetro do veículo
+   */
+  static async listOdometer(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+
+      const vehicle = await Vehicle.findById(tenantId, req.params.vehicleId);
+      if (!vehicle) {
+        return MaintenanceController.vehicleNotFound(res, req.params.vehicleId);
+      }
+
+      const readings = await OdometerReading.findByVehicle(tenantId, vehicle.id);
+
+      res.json({
+        vehicle_id: vehicle.id,
+        readings: readings.map(reading => reading.toJSON())
+      });
+    } catch (error) {
+      logger.error('Erro ao listar leituras de hodômetro', { error: error.message, vehicleId: req.params.vehicleId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar leituras de hodômetro'
+        }
+      });
+    }
+  }
+
+  /**
+   * Situação da manutenção preventiva do veículo
+   */
+  static async getVehicleStatus(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+
+      const vehicle = await Vehicle.findById(tenantId, req.params.vehicleId);
+      if (!vehicle) {
+        return MaintenanceController.vehicleNotFound(res, req.params.vehicleId);
+      }
+
+      const plans = await MaintenanceService.vehicleStatus(vehicle);
+      const reminders = await MaintenanceReminder.findByVehicle(tenantId, vehicle.id, 20);
+
+      res.json({
+        vehicle_id: vehicle.id,
+        plans,
+        reminders: reminders.map(reminder => reminder.toJSON())
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar manutenção do veículo', { error: error.message, vehicleId: req.params.vehicleId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar manutenção do veículo'
+        }
+      });
+    }
+  }
+
+  /**
+   * Registra que o serviço do plano foi realizado no veículo
+   */
+  static async markDone(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { mileage, performed_at } = req.body;
+
+      const vehicle = await Vehicle.findById(tenantId, req.params.vehicleId);
+      if (!vehicle) {
+        return MaintenanceController.vehicleNotFound(res, req.params.vehicleId);
+      }
+
+      const plans = await MaintenancePlan.findForVehicle(vehicle);
+      const plan = plans.find(item => item.id === req.params.planId);
+      if (!plan) {
+        return MaintenanceController.notFound(res, req.params.planId);
+      }
+
+      if (mileage !== undefined) {
+        const latest = await OdometerReading.latest(tenantId, vehicle.id);
+        const errors = OdometerReading.validate(mileage, latest);
+        if (errors.length > 0) {
+          return MaintenanceController.invalidMileage(res, errors, latest);
+        }
+      }
+
+      await MaintenanceService.markServiced(vehicle, plan, {
+        mileage: mileage ?? null,
+        performedAt: performed_at || null,
+        userId: req.user.user_id
+      });
+
+      logger.info('Manutenção registrada como realizada', {
+        vehicle_id: vehicle.id,
+        plan_id: plan.id,
+        tenant_id: tenantId
+      });
+
+      const status = await MaintenanceService.vehicleStatus(vehicle);
+      res.json(status.find(item => item.plan.id === plan.id));
+    } catch (error) {
+      logger.error('Erro ao registrar manutenção realizada', { error: error.message, vehicleId: req.params.vehicleId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao registrar manutenção realizada'
+        }
+      });
+    }
+  }
+
+  static invalid(res, errors) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_request',
+        message: 'Dados inválidos',
+        details: {
+          errors,
+          service_types: MaintenancePlan.SERVICE_TYPES,
+          valid_variables: MaintenancePlan.VARIABLES
+        }
+      }
+    });
+  }
+
+  static invalidMileage(res, errors, latest) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_mileage',
+        message: 'Quilometragem inválida',
+        details: {
+          errors,
+          last_mileage: latest ? latest.mileage : null
+        }
+      }
+    });
+  }
+
+  static notFound(res, planId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Plano de manutenção não encontrado',
+        details: { plan_id: planId }
+      }
+    });
+  }
+
+  static vehicleNotFound(res, vehicleId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Veículo não encontrado',
+        details: { vehicle_id: vehicleId }
+      }
+    });
+  }
+}
+
+module.exports = MaintenanceController;
@@ -0,0 +1,55 @@
+const Workshop = require('../models/Workshop');
+const TimeTrackingService = require('../services/TimeTrackingService');
+const { isValidDate, zonedParts } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+class MechanicController {
+  /**
+   * Carga de trabalho dos mecânicos da oficina
+   */
+  static async workload(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      const errors = [];
+      if (from && !isValidDate(from)) errors.push('from deve estar no formato YYYY-MM-DD');
+      if (to && !isValidDate(to)) errors.push('to deve estar no formato YYYY-MM-DD');
+      if (from && to && isValidDate(from) && isValidDate(to) && from > to) errors.push('from deve ser anterior ou igual a to');
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Dados inválidos',
+            details: { errors }
+          }
+        });
+      }
+
+      const workshop = await Workshop.findById(req.params.id, req.user.tenant_id);
+      if (!workshop) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Oficina não encontrada',
+            details: { workshop_id: req.params.id }
+          }
+        });
+      }
+
+      const today = zonedParts(new Date(), workshop.timezone).date;
+      const workload = await TimeTrackingService.getWorkload(workshop, { from, to, today });
+
+      res.json(workload);
+    } catch (error) {
+      logger.error('Erro ao buscar carga de trabalho dos mecânicos', { error: error.message, workshop_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar carga de trabalho dos mecânicos'
+        }
+      });
+    }
+  }
+}
+
+module.exports = MechanicController;
@@ -1,4 +1,5 @@
 const WhatsAppService = require('../services/WhatsAppService');
+const { AppError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 class MessageController {
@@ -57,6 +58,13 @@ class MessageController {
         status: result.status
       });
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({
+          ...error.toResponse(),
+          correlation_id: req.headers['x-correlation-id'] || 'unknown'
+        });
+      }
+
       logger.error('Erro ao enviar mensagem de texto', { error: error.message });
       res.status(500).json({
         error: {
@@ -111,7 +119,7 @@ class MessageController {
         ...metadata
       };
 
-      const result = await WhatsAppService.sendTemplate(to, name, language, components, messageMetadata);
+      const result = await WhatsAppService.sendTemplate(to, name, language, components || {}, messageMetadata);
 
       logger.info('Template enviado', { 
         message_id: result.message_id,
@@ -125,6 +133,13 @@ class MessageController {
         status: result.status
       });
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({
+          ...error.toResponse(),
+          correlation_id: req.headers['x-correlation-id'] || 'unknown'
+        });
+      }
+
       logger.error('Erro ao enviar template', { error: error.message });
       res.status(500).json({
         error: {
@@ -222,6 +237,13 @@ class MessageController {
         status: result.status
       });
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({
+          ...error.toResponse(),
+          correlation_id: req.headers['x-correlation-id'] || 'unknown'
+        });
+      }
+
       logger.error('Erro ao enviar mensagem interativa', { error: error.message });
       res.status(500).json({
         error: {
@@ -301,6 +323,13 @@ class MessageController {
         status: result.status
       });
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({
+          ...error.toResponse(),
+          correlation_id: req.headers['x-correlation-id'] || 'unknown'
+        });
+      }
+
       logger.error('Erro ao enviar lista', { error: error.message });
       res.status(500).json({
         error: {
@@ -322,8 +351,9 @@ class MessageController {
 
       // Busca mensagem no banco para verificar permissão
       const { query } = require('../config/database');
+      // Aceita o ID do provedor ou o ID provisório retornado pela fila
       const result = await query(
-        'SELECT * FROM messages WHERE provider_id = $1 AND tenant_id = $2',
+        'SELECT * FROM messages WHERE (provider_id = $1 OR queue_id = $1) AND tenant_id = $2',
         [messageId, tenantId]
       );
 
@@ -341,8 +371,10 @@ class MessageController {
       const message = result.rows[0];
 
       res.json({
-        message_id: message.provider_id,
+        message_id: message.provider_id || message.queue_id,
+        queue_id: message.queue_id || undefined,
         status: message.state,
+        error: message.state === 'failed' ? message.error : undefined,
         created_at: message.created_at,
         updated_at: message.updated_at
       });
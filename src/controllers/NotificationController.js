@@ -0,0 +1,292 @@
+const NotificationRule = require('../models/NotificationRule');
+const ContactOptOut = require('../models/ContactOptOut');
+const Template = require('../models/Template');
+const { canonicalPhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+class NotificationController {
+  /**
+   * Cria regra de notificação para um evento da ordem
+   */
+  static async createRule(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { event, template_name, template_language = 'pt_BR', variables = [], active } = req.body;
+
+      const errors = NotificationRule.validate({ event, template_name, variables, active });
+      if (errors.length > 0) {
+        return NotificationController.invalid(res, errors);
+      }
+
+      const templateErrors = await NotificationController.checkTemplate(tenantId, template_name, template_language, variables);
+      if (templateErrors.length > 0) {
+        return NotificationController.invalid(res, templateErrors);
+      }
+
+      const existing = await NotificationRule.findByEvent(tenantId, event);
+      if (existing) {
+        return res.status(409).json({
+          error: {
+            code: 'rule_exists',
+            message: 'Já existe uma regra para este evento',
+            details: { rule_id: existing.id, event }
+          }
+        });
+      }
+
+      const rule = await NotificationRule.create(tenantId, {
+        event, template_name, template_language, variables, active
+      });
+
+      logger.info('Regra de notificação criada', { rule_id: rule.id, event, tenant_id: tenantId });
+
+      res.status(201).json(rule.toJSON());
+    } catch (error) {
+      logger.error('Erro ao criar regra de notificação', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao criar regra de notificação'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista regras do tenant
+   */
+  static async listRules(req, res) {
+    try {
+      const rules = await NotificationRule.findByTenant(req.user.tenant_id);
+
+      res.json({
+        rules: rules.map(rule => rule.toJSON()),
+        available_events: NotificationRule.EVENTS,
+        available_variables: NotificationRule.VARIABLES
+      });
+    } catch (error) {
+      logger.error('Erro ao listar regras de notificação', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar regras de notificação'
+        }
+      });
+    }
+  }
+
+  /**
+   * Atualiza template, variáveis ou pausa/reativa a regra
+   */
+  static async updateRule(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { template_name, template_language, variables, active } = req.body;
+
+      if (req.body.event !== undefined) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Evento não pode ser alterado; crie uma nova regra'
+          }
+        });
+      }
+
+      const errors = NotificationRule.validate({ template_name, variables, active }, true);
+      if (errors.length > 0) {
+        return NotificationController.invalid(res, errors);
+      }
+
+      const rule = await NotificationRule.findById(tenantId, req.params.id);
+      if (!rule) {
+        return NotificationController.notFound(res, req.params.id);
+      }
+
+      // Revalida o template resultante quando template ou variáveis mudam
+      if (template_name !== undefined || template_language !== undefined || variables !== undefined) {
+        const templateErrors = await NotificationController.checkTemplate(
+          tenantId,
+          template_name !== undefined ? template_name : rule.template_name,
+          template_language !== undefined ? template_language : rule.template_language,
+          variables !== undefined ? variables : rule.variables
+        );
+        if (templateErrors.length > 0) {
+          return NotificationController.invalid(res, templateErrors);
+        }
+      }
+
+      await rule.update({ template_name, template_language, variables, active });
+
+      logger.info('Regra de notificação atualizada', { rule_id: rule.id, tenant_id: tenantId });
+
+      res.json(rule.toJSON());
+    } catch (error) {
+      logger.error('Erro ao atualizar regra de notificação', { error: error.message, rule_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atualizar regra de notificação'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove regra
+   */
+  static async deleteRule(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const rule = await NotificationRule.findById(tenantId, req.params.id);
+
+      if (!rule) {
+        return NotificationController.notFound(res, req.params.id);
+      }
+
+      await rule.delete();
+
+      logger.info('Regra de notificação removida', { rule_id: rule.id, tenant_id: tenantId });
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao remover regra de notificação', { error: error.message, rule_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao remover regra de notificação'
+        }
+      });
+    }
+  }
+
+  /**
+   * Registra opt-out de um contato
+   */
+  static async createOptOut(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { phone, reason } = req.body;
+
+      if (!canonicalPhone(phone)) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Campo "phone" é obrigatório'
+          }
+        });
+      }
+
+      const optOut = await ContactOptOut.create(tenantId, phone, { source: 'api', reason });
+
+      logger.info('Opt-out de notificações registrado', { opt_out_id: optOut.id, tenant_id: tenantId });
+
+      res.status(201).json(optOut.toJSON());
+    } catch (error) {
+      logger.error('Erro ao registrar opt-out', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao registrar opt-out'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista contatos com opt-out
+   */
+  static async listOptOuts(req, res) {
+    try {
+      const optOuts = await ContactOptOut.findByTenant(req.user.tenant_id);
+
+      res.json({
+        opt_outs: optOuts.map(optOut => optOut.toJSON())
+      });
+    } catch (error) {
+      logger.error('Erro ao listar opt-outs', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar opt-outs'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove opt-out, voltando a enviar notificações ao contato
+   */
+  static async deleteOptOut(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const removed = await ContactOptOut.remove(tenantId, req.params.phone);
+
+      if (!removed) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Opt-out não encontrado',
+            details: { phone: req.params.phone }
+          }
+        });
+      }
+
+      logger.info('Opt-out de notificações removido', { tenant_id: tenantId });
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao remover opt-out', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao remover opt-out'
+        }
+      });
+    }
+  }
+
+  /**
+   * Confere se o template existe e se as variáveis cobrem os placeholders do corpo
+   */
+  static async checkTemplate(tenantId, templateName, language, variables) {
+    const template = await Template.findByName(tenantId, templateName, language);
+    if (!template) {
+      return [`Template ${templateName} (${language}) não encontrado`];
+    }
+
+    const errors = [];
+    const expected = (template.parameters.body || []).length;
+    if (variables.length !== expected) {
+      errors.push(`Template espera ${expected} variável(is) no corpo e a regra define ${variables.length}`);
+    }
+    if (template.parameters.header || (template.parameters.buttons || []).length > 0) {
+      errors.push('Notificações suportam apenas templates com parâmetros no corpo');
+    }
+
+    return errors;
+  }
+
+  static invalid(res, errors) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_request',
+        message: 'Dados inválidos',
+        details: {
+          errors,
+          valid_events: NotificationRule.EVENTS,
+          valid_variables: NotificationRule.VARIABLES
+        }
+      }
+    });
+  }
+
+  static notFound(res, ruleId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Regra de notificação não encontrada',
+        details: { rule_id: ruleId }
+      }
+    });
+  }
+}
+
+module.exports = NotificationController;
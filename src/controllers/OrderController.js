@@ -1,4 +1,16 @@
+const { getClient } = require('../config/database');
 const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const OrderStatusHistory = require('../models/OrderStatusHistory');
+const NotificationLog = require('../models/NotificationLog');
+const OdometerReading = require('../models/OdometerReading');
+const OrderTimeEntry = require('../models/OrderTimeEntry');
+const OrderStateMachine = require('../services/OrderStateMachine');
+const OrderApprovalService = require('../services/OrderApprovalService');
+const DomainEvents = require('../services/DomainEvents');
+const TimeTrackingService = require('../services/TimeTrackingService');
+const InventoryService = require('../services/InventoryService');
+const { AppError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 class OrderController {
@@ -6,7 +18,7 @@ class OrderController {
   static async create(req, res) {
     try {
       const { tenant_id } = req.tenant;
-      const { vehicle_id, estimate_amount, status, notes, workshop_id } = req.body;
+      const { vehicle_id, estimate_amount, status, notes, workshop_id, items, mileage } = req.body;
 
       // Validar dados obrigatórios
       if (!vehicle_id) {
@@ -18,7 +30,49 @@ class OrderController {
         });
       }
 
-      if (!estimate_amount || estimate_amount <= 0) {
+      // Toda ordem nasce aguardando aprovação; demais status exigem transições
+      if (status && status !== OrderStateMachine.INITIAL_STATUS) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_status_transition',
+            message: `Ordem deve ser criada com status ${OrderStateMachine.INITIAL_STATUS}`,
+            details: { provided: status, allowed: [OrderStateMachine.INITIAL_STATUS] }
+          }
+        });
+      }
+
+      const hasItems = Array.isArray(items) && items.length > 0;
+
+      if (items !== undefined && !Array.isArray(items)) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Items deve ser um array'
+          }
+        });
+      }
+
+      // Itens com peça do catálogo herdam descrição e preço da peça
+      const orderItems = [];
+      for (const item of hasItems ? items : []) {
+        orderItems.push(await InventoryService.prepareItem(tenant_id, item));
+      }
+
+      if (hasItems) {
+        const itemErrors = orderItems
+          .map((item, index) => ({ index, errors: OrderItem.validate(item) }))
+          .filter(result => result.errors.length > 0);
+
+        if (itemErrors.length > 0) {
+          return res.status(400).json({
+            error: {
+              code: 'validation_error',
+              message: 'Itens da ordem inválidos',
+              details: itemErrors
+            }
+          });
+        }
+      } else if (!estimate_amount || estimate_amount <= 0) {
         return res.status(400).json({
           error: {
             code: 'invalid_request',
@@ -27,30 +81,89 @@ class OrderController {
         });
       }
 
-      // Criar ordem
+      // Quilometragem de entrada do veículo (opcional)
+      if (mileage !== undefined) {
+        const latest = await OdometerReading.latest(tenant_id, vehicle_id);
+        const mileageErrors = OdometerReading.validate(mileage, latest);
+
+        if (mileageErrors.length > 0) {
+          return res.status(400).json({
+            error: {
+              code: 'invalid_mileage',
+              message: 'Quilometragem inválida',
+              details: {
+                errors: mileageErrors,
+                last_mileage: latest ? latest.mileage : null
+              }
+            }
+          });
+        }
+      }
+
+      // Criar ordem (com itens, o valor estimado é derivado deles)
       const orderData = {
         vehicle_id,
-        estimate_amount,
-        status: status || 'awaiting_approval',
+        estimate_amount: hasItems ? 0 : estimate_amount,
         notes
       };
 
-      const newOrder = await Order.create(tenant_id, orderData);
+      // Ordem, histórico e itens na mesma transação: um item rejeitado não deixa ordem pela metade
+      const client = await getClient();
+      let newOrder;
+
+      try {
+        await client.query('BEGIN');
+
+        newOrder = await Order.create(tenant_id, orderData, client);
+        await OrderStateMachine.recordCreation(newOrder, { actor: OrderController.getActor(req) }, client);
+
+        if (hasItems) {
+          newOrder.items = [];
+          for (const [index, item] of orderItems.entries()) {
+            newOrder.items.push(await OrderItem.create(tenant_id, newOrder.id, { position: index, ...item }, client));
+          }
+          newOrder.estimate_amount = await Order.recalculateEstimate(tenant_id, newOrder.id, client);
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
 
       // Se workshop_id foi fornecido, atualizar a ordem
       if (workshop_id) {
         await newOrder.update({ workshop_id });
       }
 
+      if (mileage !== undefined) {
+        await OdometerReading.create(tenant_id, {
+          vehicle_id,
+          order_id: newOrder.id,
+          mileage,
+          source: 'order',
+          recorded_by: req.user?.user_id
+        });
+      }
+
       logger.info('Ordem de serviço criada com sucesso', {
         order_id: newOrder.id,
         tenant_id,
         vehicle_id,
-        estimate_amount
+        estimate_amount: newOrder.estimate_amount,
+        items_count: hasItems ? items.length : 0
       });
 
+      await DomainEvents.publishOrder('order.created', await Order.findById(tenant_id, newOrder.id));
+
       res.status(201).json(newOrder.toJSON());
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
       logger.error('Erro ao criar ordem de serviço', { error: error.message, tenant_id: req.tenant?.tenant_id });
       res.status(500).json({
         error: {
@@ -65,13 +178,15 @@ class OrderController {
   static async list(req, res) {
     try {
       const { tenant_id } = req.tenant;
-      const { page, limit, status, approved, plate, code16, min_amount, max_amount } = req.query;
+      const { page, limit, status, approved, plate, code16, assigned_to, min_amount, max_amount } = req.query;
 
       const filters = {
         status,
         approved: approved === 'true' ? true : approved === 'false' ? false : undefined,
         plate,
         code16,
+        // Mecânicos veem por padrão apenas as ordens atribuídas a eles
+        assigned_to: assigned_to || (req.user?.role === 'mechanic' ? req.user.user_id : undefined),
         min_amount: min_amount ? parseFloat(min_amount) : undefined,
         max_amount: max_amount ? parseFloat(max_amount) : undefined
       };
@@ -155,6 +270,17 @@ class OrderController {
         });
       }
 
+      // Com itens, o valor estimado é calculado e não pode ser alterado manualmente
+      if (updateData.estimate_amount !== undefined && order.items.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'estimate_managed_by_items',
+            message: 'Valor estimado é calculado a partir dos itens da ordem',
+            details: { items_count: order.items.length }
+          }
+        });
+      }
+
       // Validar dados se estimate_amount foi alterado
       if (updateData.estimate_amount && updateData.estimate_amount <= 0) {
         return res.status(400).json({
@@ -165,17 +291,62 @@ class OrderController {
         });
       }
 
+      // Aprovação é derivada do status e só muda via transição
+      if (updateData.approved !== undefined) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Campo approved não pode ser alterado diretamente; use POST /v1/orders/{id}/approve',
+            details: { field: 'approved' }
+          }
+        });
+      }
+
+      // Transição inválida é rejeitada antes de gravar os demais campos
+      if (updateData.status && updateData.status !== order.status) {
+        OrderStateMachine.assertTransition(order.status, updateData.status);
+      }
+
+      // Responsável deve ser um mecânico ativo (null remove a atribuição)
+      if (updateData.assigned_to) {
+        await TimeTrackingService.resolveMechanic(tenant_id, updateData.assigned_to);
+      }
+
       // Atualizar ordem
       await order.update(updateData);
 
+      if (updateData.assigned_to !== undefined) {
+        await order.assign(updateData.assigned_to);
+      }
+
+      // Campos alterados diretamente geram order.updated; status gera o evento da transição
+      const changes = ['estimate_amount', 'notes', 'assigned_to'].filter(field => updateData[field] !== undefined);
+      if (changes.length > 0) {
+        await DomainEvents.publishOrder('order.updated', await Order.findById(tenant_id, id), { changes });
+      }
+
+      // Alteração de status passa pela máquina de estados
+      let updatedOrder = order;
+      if (updateData.status && updateData.status !== order.status) {
+        updatedOrder = await OrderStateMachine.transition(tenant_id, id, updateData.status, {
+          actor: OrderController.getActor(req),
+          reason: updateData.reason
+        });
+      }
+
       logger.info('Ordem de serviço atualizada com sucesso', {
         order_id: id,
         tenant_id,
         vehicle_id: order.vehicle_id
       });
 
-      res.json(order.toJSON());
+      res.json(updatedOrder.toJSON());
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+
       logger.error('Erro ao atualizar ordem de serviço', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
       res.status(500).json({
         error: {
@@ -224,6 +395,8 @@ class OrderController {
         vehicle_id: order.vehicle_id
       });
 
+      await DomainEvents.publishOrder('order.deleted', order);
+
       res.status(204).send();
     } catch (error) {
       logger.error('Erro ao deletar ordem de serviço', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
@@ -319,11 +492,60 @@ class OrderController {
 
   // Aprovar ordem de serviço
   static async approve(req, res) {
+    return OrderController.runTransition(req, res, 'approved', {
+      successMessage: 'Ordem de serviço aprovada com sucesso',
+      errorMessage: 'Erro interno ao aprovar ordem de serviço'
+    });
+  }
+
+  // Iniciar ordem de serviço
+  static async start(req, res) {
+    return OrderController.runTransition(req, res, 'in_progress', {
+      successMessage: 'Ordem de serviço iniciada com sucesso',
+      errorMessage: 'Erro interno ao iniciar ordem de serviço'
+    });
+  }
+
+  // Concluir ordem de serviço
+  static async complete(req, res) {
+    return OrderController.runTransition(req, res, 'completed', {
+      successMessage: 'Ordem de serviço concluída com sucesso',
+      errorMessage: 'Erro interno ao concluir ordem de serviço'
+    });
+  }
+
+  // Enviar orçamento para aprovação do cliente via WhatsApp
+  static async sendForApproval(req, res) {
+    try {
+      const { tenant_id } = req.tenant;
+      const { id } = req.params;
+
+      const result = await OrderApprovalService.sendEstimate(tenant_id, id, {
+        actor: OrderController.getActor(req)
+      });
+
+      res.status(202).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao enviar orçamento para aprovação', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao enviar orçamento para aprovação'
+        }
+      });
+    }
+  }
+
+  // Histórico de status da ordem de serviço
+  static async getHistory(req, res) {
     try {
       const { tenant_id } = req.tenant;
       const { id } = req.params;
 
-      // Buscar ordem existente
       const order = await Order.findById(tenant_id, id);
 
       if (!order) {
@@ -336,46 +558,114 @@ class OrderController {
         });
       }
 
-      if (order.approved) {
-        return res.status(400).json({
+      const history = await OrderStatusHistory.findByOrder(tenant_id, id);
+
+      res.json({
+        order_id: id,
+        status: order.status,
+        history: history.map(entry => entry.toJSON()),
+        total: history.length
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar histórico da ordem', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar histórico da ordem'
+        }
+      });
+    }
+  }
+
+  // Notificações enviadas ao cliente pela ordem de serviço
+  static async getNotifications(req, res) {
+    try {
+      const { tenant_id } = req.tenant;
+      const { id } = req.params;
+
+      const order = await Order.findById(tenant_id, id);
+
+      if (!order) {
+        return res.status(404).json({
           error: {
-            code: 'already_approved',
-            message: 'Ordem já foi aprovada'
+            code: 'not_found',
+            message: 'Ordem de serviço não encontrada',
+            details: { order_id: id }
           }
         });
       }
 
-      // Aprovar ordem
-      await order.update({
-        approved: true,
-        status: 'approved'
+      const notifications = await NotificationLog.findByOrder(tenant_id, id);
+
+      res.json({
+        order_id: id,
+        notifications: notifications.map(entry => entry.toJSON()),
+        total: notifications.length
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar notificações da ordem', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar notificações da ordem'
+        }
       });
+    }
+  }
 
-      logger.info('Ordem de serviço aprovada com sucesso', {
+  // Executa uma transição de status e responde com a ordem atualizada
+  static async runTransition(req, res, toStatus, { successMessage, errorMessage }) {
+    try {
+      const { tenant_id } = req.tenant;
+      const { id } = req.params;
+
+      const order = await OrderStateMachine.transition(tenant_id, id, toStatus, {
+        actor: OrderController.getActor(req),
+        reason: req.body?.reason
+      });
+
+      logger.info(successMessage, {
         order_id: id,
         tenant_id,
         vehicle_id: order.vehicle_id
       });
 
-      res.json(order.toJSON());
+      // Na aprovação e no início, peças reservadas sem saldo suficiente na oficina
+      const json = order.toJSON();
+      if (['approved', 'in_progress'].includes(toStatus)) {
+        json.stock_shortages = await InventoryService.getOrderShortages(order);
+      }
+
+      res.json(json);
     } catch (error) {
-      logger.error('Erro ao aprovar ordem de serviço', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error(errorMessage, { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
       res.status(500).json({
         error: {
           code: 'internal_error',
-          message: 'Erro interno ao aprovar ordem de serviço'
+          message: errorMessage
         }
       });
     }
   }
 
-  // Iniciar ordem de serviço
-  static async start(req, res) {
+  // Identifica o usuário autenticado que executa a ação
+  static getActor(req) {
+    return {
+      type: 'user',
+      id: req.user?.user_id || req.user?.client_id
+    };
+  }
+
+  // Listar itens da ordem de serviço
+  static async listItems(req, res) {
     try {
       const { tenant_id } = req.tenant;
       const { id } = req.params;
 
-      // Buscar ordem existente
       const order = await Order.findById(tenant_id, id);
 
       if (!order) {
@@ -388,63 +678,237 @@ class OrderController {
         });
       }
 
-      if (!order.approved) {
-        return res.status(400).json({
+      res.json({
+        order_id: id,
+        items: order.items.map(item => item.toJSON()),
+        estimate_amount: order.estimate_amount,
+        total: order.items.length
+      });
+    } catch (error) {
+      logger.error('Erro ao listar itens da ordem', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar itens da ordem'
+        }
+      });
+    }
+  }
+
+  // Adicionar item à ordem de serviço
+  static async addItem(req, res) {
+    try {
+      const { tenant_id } = req.tenant;
+      const { id } = req.params;
+
+      const order = await Order.findById(tenant_id, id);
+
+      if (!order) {
+        return res.status(404).json({
           error: {
-            code: 'not_approved',
-            message: 'Ordem deve ser aprovada antes de ser iniciada'
+            code: 'not_found',
+            message: 'Ordem de serviço não encontrada',
+            details: { order_id: id }
           }
         });
       }
 
-      if (order.status === 'in_progress') {
+      if (OrderController.isClosed(order)) {
         return res.status(400).json({
           error: {
-            code: 'already_started',
-            message: 'Ordem já foi iniciada'
+            code: 'order_closed',
+            message: 'Não é possível alterar itens de ordem concluída ou cancelada',
+            details: { status: order.status }
           }
         });
       }
 
-      if (order.status === 'completed') {
+      const itemData = await InventoryService.prepareItem(tenant_id, req.body);
+
+      const validationErrors = OrderItem.validate(itemData);
+      if (validationErrors.length > 0) {
         return res.status(400).json({
           error: {
-            code: 'already_completed',
-            message: 'Ordem já foi concluída'
+            code: 'validation_error',
+            message: 'Dados inválidos',
+            details: validationErrors
           }
         });
       }
 
-      // Iniciar ordem
-      await order.update({
-        status: 'in_progress'
+      if (req.body.assigned_to) {
+        await TimeTrackingService.resolveMechanic(tenant_id, req.body.assigned_to);
+      }
+
+      const item = await OrderItem.create(tenant_id, id, {
+        position: order.items.length,
+        ...itemData
       });
+      const estimate_amount = await Order.recalculateEstimate(tenant_id, id);
 
-      logger.info('Ordem de serviço iniciada com sucesso', {
+      logger.info('Item adicionado à ordem de serviço', {
         order_id: id,
+        item_id: item.id,
         tenant_id,
-        vehicle_id: order.vehicle_id
+        estimate_amount
       });
 
-      res.json(order.toJSON());
+      await DomainEvents.publishOrder('order.updated', await Order.findById(tenant_id, id), { changes: ['items'] });
+
+      res.status(201).json({
+        item: item.toJSON(),
+        estimate_amount
+      });
     } catch (error) {
-      logger.error('Erro ao iniciar ordem de serviço', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao adicionar item à ordem', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
       res.status(500).json({
         error: {
           code: 'internal_error',
-          message: 'Erro interno ao iniciar ordem de serviço'
+          message: 'Erro interno ao adicionar item à ordem'
         }
       });
     }
   }
 
-  // Concluir ordem de serviço
-  static async complete(req, res) {
+  // Atualizar item da ordem de serviço
+  static async updateItem(req, res) {
+    try {
+      const { tenant_id } = req.tenant;
+      const { id, itemId } = req.params;
+
+      const order = await Order.findById(tenant_id, id);
+      const item = order && order.items.find(orderItem => orderItem.id === itemId);
+
+      if (!item) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Item da ordem não encontrado',
+            details: { order_id: id, item_id: itemId }
+          }
+        });
+      }
+
+      if (OrderController.isClosed(order)) {
+        return res.status(400).json({
+          error: {
+            code: 'order_closed',
+            message: 'Não é possível alterar itens de ordem concluída ou cancelada',
+            details: { status: order.status }
+          }
+        });
+      }
+
+      const validationErrors = OrderItem.validate(req.body, true);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'validation_error',
+            message: 'Dados inválidos',
+            details: validationErrors
+          }
+        });
+      }
+
+      if (req.body.assigned_to) {
+        await TimeTrackingService.resolveMechanic(tenant_id, req.body.assigned_to);
+      }
+
+      await InventoryService.prepareItem(tenant_id, req.body, item);
+
+      await item.update(req.body);
+      const estimate_amount = await Order.recalculateEstimate(tenant_id, id);
+
+      logger.info('Item da ordem de serviço atualizado', {
+        order_id: id,
+        item_id: itemId,
+        tenant_id,
+        estimate_amount
+      });
+
+      await DomainEvents.publishOrder('order.updated', await Order.findById(tenant_id, id), { changes: ['items'] });
+
+      res.json({
+        item: item.toJSON(),
+        estimate_amount
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao atualizar item da ordem', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atualizar item da ordem'
+        }
+      });
+    }
+  }
+
+  // Remover item da ordem de serviço
+  static async deleteItem(req, res) {
+    try {
+      const { tenant_id } = req.tenant;
+      const { id, itemId } = req.params;
+
+      const order = await Order.findById(tenant_id, id);
+      const item = order && order.items.find(orderItem => orderItem.id === itemId);
+
+      if (!item) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Item da ordem não encontrado',
+            details: { order_id: id, item_id: itemId }
+          }
+        });
+      }
+
+      if (OrderController.isClosed(order)) {
+        return res.status(400).json({
+          error: {
+            code: 'order_closed',
+            message: 'Não é possível alterar itens de ordem concluída ou cancelada',
+            details: { status: order.status }
+          }
+        });
+      }
+
+      await item.delete();
+      await Order.recalculateEstimate(tenant_id, id);
+
+      logger.info('Item removido da ordem de serviço', {
+        order_id: id,
+        item_id: itemId,
+        tenant_id
+      });
+
+      await DomainEvents.publishOrder('order.updated', await Order.findById(tenant_id, id), { changes: ['items'] });
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao remover item da ordem', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao remover item da ordem'
+        }
+      });
+    }
+  }
+
+  // Listar apontamentos de horas da ordem
+  static async listTimeEntries(req, res) {
     try {
       const { tenant_id } = req.tenant;
       const { id } = req.params;
 
-      // Buscar ordem existente
       const order = await Order.findById(tenant_id, id);
 
       if (!order) {
@@ -457,37 +921,89 @@ class OrderController {
         });
       }
 
-      if (order.status !== 'in_progress') {
+      const entries = await OrderTimeEntry.findByOrder(tenant_id, id);
+
+      res.json({
+        order_id: id,
+        entries: entries.map(entry => entry.toJSON()),
+        total_minutes: entries.reduce((sum, entry) => sum + entry.duration_minutes, 0),
+        total: entries.length
+      });
+    } catch (error) {
+      logger.error('Erro ao listar apontamentos da ordem', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar apontamentos da ordem'
+        }
+      });
+    }
+  }
+
+  // Registrar entrada do mecânico na ordem
+  static async clockIn(req, res) {
+    await OrderController.runClock(req, res, 'in');
+  }
+
+  // Registrar saída do mecânico da ordem
+  static async clockOut(req, res) {
+    await OrderController.runClock(req, res, 'out');
+  }
+
+  // Entrada/saída: mecânicos apontam as próprias horas; demais usuários informam user_id
+  static async runClock(req, res, direction) {
+    try {
+      const { tenant_id } = req.tenant;
+      const { id } = req.params;
+      const { item_id, notes } = req.body || {};
+      const userId = req.user?.role === 'mechanic' ? req.user.user_id : req.body?.user_id;
+
+      if (!userId) {
         return res.status(400).json({
           error: {
-            code: 'invalid_status',
-            message: 'Ordem deve estar em andamento para ser concluída'
+            code: 'invalid_request',
+            message: 'user_id do mecânico é obrigatório',
+            details: { field: 'user_id' }
           }
         });
       }
 
-      // Concluir ordem
-      await order.update({
-        status: 'completed'
-      });
+      const order = await Order.findById(tenant_id, id);
 
-      logger.info('Ordem de serviço concluída com sucesso', {
-        order_id: id,
-        tenant_id,
-        vehicle_id: order.vehicle_id
-      });
+      if (!order) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Ordem de serviço não encontrada',
+            details: { order_id: id }
+          }
+        });
+      }
+
+      const entry = direction === 'in'
+        ? await TimeTrackingService.clockIn(order, { userId, itemId: item_id, notes })
+        : await TimeTrackingService.clockOut(order, { userId, notes });
 
-      res.json(order.toJSON());
+      res.status(direction === 'in' ? 201 : 200).json(entry.toJSON());
     } catch (error) {
-      logger.error('Erro ao concluir ordem de serviço', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao registrar apontamento de horas', { error: error.message, order_id: req.params.id, tenant_id: req.tenant?.tenant_id });
       res.status(500).json({
         error: {
           code: 'internal_error',
-          message: 'Erro interno ao concluir ordem de serviço'
+          message: 'Erro interno ao registrar apontamento de horas'
         }
       });
     }
   }
+
+  // Ordens concluídas ou canceladas não aceitam alterações nos itens
+  static isClosed(order) {
+    return order.status === 'completed' || order.status === 'cancelled';
+  }
 }
 
 module.exports = OrderController;
@@ -0,0 +1,195 @@
+const Part = require('../models/Part');
+const logger = require('../utils/logger');
+
+class PartController {
+  /**
+   * Cadastra peça no catálogo
+   */
+  static async create(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+
+      const errors = Part.validate(req.body);
+      if (errors.length > 0) {
+        return PartController.invalid(res, errors);
+      }
+
+      const existing = await Part.findBySku(tenantId, req.body.sku);
+      if (existing) {
+        return PartController.skuConflict(res, existing.id);
+      }
+
+      const part = await Part.create(tenantId, req.body);
+
+      logger.info('Peça cadastrada com sucesso', { part_id: part.id, sku: part.sku, tenant_id: tenantId });
+
+      res.status(201).json(part.toJSON());
+    } catch (error) {
+      logger.error('Erro ao cadastrar peça', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao cadastrar peça'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista peças com busca e paginação
+   */
+  static async list(req, res) {
+    try {
+      const { q, supplier, active, page = 1, limit = 50 } = req.query;
+
+      const result = await Part.list(
+        req.user.tenant_id,
+        {
+          q,
+          supplier,
+          active: active === undefined ? undefined : active === 'true'
+        },
+        parseInt(page) || 1,
+        Math.min(parseInt(limit) || 50, 100)
+      );
+
+      res.json({
+        parts: result.parts.map(part => part.toJSON()),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar peças', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar peças'
+        }
+      });
+    }
+  }
+
+  /**
+   * Busca peça por ID
+   */
+  static async getById(req, res) {
+    try {
+      const part = await Part.findById(req.user.tenant_id, req.params.id);
+      if (!part) {
+        return PartController.notFound(res, req.params.id);
+      }
+
+      res.json(part.toJSON());
+    } catch (error) {
+      logger.error('Erro ao buscar peça', { error: error.message, part_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar peça'
+        }
+      });
+    }
+  }
+
+  /**
+   * Atualiza peça
+   */
+  static async update(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+
+      const errors = Part.validate(req.body, true);
+      if (req.body.active !== undefined && typeof req.body.active !== 'boolean') {
+        errors.push('Campo active deve ser booleano');
+      }
+      if (errors.length > 0) {
+        return PartController.invalid(res, errors);
+      }
+
+      const part = await Part.findById(tenantId, req.params.id);
+      if (!part) {
+        return PartController.notFound(res, req.params.id);
+      }
+
+      if (req.body.sku !== undefined) {
+        const existing = await Part.findBySku(tenantId, req.body.sku);
+        if (existing && existing.id !== part.id) {
+          return PartController.skuConflict(res, existing.id);
+        }
+      }
+
+      await part.update(req.body);
+
+      logger.info('Peça atualizada com sucesso', { part_id: part.id, tenant_id: tenantId });
+
+      res.json(part.toJSON());
+    } catch (error) {
+      logger.error('Erro ao atualizar peça', { error: error.message, part_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atualizar peça'
+        }
+      });
+    }
+  }
+
+  /**
+   * Desativa peça (mantém estoque, movimentações e itens das ordens)
+   */
+  static async delete(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+
+      const part = await Part.findById(tenantId, req.params.id);
+      if (!part) {
+        return PartController.notFound(res, req.params.id);
+      }
+
+      await part.deactivate();
+
+      logger.info('Peça desativada', { part_id: part.id, tenant_id: tenantId });
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao desativar peça', { error: error.message, part_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao desativar peça'
+        }
+      });
+    }
+  }
+
+  static invalid(res, errors) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_request',
+        message: 'Dados inválidos',
+        details: { errors }
+      }
+    });
+  }
+
+  static skuConflict(res, partId) {
+    return res.status(409).json({
+      error: {
+        code: 'conflict',
+        message: 'Já existe peça com este SKU',
+        details: { part_id: partId }
+      }
+    });
+  }
+
+  static notFound(res, partId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Peça não encontrada',
+        details: { part_id: partId }
+      }
+    });
+  }
+}
+
+module.exports = PartController;
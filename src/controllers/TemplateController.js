@@ -0,0 +1,265 @@
+const Template = require('../models/Template');
+const logger = require('../utils/logger');
+
+class TemplateController {
+  /**
+   * Cria template (status inicial pending)
+   */
+  static async create(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { name, category, language = 'pt_BR', header, body, footer, buttons, parameters } = req.body;
+
+      const errors = Template.validate({ name, category, language, header, body, buttons, parameters });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'validation_error',
+            message: 'Dados inválidos',
+            details: errors
+          }
+        });
+      }
+
+      const existing = await Template.findByName(tenantId, name, language);
+      if (existing) {
+        return res.status(409).json({
+          error: {
+            code: 'template_exists',
+            message: 'Já existe um template com este nome e idioma',
+            details: { template_id: existing.id }
+          }
+        });
+      }
+
+      const template = await Template.create(tenantId, {
+        name, category, language, header, body, footer, buttons, parameters
+      });
+
+      logger.info('Template criado', { template_id: template.id, name, language, tenant_id: tenantId });
+
+      res.status(201).json(template.toJSON());
+    } catch (error) {
+      logger.error('Erro ao criar template', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao criar template'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista templates do tenant
+   */
+  static async list(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { status, category, language, name, page = 1, limit = 50 } = req.query;
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (category) filters.category = category;
+      if (language) filters.language = language;
+      if (name) filters.name = name;
+
+      const result = await Template.list(tenantId, filters, parseInt(page), parseInt(limit));
+
+      res.json({
+        templates: result.templates.map(template => template.toJSON()),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar templates', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar templates'
+        }
+      });
+    }
+  }
+
+  /**
+   * Busca template por ID
+   */
+  static async getById(req, res) {
+    try {
+      const template = await Template.findById(req.user.tenant_id, req.params.id);
+
+      if (!template) {
+        return TemplateController.notFound(res, req.params.id);
+      }
+
+      res.json(template.toJSON());
+    } catch (error) {
+      logger.error('Erro ao buscar template', { error: error.message, template_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar template'
+        }
+      });
+    }
+  }
+
+  /**
+   * Atualiza conteúdo do template (volta para pending se o conteúdo mudar)
+   */
+  static async update(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { category, header, body, footer, buttons, parameters } = req.body;
+
+      if (req.body.name !== undefined || req.body.language !== undefined) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Nome e idioma não podem ser alterados; crie um novo template'
+          }
+        });
+      }
+
+      if (req.body.status !== undefined) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Status só pode ser alterado via POST /v1/templates/{id}/status'
+          }
+        });
+      }
+
+      const template = await Template.findById(tenantId, req.params.id);
+      if (!template) {
+        return TemplateController.notFound(res, req.params.id);
+      }
+
+      const updateData = { category, header, body, footer, buttons, parameters };
+
+      // Valida o template resultante, não apenas os campos enviados
+      const merged = { ...template.toJSON() };
+      for (const [field, value] of Object.entries(updateData)) {
+        if (value !== undefined) merged[field] = value;
+      }
+
+      const errors = Template.validate(merged);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'validation_error',
+            message: 'Dados inválidos',
+            details: errors
+          }
+        });
+      }
+
+      await template.update(updateData);
+
+      logger.info('Template atualizado', { template_id: template.id, status: template.status, tenant_id: tenantId });
+
+      res.json(template.toJSON());
+    } catch (error) {
+      logger.error('Erro ao atualizar template', { error: error.message, template_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atualizar template'
+        }
+      });
+    }
+  }
+
+  /**
+   * Altera status do template (pending → approved/rejected, e de volta para pending)
+   */
+  static async updateStatus(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { status, rejection_reason } = req.body;
+
+      if (!Template.STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Status inválido',
+            details: { valid_statuses: Template.STATUSES }
+          }
+        });
+      }
+
+      const template = await Template.findById(tenantId, req.params.id);
+      if (!template) {
+        return TemplateController.notFound(res, req.params.id);
+      }
+
+      const allowed = Template.STATUS_TRANSITIONS[template.status] || [];
+      if (!allowed.includes(status)) {
+        return res.status(409).json({
+          error: {
+            code: 'invalid_status_transition',
+            message: `Transição de ${template.status} para ${status} não é permitida`,
+            details: { from: template.status, to: status, allowed }
+          }
+        });
+      }
+
+      await template.updateStatus(status, rejection_reason);
+
+      logger.info('Status do template alterado', {
+        template_id: template.id,
+        status,
+        tenant_id: tenantId
+      });
+
+      res.json(template.toJSON());
+    } catch (error) {
+      logger.error('Erro ao alterar status do template', { error: error.message, template_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao alterar status do template'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove template
+   */
+  static async delete(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const template = await Template.findById(tenantId, req.params.id);
+
+      if (!template) {
+        return TemplateController.notFound(res, req.params.id);
+      }
+
+      await template.delete();
+
+      logger.info('Template removido', { template_id: template.id, tenant_id: tenantId });
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao remover template', { error: error.message, template_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao remover template'
+        }
+      });
+    }
+  }
+
+  static notFound(res, templateId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Template não encontrado',
+        details: { template_id: templateId }
+      }
+    });
+  }
+}
+
+module.exports = TemplateController;
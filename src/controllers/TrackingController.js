@@ -0,0 +1,155 @@
+const path = require('path');
+const TrackingService = require('../services/TrackingService');
+const Tenant = require('../models/Tenant');
+const logger = require('../utils/logger');
+
+class TrackingController {
+  /**
+   * Consulta pública do veículo pelo code16 (sem autenticação)
+   */
+  static async getPublic(req, res) {
+    try {
+      const view = await TrackingService.getPublicView(req.params.code16);
+
+      if (!view) {
+        // Aviso de rotação apenas para tenants com acompanhamento público ativo
+        if (await TrackingService.isSuperseded(req.params.code16)) {
+          return res.status(410).json({
+            error: {
+              code: 'code16_superseded',
+              message: 'Este código foi substituído. Solicite o novo código à oficina.'
+            }
+          });
+        }
+
+        // Código inexistente, revogado ou tenant com acompanhamento desativado têm a mesma resposta
+        return TrackingController.notFound(res);
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.json(view);
+    } catch (error) {
+      logger.error('Erro ao consultar acompanhamento público', { error: error.message });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao consultar veículo'
+        }
+      });
+    }
+  }
+
+  /**
+   * Thumbnail de uma mídia da ordem exibida publicamente
+   */
+  static async getThumbnail(req, res) {
+    try {
+      const thumbnailPath = await TrackingService.findThumbnailPath(req.params.code16, req.params.mediaId);
+
+      if (!thumbnailPath) {
+        return TrackingController.notFound(res);
+      }
+
+      res.set('Cache-Control', 'private, max-age=300');
+      res.sendFile(path.resolve(thumbnailPath), (error) => {
+        if (error && !res.headersSent) {
+          TrackingController.notFound(res);
+        }
+      });
+    } catch (error) {
+      logger.error('Erro ao enviar thumbnail público', { error: error.message, media_id: req.params.mediaId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao enviar imagem'
+        }
+      });
+    }
+  }
+
+  /**
+   * Configurações de acompanhamento público do tenant
+   */
+  static async getSettings(req, res) {
+    try {
+      const tenant = await Tenant.findById(req.user.tenant_id);
+
+      if (!tenant) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Tenant não encontrado'
+          }
+        });
+      }
+
+      res.json(tenant.trackingSettings());
+    } catch (error) {
+      logger.error('Erro ao buscar configurações de acompanhamento', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar configurações de acompanhamento'
+        }
+      });
+    }
+  }
+
+  /**
+   * Ativa ou desativa o acompanhamento público do tenant
+   */
+  static async updateSettings(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { public_tracking_enabled } = req.body;
+
+      if (typeof public_tracking_enabled !== 'boolean') {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Campo "public_tracking_enabled" deve ser booleano'
+          }
+        });
+      }
+
+      const tenant = await Tenant.findById(tenantId);
+      if (!tenant) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Tenant não encontrado'
+          }
+        });
+      }
+
+      await tenant.setPublicTracking(public_tracking_enabled);
+
+      logger.info('Acompanhamento público alterado', {
+        tenant_id: tenantId,
+        public_tracking_enabled,
+        user_id: req.user.user_id
+      });
+
+      res.json(tenant.trackingSettings());
+    } catch (error) {
+      logger.error('Erro ao alterar configurações de acompanhamento', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao alterar configurações de acompanhamento'
+        }
+      });
+    }
+  }
+
+  static notFound(res) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Veículo não encontrado'
+      }
+    });
+  }
+}
+
+module.exports = TrackingController;
@@ -1,5 +1,8 @@
 const Vehicle = require('../models/Vehicle');
-const { generateCode16 } = require('../utils/crypto');
+const Customer = require('../models/Customer');
+const { generateCode16, normalizeCode16, verifyCode16Checksum } = require('../utils/crypto');
+const { normalizePlate, plateKey } = require('../utils/plate');
+const { validateDocument } = require('../utils/documents');
 const logger = require('../utils/logger');
 
 class VehicleController {
@@ -8,7 +11,7 @@ class VehicleController {
    */
   static async create(req, res) {
     try {
-      const { plate, owner, meta } = req.body;
+      const { plate, owner, meta, customer_id } = req.body;
       const tenantId = req.user.tenant_id;
 
       // Validações
@@ -23,21 +26,50 @@ class VehicleController {
         });
       }
 
-      // Verifica se a placa já existe
+      if (!normalizePlate(plate)) {
+        return VehicleController.invalidPlate(req, res, plate);
+      }
+
+      // CPF/CNPJ do proprietário, quando informado
+      if (owner?.document) {
+        const documentCheck = validateDocument(owner.document);
+        if (!documentCheck.valid) {
+          return VehicleController.invalidDocument(req, res, 'owner.document', documentCheck);
+        }
+        owner.document = documentCheck.document;
+      }
+
+      // Verifica se a placa já existe (antiga ou convertida para Mercosul)
       const existingVehicle = await Vehicle.findByPlate(tenantId, plate);
       if (existingVehicle) {
         return res.status(409).json({
           error: {
             code: 'conflict',
             message: 'Veículo com esta placa já existe',
-            details: { plate }
+            details: { plate, vehicle_id: existingVehicle.id, existing_plate: existingVehicle.plate }
           },
           correlation_id: req.headers['x-correlation-id'] || 'unknown'
         });
       }
 
+      // Vincula ao cliente informado ou ao cliente do proprietário (criado se ainda não existir)
+      let customer = null;
+      if (customer_id) {
+        customer = await Customer.findById(tenantId, customer_id);
+        if (!customer) {
+          return VehicleController.customerNotFound(req, res, customer_id);
+        }
+      } else {
+        customer = await Customer.findOrCreateFromOwner(tenantId, owner);
+      }
+
       // Cria o veículo
-      const vehicle = await Vehicle.create(tenantId, { plate, owner, meta });
+      const vehicle = await Vehicle.create(tenantId, {
+        plate,
+        owner: customer_id ? customer.toOwner() : owner,
+        meta,
+        customer_id: customer?.id
+      });
 
       logger.info('Veículo criado com sucesso', { 
         vehicle_id: vehicle.id, 
@@ -69,15 +101,17 @@ class VehicleController {
         code16, 
         owner_name, 
         owner_phone,
+        customer_id,
         page = 1, 
         limit = 50 
       } = req.query;
 
       const filters = {};
       if (plate) filters.plate = plate;
-      if (code16) filters.code16 = code16;
+      if (code16) filters.code16 = normalizeCode16(code16) || code16;
       if (owner_name) filters.owner_name = owner_name;
       if (owner_phone) filters.owner_phone = owner_phone;
+      if (customer_id) filters.customer_id = customer_id;
 
       const result = await Vehicle.list(tenantId, filters, parseInt(page), parseInt(limit));
 
@@ -163,7 +197,7 @@ class VehicleController {
     try {
       const { vehicleId } = req.params;
       const tenantId = req.user.tenant_id;
-      const updateData = req.body;
+      const updateData = { ...req.body };
 
       const vehicle = await Vehicle.findById(tenantId, vehicleId);
       
@@ -178,8 +212,20 @@ class VehicleController {
         });
       }
 
+      if (updateData.plate && !normalizePlate(updateData.plate)) {
+        return VehicleController.invalidPlate(req, res, updateData.plate);
+      }
+
+      if (updateData.owner?.document) {
+        const documentCheck = validateDocument(updateData.owner.document);
+        if (!documentCheck.valid) {
+          return VehicleController.invalidDocument(req, res, 'owner.document', documentCheck);
+        }
+        updateData.owner = { ...updateData.owner, document: documentCheck.document };
+      }
+
       // Verifica se a nova placa já existe (se estiver sendo alterada)
-      if (updateData.plate && updateData.plate !== vehicle.plate) {
+      if (updateData.plate && plateKey(updateData.plate) !== vehicle.plate_key) {
         const existingVehicle = await Vehicle.findByPlate(tenantId, updateData.plate);
         if (existingVehicle && existingVehicle.id !== vehicleId) {
           return res.status(409).json({
@@ -193,6 +239,18 @@ class VehicleController {
         }
       }
 
+      // Troca de proprietário: owner passa a refletir o cliente vinculado
+      if (updateData.customer_id) {
+        const customer = await Customer.findById(tenantId, updateData.customer_id);
+        if (!customer) {
+          return VehicleController.customerNotFound(req, res, updateData.customer_id);
+        }
+        updateData.owner = customer.toOwner();
+      } else if (updateData.owner) {
+        const customer = await Customer.findOrCreateFromOwner(tenantId, updateData.owner);
+        if (customer) updateData.customer_id = customer.id;
+      }
+
       await vehicle.update(updateData);
 
       logger.info('Veículo atualizado com sucesso', { 
@@ -254,6 +312,76 @@ class VehicleController {
     }
   }
 
+  /**
+   * Histórico do veículo: ordens, mudanças de status, mídias e mensagens
+   */
+  static async getTimeline(req, res) {
+    try {
+      const { vehicleId } = req.params;
+      const tenantId = req.user.tenant_id;
+      const { type, from, to, page = 1, limit = 50 } = req.query;
+
+      const types = type ? String(type).split(',').map(t => t.trim()).filter(Boolean) : [];
+      const invalidTypes = types.filter(t => !Vehicle.TIMELINE_TYPES.includes(t));
+      const invalidDates = [['from', from], ['to', to]]
+        .filter(([, value]) => value && isNaN(Date.parse(value)))
+        .map(([field]) => field);
+
+      if (invalidTypes.length > 0 || invalidDates.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Filtros inválidos',
+            details: {
+              invalid_types: invalidTypes,
+              invalid_dates: invalidDates,
+              valid_types: Vehicle.TIMELINE_TYPES
+            }
+          },
+          correlation_id: req.headers['x-correlation-id'] || 'unknown'
+        });
+      }
+
+      const vehicle = await Vehicle.findById(tenantId, vehicleId);
+
+      if (!vehicle) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Veículo não encontrado',
+            details: { vehicle_id: vehicleId }
+          },
+          correlation_id: req.headers['x-correlation-id'] || 'unknown'
+        });
+      }
+
+      const result = await vehicle.timeline(
+        {
+          types,
+          from: from ? new Date(from) : null,
+          to: to ? new Date(to) : null
+        },
+        parseInt(page),
+        Math.min(parseInt(limit), 100)
+      );
+
+      res.json({
+        vehicle_id: vehicle.id,
+        entries: result.entries,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar histórico do veículo', { error: error.message, vehicleId: req.params.vehicleId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar histórico do veículo'
+        },
+        correlation_id: req.headers['x-correlation-id'] || 'unknown'
+      });
+    }
+  }
+
   /**
    * Busca veículo por código de 16 caracteres
    */
@@ -265,6 +393,35 @@ class VehicleController {
       const vehicle = await Vehicle.findByCode16(tenantId, code16);
       
       if (!vehicle) {
+        // Código substituído por rotação
+        const retired = await Vehicle.findRetiredCode16(code16, tenantId);
+        if (retired) {
+          return res.status(410).json({
+            error: {
+              code: 'code16_superseded',
+              message: 'Código substituído por um novo código',
+              details: {
+                code16: retired.code16,
+                vehicle_id: retired.vehicle_id,
+                superseded_at: retired.retired_at
+              }
+            },
+            correlation_id: req.headers['x-correlation-id'] || 'unknown'
+          });
+        }
+
+        // Dígito verificador não confere: provável erro de digitação
+        if (!verifyCode16Checksum(normalizeCode16(code16))) {
+          return res.status(400).json({
+            error: {
+              code: 'invalid_code16',
+              message: 'Código inválido; confira os caracteres digitados',
+              details: { code16 }
+            },
+            correlation_id: req.headers['x-correlation-id'] || 'unknown'
+          });
+        }
+
         return res.status(404).json({
           error: {
             code: 'not_found',
@@ -288,6 +445,96 @@ class VehicleController {
     }
   }
 
+  /**
+   * Revoga o code16 do veículo, bloqueando o acompanhamento público
+   */
+  static async revokeCode16(req, res) {
+    try {
+      const { vehicleId } = req.params;
+      const tenantId = req.user.tenant_id;
+
+      const vehicle = await Vehicle.findById(tenantId, vehicleId);
+
+      if (!vehicle) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Veículo não encontrado',
+            details: { vehicle_id: vehicleId }
+          },
+          correlation_id: req.headers['x-correlation-id'] || 'unknown'
+        });
+      }
+
+      await vehicle.revokeCode16();
+
+      logger.info('Code16 do veículo revogado', {
+        vehicle_id: vehicle.id,
+        tenant_id: tenantId,
+        user_id: req.user.user_id
+      });
+
+      res.json(vehicle.toJSON());
+    } catch (error) {
+      logger.error('Erro ao revogar code16', { error: error.message, vehicleId: req.params.vehicleId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao revogar código do veículo'
+        },
+        correlation_id: req.headers['x-correlation-id'] || 'unknown'
+      });
+    }
+  }
+
+  /**
+   * Gera novo code16 para o veículo, aposentando o atual
+   */
+  static async rotateCode16(req, res) {
+    try {
+      const { vehicleId } = req.params;
+      const tenantId = req.user.tenant_id;
+      const { reason } = req.body || {};
+
+      const vehicle = await Vehicle.findById(tenantId, vehicleId);
+
+      if (!vehicle) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Veículo não encontrado',
+            details: { vehicle_id: vehicleId }
+          },
+          correlation_id: req.headers['x-correlation-id'] || 'unknown'
+        });
+      }
+
+      const previous = vehicle.code16;
+      await vehicle.rotateCode16({ userId: req.user.user_id, reason });
+
+      logger.info('Code16 do veículo rotacionado', {
+        vehicle_id: vehicle.id,
+        tenant_id: tenantId,
+        user_id: req.user.user_id
+      });
+
+      res.json({
+        ...vehicle.toJSON(),
+        previous_code16: previous,
+        code16_history: await vehicle.code16History()
+      });
+    } catch (error) {
+      logger.error('Erro ao rotacionar code16', { error: error.message, vehicleId: req.params.vehicleId });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao gerar novo código do veículo'
+        },
+        correlation_id: req.headers['x-correlation-id'] || 'unknown'
+      });
+    }
+  }
+
   /**
    * Gera código de 16 caracteres para um seed
    */
@@ -320,6 +567,43 @@ class VehicleController {
       });
     }
   }
+
+  static invalidPlate(req, res, plate) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_plate',
+        message: 'Placa inválida; use o padrão antigo (ABC1234) ou Mercosul (ABC1D23)',
+        details: { plate }
+      },
+      correlation_id: req.headers['x-correlation-id'] || 'unknown'
+    });
+  }
+
+  static invalidDocument(req, res, field, documentCheck) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_document',
+        message: documentCheck.message,
+        details: {
+          field,
+          check: documentCheck.check,
+          document_type: documentCheck.type
+        }
+      },
+      correlation_id: req.headers['x-correlation-id'] || 'unknown'
+    });
+  }
+
+  static customerNotFound(req, res, customerId) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_request',
+        message: 'Cliente não encontrado',
+        details: { customer_id: customerId }
+      },
+      correlation_id: req.headers['x-correlation-id'] || 'unknown'
+    });
+  }
 }
 
 module.exports = VehicleController;
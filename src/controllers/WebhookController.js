@@ -0,0 +1,297 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookService = require('../services/WebhookService');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class WebhookController {
+  /**
+   * Cadastra webhook de parceiro para o tenant
+   */
+  static async create(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { url, events, secret } = req.body;
+
+      const errors = Webhook.validate({ url, events });
+      if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        errors.push('Segredo deve ter pelo menos 16 caracteres');
+      }
+      if (errors.length === 0) {
+        errors.push(...await Webhook.validateTarget(url));
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Dados inválidos',
+            details: { errors, valid_events: Webhook.EVENTS }
+          }
+        });
+      }
+
+      const webhook = await Webhook.create(tenantId, { url, events, secret });
+
+      logger.info('Webhook de parceiro cadastrado', {
+        webhook_id: webhook.id,
+        tenant_id: tenantId,
+        url,
+        events
+      });
+
+      res.status(201).json(webhook.toJSON({ includeSecret: true }));
+    } catch (error) {
+      logger.error('Erro ao cadastrar webhook', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao cadastrar webhook'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista webhooks do tenant
+   */
+  static async list(req, res) {
+    try {
+      const webhooks = await Webhook.findByTenant(req.user.tenant_id);
+
+      res.json({
+        webhooks: webhooks.map(webhook => webhook.toJSON())
+      });
+    } catch (error) {
+      logger.error('Erro ao listar webhooks', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar webhooks'
+        }
+      });
+    }
+  }
+
+  /**
+   * Busca webhook por ID
+   */
+  static async get(req, res) {
+    try {
+      const webhook = await Webhook.findById(req.user.tenant_id, req.params.id);
+
+      if (!webhook) {
+        return WebhookController.notFound(res, req.params.id);
+      }
+
+      res.json(webhook.toJSON());
+    } catch (error) {
+      logger.error('Erro ao buscar webhook', { error: error.message, webhook_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar webhook'
+        }
+      });
+    }
+  }
+
+  /**
+   * Atualiza URL, eventos ou pausa/reativa o webhook
+   */
+  static async update(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { url, events, active } = req.body;
+
+      if (url === undefined && events === undefined && active === undefined) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Informe ao menos um dos campos: url, events, active'
+          }
+        });
+      }
+
+      const errors = Webhook.validate({ url, events, active }, true);
+      if (errors.length === 0 && url !== undefined) {
+        errors.push(...await Webhook.validateTarget(url));
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Dados inválidos',
+            details: { errors, valid_events: Webhook.EVENTS }
+          }
+        });
+      }
+
+      const webhook = await Webhook.findById(tenantId, req.params.id);
+      if (!webhook) {
+        return WebhookController.notFound(res, req.params.id);
+      }
+
+      await webhook.update({ url, events, active });
+
+      logger.info('Webhook de parceiro atualizado', {
+        webhook_id: webhook.id,
+        tenant_id: tenantId,
+        active: webhook.active
+      });
+
+      res.json(webhook.toJSON());
+    } catch (error) {
+      logger.error('Erro ao atualizar webhook', { error: error.message, webhook_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao atualizar webhook'
+        }
+      });
+    }
+  }
+
+  /**
+   * Gera novo segredo de assinatura
+   */
+  static async rotateSecret(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const webhook = await Webhook.findById(tenantId, req.params.id);
+
+      if (!webhook) {
+        return WebhookController.notFound(res, req.params.id);
+      }
+
+      await webhook.rotateSecret();
+
+      logger.info('Segredo de webhook rotacionado', { webhook_id: webhook.id, tenant_id: tenantId });
+
+      res.json(webhook.toJSON({ includeSecret: true }));
+    } catch (error) {
+      logger.error('Erro ao rotacionar segredo do webhook', { error: error.message, webhook_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao rotacionar segredo do webhook'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove webhook
+   */
+  static async delete(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const webhook = await Webhook.findById(tenantId, req.params.id);
+
+      if (!webhook) {
+        return WebhookController.notFound(res, req.params.id);
+      }
+
+      await webhook.delete();
+
+      logger.info('Webhook removido', { webhook_id: webhook.id, tenant_id: tenantId });
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao remover webhook', { error: error.message, webhook_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao remover webhook'
+        }
+      });
+    }
+  }
+
+  /**
+   * Lista tentativas de entrega do webhook
+   */
+  static async listDeliveries(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { status, event, page = 1, limit = 50 } = req.query;
+
+      if (status && !['success', 'failed'].includes(status)) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Status deve ser success ou failed'
+          }
+        });
+      }
+
+      const webhook = await Webhook.findById(tenantId, req.params.id);
+      if (!webhook) {
+        return WebhookController.notFound(res, req.params.id);
+      }
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (event) filters.event = event;
+
+      const result = await WebhookDelivery.list(
+        tenantId,
+        webhook.id,
+        filters,
+        parseInt(page),
+        Math.min(parseInt(limit), 100)
+      );
+
+      res.json({
+        deliveries: result.deliveries.map(delivery => delivery.toJSON()),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar entregas do webhook', { error: error.message, webhook_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar entregas do webhook'
+        }
+      });
+    }
+  }
+
+  /**
+   * Reenvia o evento de uma entrega
+   */
+  static async redeliver(req, res) {
+    try {
+      const result = await WebhookService.redeliver(
+        req.user.tenant_id,
+        req.params.id,
+        req.params.deliveryId
+      );
+
+      res.status(202).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      logger.error('Erro ao reenviar webhook', { error: error.message, webhook_id: req.params.id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao reenviar webhook'
+        }
+      });
+    }
+  }
+
+  static notFound(res, webhookId) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Webhook não encontrado',
+        details: { webhook_id: webhookId }
+      }
+    });
+  }
+}
+
+module.exports = WebhookController;
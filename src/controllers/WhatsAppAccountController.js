@@ -0,0 +1,146 @@
+const WhatsAppAccount = require('../models/WhatsAppAccount');
+const WhatsAppService = require('../services/WhatsAppService');
+const logger = require('../utils/logger');
+
+class WhatsAppAccountController {
+  /**
+   * Retorna a conta WhatsApp do tenant
+   */
+  static async get(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const account = await WhatsAppAccount.findByTenant(tenantId);
+
+      if (!account) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Conta WhatsApp não configurada para este tenant'
+          }
+        });
+      }
+
+      res.json(account.toJSON());
+    } catch (error) {
+      logger.error('Erro ao buscar conta WhatsApp', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao buscar conta WhatsApp'
+        }
+      });
+    }
+  }
+
+  /**
+   * Cadastra ou substitui a conta WhatsApp do tenant
+   */
+  static async upsert(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const { phone_number_id, business_account_id, display_phone_number, access_token, status } = req.body;
+
+      const errors = [];
+      if (!phone_number_id || !/^\d+$/.test(String(phone_number_id))) {
+        errors.push('phone_number_id é obrigatório e deve conter apenas dígitos');
+      }
+      if (!access_token || typeof access_token !== 'string') {
+        errors.push('access_token é obrigatório');
+      }
+      if (status !== undefined && !['active', 'inactive'].includes(status)) {
+        errors.push('status deve ser active ou inactive');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Dados inválidos',
+            details: { errors }
+          }
+        });
+      }
+
+      // Um phone_number_id só pode rotear webhooks para um tenant
+      const existing = await WhatsAppAccount.findByPhoneNumberId(String(phone_number_id));
+      if (existing && existing.tenant_id !== tenantId) {
+        return res.status(409).json({
+          error: {
+            code: 'phone_number_in_use',
+            message: 'Este phone_number_id já está vinculado a outro tenant'
+          }
+        });
+      }
+
+      const account = await WhatsAppAccount.upsert(tenantId, {
+        phone_number_id: String(phone_number_id),
+        business_account_id,
+        display_phone_number,
+        access_token,
+        status
+      });
+
+      await WhatsAppService.invalidateCredentials(tenantId);
+
+      logger.info('Conta WhatsApp configurada', {
+        tenant_id: tenantId,
+        phone_number_id: account.phone_number_id
+      });
+
+      res.json(account.toJSON());
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: {
+            code: 'phone_number_in_use',
+            message: 'Este phone_number_id já está vinculado a outro tenant'
+          }
+        });
+      }
+
+      logger.error('Erro ao configurar conta WhatsApp', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao configurar conta WhatsApp'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove a conta WhatsApp do tenant
+   */
+  static async delete(req, res) {
+    try {
+      const tenantId = req.user.tenant_id;
+      const account = await WhatsAppAccount.findByTenant(tenantId);
+
+      if (!account) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Conta WhatsApp não configurada para este tenant'
+          }
+        });
+      }
+
+      await account.delete();
+      await WhatsAppService.invalidateCredentials(tenantId);
+
+      logger.info('Conta WhatsApp removida', { tenant_id: tenantId, phone_number_id: account.phone_number_id });
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error('Erro ao remover conta WhatsApp', { error: error.message, tenant_id: req.user?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao remover conta WhatsApp'
+        }
+      });
+    }
+  }
+}
+
+module.exports = WhatsAppAccountController;
@@ -0,0 +1,102 @@
+const WhatsAppService = require('../services/WhatsAppService');
+const logger = require('../utils/logger');
+
+class WhatsAppMockController {
+  /**
+   * Bloqueia as rotas quando o provedor mock não está ativo
+   */
+  static requireMockProvider(req, res, next) {
+    if (WhatsAppService.provider.name !== 'mock' || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Endpoint disponível apenas com WHATSAPP_PROVIDER=mock fora de produção'
+        }
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Lista mensagens registradas pelo provedor mock para o número do tenant
+   */
+  static async listMessages(req, res) {
+    try {
+      const credentials = await WhatsAppService.getCredentials(req.user.tenant_id);
+
+      res.json({
+        phone_number_id: credentials.phoneNumberId,
+        messages: await WhatsAppService.provider.getSentMessages(credentials.phoneNumberId)
+      });
+    } catch (error) {
+      logger.error('Erro ao listar mensagens do provedor mock', { error: error.message });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar mensagens do provedor mock'
+        }
+      });
+    }
+  }
+
+  /**
+   * Simula webhook de status para uma mensagem enviada
+   */
+  static async simulateStatus(req, res) {
+    try {
+      const { messageId } = req.params;
+      const { status, error } = req.body;
+      const provider = WhatsAppService.provider;
+
+      if (!provider.constructor.SIMULATED_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Status inválido',
+            details: { valid_statuses: provider.constructor.SIMULATED_STATUSES }
+          }
+        });
+      }
+
+      const credentials = await WhatsAppService.getCredentials(req.user.tenant_id);
+      const sent = await provider.findSent(messageId);
+
+      if (!sent || sent.phone_number_id !== credentials.phoneNumberId) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Mensagem não encontrada no provedor mock',
+            details: { message_id: messageId }
+          }
+        });
+      }
+
+      // O evento vai direto ao tenant autenticado, com ou sem conta WhatsApp cadastrada
+      const webhook = await provider.simulateStatus(messageId, status, { error });
+      const applied = await WhatsAppService.processWebhookForTenant(req.user.tenant_id, webhook);
+
+      if (applied === 0) {
+        return res.status(409).json({
+          error: {
+            code: 'status_not_applied',
+            message: 'Mensagem não registrada para o tenant; status não aplicado',
+            details: { message_id: messageId, status }
+          }
+        });
+      }
+
+      res.status(202).json({ message_id: messageId, status, webhook });
+    } catch (error) {
+      logger.error('Erro ao simular status no provedor mock', { error: error.message });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao simular status'
+        }
+      });
+    }
+  }
+}
+
+module.exports = WhatsAppMockController;
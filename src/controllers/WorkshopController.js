@@ -1,4 +1,8 @@
 const Workshop = require('../models/Workshop');
+const ErpSyncRun = require('../models/ErpSyncRun');
+const ErpSyncService = require('../services/ErpSyncService');
+const { AppError } = require('../utils/errors');
+const { validateDocument, formatDocument } = require('../utils/documents');
 const logger = require('../utils/logger');
 
 class WorkshopController {
@@ -18,6 +22,15 @@ class WorkshopController {
         });
       }
 
+      // CNPJ com dígitos verificadores válidos, armazenado formatado
+      if (workshopData.cnpj) {
+        const cnpjCheck = validateDocument(workshopData.cnpj, 'cnpj');
+        if (!cnpjCheck.valid) {
+          return WorkshopController.invalidCNPJ(res, cnpjCheck);
+        }
+        workshopData.cnpj = formatDocument(cnpjCheck.document);
+      }
+
       // Criar instância para validação
       const workshop = new Workshop(workshopData);
       const validationErrors = workshop.validate();
@@ -141,7 +154,15 @@ class WorkshopController {
     try {
       const { tenant_id } = req.tenant;
       const { id } = req.params;
-      const updateData = req.body;
+      const updateData = { ...req.body };
+
+      if (updateData.cnpj) {
+        const cnpjCheck = validateDocument(updateData.cnpj, 'cnpj');
+        if (!cnpjCheck.valid) {
+          return WorkshopController.invalidCNPJ(res, cnpjCheck);
+        }
+        updateData.cnpj = formatDocument(cnpjCheck.document);
+      }
 
       // Buscar oficina existente
       const workshop = await Workshop.findById(id, tenant_id);
@@ -156,6 +177,23 @@ class WorkshopController {
         });
       }
 
+      // Validar os campos enviados (CNPJ já conferido acima)
+      const validationErrors = new Workshop({
+        ...updateData,
+        name: updateData.name !== undefined ? updateData.name : workshop.name,
+        cnpj: undefined
+      }).validate();
+
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'validation_error',
+            message: 'Dados inválidos',
+            details: validationErrors
+          }
+        });
+      }
+
       // Validar dados se CNPJ foi alterado
       if (updateData.cnpj && updateData.cnpj !== workshop.cnpj) {
         const existingWorkshop = await Workshop.findByTenant(tenant_id, { cnpj: updateData.cnpj });
@@ -424,23 +462,25 @@ class WorkshopController {
         });
       }
 
-      // TODO: Implementar sincronização real com ERP
-      // Por enquanto, apenas atualizar timestamp
-      await workshop.update({
-        last_erp_sync: new Date().toISOString()
-      });
+      const run = await ErpSyncService.requestSync(workshop, { requestedBy: req.user?.user_id });
 
-      logger.info('Sincronização com ERP iniciada', {
+      logger.info('Sincronização com ERP enfileirada', {
         workshop_id: id,
         tenant_id,
+        run_id: run.id,
         name: workshop.name
       });
 
-      res.json({
+      res.status(202).json({
         message: 'Sincronização com ERP iniciada com sucesso',
+        run: run.toJSON(),
         last_sync: workshop.last_erp_sync
       });
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
       logger.error('Erro ao sincronizar com ERP', { error: error.message, workshop_id: req.params.id, tenant_id: req.tenant?.tenant_id });
       res.status(500).json({
         error: {
@@ -450,6 +490,71 @@ class WorkshopController {
       });
     }
   }
+
+  // Listar execuções de sincronização com ERP
+  static async listSyncRuns(req, res) {
+    try {
+      const { tenant_id } = req.tenant;
+      const { id } = req.params;
+      const { status, page = 1, limit = 20 } = req.query;
+
+      if (status && !ErpSyncRun.STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_request',
+            message: 'Status inválido',
+            details: { status, valid_statuses: ErpSyncRun.STATUSES }
+          }
+        });
+      }
+
+      const workshop = await Workshop.findById(id, tenant_id);
+      if (!workshop) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Oficina não encontrada',
+            details: { workshop_id: id }
+          }
+        });
+      }
+
+      const result = await ErpSyncRun.list(
+        tenant_id,
+        id,
+        { status },
+        parseInt(page) || 1,
+        Math.min(parseInt(limit) || 20, 100)
+      );
+
+      res.json({
+        runs: result.runs.map(run => run.toJSON()),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Erro ao listar sincronizações com ERP', { error: error.message, workshop_id: req.params.id, tenant_id: req.tenant?.tenant_id });
+      res.status(500).json({
+        error: {
+          code: 'internal_error',
+          message: 'Erro interno ao listar sincronizações com ERP'
+        }
+      });
+    }
+  }
+
+  // Resposta para CNPJ inválido, indicando a verificação que falhou
+  static invalidCNPJ(res, cnpjCheck) {
+    return res.status(400).json({
+      error: {
+        code: 'invalid_document',
+        message: cnpjCheck.message,
+        details: {
+          field: 'cnpj',
+          check: cnpjCheck.check
+        }
+      }
+    });
+  }
 }
 
 module.exports = WorkshopController;
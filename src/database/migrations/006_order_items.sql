@@ -0,0 +1,39 @@
+-- Migration: 006_order_items.sql
+-- Descrição: Cria tabela de itens da ordem de serviço (peças, mão de obra, taxas e descontos)
+-- Data: 2026-10-19
+
+-- Criar tabela de itens da ordem
+CREATE TABLE IF NOT EXISTS order_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('part', 'labor', 'fee', 'discount')),
+    description VARCHAR(255) NOT NULL,
+    quantity DECIMAL(10,3) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate <= 100),
+    total_amount DECIMAL(10,2) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Criar índices para performance
+CREATE INDEX IF NOT EXISTS idx_order_items_tenant_id ON order_items(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_type ON order_items(type);
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_order_items_updated_at
+    BEFORE UPDATE ON order_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comentários da tabela
+COMMENT ON TABLE order_items IS 'Itens que compõem o orçamento da ordem de serviço';
+COMMENT ON COLUMN order_items.type IS 'Tipo do item: part, labor, fee, discount';
+COMMENT ON COLUMN order_items.quantity IS 'Quantidade (peças) ou horas (mão de obra)';
+COMMENT ON COLUMN order_items.unit_price IS 'Preço unitário sem impostos';
+COMMENT ON COLUMN order_items.tax_rate IS 'Alíquota de imposto em percentual';
+COMMENT ON COLUMN order_items.total_amount IS 'Total do item com impostos (negativo para descontos)';
+COMMENT ON COLUMN order_items.position IS 'Ordem de exibição do item no orçamento';
@@ -0,0 +1,36 @@
+-- Migration: 007_order_status_history.sql
+-- Descrição: Cria histórico de transições de status das ordens de serviço
+-- Data: 2026-10-19
+
+-- Criar tabela de histórico de status
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50) CHECK (from_status IN ('awaiting_approval', 'approved', 'in_progress', 'completed', 'cancelled')),
+    to_status VARCHAR(50) NOT NULL CHECK (to_status IN ('awaiting_approval', 'approved', 'in_progress', 'completed', 'cancelled')),
+    actor_type VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (actor_type IN ('user', 'customer', 'system')),
+    actor_id VARCHAR(255),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Criar índices para performance
+CREATE INDEX IF NOT EXISTS idx_order_status_history_tenant_id ON order_status_history(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+-- Registrar o status atual das ordens existentes como ponto de partida do histórico
+INSERT INTO order_status_history (tenant_id, order_id, from_status, to_status, actor_type, reason, created_at)
+SELECT o.tenant_id, o.id, NULL, o.status, 'system', 'Status existente antes do histórico', o.updated_at
+FROM orders o
+WHERE NOT EXISTS (
+  SELECT 1 FROM order_status_history h WHERE h.order_id = o.id
+);
+
+-- Comentários da tabela
+COMMENT ON TABLE order_status_history IS 'Histórico de transições de status das ordens de serviço';
+COMMENT ON COLUMN order_status_history.from_status IS 'Status anterior (NULL na criação da ordem)';
+COMMENT ON COLUMN order_status_history.to_status IS 'Novo status da ordem';
+COMMENT ON COLUMN order_status_history.actor_type IS 'Quem realizou a transição: user, customer, system';
+COMMENT ON COLUMN order_status_history.actor_id IS 'Identificador do ator (ID do usuário, telefone do cliente, nome do processo)';
+COMMENT ON COLUMN order_status_history.reason IS 'Motivo informado para a transição';
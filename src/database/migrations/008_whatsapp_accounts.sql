@@ -0,0 +1,33 @@
+-- Migration: 008_whatsapp_accounts.sql
+-- Descrição: Cria tabela de contas WhatsApp Business por tenant
+-- Data: 2026-10-19
+
+-- Criar tabela de contas WhatsApp
+CREATE TABLE IF NOT EXISTS whatsapp_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    phone_number_id VARCHAR(64) NOT NULL,
+    business_account_id VARCHAR(64),
+    display_phone_number VARCHAR(30),
+    access_token_encrypted TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cada tenant possui uma conta e cada número pertence a um único tenant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whatsapp_accounts_tenant_id ON whatsapp_accounts(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whatsapp_accounts_phone_number_id ON whatsapp_accounts(phone_number_id);
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_whatsapp_accounts_updated_at
+    BEFORE UPDATE ON whatsapp_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comentários da tabela
+COMMENT ON TABLE whatsapp_accounts IS 'Contas WhatsApp Business (Meta Cloud API) de cada tenant';
+COMMENT ON COLUMN whatsapp_accounts.phone_number_id IS 'Phone Number ID da Meta, usado para rotear webhooks recebidos';
+COMMENT ON COLUMN whatsapp_accounts.business_account_id IS 'WhatsApp Business Account ID (WABA)';
+COMMENT ON COLUMN whatsapp_accounts.display_phone_number IS 'Número exibido aos clientes';
+COMMENT ON COLUMN whatsapp_accounts.access_token_encrypted IS 'Token de acesso criptografado com utils/crypto.encrypt';
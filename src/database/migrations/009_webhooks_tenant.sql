@@ -0,0 +1,17 @@
+-- Migration: 009_webhooks_tenant.sql
+-- Descrição: Vincula webhooks de parceiros a um tenant
+-- Data: 2026-10-19
+
+-- Adicionar tenant aos webhooks
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE;
+
+-- Webhooks antigos não podem ser atribuídos a um tenant com segurança: ficam inativos
+-- até serem recadastrados pelo tenant correto
+UPDATE webhooks SET active = false WHERE tenant_id IS NULL;
+
+-- Criar índices para performance
+CREATE INDEX IF NOT EXISTS idx_webhooks_tenant_id ON webhooks(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_tenant_active ON webhooks(tenant_id, active);
+
+-- Comentários da tabela
+COMMENT ON COLUMN webhooks.tenant_id IS 'Tenant dono da assinatura (nulo apenas em registros legados inativos)';
@@ -0,0 +1,41 @@
+-- Migration: 010_webhook_deliveries.sql
+-- Descrição: Registro de tentativas de entrega de webhooks e desativação automática por falhas
+-- Data: 2026-10-19
+
+-- Controle de falhas consecutivas das assinaturas
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
+
+-- Criar tabela de tentativas de entrega
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'failed')),
+    status_code INTEGER,
+    latency_ms INTEGER,
+    response_snippet TEXT,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Criar índices para performance
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_tenant_id ON webhook_deliveries(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event_id ON webhook_deliveries(event_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+
+-- Comentários da tabela
+COMMENT ON TABLE webhook_deliveries IS 'Cada tentativa de entrega de evento a um webhook de parceiro';
+COMMENT ON COLUMN webhook_deliveries.event_id IS 'Identificador do evento, igual em todas as tentativas (header X-Webhook-Event-Id)';
+COMMENT ON COLUMN webhook_deliveries.payload IS 'Evento enviado: { event, data }';
+COMMENT ON COLUMN webhook_deliveries.attempt IS 'Número da tentativa dentro do job';
+COMMENT ON COLUMN webhook_deliveries.latency_ms IS 'Tempo de resposta do parceiro em milissegundos';
+COMMENT ON COLUMN webhook_deliveries.response_snippet IS 'Início do corpo da resposta do parceiro';
+COMMENT ON COLUMN webhooks.consecutive_failures IS 'Entregas que esgotaram as tentativas desde o último sucesso';
+COMMENT ON COLUMN webhooks.disabled_at IS 'Quando a assinatura foi desativada automaticamente por falhas';
@@ -0,0 +1,17 @@
+-- Migration: 011_message_queue.sql
+-- Descrição: Suporte a mensagens enfileiradas (fila wa:send)
+-- Data: 2026-10-19
+
+-- Adicionar estado queued às mensagens
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_state_check;
+ALTER TABLE messages ADD CONSTRAINT messages_state_check
+    CHECK (state IN ('queued', 'sent', 'delivered', 'read', 'failed', 'received'));
+
+-- ID provisório retornado por queueMessage (queued_<uuid>)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS queue_id VARCHAR(64);
+
+-- Criar índices para performance
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_queue_id ON messages(queue_id) WHERE queue_id IS NOT NULL;
+
+-- Comentários da tabela
+COMMENT ON COLUMN messages.queue_id IS 'ID provisório da mensagem enfileirada; provider_id é preenchido após o envio';
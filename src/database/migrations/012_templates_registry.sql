@@ -0,0 +1,17 @@
+-- Migration: 012_templates_registry.sql
+-- Descrição: Registro de templates por tenant com definição de parâmetros
+-- Data: 2026-10-19
+
+-- Adicionar tenant e parâmetros aos templates
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE;
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS parameters JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
+-- Um template por nome e idioma em cada tenant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_templates_tenant_name_language ON templates(tenant_id, name, language);
+CREATE INDEX IF NOT EXISTS idx_templates_tenant_id ON templates(tenant_id);
+
+-- Comentários da tabela
+COMMENT ON COLUMN templates.tenant_id IS 'Tenant dono do template';
+COMMENT ON COLUMN templates.parameters IS 'Placeholders: { header: { type }, body: [{ name, example }], buttons: [{ index, sub_type, name }] }';
+COMMENT ON COLUMN templates.rejection_reason IS 'Motivo informado na rejeição do template';
@@ -0,0 +1,77 @@
+-- Migration: 013_conversations.sql
+-- Descrição: Caixa de conversas agrupando mensagens por telefone do contato
+-- Data: 2026-10-19
+
+-- Criar tabela de conversas
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    contact_phone VARCHAR(20) NOT NULL,
+    contact_name VARCHAR(255),
+    assigned_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    unread_count INTEGER NOT NULL DEFAULT 0,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    last_read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Uma conversa por contato em cada tenant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_tenant_contact ON conversations(tenant_id, contact_phone);
+CREATE INDEX IF NOT EXISTS idx_conversations_tenant_last_message ON conversations(tenant_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_assigned_user_id ON conversations(assigned_user_id);
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_conversations_updated_at
+    BEFORE UPDATE ON conversations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Vincular mensagens às conversas
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created ON messages(conversation_id, created_at);
+
+-- Busca de veículos pelo telefone do proprietário (apenas dígitos)
+CREATE INDEX IF NOT EXISTS idx_vehicles_tenant_owner_phone
+    ON vehicles(tenant_id, (regexp_replace(owner->>'phone', '\D', '', 'g')));
+
+-- Agrupar mensagens existentes: inbound pelo remetente, outbound pelo destinatário.
+-- Celulares sem o nono dígito (55 + DDD + 8 dígitos) recebem o 9, como em utils/phone.canonicalPhone.
+CREATE TEMPORARY TABLE message_contacts AS
+SELECT id, tenant_id, direction, created_at,
+       CASE WHEN digits ~ '^55[0-9]{2}[6-9][0-9]{7}$'
+            THEN substr(digits, 1, 4) || '9' || substr(digits, 5)
+            ELSE digits
+       END AS contact_phone
+FROM (
+    SELECT id, tenant_id, direction, created_at,
+           regexp_replace(
+               CASE WHEN direction = 'inbound' THEN COALESCE(payload->>'from', metadata->>'from') ELSE payload->>'to' END,
+               '\D', '', 'g'
+           ) AS digits
+    FROM messages
+    WHERE conversation_id IS NULL
+) m
+WHERE digits <> '';
+
+INSERT INTO conversations (tenant_id, contact_phone, last_message_at, created_at)
+SELECT tenant_id, contact_phone, MAX(created_at), MIN(created_at)
+FROM message_contacts
+GROUP BY tenant_id, contact_phone
+ON CONFLICT (tenant_id, contact_phone) DO NOTHING;
+
+UPDATE messages m
+SET conversation_id = c.id
+FROM message_contacts mc
+JOIN conversations c ON c.tenant_id = mc.tenant_id AND c.contact_phone = mc.contact_phone
+WHERE m.id = mc.id;
+
+DROP TABLE message_contacts;
+
+-- Comentários da tabela
+COMMENT ON TABLE conversations IS 'Conversas de WhatsApp agrupadas por telefone do contato';
+COMMENT ON COLUMN conversations.contact_phone IS 'Telefone do contato, apenas dígitos no formato canônico (55DDD9NNNNNNNN)';
+COMMENT ON COLUMN conversations.contact_name IS 'Nome do perfil do WhatsApp informado pela Meta';
+COMMENT ON COLUMN conversations.assigned_user_id IS 'Usuário responsável pelo atendimento';
+COMMENT ON COLUMN conversations.unread_count IS 'Mensagens recebidas desde a última leitura';
+COMMENT ON COLUMN messages.conversation_id IS 'Conversa à qual a mensagem pertence';
@@ -0,0 +1,20 @@
+-- Migration: 014_service_window.sql
+-- Descrição: Registra a última mensagem recebida de cada contato (janela de atendimento de 24h)
+-- Data: 2026-10-19
+
+-- Adicionar data da última mensagem recebida do contato
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_inbound_at TIMESTAMP WITH TIME ZONE;
+
+-- Preencher a partir das mensagens já recebidas
+UPDATE conversations c
+SET last_inbound_at = m.last_inbound_at
+FROM (
+    SELECT conversation_id, MAX(created_at) AS last_inbound_at
+    FROM messages
+    WHERE direction = 'inbound' AND conversation_id IS NOT NULL
+    GROUP BY conversation_id
+) m
+WHERE c.id = m.conversation_id;
+
+-- Comentários da tabela
+COMMENT ON COLUMN conversations.last_inbound_at IS 'Última mensagem recebida do contato; mensagens livres só podem ser enviadas até 24h depois';
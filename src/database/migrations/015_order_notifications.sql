@@ -0,0 +1,64 @@
+-- Migration: 015_order_notifications.sql
+-- Descrição: Notificações automáticas ao cliente nos eventos da ordem de serviço
+-- Data: 2026-10-19
+
+-- Regras: evento da ordem → template do WhatsApp
+CREATE TABLE IF NOT EXISTS notification_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL CHECK (event IN ('order.created', 'order.approved', 'order.started', 'order.completed', 'order.cancelled')),
+    template_name VARCHAR(100) NOT NULL,
+    template_language VARCHAR(10) NOT NULL DEFAULT 'pt_BR',
+    variables JSONB NOT NULL DEFAULT '[]',
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Uma regra por evento em cada tenant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_rules_tenant_event ON notification_rules(tenant_id, event);
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_notification_rules_updated_at
+    BEFORE UPDATE ON notification_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Registro das notificações disparadas por cada ordem
+CREATE TABLE IF NOT EXISTS notification_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    rule_id UUID REFERENCES notification_rules(id) ON DELETE SET NULL,
+    event VARCHAR(50) NOT NULL,
+    contact_phone VARCHAR(20),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('queued', 'skipped', 'failed')),
+    message_id VARCHAR(64),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_log_order_id ON notification_log(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notification_log_tenant_id ON notification_log(tenant_id);
+
+-- Contatos que não querem receber notificações automáticas
+CREATE TABLE IF NOT EXISTS contact_opt_outs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    phone VARCHAR(20) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'whatsapp')),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_opt_outs_tenant_phone ON contact_opt_outs(tenant_id, phone);
+
+-- Comentários da tabela
+COMMENT ON TABLE notification_rules IS 'Templates enviados ao proprietário do veículo em cada evento da ordem';
+COMMENT ON COLUMN notification_rules.variables IS 'Variáveis que preenchem os placeholders do corpo do template, na ordem {{1}}, {{2}}...';
+COMMENT ON TABLE notification_log IS 'Notificações disparadas (ou ignoradas) por evento de cada ordem';
+COMMENT ON COLUMN notification_log.message_id IS 'ID retornado por WhatsAppService.queueMessage';
+COMMENT ON COLUMN notification_log.reason IS 'Motivo quando a notificação foi ignorada ou falhou';
+COMMENT ON TABLE contact_opt_outs IS 'Contatos que pediram para não receber notificações automáticas';
+COMMENT ON COLUMN contact_opt_outs.phone IS 'Telefone no formato canônico de utils/phone.canonicalPhone';
+COMMENT ON COLUMN contact_opt_outs.source IS 'Origem do pedido: api (oficina) ou whatsapp (palavra-chave enviada pelo cliente)';
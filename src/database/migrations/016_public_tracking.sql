@@ -0,0 +1,13 @@
+-- Migration: 016_public_tracking.sql
+-- Descrição: Página pública de acompanhamento do veículo pelo code16
+-- Data: 2026-10-19
+
+-- Permitir que o tenant desative o acompanhamento público
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS public_tracking_enabled BOOLEAN NOT NULL DEFAULT true;
+
+-- Revogação do code16 (o código deixa de funcionar na página pública)
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS code16_revoked_at TIMESTAMP WITH TIME ZONE;
+
+-- Comentários da tabela
+COMMENT ON COLUMN tenants.public_tracking_enabled IS 'Se os clientes podem consultar o veículo pelo code16 sem autenticação';
+COMMENT ON COLUMN vehicles.code16_revoked_at IS 'Quando o code16 foi revogado para consulta pública';
@@ -0,0 +1,21 @@
+-- Migration: 017_code16_history.sql
+-- Descrição: Histórico de code16 substituídos na rotação do código do veículo
+-- Data: 2026-10-19
+
+-- Códigos aposentados continuam reservados para não serem reutilizados
+CREATE TABLE IF NOT EXISTS vehicle_code16_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+    code16 VARCHAR(19) NOT NULL UNIQUE,
+    replaced_by VARCHAR(19) NOT NULL,
+    retired_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    retired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_code16_history_vehicle_id ON vehicle_code16_history(vehicle_id, retired_at);
+
+-- Comentários da tabela
+COMMENT ON TABLE vehicle_code16_history IS 'Códigos de 16 caracteres substituídos por rotação';
+COMMENT ON COLUMN vehicle_code16_history.replaced_by IS 'Código que substituiu este na rotação';
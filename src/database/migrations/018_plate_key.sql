@@ -0,0 +1,75 @@
+-- Migration: 018_plate_key.sql
+-- Descrição: Placa normalizada (antiga/Mercosul) e unicidade por tenant
+-- Data: 2026-10-19
+
+-- Chave de comparação: placa no padrão Mercosul (ABC1234 → ABC1C34)
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS plate_key VARCHAR(7);
+
+-- Preencher a chave das placas existentes (placas fora dos padrões ficam sem chave)
+WITH normalized AS (
+    SELECT id, upper(regexp_replace(plate, '[^A-Za-z0-9]', '', 'g')) AS plate
+    FROM vehicles
+)
+UPDATE vehicles v
+SET plate_key = CASE
+        WHEN n.plate ~ '^[A-Z]{3}[0-9]{4}$'
+            THEN substr(n.plate, 1, 4) || translate(substr(n.plate, 5, 1), '0123456789', 'ABCDEFGHIJ') || substr(n.plate, 6)
+        WHEN n.plate ~ '^[A-Z]{3}[0-9][A-Z][0-9]{2}$'
+            THEN n.plate
+    END
+FROM normalized n
+WHERE n.id = v.id;
+
+-- Relatório de placas duplicadas encontradas na migração (resolver manualmente)
+CREATE TABLE IF NOT EXISTS vehicle_plate_duplicates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    plate_key VARCHAR(7) NOT NULL,
+    kept_vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL,
+    duplicate_vehicle_ids UUID[] NOT NULL,
+    plates TEXT[] NOT NULL,
+    detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_plate_duplicates_tenant_id ON vehicle_plate_duplicates(tenant_id);
+
+-- O veículo mais antigo mantém a chave; os demais são registrados no relatório
+INSERT INTO vehicle_plate_duplicates (tenant_id, plate_key, kept_vehicle_id, duplicate_vehicle_ids, plates)
+SELECT tenant_id,
+       plate_key,
+       (array_agg(id ORDER BY created_at, id))[1],
+       (array_agg(id ORDER BY created_at, id))[2:],
+       array_agg(plate ORDER BY created_at, id)
+FROM vehicles
+WHERE plate_key IS NOT NULL
+GROUP BY tenant_id, plate_key
+HAVING COUNT(*) > 1;
+
+UPDATE vehicles v
+SET plate_key = NULL
+FROM vehicle_plate_duplicates d
+WHERE v.id = ANY(d.duplicate_vehicle_ids);
+
+DO $$
+DECLARE
+    duplicates INTEGER;
+    invalid INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO duplicates FROM vehicle_plate_duplicates;
+    SELECT COUNT(*) INTO invalid FROM vehicles WHERE plate_key IS NULL;
+
+    IF duplicates > 0 THEN
+        RAISE NOTICE '% placa(s) duplicada(s) registradas em vehicle_plate_duplicates', duplicates;
+    END IF;
+
+    IF invalid > 0 THEN
+        RAISE NOTICE '% veículo(s) sem plate_key (placa inválida ou duplicada)', invalid;
+    END IF;
+END $$;
+
+-- Uma placa por tenant, considerando antiga e Mercosul como a mesma
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicles_tenant_plate_key ON vehicles(tenant_id, plate_key) WHERE plate_key IS NOT NULL;
+
+-- Comentários da tabela
+COMMENT ON COLUMN vehicles.plate_key IS 'Placa normalizada no padrão Mercosul, usada para busca e unicidade';
+COMMENT ON TABLE vehicle_plate_duplicates IS 'Placas duplicadas encontradas na migração 018, para revisão manual';
@@ -0,0 +1,92 @@
+-- Migration: 019_maintenance_plans.sql
+-- Descrição: Leituras de hodômetro, planos de manutenção preventiva e lembretes
+-- Data: 2026-10-19
+
+-- Leituras de hodômetro (registradas na abertura da ordem ou manualmente)
+CREATE TABLE IF NOT EXISTS odometer_readings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    mileage INTEGER NOT NULL CHECK (mileage >= 0),
+    source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('order', 'manual')),
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_odometer_readings_vehicle_id ON odometer_readings(vehicle_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_odometer_readings_tenant_id ON odometer_readings(tenant_id);
+
+-- Planos de manutenção: de um veículo específico ou de um modelo (vehicles.meta brand/model)
+CREATE TABLE IF NOT EXISTS maintenance_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    vehicle_id UUID REFERENCES vehicles(id) ON DELETE CASCADE,
+    brand VARCHAR(100),
+    model VARCHAR(100),
+    name VARCHAR(100) NOT NULL,
+    service_type VARCHAR(30) NOT NULL DEFAULT 'other' CHECK (service_type IN ('oil_change', 'timing_belt', 'brakes', 'tires', 'inspection', 'other')),
+    interval_km INTEGER CHECK (interval_km > 0),
+    interval_months INTEGER CHECK (interval_months > 0),
+    template_name VARCHAR(100) NOT NULL,
+    template_language VARCHAR(10) NOT NULL DEFAULT 'pt_BR',
+    variables JSONB NOT NULL DEFAULT '[]',
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT maintenance_plans_interval CHECK (interval_km IS NOT NULL OR interval_months IS NOT NULL),
+    CONSTRAINT maintenance_plans_target CHECK (vehicle_id IS NOT NULL OR model IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_plans_tenant_id ON maintenance_plans(tenant_id) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_maintenance_plans_vehicle_id ON maintenance_plans(vehicle_id);
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_maintenance_plans_updated_at
+    BEFORE UPDATE ON maintenance_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Situação de cada plano em cada veículo: última execução e último lembrete
+CREATE TABLE IF NOT EXISTS vehicle_maintenance (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+    plan_id UUID NOT NULL REFERENCES maintenance_plans(id) ON DELETE CASCADE,
+    last_service_at TIMESTAMP WITH TIME ZONE,
+    last_service_mileage INTEGER,
+    last_reminded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicle_maintenance_vehicle_plan ON vehicle_maintenance(vehicle_id, plan_id);
+
+CREATE TRIGGER trigger_update_vehicle_maintenance_updated_at
+    BEFORE UPDATE ON vehicle_maintenance
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Registro dos lembretes disparados pelo job diário
+CREATE TABLE IF NOT EXISTS maintenance_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+    plan_id UUID REFERENCES maintenance_plans(id) ON DELETE SET NULL,
+    due_reason VARCHAR(20) NOT NULL CHECK (due_reason IN ('mileage', 'time')),
+    contact_phone VARCHAR(20),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('queued', 'skipped', 'failed')),
+    message_id VARCHAR(64),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_reminders_vehicle_id ON maintenance_reminders(vehicle_id, created_at);
+
+-- Comentários das tabelas
+COMMENT ON TABLE odometer_readings IS 'Leituras de hodômetro por veículo';
+COMMENT ON TABLE maintenance_plans IS 'Planos de manutenção preventiva por quilometragem e/ou tempo';
+COMMENT ON COLUMN maintenance_plans.vehicle_id IS 'Plano de um veículo específico; nulo para planos por modelo';
+COMMENT ON TABLE vehicle_maintenance IS 'Última execução e último lembrete de cada plano por veículo';
+COMMENT ON TABLE maintenance_reminders IS 'Lembretes de manutenção enviados ou ignorados';
@@ -0,0 +1,93 @@
+-- Migration: 020_customers.sql
+-- Descrição: Cadastro de clientes (proprietários) vinculado aos veículos
+-- Data: 2026-10-19
+
+-- Clientes do tenant; telefones em dígitos no formato canônico (55DDD9NNNNNNNN)
+CREATE TABLE IF NOT EXISTS customers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    document VARCHAR(14),
+    document_type VARCHAR(10) CHECK (document_type IN ('cpf', 'cnpj')),
+    phones TEXT[] NOT NULL DEFAULT '{}',
+    email VARCHAR(255),
+    consent_whatsapp BOOLEAN NOT NULL DEFAULT true,
+    consent_marketing BOOLEAN NOT NULL DEFAULT false,
+    consent_updated_at TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customers_tenant_id ON customers(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_customers_tenant_name ON customers(tenant_id, lower(name));
+CREATE INDEX IF NOT EXISTS idx_customers_phones ON customers USING GIN (phones);
+CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(tenant_id, lower(email));
+
+-- Um cliente por CPF/CNPJ em cada tenant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_tenant_document ON customers(tenant_id, document) WHERE document IS NOT NULL;
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_customers_updated_at
+    BEFORE UPDATE ON customers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Vínculo do veículo com o cliente (vehicles.owner passa a ser uma cópia dos dados do cliente)
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_vehicles_customer_id ON vehicles(customer_id);
+
+-- Extrair os proprietários existentes: o mesmo telefone (ou, sem telefone, o mesmo nome) vira um cliente.
+-- Celulares sem o nono dígito recebem o 9, como em utils/phone.canonicalPhone.
+CREATE TEMPORARY TABLE vehicle_owners AS
+SELECT id AS vehicle_id, tenant_id, created_at, name, email, phone,
+       COALESCE(NULLIF(phone, ''), 'name:' || lower(name)) AS owner_key
+FROM (
+    SELECT id, tenant_id, created_at,
+           NULLIF(trim(owner->>'name'), '') AS name,
+           NULLIF(lower(trim(owner->>'email')), '') AS email,
+           CASE WHEN digits ~ '^55[0-9]{2}[6-9][0-9]{7}$'
+                THEN substr(digits, 1, 4) || '9' || substr(digits, 5)
+                ELSE digits
+           END AS phone
+    FROM (
+        SELECT id, tenant_id, created_at, owner,
+               regexp_replace(COALESCE(owner->>'phone', ''), '\D', '', 'g') AS digits
+        FROM vehicles
+        WHERE customer_id IS NULL
+    ) v
+) o
+WHERE name IS NOT NULL OR phone <> '';
+
+CREATE TEMPORARY TABLE owner_customers AS
+SELECT gen_random_uuid() AS customer_id, tenant_id, owner_key,
+       -- Dados do cadastro mais recente
+       COALESCE((array_agg(name ORDER BY created_at DESC) FILTER (WHERE name IS NOT NULL))[1], 'Cliente') AS name,
+       (array_agg(email ORDER BY created_at DESC) FILTER (WHERE email IS NOT NULL))[1] AS email,
+       (array_agg(phone ORDER BY created_at DESC) FILTER (WHERE phone <> ''))[1] AS phone,
+       MIN(created_at) AS created_at
+FROM vehicle_owners
+GROUP BY tenant_id, owner_key;
+
+INSERT INTO customers (id, tenant_id, name, phones, email, created_at)
+SELECT customer_id, tenant_id, name,
+       CASE WHEN phone IS NULL THEN '{}'::TEXT[] ELSE ARRAY[phone] END,
+       email, created_at
+FROM owner_customers;
+
+UPDATE vehicles v
+SET customer_id = oc.customer_id
+FROM vehicle_owners vo
+JOIN owner_customers oc ON oc.tenant_id = vo.tenant_id AND oc.owner_key = vo.owner_key
+WHERE v.id = vo.vehicle_id;
+
+DROP TABLE owner_customers;
+DROP TABLE vehicle_owners;
+
+-- Comentários da tabela
+COMMENT ON TABLE customers IS 'Clientes (proprietários de veículos) do tenant';
+COMMENT ON COLUMN customers.document IS 'CPF ou CNPJ, apenas dígitos';
+COMMENT ON COLUMN customers.phones IS 'Telefones em dígitos, formato canônico; o primeiro é o principal';
+COMMENT ON COLUMN customers.consent_whatsapp IS 'Aceita mensagens de atendimento pelo WhatsApp';
+COMMENT ON COLUMN customers.consent_marketing IS 'Aceita mensagens de marketing';
+COMMENT ON COLUMN vehicles.customer_id IS 'Cliente proprietário do veículo';
@@ -0,0 +1,51 @@
+-- Migration: 021_appointments.sql
+-- Descrição: Agendamentos de atendimento nas oficinas
+-- Data: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS appointments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    workshop_id UUID NOT NULL REFERENCES workshops(id) ON DELETE CASCADE,
+    vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    contact_phone VARCHAR(20),
+    scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    local_date DATE NOT NULL,
+    duration_minutes INTEGER NOT NULL DEFAULT 60 CHECK (duration_minutes > 0),
+    service_description TEXT,
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'confirmed', 'checked_in', 'cancelled', 'no_show')),
+    source VARCHAR(20) NOT NULL DEFAULT 'api',
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    checked_in_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancel_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_tenant_id ON appointments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_appointments_vehicle_id ON appointments(vehicle_id);
+
+-- Contagem da capacidade diária e por horário
+CREATE INDEX IF NOT EXISTS idx_appointments_workshop_day ON appointments(workshop_id, local_date)
+    WHERE status IN ('scheduled', 'confirmed', 'checked_in');
+
+CREATE INDEX IF NOT EXISTS idx_appointments_workshop_scheduled ON appointments(workshop_id, scheduled_at);
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_appointments_updated_at
+    BEFORE UPDATE ON appointments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comentários da tabela
+COMMENT ON TABLE appointments IS 'Agendamentos de atendimento nas oficinas';
+COMMENT ON COLUMN appointments.scheduled_at IS 'Início do atendimento';
+COMMENT ON COLUMN appointments.local_date IS 'Data do atendimento no fuso da oficina (base do limite diário)';
+COMMENT ON COLUMN appointments.status IS 'scheduled, confirmed, checked_in, cancelled ou no_show';
+COMMENT ON COLUMN appointments.source IS 'Origem do agendamento (api, whatsapp)';
+COMMENT ON COLUMN appointments.order_id IS 'Ordem de serviço aberta na chegada do veículo';
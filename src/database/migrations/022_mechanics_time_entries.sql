@@ -0,0 +1,56 @@
+-- Migration: 022_mechanics_time_entries.sql
+-- Descrição: Papel de mecânico, responsáveis pelas ordens/itens e apontamento de horas
+-- Data: 2026-10-19
+
+-- Papel mecânico
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('admin', 'manager', 'user', 'viewer', 'mechanic'));
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS workshop_id UUID REFERENCES workshops(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_workshop_id ON users(workshop_id);
+
+-- Mecânico responsável pela ordem e por itens específicos (ex.: mão de obra)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_assigned_to ON orders(assigned_to) WHERE assigned_to IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_order_items_assigned_to ON order_items(assigned_to) WHERE assigned_to IS NOT NULL;
+
+-- Apontamentos de horas (entrada/saída) por ordem
+CREATE TABLE IF NOT EXISTS order_time_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id UUID REFERENCES order_items(id) ON DELETE SET NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_time_entries_tenant_id ON order_time_entries(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_order_time_entries_order_id ON order_time_entries(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_time_entries_user_started ON order_time_entries(user_id, started_at);
+
+-- Um mecânico só pode ter um apontamento aberto por vez
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_time_entries_open_user ON order_time_entries(user_id)
+    WHERE ended_at IS NULL;
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_order_time_entries_updated_at
+    BEFORE UPDATE ON order_time_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comentários da tabela
+COMMENT ON COLUMN users.workshop_id IS 'Oficina do mecânico (nulo = atende todas as oficinas do tenant)';
+COMMENT ON COLUMN orders.assigned_to IS 'Mecânico responsável pela ordem';
+COMMENT ON COLUMN order_items.assigned_to IS 'Mecânico responsável pelo item';
+COMMENT ON TABLE order_time_entries IS 'Apontamentos de horas trabalhadas nas ordens de serviço';
+COMMENT ON COLUMN order_time_entries.order_item_id IS 'Item da ordem trabalhado (opcional)';
+COMMENT ON COLUMN order_time_entries.ended_at IS 'Saída; nulo enquanto o apontamento está aberto';
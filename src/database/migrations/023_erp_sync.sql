@@ -0,0 +1,70 @@
+-- Migration: 023_erp_sync.sql
+-- Descrição: Sincronização com ERP (vínculo por erp_id, cursores e log de execuções)
+-- Data: 2026-10-19
+
+-- Vínculo com o registro no ERP e momento da última sincronização.
+-- Registros com updated_at posterior a erp_synced_at foram alterados localmente desde então.
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS erp_id VARCHAR(100);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS erp_synced_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS erp_id VARCHAR(100);
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS erp_synced_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS erp_id VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS erp_synced_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_tenant_erp_id ON customers(tenant_id, erp_id) WHERE erp_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicles_tenant_erp_id ON vehicles(tenant_id, erp_id) WHERE erp_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_tenant_erp_id ON orders(tenant_id, erp_id) WHERE erp_id IS NOT NULL;
+
+-- Execuções da sincronização
+CREATE TABLE IF NOT EXISTS erp_sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    workshop_id UUID NOT NULL REFERENCES workshops(id) ON DELETE CASCADE,
+    connector VARCHAR(30) NOT NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'completed_with_errors', 'failed')),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    counts JSONB NOT NULL DEFAULT '{}',
+    conflicts JSONB NOT NULL DEFAULT '[]',
+    errors JSONB NOT NULL DEFAULT '[]',
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_erp_sync_runs_tenant_id ON erp_sync_runs(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_erp_sync_runs_workshop_created ON erp_sync_runs(workshop_id, created_at DESC);
+
+-- Apenas uma execução pendente ou em andamento por oficina
+CREATE UNIQUE INDEX IF NOT EXISTS idx_erp_sync_runs_active ON erp_sync_runs(workshop_id)
+    WHERE status IN ('queued', 'running');
+
+-- Cursores por entidade e direção (pull: último updated_at lido do ERP; push: último updated_at enviado)
+CREATE TABLE IF NOT EXISTS erp_sync_cursors (
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    workshop_id UUID NOT NULL REFERENCES workshops(id) ON DELETE CASCADE,
+    entity VARCHAR(30) NOT NULL CHECK (entity IN ('customers', 'vehicles', 'orders')),
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('pull', 'push')),
+    cursor TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (workshop_id, entity, direction)
+);
+
+-- Criar trigger para updated_at
+CREATE TRIGGER trigger_update_erp_sync_runs_updated_at
+    BEFORE UPDATE ON erp_sync_runs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comentários da tabela
+COMMENT ON COLUMN customers.erp_id IS 'ID do cliente no ERP';
+COMMENT ON COLUMN vehicles.erp_id IS 'ID do veículo no ERP';
+COMMENT ON COLUMN orders.erp_id IS 'ID da ordem no ERP';
+COMMENT ON TABLE erp_sync_runs IS 'Execuções da sincronização com ERP';
+COMMENT ON COLUMN erp_sync_runs.counts IS 'Contadores por entidade (pulled, created, updated, pushed, conflicts, errors)';
+COMMENT ON COLUMN erp_sync_runs.conflicts IS 'Registros alterados localmente e no ERP desde a última sincronização';
+COMMENT ON COLUMN erp_sync_runs.errors IS 'Erros por registro (limitados)';
+COMMENT ON COLUMN erp_sync_runs.error IS 'Falha que interrompeu a execução';
+COMMENT ON TABLE erp_sync_cursors IS 'Posição da sincronização por oficina, entidade e direção';
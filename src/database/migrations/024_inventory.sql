@@ -0,0 +1,109 @@
+-- Migration: 024_inventory.sql
+-- Descrição: Catálogo de peças, estoque por oficina, movimentações e reservas pelas ordens
+-- Data: 2026-10-19
+
+-- Catálogo de peças do tenant
+CREATE TABLE IF NOT EXISTS parts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    sku VARCHAR(60) NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    unit VARCHAR(10) NOT NULL DEFAULT 'un',
+    cost DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (cost >= 0),
+    price DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (price >= 0),
+    supplier VARCHAR(255),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tenant_id, sku)
+);
+
+CREATE INDEX IF NOT EXISTS idx_parts_tenant_id ON parts(tenant_id);
+
+-- Saldo de cada peça por oficina (a quantidade reservada é calculada pelas reservas ativas)
+CREATE TABLE IF NOT EXISTS part_stock (
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    workshop_id UUID NOT NULL REFERENCES workshops(id) ON DELETE CASCADE,
+    part_id UUID NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,3) NOT NULL DEFAULT 0,
+    min_quantity DECIMAL(10,3) NOT NULL DEFAULT 0 CHECK (min_quantity >= 0),
+    location VARCHAR(60),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (workshop_id, part_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_part_stock_part_id ON part_stock(part_id);
+
+-- Movimentações de estoque (quantidade positiva = entrada, negativa = saída)
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    workshop_id UUID NOT NULL REFERENCES workshops(id) ON DELETE CASCADE,
+    part_id UUID NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('purchase', 'adjustment', 'consumption')),
+    quantity DECIMAL(10,3) NOT NULL CHECK (quantity <> 0),
+    unit_cost DECIMAL(10,2) CHECK (unit_cost >= 0),
+    balance DECIMAL(10,3) NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    order_item_id UUID REFERENCES order_items(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_tenant_id ON stock_movements(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_workshop_created ON stock_movements(workshop_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_part_id ON stock_movements(part_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_order_id ON stock_movements(order_id) WHERE order_id IS NOT NULL;
+
+-- Peça do catálogo usada no item da ordem
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS part_id UUID REFERENCES parts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_part_id ON order_items(part_id) WHERE part_id IS NOT NULL;
+
+-- Reservas de estoque dos itens de ordens aprovadas (uma por item)
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    workshop_id UUID NOT NULL REFERENCES workshops(id) ON DELETE CASCADE,
+    part_id UUID NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL UNIQUE REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,3) NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'consumed', 'released')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_order_id ON stock_reservations(order_id);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_active ON stock_reservations(workshop_id, part_id)
+    WHERE status = 'reserved';
+
+-- Criar triggers para updated_at
+CREATE TRIGGER trigger_update_parts_updated_at
+    BEFORE UPDATE ON parts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_part_stock_updated_at
+    BEFORE UPDATE ON part_stock
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_stock_reservations_updated_at
+    BEFORE UPDATE ON stock_reservations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comentários da tabela
+COMMENT ON TABLE parts IS 'Catálogo de peças do tenant';
+COMMENT ON COLUMN parts.cost IS 'Custo de referência (compra)';
+COMMENT ON COLUMN parts.price IS 'Preço de venda sugerido para os itens das ordens';
+COMMENT ON COLUMN parts.active IS 'Peças inativas não podem ser usadas em novos itens';
+COMMENT ON TABLE part_stock IS 'Saldo de peças por oficina';
+COMMENT ON COLUMN part_stock.quantity IS 'Quantidade física em estoque (pode ficar negativa se houver consumo sem saldo)';
+COMMENT ON COLUMN part_stock.min_quantity IS 'Estoque mínimo; abaixo dele a peça aparece no relatório de estoque baixo';
+COMMENT ON TABLE stock_movements IS 'Movimentações de estoque: compra, ajuste e consumo pelas ordens';
+COMMENT ON COLUMN stock_movements.balance IS 'Saldo da peça na oficina após a movimentação';
+COMMENT ON COLUMN order_items.part_id IS 'Peça do catálogo (somente itens do tipo part)';
+COMMENT ON TABLE stock_reservations IS 'Reservas de peças das ordens aprovadas, consumidas na conclusão ou liberadas no cancelamento';
@@ -0,0 +1,39 @@
+-- Migration: 025_normalize_plates.sql
+-- Descrição: Grava sem separadores as placas válidas cadastradas antes da normalização
+-- Data: 2026-10-19
+
+-- A busca parcial de ordens e veículos remove separadores do filtro (abc-1234 → ABC1234).
+-- Placas fora dos padrões ficam como estão; placas que colidiriam com outra do tenant também.
+WITH normalized AS (
+    SELECT id, tenant_id, upper(regexp_replace(plate, '[^A-Za-z0-9]', '', 'g')) AS plate
+    FROM vehicles
+)
+UPDATE vehicles v
+SET plate = n.plate,
+    -- Veículos sincronizados com o ERP continuam sem alteração local pendente
+    erp_synced_at = CASE WHEN v.erp_synced_at >= v.updated_at THEN NOW() ELSE v.erp_synced_at END
+FROM normalized n
+WHERE n.id = v.id
+  AND v.plate <> n.plate
+  AND (n.plate ~ '^[A-Z]{3}[0-9]{4}$' OR n.plate ~ '^[A-Z]{3}[0-9][A-Z][0-9]{2}$')
+  AND NOT EXISTS (
+      SELECT 1 FROM normalized other
+      WHERE other.tenant_id = n.tenant_id AND other.id <> n.id AND other.plate = n.plate
+  );
+
+DO $$
+DECLARE
+    pending INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO pending
+    FROM (
+        SELECT plate, upper(regexp_replace(plate, '[^A-Za-z0-9]', '', 'g')) AS normalized
+        FROM vehicles
+    ) p
+    WHERE p.plate <> p.normalized
+      AND (p.normalized ~ '^[A-Z]{3}[0-9]{4}$' OR p.normalized ~ '^[A-Z]{3}[0-9][A-Z][0-9]{2}$');
+
+    IF pending > 0 THEN
+        RAISE NOTICE '% placa(s) válida(s) mantidas com separadores por colidirem com outra placa do tenant', pending;
+    END IF;
+END $$;
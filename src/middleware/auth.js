@@ -55,7 +55,9 @@ const authenticateJWT = async (req, res, next) => {
 
     req.user = {
       tenant_id: decoded.tenant_id,
+      user_id: decoded.user_id,
       client_id: decoded.client_id,
+      role: decoded.role,
       scopes: decoded.scopes || [],
       tenant: tenantResult.rows[0]
     };
@@ -137,7 +139,8 @@ const requireScope = (requiredScopes) => {
     }
 
     const userScopes = req.user.scopes || [];
-    const hasRequiredScope = requiredScopes.some(scope => userScopes.includes(scope));
+    // '*' (admin) concede todos os escopos
+    const hasRequiredScope = userScopes.includes('*') || requiredScopes.some(scope => userScopes.includes(scope));
 
     if (!hasRequiredScope) {
       return res.status(403).json({
@@ -79,6 +79,15 @@ const createResourceRateLimiter = createRateLimiter(
   }
 );
 
+/**
+ * Rate limiter para rotas públicas sem autenticação (por IP)
+ */
+const publicRateLimiter = createRateLimiter(
+  60000, // 1 minuto
+  parseInt(process.env.PUBLIC_RATE_LIMIT_MAX_REQUESTS) || 30, // 30 req/min por IP
+  (req) => `public_rate:${req.ip}`
+);
+
 /**
  * Middleware para adicionar headers de rate limit
  */
@@ -187,6 +196,7 @@ module.exports = {
   tenantRateLimiter,
   whatsappRateLimiter,
   createResourceRateLimiter,
+  publicRateLimiter,
   addRateLimitHeaders,
   checkRateLimit,
   checkIdempotency
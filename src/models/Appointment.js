@@ -0,0 +1,298 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATUSES = ['scheduled', 'confirmed', 'checked_in', 'cancelled', 'no_show'];
+
+// Status que ocupam capacidade da oficina
+const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'checked_in'];
+
+// Alterações de status permitidas pela API (check-in tem rota própria, pois abre a ordem)
+const TRANSITIONS = {
+  scheduled: ['confirmed', 'cancelled', 'no_show'],
+  confirmed: ['cancelled', 'no_show'],
+  checked_in: [],
+  cancelled: [],
+  no_show: []
+};
+
+class Appointment {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.workshop_id = data.workshop_id;
+    this.vehicle_id = data.vehicle_id;
+    this.customer_id = data.customer_id;
+    this.contact_phone = data.contact_phone;
+    this.scheduled_at = data.scheduled_at;
+    this.local_date = Appointment.formatDate(data.local_date);
+    this.duration_minutes = data.duration_minutes;
+    this.service_description = data.service_description;
+    this.notes = data.notes;
+    this.status = data.status;
+    this.source = data.source;
+    this.order_id = data.order_id;
+    this.created_by = data.created_by;
+    this.confirmed_at = data.confirmed_at;
+    this.checked_in_at = data.checked_in_at;
+    this.cancelled_at = data.cancelled_at;
+    this.cancel_reason = data.cancel_reason;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.plate = data.plate;
+  }
+
+  /**
+   * O driver devolve colunas DATE como Date à meia-noite local; a API usa YYYY-MM-DD
+   */
+  static formatDate(value) {
+    if (!(value instanceof Date)) return value;
+
+    return [
+      value.getFullYear(),
+      String(value.getMonth() + 1).padStart(2, '0'),
+      String(value.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+
+  /**
+   * Cria agendamento.
+   * Aceita um client de transação (a capacidade é verificada na mesma transação).
+   */
+  static async create(tenantId, appointmentData, client = null) {
+    try {
+      const {
+        workshop_id, vehicle_id, customer_id, contact_phone, scheduled_at, local_date,
+        duration_minutes, service_description, notes, source, created_by
+      } = appointmentData;
+      const runner = client || { query };
+
+      const result = await runner.query(
+        `INSERT INTO appointments (
+           tenant_id, workshop_id, vehicle_id, customer_id, contact_phone, scheduled_at, local_date,
+           duration_minutes, service_description, notes, source, created_by
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          tenantId,
+          workshop_id,
+          vehicle_id || null,
+          customer_id || null,
+          contact_phone || null,
+          scheduled_at,
+          local_date,
+          duration_minutes,
+          service_description || null,
+          notes || null,
+          source || 'api',
+          created_by || null
+        ]
+      );
+
+      return new Appointment(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao criar agendamento', { error: error.message, tenantId, workshop_id: appointmentData.workshop_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca agendamento da oficina por ID
+   */
+  static async findById(tenantId, workshopId, id) {
+    try {
+      const result = await query(
+        `SELECT a.*, v.plate
+         FROM appointments a
+         LEFT JOIN vehicles v ON v.id = a.vehicle_id
+         WHERE a.id = $1 AND a.workshop_id = $2 AND a.tenant_id = $3`,
+        [id, workshopId, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Appointment(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar agendamento', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista agendamentos da oficina com filtros e paginação
+   */
+  static async list(tenantId, workshopId, filters = {}, page = 1, limit = 50) {
+    try {
+      let whereClause = 'WHERE a.tenant_id = $1 AND a.workshop_id = $2';
+      let params = [tenantId, workshopId];
+      let paramIndex = 3;
+
+      if (filters.from) {
+        whereClause += ` AND a.local_date >= $${paramIndex}`;
+        params.push(filters.from);
+        paramIndex++;
+      }
+
+      if (filters.to) {
+        whereClause += ` AND a.local_date <= $${paramIndex}`;
+        params.push(filters.to);
+        paramIndex++;
+      }
+
+      if (filters.status) {
+        whereClause += ` AND a.status = $${paramIndex}`;
+        params.push(filters.status);
+        paramIndex++;
+      }
+
+      if (filters.vehicle_id) {
+        whereClause += ` AND a.vehicle_id = $${paramIndex}`;
+        params.push(filters.vehicle_id);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM appointments a ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `SELECT a.*, v.plate
+         FROM appointments a
+         LEFT JOIN vehicles v ON v.id = a.vehicle_id
+         ${whereClause}
+         ORDER BY a.scheduled_at ASC
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        appointments: result.rows.map(row => new Appointment(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar agendamentos', { error: error.message, tenantId, workshopId });
+      throw error;
+    }
+  }
+
+  /**
+   * Agendamentos que ocupam capacidade na data local da oficina
+   * (opcionalmente ignorando um agendamento, no caso de remarcação)
+   */
+  static async findActiveByDay(workshopId, localDate, { excludeId = null, client = null } = {}) {
+    const runner = client || { query };
+
+    const result = await runner.query(
+      `SELECT id, scheduled_at, duration_minutes
+       FROM appointments
+       WHERE workshop_id = $1 AND local_date = $2 AND status = ANY($3)
+         AND ($4::uuid IS NULL OR id <> $4::uuid)
+       ORDER BY scheduled_at ASC`,
+      [workshopId, localDate, ACTIVE_STATUSES, excludeId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Atualiza dados e status do agendamento
+   */
+  async update(updateData, client = null) {
+    try {
+      const runner = client || { query };
+      const {
+        scheduled_at, local_date, duration_minutes, service_description, notes,
+        status, cancel_reason, order_id, vehicle_id
+      } = updateData;
+
+      const result = await runner.query(
+        `UPDATE appointments
+         SET scheduled_at = COALESCE($1, scheduled_at),
+             local_date = COALESCE($2, local_date),
+             duration_minutes = COALESCE($3, duration_minutes),
+             service_description = COALESCE($4, service_description),
+             notes = COALESCE($5, notes),
+             status = COALESCE($6, status),
+             cancel_reason = COALESCE($7, cancel_reason),
+             order_id = COALESCE($8, order_id),
+             vehicle_id = COALESCE($9, vehicle_id),
+             confirmed_at = CASE WHEN $6 = 'confirmed' THEN NOW() ELSE confirmed_at END,
+             checked_in_at = CASE WHEN $6 = 'checked_in' THEN NOW() ELSE checked_in_at END,
+             cancelled_at = CASE WHEN $6 = 'cancelled' THEN NOW() ELSE cancelled_at END
+         WHERE id = $10 AND tenant_id = $11
+         RETURNING *`,
+        [
+          scheduled_at || null,
+          local_date || null,
+          duration_minutes || null,
+          service_description,
+          notes,
+          status || null,
+          cancel_reason || null,
+          order_id || null,
+          vehicle_id || null,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Agendamento não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      this.local_date = Appointment.formatDate(this.local_date);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atualizar agendamento', { error: error.message, appointmentId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      workshop_id: this.workshop_id,
+      vehicle_id: this.vehicle_id,
+      plate: this.plate,
+      customer_id: this.customer_id,
+      contact_phone: this.contact_phone,
+      scheduled_at: this.scheduled_at,
+      local_date: this.local_date,
+      duration_minutes: this.duration_minutes,
+      service_description: this.service_description,
+      notes: this.notes,
+      status: this.status,
+      source: this.source,
+      order_id: this.order_id,
+      confirmed_at: this.confirmed_at,
+      checked_in_at: this.checked_in_at,
+      cancelled_at: this.cancelled_at,
+      cancel_reason: this.cancel_reason,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+Appointment.STATUSES = STATUSES;
+Appointment.ACTIVE_STATUSES = ACTIVE_STATUSES;
+Appointment.TRANSITIONS = TRANSITIONS;
+
+module.exports = Appointment;
@@ -0,0 +1,100 @@
+const { query } = require('../config/database');
+const { canonicalPhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+class ContactOptOut {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.phone = data.phone;
+    this.source = data.source;
+    this.reason = data.reason;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Registra opt-out do contato (idempotente)
+   */
+  static async create(tenantId, phone, { source = 'api', reason = null } = {}) {
+    try {
+      const result = await query(
+        `INSERT INTO contact_opt_outs (tenant_id, phone, source, reason)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (tenant_id, phone) DO UPDATE SET reason = COALESCE(EXCLUDED.reason, contact_opt_outs.reason)
+         RETURNING *`,
+        [tenantId, canonicalPhone(phone), source, reason]
+      );
+
+      return new ContactOptOut(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao registrar opt-out', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica se o contato pediu para não receber notificações
+   */
+  static async isOptedOut(tenantId, phone) {
+    try {
+      const result = await query(
+        'SELECT 1 FROM contact_opt_outs WHERE tenant_id = $1 AND phone = $2',
+        [tenantId, canonicalPhone(phone)]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Erro ao verificar opt-out', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista opt-outs do tenant
+   */
+  static async findByTenant(tenantId) {
+    try {
+      const result = await query(
+        'SELECT * FROM contact_opt_outs WHERE tenant_id = $1 ORDER BY created_at DESC',
+        [tenantId]
+      );
+
+      return result.rows.map(row => new ContactOptOut(row));
+    } catch (error) {
+      logger.error('Erro ao listar opt-outs', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove opt-out do contato. Retorna false se não existia.
+   */
+  static async remove(tenantId, phone) {
+    try {
+      const result = await query(
+        'DELETE FROM contact_opt_outs WHERE tenant_id = $1 AND phone = $2 RETURNING id',
+        [tenantId, canonicalPhone(phone)]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Erro ao remover opt-out', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      phone: this.phone,
+      source: this.source,
+      reason: this.reason,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ContactOptOut;
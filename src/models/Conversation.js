@@ -0,0 +1,333 @@
+const { query } = require('../config/database');
+const { canonicalPhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+class Conversation {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.contact_phone = data.contact_phone;
+    this.contact_name = data.contact_name;
+    this.assigned_user_id = data.assigned_user_id;
+    this.unread_count = data.unread_count;
+    this.last_message_at = data.last_message_at;
+    this.last_inbound_at = data.last_inbound_at;
+    this.last_read_at = data.last_read_at;
+    this.last_message = data.last_message || null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Texto curto que representa a mensagem na caixa de entrada
+   */
+  static preview(payload = {}) {
+    switch (payload.type) {
+      case 'text':
+        return payload.text?.body || payload.text || null;
+      case 'template':
+        return `[template] ${payload.template?.name || ''}`.trim();
+      case 'interactive': {
+        const interactive = payload.interactive || {};
+        return interactive.button_reply?.title
+          || interactive.list_reply?.title
+          || interactive.body?.text
+          || payload.body
+          || null;
+      }
+      case 'list':
+        return payload.body || null;
+      case 'button':
+        return payload.button?.text || null;
+      default:
+        return payload.type ? `[${payload.type}]` : null;
+    }
+  }
+
+  /**
+   * Registra nova mensagem na conversa do contato, criando a conversa se necessário.
+   * Mensagens recebidas incrementam o contador de não lidas e renovam a janela de atendimento.
+   *
+   * @param {object} options - { direction, contactName, inboundAt: data de envio informada pelo WhatsApp }
+   */
+  static async touch(tenantId, phone, { direction, contactName = null, inboundAt = null } = {}) {
+    try {
+      const contactPhone = canonicalPhone(phone);
+      if (!tenantId || !contactPhone) {
+        return null;
+      }
+
+      const isInbound = direction === 'inbound';
+
+      const result = await query(
+        `INSERT INTO conversations (tenant_id, contact_phone, contact_name, unread_count, last_message_at, last_inbound_at)
+         VALUES ($1, $2, $3, $4, NOW(), $5)
+         ON CONFLICT (tenant_id, contact_phone) DO UPDATE
+         SET contact_name = COALESCE(EXCLUDED.contact_name, conversations.contact_name),
+             unread_count = conversations.unread_count + EXCLUDED.unread_count,
+             last_message_at = NOW(),
+             last_inbound_at = GREATEST(conversations.last_inbound_at, EXCLUDED.last_inbound_at)
+         RETURNING *`,
+        [tenantId, contactPhone, contactName, isInbound ? 1 : 0, isInbound ? (inboundAt || new Date()) : null]
+      );
+
+      return new Conversation(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao registrar mensagem na conversa', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca conversa por ID
+   */
+  static async findById(tenantId, id) {
+    try {
+      const result = await query(
+        'SELECT * FROM conversations WHERE id = $1 AND tenant_id = $2',
+        [id, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Conversation(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar conversa', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca conversa pelo telefone do contato
+   */
+  static async findByPhone(tenantId, phone) {
+    try {
+      const contactPhone = canonicalPhone(phone);
+      if (!contactPhone) {
+        return null;
+      }
+
+      const result = await query(
+        'SELECT * FROM conversations WHERE tenant_id = $1 AND contact_phone = $2',
+        [tenantId, contactPhone]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Conversation(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar conversa por telefone', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista conversas com a última mensagem, mais recentes primeiro
+   */
+  static async list(tenantId, filters = {}, page = 1, limit = 50) {
+    try {
+      let whereClause = 'WHERE c.tenant_id = $1';
+      let params = [tenantId];
+      let paramIndex = 2;
+
+      // Filtros opcionais
+      if (filters.assigned_user_id) {
+        whereClause += ` AND c.assigned_user_id = $${paramIndex}`;
+        params.push(filters.assigned_user_id);
+        paramIndex++;
+      }
+
+      if (filters.unassigned) {
+        whereClause += ' AND c.assigned_user_id IS NULL';
+      }
+
+      if (filters.unread) {
+        whereClause += ' AND c.unread_count > 0';
+      }
+
+      if (filters.phone) {
+        whereClause += ` AND c.contact_phone LIKE $${paramIndex}`;
+        params.push(`%${filters.phone}%`);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM conversations c ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados com a última mensagem de cada conversa
+      const result = await query(
+        `SELECT c.*,
+                json_build_object(
+                  'id', m.id,
+                  'direction', m.direction,
+                  'state', m.state,
+                  'payload', m.payload,
+                  'created_at', m.created_at
+                ) AS last_message
+         FROM conversations c
+         LEFT JOIN LATERAL (
+           SELECT id, direction, state, payload, created_at
+           FROM messages
+           WHERE conversation_id = c.id
+           ORDER BY created_at DESC
+           LIMIT 1
+         ) m ON true
+         ${whereClause}
+         ORDER BY c.last_message_at DESC NULLS LAST
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        conversations: result.rows.map(row => new Conversation({
+          ...row,
+          last_message: row.last_message && row.last_message.id ? row.last_message : null
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar conversas', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista mensagens da conversa, mais recentes primeiro
+   */
+  async listMessages(page = 1, limit = 50) {
+    try {
+      const countResult = await query(
+        'SELECT COUNT(*) as total FROM messages WHERE conversation_id = $1 AND tenant_id = $2',
+        [this.id, this.tenant_id]
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      const result = await query(
+        `SELECT id, direction, channel, state, payload, provider_id, queue_id, error, created_at, updated_at
+         FROM messages
+         WHERE conversation_id = $1 AND tenant_id = $2
+         ORDER BY created_at DESC
+         LIMIT $3 OFFSET $4`,
+        [this.id, this.tenant_id, limit, offset]
+      );
+
+      return {
+        messages: result.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar mensagens da conversa', { error: error.message, conversationId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Zera o contador de não lidas
+   */
+  async markRead() {
+    try {
+      const result = await query(
+        `UPDATE conversations SET unread_count = 0, last_read_at = NOW()
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Conversa não encontrada');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao marcar conversa como lida', { error: error.message, conversationId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Atribui a conversa a um usuário (null remove a atribuição)
+   */
+  async assign(userId) {
+    try {
+      const result = await query(
+        `UPDATE conversations SET assigned_user_id = $1
+         WHERE id = $2 AND tenant_id = $3
+         RETURNING *`,
+        [userId, this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Conversa não encontrada');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atribuir conversa', { error: error.message, conversationId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    const json = {
+      id: this.id,
+      contact_phone: this.contact_phone,
+      contact_name: this.contact_name,
+      assigned_user_id: this.assigned_user_id,
+      unread_count: this.unread_count,
+      last_message_at: this.last_message_at,
+      last_inbound_at: this.last_inbound_at,
+      last_read_at: this.last_read_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+
+    if (this.last_message) {
+      json.last_message = {
+        id: this.last_message.id,
+        direction: this.last_message.direction,
+        state: this.last_message.state,
+        preview: Conversation.preview(this.last_message.payload),
+        created_at: this.last_message.created_at
+      };
+    }
+
+    if (this.vehicles) {
+      json.vehicles = this.vehicles;
+    }
+
+    if (this.open_orders) {
+      json.open_orders = this.open_orders;
+    }
+
+    return json;
+  }
+}
+
+module.exports = Conversation;
@@ -0,0 +1,583 @@
+const { query, getClient } = require('../config/database');
+const { canonicalPhone, phoneVariants } = require('../utils/phone');
+const { validateDocument, formatDocument, maskDocument } = require('../utils/documents');
+const logger = require('../utils/logger');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class Customer {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.name = data.name;
+    this.document = data.document;
+    this.document_type = data.document_type;
+    this.phones = data.phones || [];
+    this.email = data.email;
+    this.consent_whatsapp = data.consent_whatsapp;
+    this.consent_marketing = data.consent_marketing;
+    this.consent_updated_at = data.consent_updated_at;
+    this.notes = data.notes;
+    this.erp_id = data.erp_id;
+    this.erp_synced_at = data.erp_synced_at;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Telefones em formato canônico, sem repetição (o primeiro é o principal)
+   */
+  static normalizePhones(phones = []) {
+    return [...new Set(phones.map(phone => canonicalPhone(phone)).filter(Boolean))];
+  }
+
+  /**
+   * CPF/CNPJ sem pontuação e o tipo do documento
+   */
+  static normalizeDocument(document) {
+    if (!document) return { document: null, document_type: null };
+
+    const result = validateDocument(document);
+    return {
+      document: result.document,
+      document_type: result.type
+    };
+  }
+
+  /**
+   * Valida os dados de um cliente
+   */
+  static validate(customerData, partial = false) {
+    const errors = [];
+    const { name, document, phones, email, consent_whatsapp, consent_marketing } = customerData;
+
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        errors.push('Nome é obrigatório');
+      }
+    }
+
+    if (document !== undefined && document !== null) {
+      const result = validateDocument(document);
+      if (!result.valid) {
+        errors.push(result.message);
+      }
+    }
+
+    if (phones !== undefined) {
+      if (!Array.isArray(phones)) {
+        errors.push('Telefones devem ser uma lista');
+      } else if (phones.some(phone => !canonicalPhone(phone))) {
+        errors.push('Telefones inválidos');
+      }
+    }
+
+    if (email !== undefined && email !== null && !EMAIL_PATTERN.test(email)) {
+      errors.push('Email inválido');
+    }
+
+    for (const [field, value] of [['consent_whatsapp', consent_whatsapp], ['consent_marketing', consent_marketing]]) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        errors.push(`Campo ${field} deve ser booleano`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cria cliente
+   */
+  static async create(tenantId, customerData) {
+    try {
+      const {
+        name, document, phones = [], email, consent_whatsapp = true, consent_marketing = false, notes
+      } = customerData;
+      const normalized = Customer.normalizeDocument(document);
+
+      const result = await query(
+        `INSERT INTO customers (
+           tenant_id, name, document, document_type, phones, email,
+           consent_whatsapp, consent_marketing, consent_updated_at, notes
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), $9)
+         RETURNING *`,
+        [
+          tenantId,
+          name.trim(),
+          normalized.document,
+          normalized.document_type,
+          Customer.normalizePhones(phones),
+          email ? email.toLowerCase() : null,
+          consent_whatsapp,
+          consent_marketing,
+          notes || null
+        ]
+      );
+
+      return new Customer(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao criar cliente', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca cliente por ID
+   */
+  static async findById(tenantId, id) {
+    try {
+      const result = await query(
+        'SELECT * FROM customers WHERE id = $1 AND tenant_id = $2',
+        [id, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Customer(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar cliente', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca cliente que tenha o telefone (com ou sem 55 e nono dígito)
+   */
+  static async findByPhone(tenantId, phone) {
+    try {
+      const variants = phoneVariants(phone);
+      if (variants.length === 0) {
+        return null;
+      }
+
+      const result = await query(
+        `SELECT * FROM customers
+         WHERE tenant_id = $1 AND phones && $2::text[]
+         ORDER BY created_at ASC
+         LIMIT 1`,
+        [tenantId, variants]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Customer(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar cliente por telefone', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca cliente por CPF/CNPJ
+   */
+  static async findByDocument(tenantId, document) {
+    try {
+      const { document: digits } = Customer.normalizeDocument(document);
+      if (!digits) {
+        return null;
+      }
+
+      const result = await query(
+        'SELECT * FROM customers WHERE tenant_id = $1 AND document = $2',
+        [tenantId, digits]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Customer(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar cliente por documento', { error: error.message, tenantId, document: maskDocument(document) });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca cliente pelo ID no ERP
+   */
+  static async findByErpId(tenantId, erpId) {
+    try {
+      const result = await query(
+        'SELECT * FROM customers WHERE tenant_id = $1 AND erp_id = $2',
+        [tenantId, erpId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Customer(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar cliente por ID do ERP', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Se o cliente aceita mensagens pelo WhatsApp (cliente inexistente não bloqueia o envio)
+   */
+  static async hasWhatsAppConsent(tenantId, id) {
+    const result = await query(
+      'SELECT consent_whatsapp FROM customers WHERE id = $1 AND tenant_id = $2',
+      [id, tenantId]
+    );
+
+    return result.rows.length === 0 || result.rows[0].consent_whatsapp;
+  }
+
+  /**
+   * Cliente do proprietário informado no cadastro do veículo: pelo documento, pelo telefone ou criado a partir do owner
+   */
+  static async findOrCreateFromOwner(tenantId, owner = {}) {
+    if (!owner || (!owner.name && !owner.phone && !owner.document)) {
+      return null;
+    }
+
+    const existing = (owner.document && await Customer.findByDocument(tenantId, owner.document))
+      || (owner.phone && await Customer.findByPhone(tenantId, owner.phone));
+    if (existing) {
+      return existing;
+    }
+
+    return Customer.create(tenantId, {
+      name: owner.name || 'Cliente',
+      document: owner.document && validateDocument(owner.document).valid ? owner.document : null,
+      phones: owner.phone && canonicalPhone(owner.phone) ? [owner.phone] : [],
+      email: owner.email && EMAIL_PATTERN.test(owner.email) ? owner.email : null
+    });
+  }
+
+  /**
+   * Lista clientes com busca e paginação
+   */
+  static async list(tenantId, filters = {}, page = 1, limit = 50) {
+    try {
+      let whereClause = 'WHERE tenant_id = $1';
+      let params = [tenantId];
+      let paramIndex = 2;
+
+      // Busca livre por nome, email, documento ou telefone
+      if (filters.q) {
+        const digits = String(filters.q).replace(/\D/g, '');
+        whereClause += ` AND (name ILIKE $${paramIndex} OR email ILIKE $${paramIndex}`;
+        params.push(`%${filters.q}%`);
+        paramIndex++;
+
+        if (digits.length >= 4) {
+          whereClause += ` OR document LIKE $${paramIndex} OR array_to_string(phones, ',') LIKE $${paramIndex}`;
+          params.push(`%${digits}%`);
+          paramIndex++;
+        }
+
+        whereClause += ')';
+      }
+
+      if (filters.phone) {
+        whereClause += ` AND phones && $${paramIndex}::text[]`;
+        params.push(phoneVariants(filters.phone));
+        paramIndex++;
+      }
+
+      if (filters.document) {
+        whereClause += ` AND document = $${paramIndex}`;
+        params.push(Customer.normalizeDocument(filters.document).document);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM customers ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `SELECT * FROM customers ${whereClause}
+         ORDER BY name ASC
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        customers: result.rows.map(row => new Customer(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar clientes', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Possíveis duplicatas: mesmo documento, telefone em comum ou mesmo nome e email
+   */
+  static async findDuplicates(tenantId, limit = 100) {
+    try {
+      const result = await query(
+        `SELECT a.id AS customer_id, b.id AS duplicate_id,
+                array_remove(ARRAY[
+                  CASE WHEN a.document = b.document THEN 'document' END,
+                  CASE WHEN a.phones && b.phones THEN 'phone' END,
+                  CASE WHEN lower(a.name) = lower(b.name) AND lower(a.email) = lower(b.email) THEN 'name_email' END
+                ], NULL) AS reasons
+         FROM customers a
+         JOIN customers b ON b.tenant_id = a.tenant_id AND a.id < b.id
+         WHERE a.tenant_id = $1
+           AND (
+             a.document = b.document
+             OR a.phones && b.phones
+             OR (lower(a.name) = lower(b.name) AND lower(a.email) = lower(b.email))
+           )
+         ORDER BY a.created_at ASC
+         LIMIT $2`,
+        [tenantId, limit]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Erro ao buscar clientes duplicados', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Veículos do cliente
+   */
+  async vehicles() {
+    try {
+      const result = await query(
+        `SELECT id, plate, code16, meta, created_at
+         FROM vehicles
+         WHERE customer_id = $1 AND tenant_id = $2
+         ORDER BY created_at ASC`,
+        [this.id, this.tenant_id]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Erro ao buscar veículos do cliente', { error: error.message, customerId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Copia nome, telefone principal, email e documento para vehicles.owner dos veículos do cliente
+   * (usado por notificações, conversas e pelo acompanhamento público)
+   */
+  async syncVehicleOwners(client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    await run(
+      `UPDATE vehicles
+       SET owner = jsonb_strip_nulls(jsonb_build_object(
+             'name', $1::text,
+             'phone', CASE WHEN $2::text IS NULL THEN NULL ELSE '+' || $2::text END,
+             'email', $3::text,
+             'document', $4::text
+           )),
+           updated_at = NOW()
+       WHERE customer_id = $5 AND tenant_id = $6`,
+      [this.name, this.phones[0] || null, this.email, this.document, this.id, this.tenant_id]
+    );
+  }
+
+  /**
+   * Dados do proprietário no formato de vehicles.owner
+   */
+  toOwner() {
+    const owner = { name: this.name };
+    if (this.phones[0]) owner.phone = `+${this.phones[0]}`;
+    if (this.email) owner.email = this.email;
+    if (this.document) owner.document = this.document;
+    return owner;
+  }
+
+  /**
+   * Atualiza cliente e replica nos veículos vinculados
+   */
+  async update(updateData) {
+    try {
+      const { name, document, phones, email, consent_whatsapp, consent_marketing, notes } = updateData;
+      const normalized = document !== undefined ? Customer.normalizeDocument(document) : null;
+      const consentChanged = consent_whatsapp !== undefined || consent_marketing !== undefined;
+
+      const result = await query(
+        `UPDATE customers
+         SET name = COALESCE($1, name),
+             document = CASE WHEN $2::boolean THEN $3 ELSE document END,
+             document_type = CASE WHEN $2::boolean THEN $4 ELSE document_type END,
+             phones = COALESCE($5, phones),
+             email = CASE WHEN $6::boolean THEN $7 ELSE email END,
+             consent_whatsapp = COALESCE($8, consent_whatsapp),
+             consent_marketing = COALESCE($9, consent_marketing),
+             consent_updated_at = CASE WHEN $10::boolean THEN NOW() ELSE consent_updated_at END,
+             notes = COALESCE($11, notes)
+         WHERE id = $12 AND tenant_id = $13
+         RETURNING *`,
+        [
+          name ? name.trim() : null,
+          normalized !== null,
+          normalized?.document ?? null,
+          normalized?.document_type ?? null,
+          phones !== undefined ? Customer.normalizePhones(phones) : null,
+          email !== undefined,
+          email ? email.toLowerCase() : null,
+          consent_whatsapp,
+          consent_marketing,
+          consentChanged,
+          notes,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Cliente não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      await this.syncVehicleOwners();
+
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atualizar cliente', { error: error.message, customerId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Incorpora outros clientes a este: veículos e telefones passam para este cliente,
+   * documento e email são herdados quando este não os tem, e os demais são removidos.
+   * Consentimentos prevalecem restritivos: uma recusa em qualquer cliente vale para o resultado.
+   */
+  async merge(sources) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const sourceIds = sources.map(source => source.id);
+      const phones = Customer.normalizePhones([...this.phones, ...sources.flatMap(source => source.phones)]);
+      const withDocument = sources.find(source => source.document);
+      const withEmail = sources.find(source => source.email);
+      const consentWhatsapp = Boolean(this.consent_whatsapp) && sources.every(source => source.consent_whatsapp);
+      const consentMarketing = Boolean(this.consent_marketing) && sources.every(source => source.consent_marketing);
+      const consentChanged = consentWhatsapp !== Boolean(this.consent_whatsapp) ||
+        consentMarketing !== Boolean(this.consent_marketing);
+
+      await client.query(
+        'UPDATE vehicles SET customer_id = $1 WHERE customer_id = ANY($2) AND tenant_id = $3',
+        [this.id, sourceIds, this.tenant_id]
+      );
+
+      // Remove antes de atualizar para liberar o documento (índice único por tenant)
+      await client.query(
+        'DELETE FROM customers WHERE id = ANY($1) AND tenant_id = $2',
+        [sourceIds, this.tenant_id]
+      );
+
+      const result = await client.query(
+        `UPDATE customers
+         SET phones = $1,
+             document = COALESCE(document, $2),
+             document_type = COALESCE(document_type, $3),
+             email = COALESCE(email, $4),
+             notes = CASE WHEN $5::text IS NULL THEN notes ELSE concat_ws(E'\\n', notes, $5::text) END,
+             consent_whatsapp = $6,
+             consent_marketing = $7,
+             consent_updated_at = CASE WHEN $8::boolean THEN NOW() ELSE consent_updated_at END
+         WHERE id = $9 AND tenant_id = $10
+         RETURNING *`,
+        [
+          phones,
+          withDocument?.document || null,
+          withDocument?.document_type || null,
+          withEmail?.email || null,
+          sources.map(source => source.notes).filter(Boolean).join('\n') || null,
+          consentWhatsapp,
+          consentMarketing,
+          consentChanged,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      Object.assign(this, result.rows[0]);
+      await this.syncVehicleOwners(client);
+
+      await client.query('COMMIT');
+      return this;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Erro ao mesclar clientes', { error: error.message, customerId: this.id });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove cliente (os veículos ficam sem cliente vinculado)
+   */
+  async delete() {
+    try {
+      const result = await query(
+        'DELETE FROM customers WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Cliente não encontrado');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Erro ao remover cliente', { error: error.message, customerId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    const json = {
+      id: this.id,
+      name: this.name,
+      document: this.document,
+      document_type: this.document_type,
+      document_formatted: formatDocument(this.document),
+      phones: this.phones,
+      email: this.email,
+      consent_whatsapp: this.consent_whatsapp,
+      consent_marketing: this.consent_marketing,
+      consent_updated_at: this.consent_updated_at,
+      notes: this.notes,
+      erp_id: this.erp_id,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+
+    if (this.vehicles_list) {
+      json.vehicles = this.vehicles_list;
+    }
+
+    return json;
+  }
+}
+
+module.exports = Customer;
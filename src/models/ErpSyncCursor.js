@@ -0,0 +1,45 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Posição da sincronização com ERP por oficina, entidade e direção (pull/push)
+ */
+class ErpSyncCursor {
+  /**
+   * Cursor atual, ou null na primeira sincronização
+   */
+  static async get(workshopId, entity, direction) {
+    try {
+      const result = await query(
+        'SELECT cursor FROM erp_sync_cursors WHERE workshop_id = $1 AND entity = $2 AND direction = $3',
+        [workshopId, entity, direction]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].cursor : null;
+    } catch (error) {
+      logger.error('Erro ao buscar cursor de sincronização com ERP', { error: error.message, workshopId, entity, direction });
+      throw error;
+    }
+  }
+
+  /**
+   * Grava o cursor
+   */
+  static async set(tenantId, workshopId, entity, direction, cursor) {
+    try {
+      await query(
+        `INSERT INTO erp_sync_cursors (tenant_id, workshop_id, entity, direction, cursor, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (workshop_id, entity, direction) DO UPDATE SET
+           cursor = EXCLUDED.cursor,
+           updated_at = NOW()`,
+        [tenantId, workshopId, entity, direction, cursor]
+      );
+    } catch (error) {
+      logger.error('Erro ao gravar cursor de sincronização com ERP', { error: error.message, workshopId, entity, direction });
+      throw error;
+    }
+  }
+}
+
+module.exports = ErpSyncCursor;
@@ -0,0 +1,225 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATUSES = ['queued', 'running', 'completed', 'completed_with_errors', 'failed'];
+
+// Execuções pendentes ou em andamento (no máximo uma por oficina)
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Violação do índice único de execução ativa
+const UNIQUE_VIOLATION = '23505';
+
+class ErpSyncRun {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.workshop_id = data.workshop_id;
+    this.connector = data.connector;
+    this.status = data.status;
+    this.requested_by = data.requested_by;
+    this.counts = data.counts || {};
+    this.conflicts = data.conflicts || [];
+    this.errors = data.errors || [];
+    this.error = data.error;
+    this.started_at = data.started_at;
+    this.finished_at = data.finished_at;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Cria execução pendente.
+   * Retorna null se a oficina já tem uma execução pendente ou em andamento.
+   */
+  static async create(tenantId, runData) {
+    try {
+      const { workshop_id, connector, requested_by } = runData;
+
+      const result = await query(
+        `INSERT INTO erp_sync_runs (tenant_id, workshop_id, connector, requested_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [tenantId, workshop_id, connector, requested_by || null]
+      );
+
+      return new ErpSyncRun(result.rows[0]);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return null;
+      }
+
+      logger.error('Erro ao criar execução de sincronização com ERP', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca execução por ID
+   */
+  static async findById(tenantId, id) {
+    try {
+      const result = await query(
+        'SELECT * FROM erp_sync_runs WHERE id = $1 AND tenant_id = $2',
+        [id, tenantId]
+      );
+
+      return result.rows.length > 0 ? new ErpSyncRun(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Erro ao buscar execução de sincronização com ERP', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Execução pendente ou em andamento da oficina
+   */
+  static async findActive(tenantId, workshopId) {
+    try {
+      const result = await query(
+        `SELECT * FROM erp_sync_runs
+         WHERE tenant_id = $1 AND workshop_id = $2 AND status = ANY($3)`,
+        [tenantId, workshopId, ACTIVE_STATUSES]
+      );
+
+      return result.rows.length > 0 ? new ErpSyncRun(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Erro ao buscar execução ativa de sincronização com ERP', { error: error.message, tenantId, workshopId });
+      throw error;
+    }
+  }
+
+  /**
+   * Marca como falhas as execuções ativas antigas (worker interrompido),
+   * liberando a oficina para uma nova execução
+   */
+  static async failStale(tenantId, workshopId, staleMinutes) {
+    try {
+      const result = await query(
+        `UPDATE erp_sync_runs
+         SET status = 'failed',
+             error = 'Execução abandonada (sem conclusão no tempo limite)',
+             finished_at = NOW()
+         WHERE tenant_id = $1 AND workshop_id = $2 AND status = ANY($3)
+           AND COALESCE(started_at, created_at) < NOW() - make_interval(mins => $4)
+         RETURNING id`,
+        [tenantId, workshopId, ACTIVE_STATUSES, staleMinutes]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Erro ao encerrar execuções abandonadas', { error: error.message, tenantId, workshopId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista execuções da oficina, mais recentes primeiro
+   */
+  static async list(tenantId, workshopId, filters = {}, page = 1, limit = 20) {
+    try {
+      let whereClause = 'WHERE tenant_id = $1 AND workshop_id = $2';
+      let params = [tenantId, workshopId];
+      let paramIndex = 3;
+
+      if (filters.status) {
+        whereClause += ` AND status = $${paramIndex}`;
+        params.push(filters.status);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM erp_sync_runs ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `SELECT * FROM erp_sync_runs
+         ${whereClause}
+         ORDER BY created_at DESC
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        runs: result.rows.map(row => new ErpSyncRun(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar execuções de sincronização com ERP', { error: error.message, tenantId, workshopId });
+      throw error;
+    }
+  }
+
+  /**
+   * Marca o início do processamento
+   */
+  async start() {
+    const result = await query(
+      `UPDATE erp_sync_runs
+       SET status = 'running', started_at = NOW()
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING *`,
+      [this.id, this.tenant_id]
+    );
+
+    Object.assign(this, result.rows[0]);
+    return this;
+  }
+
+  /**
+   * Grava o resultado final com contadores, conflitos e erros
+   */
+  async finish(status, { counts, conflicts, errors }, error = null) {
+    const result = await query(
+      `UPDATE erp_sync_runs
+       SET status = $1,
+           counts = $2,
+           conflicts = $3,
+           errors = $4,
+           error = $5,
+           finished_at = NOW()
+       WHERE id = $6 AND tenant_id = $7
+       RETURNING *`,
+      [status, JSON.stringify(counts), JSON.stringify(conflicts), JSON.stringify(errors), error, this.id, this.tenant_id]
+    );
+
+    Object.assign(this, result.rows[0]);
+    return this;
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      workshop_id: this.workshop_id,
+      connector: this.connector,
+      status: this.status,
+      requested_by: this.requested_by,
+      counts: this.counts,
+      conflicts: this.conflicts,
+      errors: this.errors,
+      error: this.error,
+      started_at: this.started_at,
+      finished_at: this.finished_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+ErpSyncRun.STATUSES = STATUSES;
+ErpSyncRun.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = ErpSyncRun;
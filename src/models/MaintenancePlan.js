@@ -0,0 +1,359 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Tipos de serviço preventivo
+const SERVICE_TYPES = ['oil_change', 'timing_belt', 'brakes', 'tires', 'inspection', 'other'];
+
+// Variáveis disponíveis para preencher os placeholders do template de lembrete
+const REMINDER_VARIABLES = [
+  'owner_name',
+  'plate',
+  'plan_name',
+  'current_mileage',
+  'due_mileage',
+  'due_date',
+  'workshop_name'
+];
+
+class MaintenancePlan {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.vehicle_id = data.vehicle_id;
+    this.brand = data.brand;
+    this.model = data.model;
+    this.name = data.name;
+    this.service_type = data.service_type;
+    this.interval_km = data.interval_km;
+    this.interval_months = data.interval_months;
+    this.template_name = data.template_name;
+    this.template_language = data.template_language;
+    this.variables = data.variables || [];
+    this.active = data.active;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Valida os dados de um plano
+   */
+  static validate(planData, partial = false) {
+    const errors = [];
+    const {
+      vehicle_id, model, name, service_type, interval_km, interval_months,
+      template_name, variables, active
+    } = planData;
+
+    if (!partial && !vehicle_id && !model) {
+      errors.push('Informe vehicle_id ou model');
+    }
+
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string') {
+        errors.push('Nome do plano é obrigatório');
+      }
+    }
+
+    if (service_type !== undefined && !SERVICE_TYPES.includes(service_type)) {
+      errors.push(`Tipo de serviço deve ser um de: ${SERVICE_TYPES.join(', ')}`);
+    }
+
+    for (const [field, value] of [['interval_km', interval_km], ['interval_months', interval_months]]) {
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+        errors.push(`Campo ${field} deve ser um inteiro positivo`);
+      }
+    }
+
+    if (!partial && !interval_km && !interval_months) {
+      errors.push('Informe interval_km, interval_months ou ambos');
+    }
+
+    if (!partial || template_name !== undefined) {
+      if (!template_name || typeof template_name !== 'string') {
+        errors.push('Nome do template é obrigatório');
+      }
+    }
+
+    if (variables !== undefined) {
+      if (!Array.isArray(variables)) {
+        errors.push('Variáveis devem ser uma lista');
+      } else {
+        const invalidVariables = variables.filter(variable => !REMINDER_VARIABLES.includes(variable));
+        if (invalidVariables.length > 0) {
+          errors.push(`Variáveis inválidas: ${invalidVariables.join(', ')}`);
+        }
+      }
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      errors.push('Campo active deve ser booleano');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cria plano para o tenant
+   */
+  static async create(tenantId, planData) {
+    try {
+      const {
+        vehicle_id, brand, model, name, service_type = 'other', interval_km, interval_months,
+        template_name, template_language = 'pt_BR', variables = [], active = true
+      } = planData;
+
+      const result = await query(
+        `INSERT INTO maintenance_plans (
+           tenant_id, vehicle_id, brand, model, name, service_type, interval_km, interval_months,
+           template_name, template_language, variables, active
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          tenantId,
+          vehicle_id || null,
+          brand || null,
+          model || null,
+          name,
+          service_type,
+          interval_km || null,
+          interval_months || null,
+          template_name,
+          template_language,
+          JSON.stringify(variables),
+          active
+        ]
+      );
+
+      return new MaintenancePlan(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao criar plano de manutenção', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca plano por ID
+   */
+  static async findById(tenantId, id) {
+    try {
+      const result = await query(
+        'SELECT * FROM maintenance_plans WHERE id = $1 AND tenant_id = $2',
+        [id, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new MaintenancePlan(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar plano de manutenção', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista planos do tenant (opcionalmente só os de um veículo)
+   */
+  static async findByTenant(tenantId, filters = {}) {
+    try {
+      let sql = 'SELECT * FROM maintenance_plans WHERE tenant_id = $1';
+      const params = [tenantId];
+
+      if (filters.vehicle_id) {
+        sql += ' AND vehicle_id = $2';
+        params.push(filters.vehicle_id);
+      }
+
+      const result = await query(`${sql} ORDER BY name ASC`, params);
+
+      return result.rows.map(row => new MaintenancePlan(row));
+    } catch (error) {
+      logger.error('Erro ao listar planos de manutenção', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Planos ativos que se aplicam ao veículo: do próprio veículo ou do seu modelo
+   */
+  static async findForVehicle(vehicle) {
+    try {
+      const meta = vehicle.meta || {};
+
+      const result = await query(
+        `SELECT * FROM maintenance_plans
+         WHERE tenant_id = $1 AND active = true
+           AND (
+             vehicle_id = $2
+             OR (vehicle_id IS NULL AND lower(model) = lower($3) AND (brand IS NULL OR lower(brand) = lower($4)))
+           )
+         ORDER BY name ASC`,
+        [vehicle.tenant_id, vehicle.id, meta.model || null, meta.brand || null]
+      );
+
+      return result.rows.map(row => new MaintenancePlan(row));
+    } catch (error) {
+      logger.error('Erro ao buscar planos do veículo', { error: error.message, vehicleId: vehicle.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Situação do plano no veículo (última execução e último lembrete)
+   */
+  static async findVehicleState(tenantId, vehicleId, planId) {
+    try {
+      const result = await query(
+        `SELECT last_service_at, last_service_mileage, last_reminded_at
+         FROM vehicle_maintenance
+         WHERE tenant_id = $1 AND vehicle_id = $2 AND plan_id = $3`,
+        [tenantId, vehicleId, planId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Erro ao buscar situação da manutenção', { error: error.message, vehicleId, planId });
+      throw error;
+    }
+  }
+
+  /**
+   * Registra que o serviço do plano foi feito no veículo
+   */
+  static async markServiced(tenantId, vehicleId, planId, { mileage = null, performedAt = null } = {}) {
+    try {
+      const result = await query(
+        `INSERT INTO vehicle_maintenance (tenant_id, vehicle_id, plan_id, last_service_at, last_service_mileage)
+         VALUES ($1, $2, $3, COALESCE($4, NOW()), $5)
+         ON CONFLICT (vehicle_id, plan_id) DO UPDATE
+         SET last_service_at = EXCLUDED.last_service_at,
+             last_service_mileage = EXCLUDED.last_service_mileage
+         RETURNING last_service_at, last_service_mileage, last_reminded_at`,
+        [tenantId, vehicleId, planId, performedAt, mileage]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Erro ao registrar manutenção realizada', { error: error.message, vehicleId, planId });
+      throw error;
+    }
+  }
+
+  /**
+   * Registra o envio de lembrete do plano para o veículo
+   */
+  static async markReminded(tenantId, vehicleId, planId) {
+    try {
+      await query(
+        `INSERT INTO vehicle_maintenance (tenant_id, vehicle_id, plan_id, last_reminded_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (vehicle_id, plan_id) DO UPDATE
+         SET last_reminded_at = NOW()`,
+        [tenantId, vehicleId, planId]
+      );
+    } catch (error) {
+      logger.error('Erro ao registrar lembrete de manutenção', { error: error.message, vehicleId, planId });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza intervalos, template ou status do plano
+   */
+  async update(updateData) {
+    try {
+      const {
+        name, service_type, interval_km, interval_months,
+        template_name, template_language, variables, active
+      } = updateData;
+
+      const result = await query(
+        `UPDATE maintenance_plans
+         SET name = COALESCE($1, name),
+             service_type = COALESCE($2, service_type),
+             interval_km = CASE WHEN $3::boolean THEN $4 ELSE interval_km END,
+             interval_months = CASE WHEN $5::boolean THEN $6 ELSE interval_months END,
+             template_name = COALESCE($7, template_name),
+             template_language = COALESCE($8, template_language),
+             variables = COALESCE($9, variables),
+             active = COALESCE($10, active)
+         WHERE id = $11 AND tenant_id = $12
+         RETURNING *`,
+        [
+          name,
+          service_type,
+          interval_km !== undefined,
+          interval_km ?? null,
+          interval_months !== undefined,
+          interval_months ?? null,
+          template_name,
+          template_language,
+          variables !== undefined ? JSON.stringify(variables) : null,
+          active,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Plano de manutenção não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atualizar plano de manutenção', { error: error.message, planId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove plano
+   */
+  async delete() {
+    try {
+      const result = await query(
+        'DELETE FROM maintenance_plans WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Plano de manutenção não encontrado');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Erro ao remover plano de manutenção', { error: error.message, planId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      vehicle_id: this.vehicle_id,
+      brand: this.brand,
+      model: this.model,
+      name: this.name,
+      service_type: this.service_type,
+      interval_km: this.interval_km,
+      interval_months: this.interval_months,
+      template_name: this.template_name,
+      template_language: this.template_language,
+      variables: this.variables,
+      active: this.active,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+MaintenancePlan.SERVICE_TYPES = SERVICE_TYPES;
+MaintenancePlan.VARIABLES = REMINDER_VARIABLES;
+
+module.exports = MaintenancePlan;
@@ -0,0 +1,77 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class MaintenanceReminder {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.vehicle_id = data.vehicle_id;
+    this.plan_id = data.plan_id;
+    this.due_reason = data.due_reason;
+    this.contact_phone = data.contact_phone;
+    this.status = data.status;
+    this.message_id = data.message_id;
+    this.reason = data.reason;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Registra o resultado de um lembrete
+   */
+  static async create(tenantId, reminderData) {
+    try {
+      const { vehicle_id, plan_id, due_reason, contact_phone, status, message_id, reason } = reminderData;
+
+      const result = await query(
+        `INSERT INTO maintenance_reminders (tenant_id, vehicle_id, plan_id, due_reason, contact_phone, status, message_id, reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [tenantId, vehicle_id, plan_id || null, due_reason, contact_phone || null, status, message_id || null, reason || null]
+      );
+
+      return new MaintenanceReminder(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao registrar lembrete de manutenção', { error: error.message, tenantId, vehicle_id: reminderData.vehicle_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista lembretes do veículo, mais recentes primeiro
+   */
+  static async findByVehicle(tenantId, vehicleId, limit = 50) {
+    try {
+      const result = await query(
+        `SELECT * FROM maintenance_reminders
+         WHERE vehicle_id = $1 AND tenant_id = $2
+         ORDER BY created_at DESC
+         LIMIT $3`,
+        [vehicleId, tenantId, limit]
+      );
+
+      return result.rows.map(row => new MaintenanceReminder(row));
+    } catch (error) {
+      logger.error('Erro ao buscar lembretes do veículo', { error: error.message, vehicleId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      vehicle_id: this.vehicle_id,
+      plan_id: this.plan_id,
+      due_reason: this.due_reason,
+      contact_phone: this.contact_phone,
+      status: this.status,
+      message_id: this.message_id,
+      reason: this.reason,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = MaintenanceReminder;
@@ -202,6 +202,19 @@ class Media {
     return result.rows[0];
   }
 
+  // Imagens com thumbnail exibidas na página pública de acompanhamento
+  static async findPublicThumbnails(vehicle_id, order_id, tenant_id, limit = 20) {
+    const sql = `
+      SELECT id, thumbnail_url, created_at FROM media
+      WHERE vehicle_id = $1 AND order_id = $2 AND tenant_id = $3
+        AND type = 'image' AND thumbnail_url IS NOT NULL
+      ORDER BY created_at ASC
+      LIMIT $4
+    `;
+    const result = await query(sql, [vehicle_id, order_id, tenant_id, limit]);
+    return result.rows;
+  }
+
   static async getStorageStats(tenant_id) {
     const sql = `
       SELECT 
@@ -0,0 +1,76 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class NotificationLog {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.order_id = data.order_id;
+    this.rule_id = data.rule_id;
+    this.event = data.event;
+    this.contact_phone = data.contact_phone;
+    this.status = data.status;
+    this.message_id = data.message_id;
+    this.reason = data.reason;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Registra o resultado de uma notificação
+   */
+  static async create(tenantId, logData) {
+    try {
+      const { order_id, rule_id, event, contact_phone, status, message_id, reason } = logData;
+
+      const result = await query(
+        `INSERT INTO notification_log (tenant_id, order_id, rule_id, event, contact_phone, status, message_id, reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [tenantId, order_id, rule_id || null, event, contact_phone || null, status, message_id || null, reason || null]
+      );
+
+      return new NotificationLog(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao registrar notificação', { error: error.message, tenantId, order_id: logData.order_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista notificações de uma ordem em ordem cronológica
+   */
+  static async findByOrder(tenantId, orderId) {
+    try {
+      const result = await query(
+        `SELECT * FROM notification_log
+         WHERE order_id = $1 AND tenant_id = $2
+         ORDER BY created_at ASC`,
+        [orderId, tenantId]
+      );
+
+      return result.rows.map(row => new NotificationLog(row));
+    } catch (error) {
+      logger.error('Erro ao buscar notificações da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      order_id: this.order_id,
+      rule_id: this.rule_id,
+      event: this.event,
+      contact_phone: this.contact_phone,
+      status: this.status,
+      message_id: this.message_id,
+      reason: this.reason,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = NotificationLog;
@@ -0,0 +1,230 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Eventos da ordem que podem disparar notificação ao cliente
+const NOTIFICATION_EVENTS = [
+  'order.created',
+  'order.approved',
+  'order.started',
+  'order.completed',
+  'order.cancelled'
+];
+
+// Variáveis disponíveis para preencher os placeholders do template
+const NOTIFICATION_VARIABLES = [
+  'owner_name',
+  'plate',
+  'code16',
+  'workshop_name',
+  'estimate_amount'
+];
+
+class NotificationRule {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.event = data.event;
+    this.template_name = data.template_name;
+    this.template_language = data.template_language;
+    this.variables = data.variables || [];
+    this.active = data.active;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Valida os dados de uma regra
+   */
+  static validate(ruleData, partial = false) {
+    const errors = [];
+    const { event, template_name, variables, active } = ruleData;
+
+    if (!partial || event !== undefined) {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        errors.push(`Evento deve ser um de: ${NOTIFICATION_EVENTS.join(', ')}`);
+      }
+    }
+
+    if (!partial || template_name !== undefined) {
+      if (!template_name || typeof template_name !== 'string') {
+        errors.push('Nome do template é obrigatório');
+      }
+    }
+
+    if (variables !== undefined) {
+      if (!Array.isArray(variables)) {
+        errors.push('Variáveis devem ser uma lista');
+      } else {
+        const invalidVariables = variables.filter(variable => !NOTIFICATION_VARIABLES.includes(variable));
+        if (invalidVariables.length > 0) {
+          errors.push(`Variáveis inválidas: ${invalidVariables.join(', ')}`);
+        }
+      }
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      errors.push('Campo active deve ser booleano');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cria regra para o tenant
+   */
+  static async create(tenantId, ruleData) {
+    try {
+      const { event, template_name, template_language = 'pt_BR', variables = [], active = true } = ruleData;
+
+      const result = await query(
+        `INSERT INTO notification_rules (tenant_id, event, template_name, template_language, variables, active)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [tenantId, event, template_name, template_language, JSON.stringify(variables), active]
+      );
+
+      return new NotificationRule(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao criar regra de notificação', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca regra por ID
+   */
+  static async findById(tenantId, id) {
+    try {
+      const result = await query(
+        'SELECT * FROM notification_rules WHERE id = $1 AND tenant_id = $2',
+        [id, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new NotificationRule(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar regra de notificação', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca regra do tenant para o evento (ativa ou não)
+   */
+  static async findByEvent(tenantId, event) {
+    try {
+      const result = await query(
+        'SELECT * FROM notification_rules WHERE tenant_id = $1 AND event = $2',
+        [tenantId, event]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new NotificationRule(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar regra de notificação do evento', { error: error.message, event, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista regras do tenant
+   */
+  static async findByTenant(tenantId) {
+    try {
+      const result = await query(
+        'SELECT * FROM notification_rules WHERE tenant_id = $1 ORDER BY event ASC',
+        [tenantId]
+      );
+
+      return result.rows.map(row => new NotificationRule(row));
+    } catch (error) {
+      logger.error('Erro ao listar regras de notificação', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza template, variáveis ou status da regra
+   */
+  async update(updateData) {
+    try {
+      const { template_name, template_language, variables, active } = updateData;
+
+      const result = await query(
+        `UPDATE notification_rules
+         SET template_name = COALESCE($1, template_name),
+             template_language = COALESCE($2, template_language),
+             variables = COALESCE($3, variables),
+             active = COALESCE($4, active)
+         WHERE id = $5 AND tenant_id = $6
+         RETURNING *`,
+        [
+          template_name,
+          template_language,
+          variables !== undefined ? JSON.stringify(variables) : null,
+          active,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Regra de notificação não encontrada');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atualizar regra de notificação', { error: error.message, ruleId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove regra
+   */
+  async delete() {
+    try {
+      const result = await query(
+        'DELETE FROM notification_rules WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Regra de notificação não encontrada');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Erro ao remover regra de notificação', { error: error.message, ruleId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      event: this.event,
+      template_name: this.template_name,
+      template_language: this.template_language,
+      variables: this.variables,
+      active: this.active,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+NotificationRule.EVENTS = NOTIFICATION_EVENTS;
+NotificationRule.VARIABLES = NOTIFICATION_VARIABLES;
+
+module.exports = NotificationRule;
@@ -0,0 +1,114 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class OdometerReading {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.vehicle_id = data.vehicle_id;
+    this.order_id = data.order_id;
+    this.mileage = data.mileage;
+    this.source = data.source;
+    this.recorded_by = data.recorded_by;
+    this.recorded_at = data.recorded_at;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Valida a quilometragem informada contra a última leitura do veículo
+   */
+  static validate(mileage, latest = null) {
+    const errors = [];
+
+    if (!Number.isInteger(mileage) || mileage < 0) {
+      errors.push('Quilometragem deve ser um número inteiro maior ou igual a zero');
+    } else if (latest && mileage < latest.mileage) {
+      errors.push(`Quilometragem menor que a última leitura (${latest.mileage} km)`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Registra leitura do hodômetro
+   */
+  static async create(tenantId, readingData) {
+    try {
+      const { vehicle_id, order_id, mileage, source = 'manual', recorded_by, recorded_at } = readingData;
+
+      const result = await query(
+        `INSERT INTO odometer_readings (tenant_id, vehicle_id, order_id, mileage, source, recorded_by, recorded_at)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()))
+         RETURNING *`,
+        [tenantId, vehicle_id, order_id || null, mileage, source, recorded_by || null, recorded_at || null]
+      );
+
+      return new OdometerReading(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao registrar leitura de hodômetro', { error: error.message, tenantId, vehicle_id: readingData.vehicle_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Última leitura do veículo
+   */
+  static async latest(tenantId, vehicleId) {
+    try {
+      const result = await query(
+        `SELECT * FROM odometer_readings
+         WHERE vehicle_id = $1 AND tenant_id = $2
+         ORDER BY recorded_at DESC
+         LIMIT 1`,
+        [vehicleId, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new OdometerReading(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar última leitura de hodômetro', { error: error.message, vehicleId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Leituras do veículo, mais recentes primeiro
+   */
+  static async findByVehicle(tenantId, vehicleId, limit = 50) {
+    try {
+      const result = await query(
+        `SELECT * FROM odometer_readings
+         WHERE vehicle_id = $1 AND tenant_id = $2
+         ORDER BY recorded_at DESC
+         LIMIT $3`,
+        [vehicleId, tenantId, limit]
+      );
+
+      return result.rows.map(row => new OdometerReading(row));
+    } catch (error) {
+      logger.error('Erro ao listar leituras de hodômetro', { error: error.message, vehicleId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      vehicle_id: this.vehicle_id,
+      order_id: this.order_id,
+      mileage: this.mileage,
+      source: this.source,
+      recorded_by: this.recorded_by,
+      recorded_at: this.recorded_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = OdometerReading;
@@ -1,4 +1,6 @@
 const { query } = require('../config/database');
+const OrderItem = require('./OrderItem');
+const { plateKey } = require('../utils/plate');
 const logger = require('../utils/logger');
 
 class Order {
@@ -6,26 +8,31 @@ class Order {
     this.id = data.id;
     this.tenant_id = data.tenant_id;
     this.vehicle_id = data.vehicle_id;
+    this.workshop_id = data.workshop_id;
+    this.assigned_to = data.assigned_to;
     this.status = data.status;
     this.estimate_amount = data.estimate_amount;
     this.approved = data.approved;
     this.notes = data.notes;
+    this.erp_id = data.erp_id;
+    this.erp_synced_at = data.erp_synced_at;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
 
   /**
-   * Cria uma nova ordem de serviço
+   * Cria uma nova ordem de serviço (sempre no status inicial awaiting_approval)
    */
-  static async create(tenantId, orderData) {
+  static async create(tenantId, orderData, client = null) {
     try {
-      const { vehicle_id, estimate_amount, status, notes } = orderData;
+      const { vehicle_id, estimate_amount, notes } = orderData;
+      const runner = client || { query };
       
-      const result = await query(
-        `INSERT INTO orders (tenant_id, vehicle_id, estimate_amount, status, notes)
-         VALUES ($1, $2, $3, $4, $5)
+      const result = await runner.query(
+        `INSERT INTO orders (tenant_id, vehicle_id, estimate_amount, notes)
+         VALUES ($1, $2, $3, $4)
          RETURNING *`,
-        [tenantId, vehicle_id, estimate_amount, status || 'awaiting_approval', notes]
+        [tenantId, vehicle_id, estimate_amount, notes]
       );
 
       return new Order(result.rows[0]);
@@ -41,7 +48,7 @@ class Order {
   static async findById(tenantId, orderId) {
     try {
       const result = await query(
-        `SELECT o.*, v.plate, v.code16, v.owner
+        `SELECT o.*, v.plate, v.code16, v.owner, v.customer_id
          FROM orders o
          LEFT JOIN vehicles v ON o.vehicle_id = v.id
          WHERE o.id = $1 AND o.tenant_id = $2`,
@@ -53,21 +60,47 @@ class Order {
       }
 
       const orderData = result.rows[0];
-      return {
-        ...new Order(orderData),
-        vehicle: {
-          id: orderData.vehicle_id,
-          plate: orderData.plate,
-          code16: orderData.code16,
-          owner: orderData.owner
-        }
+      const order = new Order(orderData);
+
+      order.vehicle = {
+        id: orderData.vehicle_id,
+        plate: orderData.plate,
+        code16: orderData.code16,
+        owner: orderData.owner,
+        customer_id: orderData.customer_id
       };
+
+      // Ordens antigas não possuem itens e continuam usando apenas estimate_amount
+      order.items = await OrderItem.findByOrder(tenantId, orderId);
+
+      return order;
     } catch (error) {
       logger.error('Erro ao buscar ordem por ID', { error: error.message, orderId, tenantId });
       throw error;
     }
   }
 
+  /**
+   * Busca ordem pelo ID no ERP (com veículo e itens)
+   */
+  static async findByErpId(tenantId, erpId) {
+    try {
+      const result = await query(
+        'SELECT id FROM orders WHERE tenant_id = $1 AND erp_id = $2',
+        [tenantId, erpId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return Order.findById(tenantId, result.rows[0].id);
+    } catch (error) {
+      logger.error('Erro ao buscar ordem por ID do ERP', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
   /**
    * Lista ordens com paginação e filtros
    */
@@ -91,9 +124,11 @@ class Order {
       }
 
       if (filters.plate) {
-        whereClause += ` AND v.plate ILIKE $${paramIndex}`;
-        params.push(`%${filters.plate}%`);
-        paramIndex++;
+        // Placas são gravadas sem separadores (ABC1234); a placa completa também casa pela chave Mercosul
+        const partial = String(filters.plate).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        whereClause += ` AND (v.plate ILIKE $${paramIndex} OR v.plate_key = $${paramIndex + 1})`;
+        params.push(`%${partial}%`, plateKey(partial));
+        paramIndex += 2;
       }
 
       if (filters.code16) {
@@ -102,6 +137,15 @@ class Order {
         paramIndex++;
       }
 
+      // Responsável pela ordem ou por algum item dela
+      if (filters.assigned_to) {
+        whereClause += ` AND (o.assigned_to = $${paramIndex} OR EXISTS (
+          SELECT 1 FROM order_items i WHERE i.order_id = o.id AND i.assigned_to = $${paramIndex}
+        ))`;
+        params.push(filters.assigned_to);
+        paramIndex++;
+      }
+
       if (filters.min_amount) {
         whereClause += ` AND o.estimate_amount >= $${paramIndex}`;
         params.push(filters.min_amount);
@@ -163,22 +207,22 @@ class Order {
   }
 
   /**
-   * Atualiza ordem
+   * Atualiza ordem.
+   * Status e aprovação só mudam via OrderStateMachine.transition.
    */
   async update(updateData) {
     try {
-      const { status, estimate_amount, approved, notes } = updateData;
+      const { estimate_amount, notes, workshop_id } = updateData;
       
       const result = await query(
         `UPDATE orders 
-         SET status = COALESCE($1, status),
-             estimate_amount = COALESCE($2, estimate_amount),
-             approved = COALESCE($3, approved),
-             notes = COALESCE($4, notes),
+         SET estimate_amount = COALESCE($1, estimate_amount),
+             notes = COALESCE($2, notes),
+             workshop_id = COALESCE($3, workshop_id),
              updated_at = NOW()
-         WHERE id = $5 AND tenant_id = $6
+         WHERE id = $4 AND tenant_id = $5
          RETURNING *`,
-        [status, estimate_amount, approved, notes, this.id, this.tenant_id]
+        [estimate_amount, notes, workshop_id, this.id, this.tenant_id]
       );
 
       if (result.rows.length === 0) {
@@ -193,6 +237,32 @@ class Order {
     }
   }
 
+  /**
+   * Define ou remove (null) o mecânico responsável pela ordem
+   */
+  async assign(userId) {
+    try {
+      const result = await query(
+        `UPDATE orders
+         SET assigned_to = $1,
+             updated_at = NOW()
+         WHERE id = $2 AND tenant_id = $3
+         RETURNING assigned_to, updated_at`,
+        [userId || null, this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Ordem não encontrada');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atribuir responsável da ordem', { error: error.message, orderId: this.id });
+      throw error;
+    }
+  }
+
   /**
    * Remove ordem
    */
@@ -214,6 +284,34 @@ class Order {
     }
   }
 
+  /**
+   * Recalcula estimate_amount a partir dos itens da ordem.
+   * Chamado somente após alterar itens: ao remover o último item o valor passa a zero.
+   * Ordens que nunca tiveram itens não passam por aqui e mantêm o valor informado manualmente.
+   * Aceita um client de transação.
+   */
+  static async recalculateEstimate(tenantId, orderId, client = null) {
+    try {
+      const runner = client || { query };
+      const result = await runner.query(
+        `UPDATE orders
+         SET estimate_amount = GREATEST(
+               (SELECT COALESCE(SUM(total_amount), 0) FROM order_items WHERE order_id = $1 AND tenant_id = $2),
+               0
+             ),
+             updated_at = NOW()
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING estimate_amount`,
+        [orderId, tenantId]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].estimate_amount : null;
+    } catch (error) {
+      logger.error('Erro ao recalcular valor estimado da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    }
+  }
+
   /**
    * Busca ordens por veículo
    */
@@ -231,6 +329,68 @@ class Order {
     }
   }
 
+  /**
+   * Busca ordens em aberto (não concluídas nem canceladas) dos veículos
+   */
+  static async findOpenByVehicles(tenantId, vehicleIds) {
+    try {
+      if (vehicleIds.length === 0) {
+        return [];
+      }
+
+      const result = await query(
+        `SELECT * FROM orders
+         WHERE tenant_id = $1 AND vehicle_id = ANY($2)
+           AND status NOT IN ('completed', 'cancelled')
+         ORDER BY created_at DESC`,
+        [tenantId, vehicleIds]
+      );
+
+      return result.rows.map(row => new Order(row));
+    } catch (error) {
+      logger.error('Erro ao buscar ordens em aberto dos veículos', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Ordens em aberto atribuídas aos mecânicos, diretamente ou por algum item
+   */
+  static async findOpenAssignments(tenantId, userIds) {
+    try {
+      if (userIds.length === 0) {
+        return [];
+      }
+
+      const result = await query(
+        `SELECT a.user_id, o.id AS order_id, o.status, o.workshop_id, v.plate,
+                (o.assigned_to = a.user_id) AS assigned_order,
+                (SELECT COUNT(*) FROM order_items i WHERE i.order_id = o.id AND i.assigned_to = a.user_id) AS assigned_items
+         FROM (
+           SELECT assigned_to AS user_id, id AS order_id FROM orders
+           WHERE tenant_id = $1 AND assigned_to = ANY($2)
+           UNION
+           SELECT assigned_to AS user_id, order_id FROM order_items
+           WHERE tenant_id = $1 AND assigned_to = ANY($2)
+         ) a
+         JOIN orders o ON o.id = a.order_id
+         LEFT JOIN vehicles v ON v.id = o.vehicle_id
+         WHERE o.status NOT IN ('completed', 'cancelled')
+         ORDER BY o.created_at ASC`,
+        [tenantId, userIds]
+      );
+
+      return result.rows.map(row => ({
+        ...row,
+        assigned_order: Boolean(row.assigned_order),
+        assigned_items: parseInt(row.assigned_items)
+      }));
+    } catch (error) {
+      logger.error('Erro ao buscar ordens atribuídas aos mecânicos', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
   /**
    * Estatísticas de conversão
    */
@@ -273,17 +433,30 @@ class Order {
    * Converte para objeto JSON
    */
   toJSON() {
-    return {
+    const json = {
       id: this.id,
       tenant_id: this.tenant_id,
       vehicle_id: this.vehicle_id,
+      workshop_id: this.workshop_id,
+      assigned_to: this.assigned_to,
       status: this.status,
       estimate_amount: this.estimate_amount,
       approved: this.approved,
       notes: this.notes,
+      erp_id: this.erp_id,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
+
+    if (this.vehicle) {
+      json.vehicle = this.vehicle;
+    }
+
+    if (this.items) {
+      json.items = this.items.map(item => item.toJSON());
+    }
+
+    return json;
   }
 }
 
@@ -0,0 +1,237 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const ITEM_TYPES = ['part', 'labor', 'fee', 'discount'];
+
+class OrderItem {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.order_id = data.order_id;
+    this.type = data.type;
+    this.description = data.description;
+    this.quantity = data.quantity;
+    this.unit_price = data.unit_price;
+    this.tax_rate = data.tax_rate;
+    this.total_amount = data.total_amount;
+    this.position = data.position;
+    this.assigned_to = data.assigned_to;
+    this.part_id = data.part_id;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Calcula o total do item com impostos (descontos são negativos)
+   */
+  static calculateTotal({ type, quantity, unit_price, tax_rate }) {
+    const gross = Number(quantity) * Number(unit_price) * (1 + (Number(tax_rate) || 0) / 100);
+    const total = Math.round(gross * 100) / 100;
+
+    return type === 'discount' ? -total : total;
+  }
+
+  /**
+   * Valida os dados de um item
+   */
+  static validate(itemData, partial = false) {
+    const errors = [];
+    const { type, description, quantity, unit_price, tax_rate } = itemData;
+
+    if (!partial || type !== undefined) {
+      if (!ITEM_TYPES.includes(type)) {
+        errors.push(`Tipo do item deve ser um de: ${ITEM_TYPES.join(', ')}`);
+      }
+    }
+
+    if (!partial || description !== undefined) {
+      if (!description || String(description).trim().length === 0) {
+        errors.push('Descrição do item é obrigatória');
+      }
+    }
+
+    if (quantity !== undefined && !(Number(quantity) > 0)) {
+      errors.push('Quantidade deve ser maior que zero');
+    }
+
+    if (!partial || unit_price !== undefined) {
+      if (unit_price === undefined || isNaN(Number(unit_price)) || Number(unit_price) < 0) {
+        errors.push('Preço unitário deve ser maior ou igual a zero');
+      }
+    }
+
+    if (tax_rate !== undefined && (isNaN(Number(tax_rate)) || Number(tax_rate) < 0 || Number(tax_rate) > 100)) {
+      errors.push('Alíquota de imposto deve estar entre 0 e 100');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cria um novo item na ordem.
+   * Aceita um client de transação.
+   */
+  static async create(tenantId, orderId, itemData, client = null) {
+    try {
+      const runner = client || { query };
+      const { type, description, quantity = 1, unit_price, tax_rate = 0, position = 0, assigned_to, part_id } = itemData;
+      const total_amount = OrderItem.calculateTotal({ type, quantity, unit_price, tax_rate });
+
+      const result = await runner.query(
+        `INSERT INTO order_items (
+           tenant_id, order_id, type, description, quantity, unit_price, tax_rate, total_amount, position, assigned_to, part_id
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [tenantId, orderId, type, description, quantity, unit_price, tax_rate, total_amount, position, assigned_to || null, part_id || null]
+      );
+
+      return new OrderItem(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao criar item da ordem', { error: error.message, tenantId, orderId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca item por ID
+   */
+  static async findById(tenantId, orderId, itemId) {
+    try {
+      const result = await query(
+        'SELECT * FROM order_items WHERE id = $1 AND order_id = $2 AND tenant_id = $3',
+        [itemId, orderId, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new OrderItem(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar item da ordem', { error: error.message, itemId, orderId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista itens de uma ordem
+   */
+  static async findByOrder(tenantId, orderId) {
+    try {
+      const result = await query(
+        `SELECT * FROM order_items
+         WHERE order_id = $1 AND tenant_id = $2
+         ORDER BY position ASC, created_at ASC`,
+        [orderId, tenantId]
+      );
+
+      return result.rows.map(row => new OrderItem(row));
+    } catch (error) {
+      logger.error('Erro ao listar itens da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza item e recalcula seu total
+   */
+  async update(updateData) {
+    try {
+      const merged = {
+        type: updateData.type !== undefined ? updateData.type : this.type,
+        quantity: updateData.quantity !== undefined ? updateData.quantity : this.quantity,
+        unit_price: updateData.unit_price !== undefined ? updateData.unit_price : this.unit_price,
+        tax_rate: updateData.tax_rate !== undefined ? updateData.tax_rate : this.tax_rate,
+        assigned_to: updateData.assigned_to !== undefined ? updateData.assigned_to : this.assigned_to,
+        part_id: updateData.part_id !== undefined ? updateData.part_id : this.part_id
+      };
+      const total_amount = OrderItem.calculateTotal(merged);
+
+      const result = await query(
+        `UPDATE order_items
+         SET type = $1,
+             description = COALESCE($2, description),
+             quantity = $3,
+             unit_price = $4,
+             tax_rate = $5,
+             total_amount = $6,
+             position = COALESCE($7, position),
+             assigned_to = $8,
+             part_id = $9,
+             updated_at = NOW()
+         WHERE id = $10 AND tenant_id = $11
+         RETURNING *`,
+        [
+          merged.type,
+          updateData.description,
+          merged.quantity,
+          merged.unit_price,
+          merged.tax_rate,
+          total_amount,
+          updateData.position,
+          merged.assigned_to || null,
+          merged.part_id || null,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Item da ordem não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atualizar item da ordem', { error: error.message, itemId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove item
+   */
+  async delete() {
+    try {
+      const result = await query(
+        'DELETE FROM order_items WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Item da ordem não encontrado');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Erro ao remover item da ordem', { error: error.message, itemId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      order_id: this.order_id,
+      type: this.type,
+      description: this.description,
+      quantity: this.quantity,
+      unit_price: this.unit_price,
+      tax_rate: this.tax_rate,
+      total_amount: this.total_amount,
+      position: this.position,
+      assigned_to: this.assigned_to,
+      part_id: this.part_id,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+OrderItem.TYPES = ITEM_TYPES;
+
+module.exports = OrderItem;
@@ -0,0 +1,78 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class OrderStatusHistory {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.order_id = data.order_id;
+    this.from_status = data.from_status;
+    this.to_status = data.to_status;
+    this.actor_type = data.actor_type;
+    this.actor_id = data.actor_id;
+    this.reason = data.reason;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Registra uma transição de status.
+   * Aceita um client de transação para gravar junto com a alteração da ordem.
+   */
+  static async create(tenantId, historyData, client = null) {
+    try {
+      const { order_id, from_status, to_status, actor = {}, reason } = historyData;
+      const runner = client || { query };
+
+      const result = await runner.query(
+        `INSERT INTO order_status_history (tenant_id, order_id, from_status, to_status, actor_type, actor_id, reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [tenantId, order_id, from_status || null, to_status, actor.type || 'user', actor.id || null, reason || null]
+      );
+
+      return new OrderStatusHistory(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao registrar histórico de status', { error: error.message, tenantId, order_id: historyData.order_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista o histórico de uma ordem em ordem cronológica
+   */
+  static async findByOrder(tenantId, orderId) {
+    try {
+      const result = await query(
+        `SELECT * FROM order_status_history
+         WHERE order_id = $1 AND tenant_id = $2
+         ORDER BY created_at ASC`,
+        [orderId, tenantId]
+      );
+
+      return result.rows.map(row => new OrderStatusHistory(row));
+    } catch (error) {
+      logger.error('Erro ao buscar histórico de status', { error: error.message, orderId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      order_id: this.order_id,
+      from_status: this.from_status,
+      to_status: this.to_status,
+      actor: {
+        type: this.actor_type,
+        id: this.actor_id
+      },
+      reason: this.reason,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = OrderStatusHistory;
@@ -0,0 +1,186 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class OrderTimeEntry {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.order_id = data.order_id;
+    this.order_item_id = data.order_item_id;
+    this.user_id = data.user_id;
+    this.started_at = data.started_at;
+    this.ended_at = data.ended_at;
+    this.notes = data.notes;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.user_name = data.user_name;
+  }
+
+  /**
+   * Minutos trabalhados (até agora, se o apontamento estiver aberto)
+   */
+  get duration_minutes() {
+    const end = this.ended_at ? new Date(this.ended_at) : new Date();
+    return Math.max(0, Math.round((end - new Date(this.started_at)) / 60000));
+  }
+
+  /**
+   * Abre um apontamento (entrada).
+   * O índice único de apontamentos abertos impede duas entradas simultâneas do mesmo mecânico.
+   */
+  static async clockIn(tenantId, entryData) {
+    try {
+      const { order_id, order_item_id, user_id, notes } = entryData;
+
+      const result = await query(
+        `INSERT INTO order_time_entries (tenant_id, order_id, order_item_id, user_id, notes)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [tenantId, order_id, order_item_id || null, user_id, notes || null]
+      );
+
+      return new OrderTimeEntry(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao abrir apontamento de horas', { error: error.message, tenantId, order_id: entryData.order_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Apontamento aberto do mecânico, em qualquer ordem
+   */
+  static async findOpenByUser(tenantId, userId) {
+    try {
+      const result = await query(
+        `SELECT * FROM order_time_entries
+         WHERE tenant_id = $1 AND user_id = $2 AND ended_at IS NULL`,
+        [tenantId, userId]
+      );
+
+      return result.rows.length > 0 ? new OrderTimeEntry(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Erro ao buscar apontamento aberto', { error: error.message, tenantId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista apontamentos da ordem
+   */
+  static async findByOrder(tenantId, orderId) {
+    try {
+      const result = await query(
+        `SELECT e.*, u.name AS user_name
+         FROM order_time_entries e
+         JOIN users u ON u.id = e.user_id
+         WHERE e.order_id = $1 AND e.tenant_id = $2
+         ORDER BY e.started_at ASC`,
+        [orderId, tenantId]
+      );
+
+      return result.rows.map(row => new OrderTimeEntry(row));
+    } catch (error) {
+      logger.error('Erro ao listar apontamentos da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Encerra todos os apontamentos abertos da ordem (ordem concluída ou cancelada)
+   */
+  static async closeOpenByOrder(tenantId, orderId) {
+    try {
+      const result = await query(
+        `UPDATE order_time_entries
+         SET ended_at = NOW()
+         WHERE order_id = $1 AND tenant_id = $2 AND ended_at IS NULL
+         RETURNING id`,
+        [orderId, tenantId]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Erro ao encerrar apontamentos da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Minutos trabalhados por mecânico no período (apontamentos abertos contam até agora)
+   */
+  static async minutesByUser(tenantId, userIds, from, to) {
+    try {
+      if (userIds.length === 0) {
+        return {};
+      }
+
+      const result = await query(
+        `SELECT user_id,
+                SUM(EXTRACT(EPOCH FROM (
+                  LEAST(COALESCE(ended_at, NOW()), $4) - GREATEST(started_at, $3)
+                )) / 60) AS minutes
+         FROM order_time_entries
+         WHERE tenant_id = $1 AND user_id = ANY($2)
+           AND started_at < $4 AND COALESCE(ended_at, NOW()) > $3
+         GROUP BY user_id`,
+        [tenantId, userIds, from, to]
+      );
+
+      const minutes = {};
+      for (const row of result.rows) {
+        minutes[row.user_id] = Math.round(parseFloat(row.minutes) || 0);
+      }
+      return minutes;
+    } catch (error) {
+      logger.error('Erro ao somar horas apontadas', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Encerra o apontamento (saída)
+   */
+  async clockOut(notes) {
+    try {
+      const result = await query(
+        `UPDATE order_time_entries
+         SET ended_at = NOW(),
+             notes = COALESCE($1, notes)
+         WHERE id = $2 AND tenant_id = $3 AND ended_at IS NULL
+         RETURNING *`,
+        [notes || null, this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Apontamento aberto não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao encerrar apontamento de horas', { error: error.message, entryId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      order_id: this.order_id,
+      order_item_id: this.order_item_id,
+      user_id: this.user_id,
+      user_name: this.user_name,
+      started_at: this.started_at,
+      ended_at: this.ended_at,
+      duration_minutes: this.duration_minutes,
+      notes: this.notes,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = OrderTimeEntry;
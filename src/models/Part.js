@@ -0,0 +1,251 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class Part {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.sku = data.sku;
+    this.description = data.description;
+    this.unit = data.unit;
+    this.cost = data.cost;
+    this.price = data.price;
+    this.supplier = data.supplier;
+    this.active = data.active;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Normaliza o SKU: sem espaços nas pontas e em maiúsculas
+   */
+  static normalizeSku(sku) {
+    return String(sku).trim().toUpperCase();
+  }
+
+  /**
+   * Valida os dados de uma peça
+   */
+  static validate(partData, partial = false) {
+    const errors = [];
+    const { sku, description, unit, cost, price } = partData;
+
+    if (!partial || sku !== undefined) {
+      if (!sku || !String(sku).trim()) {
+        errors.push('SKU é obrigatório');
+      } else if (String(sku).trim().length > 60) {
+        errors.push('SKU deve ter no máximo 60 caracteres');
+      }
+    }
+
+    if (!partial || description !== undefined) {
+      if (!description || !String(description).trim()) {
+        errors.push('Descrição da peça é obrigatória');
+      }
+    }
+
+    if (unit !== undefined && (!unit || String(unit).length > 10)) {
+      errors.push('Unidade deve ter entre 1 e 10 caracteres');
+    }
+
+    for (const [field, value] of [['cost', cost], ['price', price]]) {
+      if (value !== undefined && (value === null || isNaN(Number(value)) || Number(value) < 0)) {
+        errors.push(`Campo ${field} deve ser maior ou igual a zero`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cria peça no catálogo
+   */
+  static async create(tenantId, partData) {
+    try {
+      const { sku, description, unit = 'un', cost = 0, price = 0, supplier } = partData;
+
+      const result = await query(
+        `INSERT INTO parts (tenant_id, sku, description, unit, cost, price, supplier)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [tenantId, Part.normalizeSku(sku), description.trim(), unit, cost, price, supplier || null]
+      );
+
+      return new Part(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao criar peça', { error: error.message, tenantId, sku: partData.sku });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca peça por ID (IDs fora do formato UUID não existem)
+   */
+  static async findById(tenantId, id) {
+    try {
+      if (!UUID_PATTERN.test(String(id))) {
+        return null;
+      }
+
+      const result = await query(
+        'SELECT * FROM parts WHERE id = $1 AND tenant_id = $2',
+        [id, tenantId]
+      );
+
+      return result.rows.length > 0 ? new Part(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Erro ao buscar peça', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca peça pelo SKU
+   */
+  static async findBySku(tenantId, sku) {
+    try {
+      const result = await query(
+        'SELECT * FROM parts WHERE tenant_id = $1 AND sku = $2',
+        [tenantId, Part.normalizeSku(sku)]
+      );
+
+      return result.rows.length > 0 ? new Part(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Erro ao buscar peça por SKU', { error: error.message, tenantId, sku });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista peças com busca por SKU/descrição e paginação
+   */
+  static async list(tenantId, filters = {}, page = 1, limit = 50) {
+    try {
+      let whereClause = 'WHERE tenant_id = $1';
+      let params = [tenantId];
+      let paramIndex = 2;
+
+      if (filters.q) {
+        whereClause += ` AND (sku ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`;
+        params.push(`%${filters.q}%`);
+        paramIndex++;
+      }
+
+      if (filters.supplier) {
+        whereClause += ` AND supplier ILIKE $${paramIndex}`;
+        params.push(`%${filters.supplier}%`);
+        paramIndex++;
+      }
+
+      if (filters.active !== undefined) {
+        whereClause += ` AND active = $${paramIndex}`;
+        params.push(filters.active);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM parts ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `SELECT * FROM parts
+         ${whereClause}
+         ORDER BY description ASC, sku ASC
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        parts: result.rows.map(row => new Part(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar peças', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza peça
+   */
+  async update(updateData) {
+    try {
+      const { sku, description, unit, cost, price, supplier, active } = updateData;
+
+      const result = await query(
+        `UPDATE parts
+         SET sku = COALESCE($1, sku),
+             description = COALESCE($2, description),
+             unit = COALESCE($3, unit),
+             cost = COALESCE($4, cost),
+             price = COALESCE($5, price),
+             supplier = CASE WHEN $6::boolean THEN $7 ELSE supplier END,
+             active = COALESCE($8, active)
+         WHERE id = $9 AND tenant_id = $10
+         RETURNING *`,
+        [
+          sku !== undefined ? Part.normalizeSku(sku) : null,
+          description !== undefined ? description.trim() : null,
+          unit,
+          cost,
+          price,
+          supplier !== undefined,
+          supplier || null,
+          active,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Peça não encontrada');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atualizar peça', { error: error.message, partId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Desativa a peça (o histórico de estoque e os itens das ordens são mantidos)
+   */
+  async deactivate() {
+    return this.update({ active: false });
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      sku: this.sku,
+      description: this.description,
+      unit: this.unit,
+      cost: this.cost,
+      price: this.price,
+      supplier: this.supplier,
+      active: this.active,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Part;
@@ -0,0 +1,209 @@
+const { query } = require('../config/database');
+const Part = require('./Part');
+const logger = require('../utils/logger');
+
+// Saldo com a quantidade reservada pelas ordens aprovadas (reservas ativas)
+const STOCK_SELECT = `
+  SELECT s.workshop_id, s.quantity, s.min_quantity, s.location, s.updated_at AS stock_updated_at,
+         COALESCE(r.reserved, 0) AS reserved,
+         s.quantity - COALESCE(r.reserved, 0) AS available,
+         p.*
+  FROM part_stock s
+  JOIN parts p ON p.id = s.part_id
+  LEFT JOIN (
+    SELECT part_id, SUM(quantity) AS reserved
+    FROM stock_reservations
+    WHERE workshop_id = $2 AND status = 'reserved'
+    GROUP BY part_id
+  ) r ON r.part_id = s.part_id`;
+
+/**
+ * Saldo de uma peça em uma oficina
+ */
+class PartStock {
+  constructor(data) {
+    this.workshop_id = data.workshop_id;
+    this.part = new Part(data);
+    this.quantity = Number(data.quantity);
+    this.reserved = Number(data.reserved);
+    this.available = Number(data.available);
+    this.min_quantity = Number(data.min_quantity);
+    this.location = data.location;
+    this.updated_at = data.stock_updated_at;
+  }
+
+  /**
+   * Saldo da peça na oficina, ou null se nunca movimentada
+   */
+  static async find(tenantId, workshopId, partId) {
+    try {
+      const result = await query(
+        `${STOCK_SELECT}
+         WHERE s.tenant_id = $1 AND s.workshop_id = $2 AND s.part_id = $3`,
+        [tenantId, workshopId, partId]
+      );
+
+      return result.rows.length > 0 ? new PartStock(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Erro ao buscar saldo da peça', { error: error.message, tenantId, workshopId, partId });
+      throw error;
+    }
+  }
+
+  /**
+   * Saldos das peças informadas na oficina (peças nunca movimentadas não aparecem)
+   */
+  static async findByParts(tenantId, workshopId, partIds) {
+    try {
+      const result = await query(
+        `${STOCK_SELECT}
+         WHERE s.tenant_id = $1 AND s.workshop_id = $2 AND s.part_id = ANY($3::uuid[])`,
+        [tenantId, workshopId, partIds]
+      );
+
+      return result.rows.map(row => new PartStock(row));
+    } catch (error) {
+      logger.error('Erro ao buscar saldos das peças', { error: error.message, tenantId, workshopId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista o estoque da oficina com busca e paginação
+   */
+  static async listByWorkshop(tenantId, workshopId, filters = {}, page = 1, limit = 50) {
+    try {
+      let whereClause = 'WHERE s.tenant_id = $1 AND s.workshop_id = $2';
+      let params = [tenantId, workshopId];
+      let paramIndex = 3;
+
+      if (filters.q) {
+        whereClause += ` AND (p.sku ILIKE $${paramIndex} OR p.description ILIKE $${paramIndex})`;
+        params.push(`%${filters.q}%`);
+        paramIndex++;
+      }
+
+      if (filters.active !== undefined) {
+        whereClause += ` AND p.active = $${paramIndex}`;
+        params.push(filters.active);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM part_stock s JOIN parts p ON p.id = s.part_id ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `${STOCK_SELECT}
+         ${whereClause}
+         ORDER BY p.description ASC, p.sku ASC
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        items: result.rows.map(row => new PartStock(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar estoque da oficina', { error: error.message, tenantId, workshopId });
+      throw error;
+    }
+  }
+
+  /**
+   * Peças ativas com saldo disponível (descontadas as reservas) no estoque mínimo ou abaixo dele,
+   * ou negativo. Ordenadas pela maior falta.
+   */
+  static async findLowStock(tenantId, workshopId) {
+    try {
+      const result = await query(
+        `SELECT * FROM (
+           ${STOCK_SELECT}
+           WHERE s.tenant_id = $1 AND s.workshop_id = $2 AND p.active = true
+         ) stock
+         WHERE (min_quantity > 0 AND available <= min_quantity) OR available < 0
+         ORDER BY min_quantity - available DESC, description ASC`,
+        [tenantId, workshopId]
+      );
+
+      return result.rows.map(row => new PartStock(row));
+    } catch (error) {
+      logger.error('Erro ao buscar peças com estoque baixo', { error: error.message, tenantId, workshopId });
+      throw error;
+    }
+  }
+
+  /**
+   * Garante o registro de saldo (zerado) da peça na oficina.
+   * Aceita um client de transação.
+   */
+  static async ensure(tenantId, workshopId, partId, client = null) {
+    const runner = client || { query };
+
+    await runner.query(
+      `INSERT INTO part_stock (tenant_id, workshop_id, part_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (workshop_id, part_id) DO NOTHING`,
+      [tenantId, workshopId, partId]
+    );
+  }
+
+  /**
+   * Define estoque mínimo e localização da peça na oficina
+   */
+  static async configure(tenantId, workshopId, partId, { min_quantity, location }) {
+    try {
+      await PartStock.ensure(tenantId, workshopId, partId);
+
+      await query(
+        `UPDATE part_stock
+         SET min_quantity = COALESCE($1, min_quantity),
+             location = CASE WHEN $2::boolean THEN $3 ELSE location END
+         WHERE tenant_id = $4 AND workshop_id = $5 AND part_id = $6`,
+        [min_quantity, location !== undefined, location || null, tenantId, workshopId, partId]
+      );
+
+      return PartStock.find(tenantId, workshopId, partId);
+    } catch (error) {
+      logger.error('Erro ao configurar estoque da peça', { error: error.message, tenantId, workshopId, partId });
+      throw error;
+    }
+  }
+
+  /**
+   * Quantidade que falta para voltar ao estoque mínimo
+   */
+  get shortage() {
+    return Math.max(0, Math.round((this.min_quantity - this.available) * 1000) / 1000);
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      workshop_id: this.workshop_id,
+      part: this.part.toJSON(),
+      quantity: this.quantity,
+      reserved: this.reserved,
+      available: this.available,
+      min_quantity: this.min_quantity,
+      location: this.location,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = PartStock;
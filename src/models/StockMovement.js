@@ -0,0 +1,186 @@
+const { query, getClient } = require('../config/database');
+const PartStock = require('./PartStock');
+const logger = require('../utils/logger');
+
+// purchase e adjustment são lançados pela API; consumption vem da conclusão das ordens
+const MOVEMENT_TYPES = ['purchase', 'adjustment', 'consumption'];
+
+class StockMovement {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.workshop_id = data.workshop_id;
+    this.part_id = data.part_id;
+    this.type = data.type;
+    this.quantity = Number(data.quantity);
+    this.unit_cost = data.unit_cost;
+    this.balance = Number(data.balance);
+    this.order_id = data.order_id;
+    this.order_item_id = data.order_item_id;
+    this.notes = data.notes;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+
+    if (data.sku) {
+      this.part = { id: data.part_id, sku: data.sku, description: data.description };
+    }
+  }
+
+  /**
+   * Lança a movimentação e atualiza o saldo da peça na oficina.
+   * Quantidade positiva é entrada e negativa é saída. Aceita um client de transação.
+   */
+  static async record(tenantId, movementData, client = null) {
+    const ownClient = client ? null : await getClient();
+    const runner = client || ownClient;
+
+    try {
+      if (ownClient) await ownClient.query('BEGIN');
+
+      const {
+        workshop_id, part_id, type, quantity, unit_cost, order_id, order_item_id, notes, created_by
+      } = movementData;
+
+      await PartStock.ensure(tenantId, workshop_id, part_id, runner);
+
+      const stock = await runner.query(
+        `UPDATE part_stock
+         SET quantity = quantity + $1
+         WHERE tenant_id = $2 AND workshop_id = $3 AND part_id = $4
+         RETURNING quantity`,
+        [quantity, tenantId, workshop_id, part_id]
+      );
+
+      const result = await runner.query(
+        `INSERT INTO stock_movements (
+           tenant_id, workshop_id, part_id, type, quantity, unit_cost, balance,
+           order_id, order_item_id, notes, created_by
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          tenantId,
+          workshop_id,
+          part_id,
+          type,
+          quantity,
+          unit_cost ?? null,
+          stock.rows[0].quantity,
+          order_id || null,
+          order_item_id || null,
+          notes || null,
+          created_by || null
+        ]
+      );
+
+      if (ownClient) await ownClient.query('COMMIT');
+
+      return new StockMovement(result.rows[0]);
+    } catch (error) {
+      if (ownClient) await ownClient.query('ROLLBACK');
+      logger.error('Erro ao lançar movimentação de estoque', { error: error.message, tenantId, part_id: movementData.part_id });
+      throw error;
+    } finally {
+      if (ownClient) ownClient.release();
+    }
+  }
+
+  /**
+   * Lista movimentações da oficina, mais recentes primeiro
+   */
+  static async list(tenantId, workshopId, filters = {}, page = 1, limit = 50) {
+    try {
+      let whereClause = 'WHERE m.tenant_id = $1 AND m.workshop_id = $2';
+      let params = [tenantId, workshopId];
+      let paramIndex = 3;
+
+      if (filters.part_id) {
+        whereClause += ` AND m.part_id = $${paramIndex}`;
+        params.push(filters.part_id);
+        paramIndex++;
+      }
+
+      if (filters.type) {
+        whereClause += ` AND m.type = $${paramIndex}`;
+        params.push(filters.type);
+        paramIndex++;
+      }
+
+      if (filters.order_id) {
+        whereClause += ` AND m.order_id = $${paramIndex}`;
+        params.push(filters.order_id);
+        paramIndex++;
+      }
+
+      if (filters.from) {
+        whereClause += ` AND m.created_at >= $${paramIndex}`;
+        params.push(filters.from);
+        paramIndex++;
+      }
+
+      if (filters.to) {
+        whereClause += ` AND m.created_at < $${paramIndex}`;
+        params.push(filters.to);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM stock_movements m ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `SELECT m.*, p.sku, p.description
+         FROM stock_movements m
+         JOIN parts p ON p.id = m.part_id
+         ${whereClause}
+         ORDER BY m.created_at DESC
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        movements: result.rows.map(row => new StockMovement(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar movimentações de estoque', { error: error.message, tenantId, workshopId });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      workshop_id: this.workshop_id,
+      part_id: this.part_id,
+      part: this.part,
+      type: this.type,
+      quantity: this.quantity,
+      unit_cost: this.unit_cost,
+      balance: this.balance,
+      order_id: this.order_id,
+      order_item_id: this.order_item_id,
+      notes: this.notes,
+      created_by: this.created_by,
+      created_at: this.created_at
+    };
+  }
+}
+
+StockMovement.TYPES = MOVEMENT_TYPES;
+
+module.exports = StockMovement;
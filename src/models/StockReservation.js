@@ -0,0 +1,182 @@
+const { query, getClient } = require('../config/database');
+const PartStock = require('./PartStock');
+const StockMovement = require('./StockMovement');
+const logger = require('../utils/logger');
+
+const STATUSES = ['reserved', 'consumed', 'released'];
+
+/**
+ * Reserva de estoque de um item (com peça) de ordem aprovada
+ */
+class StockReservation {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.workshop_id = data.workshop_id;
+    this.part_id = data.part_id;
+    this.order_id = data.order_id;
+    this.order_item_id = data.order_item_id;
+    this.quantity = Number(data.quantity);
+    this.status = data.status;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Reservas da ordem
+   */
+  static async findByOrder(tenantId, orderId) {
+    try {
+      const result = await query(
+        `SELECT * FROM stock_reservations
+         WHERE order_id = $1 AND tenant_id = $2
+         ORDER BY created_at ASC`,
+        [orderId, tenantId]
+      );
+
+      return result.rows.map(row => new StockReservation(row));
+    } catch (error) {
+      logger.error('Erro ao buscar reservas da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Ajusta as reservas da ordem aos itens atuais: reserva os itens com peça (quantidade, peça e
+   * oficina atualizadas) e libera as reservas de itens que deixaram de ter peça.
+   * Reservas já consumidas não mudam.
+   */
+  static async syncOrder(tenantId, orderId, workshopId) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const items = await client.query(
+        `SELECT id, part_id, quantity FROM order_items
+         WHERE order_id = $1 AND tenant_id = $2 AND part_id IS NOT NULL`,
+        [orderId, tenantId]
+      );
+
+      for (const item of items.rows) {
+        await PartStock.ensure(tenantId, workshopId, item.part_id, client);
+
+        await client.query(
+          `INSERT INTO stock_reservations (tenant_id, workshop_id, part_id, order_id, order_item_id, quantity)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (order_item_id) DO UPDATE SET
+             workshop_id = EXCLUDED.workshop_id,
+             part_id = EXCLUDED.part_id,
+             quantity = EXCLUDED.quantity,
+             status = 'reserved'
+           WHERE stock_reservations.status <> 'consumed'`,
+          [tenantId, workshopId, item.part_id, orderId, item.id, item.quantity]
+        );
+      }
+
+      await client.query(
+        `UPDATE stock_reservations
+         SET status = 'released'
+         WHERE order_id = $1 AND tenant_id = $2 AND status = 'reserved'
+           AND NOT (order_item_id = ANY($3::uuid[]))`,
+        [orderId, tenantId, items.rows.map(item => item.id)]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Erro ao sincronizar reservas da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return StockReservation.findByOrder(tenantId, orderId);
+  }
+
+  /**
+   * Libera as reservas ativas da ordem. Retorna quantas foram liberadas.
+   */
+  static async releaseOrder(tenantId, orderId) {
+    try {
+      const result = await query(
+        `UPDATE stock_reservations
+         SET status = 'released'
+         WHERE order_id = $1 AND tenant_id = $2 AND status = 'reserved'`,
+        [orderId, tenantId]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Erro ao liberar reservas da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Baixa as reservas ativas da ordem: lança o consumo de cada peça e marca a reserva como consumida
+   */
+  static async consumeOrder(tenantId, orderId) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const reservations = await client.query(
+        `SELECT * FROM stock_reservations
+         WHERE order_id = $1 AND tenant_id = $2 AND status = 'reserved'
+         FOR UPDATE`,
+        [orderId, tenantId]
+      );
+
+      const movements = [];
+      for (const reservation of reservations.rows) {
+        movements.push(await StockMovement.record(tenantId, {
+          workshop_id: reservation.workshop_id,
+          part_id: reservation.part_id,
+          type: 'consumption',
+          quantity: -Number(reservation.quantity),
+          order_id: orderId,
+          order_item_id: reservation.order_item_id
+        }, client));
+      }
+
+      await client.query(
+        `UPDATE stock_reservations
+         SET status = 'consumed'
+         WHERE id = ANY($1::uuid[])`,
+        [reservations.rows.map(reservation => reservation.id)]
+      );
+
+      await client.query('COMMIT');
+      return movements;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Erro ao consumir reservas da ordem', { error: error.message, orderId, tenantId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      workshop_id: this.workshop_id,
+      part_id: this.part_id,
+      order_id: this.order_id,
+      order_item_id: this.order_item_id,
+      quantity: this.quantity,
+      status: this.status,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+StockReservation.STATUSES = STATUSES;
+
+module.exports = StockReservation;
@@ -0,0 +1,441 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const CATEGORIES = ['utility', 'marketing', 'authentication'];
+const STATUSES = ['pending', 'approved', 'rejected'];
+const HEADER_TYPES = ['text', 'image', 'document', 'video'];
+const BUTTON_SUB_TYPES = ['url', 'quick_reply'];
+
+// Mudanças de status permitidas (aprovação/rejeição vêm da análise da Meta)
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['pending'],
+  rejected: ['pending']
+};
+
+// Campos cujo conteúdo exige nova aprovação quando alterados
+const CONTENT_FIELDS = ['category', 'header', 'body', 'footer', 'buttons', 'parameters'];
+
+class Template {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.name = data.name;
+    this.category = data.category;
+    this.language = data.language;
+    this.status = data.status;
+    this.header = data.header;
+    this.body = data.body;
+    this.footer = data.footer;
+    this.buttons = data.buttons;
+    this.parameters = data.parameters || {};
+    this.rejection_reason = data.rejection_reason;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Retorna os números dos placeholders {{n}} presentes no texto
+   */
+  static placeholders(text) {
+    const numbers = new Set();
+    for (const match of String(text || '').matchAll(/\{\{(\d+)\}\}/g)) {
+      numbers.add(Number(match[1]));
+    }
+    return [...numbers].sort((a, b) => a - b);
+  }
+
+  /**
+   * Valida os dados do template e a coerência entre texto e parâmetros
+   */
+  static validate(templateData, partial = false) {
+    const errors = [];
+    const { name, category, language, header, body, buttons, parameters = {} } = templateData;
+
+    if (!partial || name !== undefined) {
+      if (!name || !/^[a-z0-9_]{1,100}$/.test(name)) {
+        errors.push('Nome deve conter apenas letras minúsculas, números e _ (até 100 caracteres)');
+      }
+    }
+
+    if (category !== undefined && !CATEGORIES.includes(category)) {
+      errors.push(`Categoria deve ser uma de: ${CATEGORIES.join(', ')}`);
+    }
+
+    if (language !== undefined && !/^[a-z]{2}(_[A-Z]{2})?$/.test(language)) {
+      errors.push('Idioma deve estar no formato pt_BR');
+    }
+
+    if (!partial || body !== undefined) {
+      if (!body || String(body).trim().length === 0) {
+        errors.push('Corpo do template é obrigatório');
+      } else if (String(body).length > 1024) {
+        errors.push('Corpo do template deve ter no máximo 1024 caracteres');
+      }
+    }
+
+    if (buttons !== undefined && buttons !== null && !Array.isArray(buttons)) {
+      errors.push('Botões devem ser uma lista');
+    }
+
+    if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+      errors.push('Parâmetros devem ser um objeto com header, body e buttons');
+      return errors;
+    }
+
+    // Body: um parâmetro para cada {{n}}, em sequência
+    if (body !== undefined) {
+      const bodyPlaceholders = Template.placeholders(body);
+      const bodyParameters = parameters.body || [];
+
+      if (!Array.isArray(bodyParameters)) {
+        errors.push('parameters.body deve ser uma lista');
+      } else {
+        if (bodyPlaceholders.some((number, index) => number !== index + 1)) {
+          errors.push('Placeholders do corpo devem ser sequenciais a partir de {{1}}');
+        }
+        if (bodyParameters.length !== bodyPlaceholders.length) {
+          errors.push(`Corpo possui ${bodyPlaceholders.length} placeholder(s) e ${bodyParameters.length} parâmetro(s) definidos`);
+        }
+        if (bodyParameters.some(param => !param || !param.name)) {
+          errors.push('Cada parâmetro do corpo deve ter name');
+        }
+      }
+    }
+
+    // Header: texto com {{1}} ou mídia
+    if (parameters.header) {
+      if (!HEADER_TYPES.includes(parameters.header.type)) {
+        errors.push(`Tipo do parâmetro de cabeçalho deve ser um de: ${HEADER_TYPES.join(', ')}`);
+      } else if (parameters.header.type === 'text' && header !== undefined && Template.placeholders(header).length !== 1) {
+        errors.push('Cabeçalho de texto com parâmetro deve conter exatamente {{1}}');
+      }
+    } else if (header !== undefined && header !== null && Template.placeholders(header).length > 0) {
+      errors.push('Cabeçalho possui placeholder mas parameters.header não foi definido');
+    }
+
+    // Botões: parâmetros apontam para botões existentes
+    if (parameters.buttons !== undefined) {
+      if (!Array.isArray(parameters.buttons)) {
+        errors.push('parameters.buttons deve ser uma lista');
+      } else {
+        for (const param of parameters.buttons) {
+          if (!param || !Number.isInteger(param.index) || param.index < 0) {
+            errors.push('Cada parâmetro de botão deve ter index inteiro');
+          } else if (Array.isArray(buttons) && param.index >= buttons.length) {
+            errors.push(`Parâmetro de botão aponta para index ${param.index} inexistente`);
+          }
+          if (!param || !BUTTON_SUB_TYPES.includes(param.sub_type)) {
+            errors.push(`sub_type do parâmetro de botão deve ser um de: ${BUTTON_SUB_TYPES.join(', ')}`);
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Verifica se os componentes informados no envio correspondem aos parâmetros do template
+   */
+  validateComponents(components = {}) {
+    const errors = [];
+    const parameters = this.parameters || {};
+
+    const expectedBody = (parameters.body || []).length;
+    const providedBody = components.body || [];
+    if (!Array.isArray(providedBody) || providedBody.length !== expectedBody) {
+      errors.push(`Template espera ${expectedBody} parâmetro(s) no corpo (${(parameters.body || []).map(p => p.name).join(', ') || 'nenhum'})`);
+    } else if (providedBody.some(value => typeof value !== 'string' || value.trim().length === 0)) {
+      errors.push('Parâmetros do corpo devem ser textos não vazios');
+    }
+
+    const providedHeader = components.header || [];
+    if (parameters.header) {
+      const [param] = providedHeader;
+      if (providedHeader.length !== 1 || !param || param.type !== parameters.header.type) {
+        errors.push(`Template espera 1 parâmetro de cabeçalho do tipo ${parameters.header.type}`);
+      } else if (param.type === 'text' ? !param.text : !param.url) {
+        errors.push(param.type === 'text' ? 'Parâmetro de cabeçalho requer text' : 'Parâmetro de cabeçalho requer url');
+      }
+    } else if (providedHeader.length > 0) {
+      errors.push('Template não possui parâmetro de cabeçalho');
+    }
+
+    const expectedButtons = (parameters.buttons || []).length;
+    const providedButtons = components.buttons || [];
+    if (!Array.isArray(providedButtons) || providedButtons.length !== expectedButtons) {
+      errors.push(`Template espera ${expectedButtons} parâmetro(s) de botão`);
+    } else if (providedButtons.some(value => typeof value !== 'string' || value.length === 0)) {
+      errors.push('Parâmetros de botão devem ser textos não vazios');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cria novo template (sempre pendente de aprovação)
+   */
+  static async create(tenantId, templateData) {
+    try {
+      const {
+        name, category = 'utility', language = 'pt_BR',
+        header, body, footer, buttons, parameters = {}
+      } = templateData;
+
+      const result = await query(
+        `INSERT INTO templates (tenant_id, name, category, language, status, header, body, footer, buttons, parameters)
+         VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          tenantId,
+          name,
+          category,
+          language,
+          header,
+          body,
+          footer,
+          buttons ? JSON.stringify(buttons) : null,
+          JSON.stringify(parameters)
+        ]
+      );
+
+      return new Template(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao criar template', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca template por ID
+   */
+  static async findById(tenantId, id) {
+    try {
+      const result = await query(
+        'SELECT * FROM templates WHERE id = $1 AND tenant_id = $2',
+        [id, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Template(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar template', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca template pelo nome e idioma
+   */
+  static async findByName(tenantId, name, language) {
+    try {
+      const result = await query(
+        'SELECT * FROM templates WHERE tenant_id = $1 AND name = $2 AND language = $3',
+        [tenantId, name, language]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Template(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar template por nome', { error: error.message, name, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista templates com paginação
+   */
+  static async list(tenantId, filters = {}, page = 1, limit = 50) {
+    try {
+      let whereClause = 'WHERE tenant_id = $1';
+      let params = [tenantId];
+      let paramIndex = 2;
+
+      // Filtros opcionais
+      if (filters.status) {
+        whereClause += ` AND status = $${paramIndex}`;
+        params.push(filters.status);
+        paramIndex++;
+      }
+
+      if (filters.category) {
+        whereClause += ` AND category = $${paramIndex}`;
+        params.push(filters.category);
+        paramIndex++;
+      }
+
+      if (filters.language) {
+        whereClause += ` AND language = $${paramIndex}`;
+        params.push(filters.language);
+        paramIndex++;
+      }
+
+      if (filters.name) {
+        whereClause += ` AND name ILIKE $${paramIndex}`;
+        params.push(`%${filters.name}%`);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM templates ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `SELECT * FROM templates ${whereClause}
+         ORDER BY name ASC, language ASC
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        templates: result.rows.map(row => new Template(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar templates', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza conteúdo do template. Alterar o conteúdo volta o status para pending.
+   */
+  async update(updateData) {
+    try {
+      const contentChanged = CONTENT_FIELDS.some(field => updateData[field] !== undefined);
+
+      // Cabeçalho, rodapé e botões são opcionais: null remove o campo
+      const result = await query(
+        `UPDATE templates
+         SET category = COALESCE($1, category),
+             header = CASE WHEN $2::boolean THEN $3 ELSE header END,
+             body = COALESCE($4, body),
+             footer = CASE WHEN $5::boolean THEN $6 ELSE footer END,
+             buttons = CASE WHEN $7::boolean THEN $8::jsonb ELSE buttons END,
+             parameters = COALESCE($9, parameters),
+             status = CASE WHEN $10::boolean THEN 'pending' ELSE status END,
+             rejection_reason = CASE WHEN $10::boolean THEN NULL ELSE rejection_reason END,
+             updated_at = NOW()
+         WHERE id = $11 AND tenant_id = $12
+         RETURNING *`,
+        [
+          updateData.category,
+          updateData.header !== undefined,
+          updateData.header ?? null,
+          updateData.body,
+          updateData.footer !== undefined,
+          updateData.footer ?? null,
+          updateData.buttons !== undefined,
+          updateData.buttons ? JSON.stringify(updateData.buttons) : null,
+          updateData.parameters !== undefined ? JSON.stringify(updateData.parameters) : null,
+          contentChanged,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Template não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atualizar template', { error: error.message, templateId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Altera o status do template
+   */
+  async updateStatus(status, rejectionReason = null) {
+    try {
+      const result = await query(
+        `UPDATE templates
+         SET status = $1,
+             rejection_reason = $2,
+             updated_at = NOW()
+         WHERE id = $3 AND tenant_id = $4
+         RETURNING *`,
+        [status, status === 'rejected' ? rejectionReason : null, this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Template não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao alterar status do template', { error: error.message, templateId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove template
+   */
+  async delete() {
+    try {
+      const result = await query(
+        'DELETE FROM templates WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Template não encontrado');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Erro ao remover template', { error: error.message, templateId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      category: this.category,
+      language: this.language,
+      status: this.status,
+      header: this.header,
+      body: this.body,
+      footer: this.footer,
+      buttons: this.buttons,
+      parameters: this.parameters,
+      rejection_reason: this.rejection_reason,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+Template.CATEGORIES = CATEGORIES;
+Template.STATUSES = STATUSES;
+Template.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = Template;
@@ -0,0 +1,87 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class Tenant {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.plan = data.plan;
+    this.status = data.status;
+    this.limits = data.limits;
+    this.public_tracking_enabled = data.public_tracking_enabled;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Busca tenant por ID
+   */
+  static async findById(id) {
+    try {
+      const result = await query('SELECT * FROM tenants WHERE id = $1', [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Tenant(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar tenant', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Tenants ativos sem conta WhatsApp própria (atendidos pelo número do ambiente)
+   */
+  static async findWithoutWhatsAppAccount() {
+    try {
+      const result = await query(
+        `SELECT t.* FROM tenants t
+         WHERE t.status = 'active'
+           AND NOT EXISTS (SELECT 1 FROM whatsapp_accounts a WHERE a.tenant_id = t.id)
+         ORDER BY t.created_at`
+      );
+
+      return result.rows.map(row => new Tenant(row));
+    } catch (error) {
+      logger.error('Erro ao buscar tenants sem conta WhatsApp', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Ativa ou desativa o acompanhamento público pelo code16
+   */
+  async setPublicTracking(enabled) {
+    try {
+      const result = await query(
+        `UPDATE tenants SET public_tracking_enabled = $1, updated_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [enabled, this.id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Tenant não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao alterar acompanhamento público', { error: error.message, tenantId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Configurações de acompanhamento público
+   */
+  trackingSettings() {
+    return {
+      public_tracking_enabled: this.public_tracking_enabled
+    };
+  }
+}
+
+module.exports = Tenant;
@@ -9,6 +9,7 @@ class User {
     this.email = data.email;
     this.name = data.name;
     this.role = data.role;
+    this.workshop_id = data.workshop_id;
     this.status = data.status;
     this.last_login = data.last_login;
     this.login_attempts = data.login_attempts;
@@ -106,6 +107,42 @@ class User {
     }
   }
 
+  // Buscar mecânico ativo por ID
+  static async findMechanic(tenant_id, id) {
+    try {
+      const result = await query(`
+        SELECT * FROM users
+        WHERE id = $1 AND tenant_id = $2 AND role = 'mechanic' AND status = 'active'
+      `, [id, tenant_id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new User(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar mecânico', { error: error.message, user_id: id, tenant_id });
+      throw error;
+    }
+  }
+
+  // Listar mecânicos ativos da oficina (incluindo os que atendem todas as oficinas)
+  static async listMechanics(tenant_id, workshop_id) {
+    try {
+      const result = await query(`
+        SELECT * FROM users
+        WHERE tenant_id = $1 AND role = 'mechanic' AND status = 'active'
+          AND (workshop_id = $2 OR workshop_id IS NULL)
+        ORDER BY name ASC
+      `, [tenant_id, workshop_id]);
+
+      return result.rows.map(row => new User(row));
+    } catch (error) {
+      logger.error('Erro ao listar mecânicos', { error: error.message, tenant_id, workshop_id });
+      throw error;
+    }
+  }
+
   // Listar usuários
   static async list(tenant_id, filters = {}, page = 1, limit = 50) {
     try {
@@ -391,7 +428,8 @@ class User {
       'admin': ['*'],
       'manager': ['read', 'write', 'delete'],
       'user': ['read', 'write'],
-      'viewer': ['read']
+      'viewer': ['read'],
+      'mechanic': ['read', 'write']
     };
 
     const permissions = rolePermissions[this.role] || [];
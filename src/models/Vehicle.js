@@ -1,15 +1,29 @@
-const { query } = require('../config/database');
-const { generateCode16, validateCode16 } = require('../utils/crypto');
+const { query, getClient } = require('../config/database');
+const { generateCode16, normalizeCode16, validateCode16 } = require('../utils/crypto');
+const { canonicalPhone, phoneVariants } = require('../utils/phone');
+const { normalizePlate, plateKey } = require('../utils/plate');
+const Conversation = require('./Conversation');
 const logger = require('../utils/logger');
 
+// Tentativas de gerar um code16 livre antes de desistir
+const CODE16_MAX_ATTEMPTS = 5;
+
+// Tipos de entrada do histórico do veículo
+const TIMELINE_TYPES = ['order', 'status_change', 'media', 'message'];
+
 class Vehicle {
   constructor(data) {
     this.id = data.id;
     this.tenant_id = data.tenant_id;
     this.plate = data.plate;
+    this.plate_key = data.plate_key;
     this.code16 = data.code16;
     this.owner = data.owner;
+    this.customer_id = data.customer_id;
     this.meta = data.meta;
+    this.code16_revoked_at = data.code16_revoked_at;
+    this.erp_id = data.erp_id;
+    this.erp_synced_at = data.erp_synced_at;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -19,16 +33,21 @@ class Vehicle {
    */
   static async create(tenantId, vehicleData) {
     try {
-      const { plate, owner, meta } = vehicleData;
+      const { plate, owner, meta, customer_id } = vehicleData;
+
+      const normalized = normalizePlate(plate);
+      if (!normalized) {
+        throw new Error('Placa inválida');
+      }
       
       // Gera código de 16 caracteres
-      const code16 = generateCode16(`${tenantId}:${plate}:${Date.now()}`);
+      const code16 = await Vehicle.generateUniqueCode16();
       
       const result = await query(
-        `INSERT INTO vehicles (tenant_id, plate, code16, owner, meta)
-         VALUES ($1, $2, $3, $4, $5)
+        `INSERT INTO vehicles (tenant_id, plate, plate_key, code16, owner, meta, customer_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
          RETURNING *`,
-        [tenantId, plate, code16, JSON.stringify(owner), JSON.stringify(meta)]
+        [tenantId, normalized, plateKey(normalized), code16, JSON.stringify(owner), JSON.stringify(meta), customer_id || null]
       );
 
       return new Vehicle(result.rows[0]);
@@ -38,6 +57,31 @@ class Vehicle {
     }
   }
 
+  /**
+   * Gera code16 que não está em uso nem foi usado por outro veículo
+   */
+  static async generateUniqueCode16() {
+    for (let attempt = 1; attempt <= CODE16_MAX_ATTEMPTS; attempt++) {
+      const code16 = generateCode16();
+
+      const result = await query(
+        `SELECT 1 FROM vehicles WHERE code16 = $1
+         UNION ALL
+         SELECT 1 FROM vehicle_code16_history WHERE code16 = $1
+         LIMIT 1`,
+        [code16]
+      );
+
+      if (result.rows.length === 0) {
+        return code16;
+      }
+
+      logger.warn('Colisão ao gerar code16', { attempt });
+    }
+
+    throw new Error('Não foi possível gerar um code16 único');
+  }
+
   /**
    * Busca veículo por ID
    */
@@ -60,13 +104,18 @@ class Vehicle {
   }
 
   /**
-   * Busca veículo por placa
+   * Busca veículo por placa (a placa antiga e a convertida para Mercosul são a mesma)
    */
   static async findByPlate(tenantId, plate) {
     try {
+      const key = plateKey(plate);
+      if (!key) {
+        return null;
+      }
+
       const result = await query(
-        'SELECT * FROM vehicles WHERE plate = $1 AND tenant_id = $2',
-        [plate, tenantId]
+        'SELECT * FROM vehicles WHERE plate_key = $1 AND tenant_id = $2',
+        [key, tenantId]
       );
 
       if (result.rows.length === 0) {
@@ -80,11 +129,33 @@ class Vehicle {
     }
   }
 
+  /**
+   * Busca veículo pelo ID no ERP
+   */
+  static async findByErpId(tenantId, erpId) {
+    try {
+      const result = await query(
+        'SELECT * FROM vehicles WHERE tenant_id = $1 AND erp_id = $2',
+        [tenantId, erpId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Vehicle(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar veículo por ID do ERP', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
   /**
    * Busca veículo por código de 16 caracteres
    */
   static async findByCode16(tenantId, code16) {
     try {
+      code16 = normalizeCode16(code16);
       if (!validateCode16(code16)) {
         return null;
       }
@@ -105,6 +176,88 @@ class Vehicle {
     }
   }
 
+  /**
+   * Busca veículo pelo code16 para consulta pública (sem tenant).
+   * Ignora códigos revogados e tenants com acompanhamento público desativado.
+   */
+  static async findPublicByCode16(code16) {
+    try {
+      code16 = normalizeCode16(code16);
+      if (!validateCode16(code16)) {
+        return null;
+      }
+
+      const result = await query(
+        `SELECT v.* FROM vehicles v
+         JOIN tenants t ON t.id = v.tenant_id
+         WHERE v.code16 = $1
+           AND v.code16_revoked_at IS NULL
+           AND t.public_tracking_enabled = true
+           AND t.status = 'active'`,
+        [code16]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Vehicle(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar veículo por código público', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca code16 aposentado por rotação (tenant opcional para a consulta pública)
+   */
+  static async findRetiredCode16(code16, tenantId = null) {
+    try {
+      code16 = normalizeCode16(code16);
+      if (!validateCode16(code16)) {
+        return null;
+      }
+
+      let sql = 'SELECT tenant_id, vehicle_id, code16, retired_at FROM vehicle_code16_history WHERE code16 = $1';
+      const params = [code16];
+
+      if (tenantId) {
+        sql += ' AND tenant_id = $2';
+        params.push(tenantId);
+      }
+
+      const result = await query(sql, params);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Erro ao buscar code16 aposentado', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca veículos cujo proprietário tem o telefone informado
+   */
+  static async findByOwnerPhone(tenantId, phone) {
+    try {
+      const variants = phoneVariants(phone);
+      if (variants.length === 0) {
+        return [];
+      }
+
+      const result = await query(
+        `SELECT * FROM vehicles
+         WHERE tenant_id = $1 AND regexp_replace(owner->>'phone', '\\D', '', 'g') = ANY($2)
+         ORDER BY created_at DESC`,
+        [tenantId, variants]
+      );
+
+      return result.rows.map(row => new Vehicle(row));
+    } catch (error) {
+      logger.error('Erro ao buscar veículos por telefone', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
   /**
    * Lista veículos com paginação
    */
@@ -116,9 +269,10 @@ class Vehicle {
 
       // Filtros opcionais
       if (filters.plate) {
-        whereClause += ` AND plate ILIKE $${paramIndex}`;
-        params.push(`%${filters.plate}%`);
-        paramIndex++;
+        const partial = String(filters.plate).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        whereClause += ` AND (plate ILIKE $${paramIndex} OR plate_key = $${paramIndex + 1})`;
+        params.push(`%${partial}%`, plateKey(partial));
+        paramIndex += 2;
       }
 
       if (filters.code16) {
@@ -139,6 +293,12 @@ class Vehicle {
         paramIndex++;
       }
 
+      if (filters.customer_id) {
+        whereClause += ` AND customer_id = $${paramIndex}`;
+        params.push(filters.customer_id);
+        paramIndex++;
+      }
+
       // Conta total de registros
       const countResult = await query(
         `SELECT COUNT(*) as total FROM vehicles ${whereClause}`,
@@ -178,20 +338,29 @@ class Vehicle {
    */
   async update(updateData) {
     try {
-      const { plate, owner, meta } = updateData;
+      const { plate, owner, meta, customer_id } = updateData;
+
+      const normalized = plate ? normalizePlate(plate) : null;
+      if (plate && !normalized) {
+        throw new Error('Placa inválida');
+      }
       
       const result = await query(
         `UPDATE vehicles 
          SET plate = COALESCE($1, plate),
-             owner = COALESCE($2, owner),
-             meta = COALESCE($3, meta),
+             plate_key = COALESCE($2, plate_key),
+             owner = COALESCE($3, owner),
+             meta = COALESCE($4, meta),
+             customer_id = COALESCE($5, customer_id),
              updated_at = NOW()
-         WHERE id = $4 AND tenant_id = $5
+         WHERE id = $6 AND tenant_id = $7
          RETURNING *`,
         [
-          plate,
+          normalized,
+          normalized ? plateKey(normalized) : null,
           owner ? JSON.stringify(owner) : null,
           meta ? JSON.stringify(meta) : null,
+          customer_id || null,
           this.id,
           this.tenant_id
         ]
@@ -209,6 +378,201 @@ class Vehicle {
     }
   }
 
+  /**
+   * Revoga o code16 para consulta pública
+   */
+  async revokeCode16() {
+    try {
+      const result = await query(
+        `UPDATE vehicles
+         SET code16_revoked_at = COALESCE(code16_revoked_at, NOW()),
+             updated_at = NOW()
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Veículo não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao revogar code16', { error: error.message, vehicleId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Substitui o code16 por um novo, guardando o anterior no histórico.
+   * O novo código volta a valer na consulta pública (limpa a revogação).
+   */
+  async rotateCode16({ userId = null, reason = null } = {}) {
+    const previous = this.code16;
+    const code16 = await Vehicle.generateUniqueCode16();
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO vehicle_code16_history (tenant_id, vehicle_id, code16, replaced_by, retired_by, reason)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [this.tenant_id, this.id, previous, code16, userId, reason]
+      );
+
+      const result = await client.query(
+        `UPDATE vehicles
+         SET code16 = $1, code16_revoked_at = NULL, updated_at = NOW()
+         WHERE id = $2 AND tenant_id = $3
+         RETURNING *`,
+        [code16, this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Veículo não encontrado');
+      }
+
+      await client.query('COMMIT');
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Erro ao rotacionar code16', { error: error.message, vehicleId: this.id });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Códigos anteriores do veículo, mais recentes primeiro
+   */
+  async code16History() {
+    try {
+      const result = await query(
+        `SELECT code16, replaced_by, retired_by, reason, retired_at
+         FROM vehicle_code16_history
+         WHERE vehicle_id = $1 AND tenant_id = $2
+         ORDER BY retired_at DESC`,
+        [this.id, this.tenant_id]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Erro ao buscar histórico de code16', { error: error.message, vehicleId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Histórico do veículo em ordem cronológica (mais recentes primeiro): ordens,
+   * mudanças de status, mídias e mensagens trocadas com o proprietário
+   *
+   * @param {object} filters - { types: subconjunto de TIMELINE_TYPES, from, to }
+   */
+  async timeline(filters = {}, page = 1, limit = 50) {
+    try {
+      // $1 tenant, $2 veículo, $3 telefone do proprietário (conversa)
+      const params = [this.tenant_id, this.id, canonicalPhone(this.owner?.phone)];
+      let paramIndex = 4;
+
+      // A criação da ordem já aparece como entrada 'order'; o histórico traz só as transições
+      const entries = `
+        SELECT 'order' AS type, o.id AS id, o.id::text AS order_id, o.created_at AS occurred_at,
+               jsonb_build_object('status', o.status, 'estimate_amount', o.estimate_amount, 'approved', o.approved) AS data
+        FROM orders o
+        WHERE o.tenant_id = $1 AND o.vehicle_id = $2
+        UNION ALL
+        SELECT 'status_change', h.id, h.order_id::text, h.created_at,
+               jsonb_build_object('from_status', h.from_status, 'to_status', h.to_status,
+                                  'actor_type', h.actor_type, 'reason', h.reason)
+        FROM order_status_history h
+        JOIN orders o ON o.id = h.order_id
+        WHERE h.tenant_id = $1 AND o.vehicle_id = $2 AND h.from_status IS NOT NULL
+        UNION ALL
+        SELECT 'media', m.id, m.order_id::text, m.created_at,
+               jsonb_build_object('media_type', m.type, 'original_name', m.original_name, 'mime_type', m.mime_type,
+                                  'size', m.size, 'url', m.url, 'thumbnail_url', m.thumbnail_url)
+        FROM media m
+        WHERE m.tenant_id = $1 AND m.vehicle_id = $2
+        UNION ALL
+        SELECT 'message', msg.id, msg.metadata->>'order_id', msg.created_at,
+               jsonb_build_object('direction', msg.direction, 'state', msg.state, 'payload', msg.payload)
+        FROM messages msg
+        WHERE msg.tenant_id = $1
+          AND (
+            msg.conversation_id IN (SELECT id FROM conversations WHERE tenant_id = $1 AND contact_phone = $3)
+            OR msg.metadata->>'order_id' IN (SELECT id::text FROM orders WHERE tenant_id = $1 AND vehicle_id = $2)
+          )`;
+
+      let whereClause = 'WHERE true';
+
+      // Filtros opcionais
+      if (filters.types && filters.types.length > 0) {
+        whereClause += ` AND type = ANY($${paramIndex})`;
+        params.push(filters.types);
+        paramIndex++;
+      }
+
+      if (filters.from) {
+        whereClause += ` AND occurred_at >= $${paramIndex}`;
+        params.push(filters.from);
+        paramIndex++;
+      }
+
+      if (filters.to) {
+        whereClause += ` AND occurred_at <= $${paramIndex}`;
+        params.push(filters.to);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM (${entries}) timeline ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `SELECT * FROM (${entries}) timeline
+         ${whereClause}
+         ORDER BY occurred_at DESC, id
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        entries: result.rows.map(row => {
+          if (row.type !== 'message') {
+            return row;
+          }
+
+          // Mensagens trazem um resumo no lugar do payload completo
+          const { payload, ...data } = row.data;
+          return {
+            ...row,
+            data: { ...data, message_type: payload?.type || null, preview: Conversation.preview(payload) }
+          };
+        }),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao montar histórico do veículo', { error: error.message, vehicleId: this.id });
+      throw error;
+    }
+  }
+
   /**
    * Remove veículo
    */
@@ -240,11 +604,16 @@ class Vehicle {
       plate: this.plate,
       code16: this.code16,
       owner: this.owner,
+      customer_id: this.customer_id,
       meta: this.meta,
+      code16_revoked_at: this.code16_revoked_at,
+      erp_id: this.erp_id,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
   }
 }
 
+Vehicle.TIMELINE_TYPES = TIMELINE_TYPES;
+
 module.exports = Vehicle;
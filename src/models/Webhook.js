@@ -0,0 +1,321 @@
+const { query } = require('../config/database');
+const { generateSecret } = require('../utils/crypto');
+const { findBlockedAddress } = require('../utils/network');
+const logger = require('../utils/logger');
+
+// Eventos que podem ser assinados por parceiros
+const WEBHOOK_EVENTS = [
+  'message.received',
+  'message.sent',
+  'message.delivered',
+  'message.read',
+  'message.failed',
+  'button.clicked',
+  'list.selected',
+  'order.created',
+  'order.updated',
+  'order.approved',
+  'order.started',
+  'order.completed',
+  'order.cancelled',
+  'order.deleted',
+  'inventory.shortage',
+  'inventory.reservation_failed'
+];
+
+class Webhook {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.url = data.url;
+    this.events = data.events;
+    this.secret = data.secret;
+    this.active = data.active;
+    this.consecutive_failures = data.consecutive_failures;
+    this.disabled_at = data.disabled_at;
+    this.disabled_reason = data.disabled_reason;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Valida os dados de uma assinatura
+   */
+  static validate(webhookData, partial = false) {
+    const errors = [];
+    const { url, events, active } = webhookData;
+
+    if (!partial || url !== undefined) {
+      try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+          errors.push('URL deve usar http ou https');
+        }
+      } catch (error) {
+        errors.push('URL inválida');
+      }
+    }
+
+    if (!partial || events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        errors.push('Lista de eventos é obrigatória');
+      } else {
+        const invalidEvents = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (invalidEvents.length > 0) {
+          errors.push(`Eventos inválidos: ${invalidEvents.join(', ')}`);
+        }
+      }
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      errors.push('Campo active deve ser booleano');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Valida o destino da URL: o host deve existir e resolver apenas para endereços públicos
+   */
+  static async validateTarget(url) {
+    try {
+      const blocked = await findBlockedAddress(url);
+      return blocked ? [`URL aponta para endereço não público (${blocked})`] : [];
+    } catch (error) {
+      return ['Host da URL não foi encontrado'];
+    }
+  }
+
+  /**
+   * Cria nova assinatura para o tenant
+   */
+  static async create(tenantId, webhookData) {
+    try {
+      const { url, events, secret } = webhookData;
+
+      const result = await query(
+        `INSERT INTO webhooks (tenant_id, url, events, secret, active)
+         VALUES ($1, $2, $3, $4, true)
+         RETURNING *`,
+        [tenantId, url, JSON.stringify(events), secret || generateSecret()]
+      );
+
+      return new Webhook(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao criar webhook', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca assinatura por ID
+   */
+  static async findById(tenantId, id) {
+    try {
+      const result = await query(
+        'SELECT * FROM webhooks WHERE id = $1 AND tenant_id = $2',
+        [id, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Webhook(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar webhook', { error: error.message, id, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista assinaturas do tenant
+   */
+  static async findByTenant(tenantId) {
+    try {
+      const result = await query(
+        'SELECT * FROM webhooks WHERE tenant_id = $1 ORDER BY created_at DESC',
+        [tenantId]
+      );
+
+      return result.rows.map(row => new Webhook(row));
+    } catch (error) {
+      logger.error('Erro ao listar webhooks', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista assinaturas ativas do tenant para um evento
+   */
+  static async findActiveForEvent(tenantId, event) {
+    try {
+      const result = await query(
+        'SELECT * FROM webhooks WHERE tenant_id = $1 AND events @> $2 AND active = true',
+        [tenantId, JSON.stringify([event])]
+      );
+
+      return result.rows.map(row => new Webhook(row));
+    } catch (error) {
+      logger.error('Erro ao buscar webhooks do evento', { error: error.message, tenantId, event });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza URL, eventos ou status da assinatura.
+   * Reativar a assinatura zera o contador de falhas.
+   */
+  async update(updateData) {
+    try {
+      const { url, events, active } = updateData;
+
+      const result = await query(
+        `UPDATE webhooks
+         SET url = COALESCE($1, url),
+             events = COALESCE($2, events),
+             active = COALESCE($3, active),
+             consecutive_failures = CASE WHEN $3 IS TRUE THEN 0 ELSE consecutive_failures END,
+             disabled_at = CASE WHEN $3 IS TRUE THEN NULL ELSE disabled_at END,
+             disabled_reason = CASE WHEN $3 IS TRUE THEN NULL ELSE disabled_reason END,
+             updated_at = NOW()
+         WHERE id = $4 AND tenant_id = $5
+         RETURNING *`,
+        [
+          url,
+          events !== undefined ? JSON.stringify(events) : null,
+          active,
+          this.id,
+          this.tenant_id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Webhook não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao atualizar webhook', { error: error.message, webhookId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Registra entrega bem-sucedida, zerando as falhas consecutivas
+   */
+  static async registerSuccess(tenantId, id) {
+    try {
+      await query(
+        `UPDATE webhooks SET consecutive_failures = 0
+         WHERE id = $1 AND tenant_id = $2 AND consecutive_failures > 0`,
+        [id, tenantId]
+      );
+    } catch (error) {
+      logger.error('Erro ao registrar sucesso do webhook', { error: error.message, webhookId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * Registra entrega que esgotou as tentativas e desativa a assinatura ao atingir o limite.
+   * Retorna true se a assinatura foi desativada nesta chamada.
+   */
+  static async registerFailure(tenantId, id, threshold) {
+    try {
+      const result = await query(
+        `UPDATE webhooks w
+         SET consecutive_failures = w.consecutive_failures + 1,
+             active = CASE WHEN w.consecutive_failures + 1 >= $3 THEN false ELSE w.active END,
+             disabled_at = CASE WHEN w.consecutive_failures + 1 >= $3 AND w.active THEN NOW() ELSE w.disabled_at END,
+             disabled_reason = CASE WHEN w.consecutive_failures + 1 >= $3 AND w.active
+               THEN 'Desativado após ' || (w.consecutive_failures + 1) || ' entregas com falha'
+               ELSE w.disabled_reason END,
+             updated_at = NOW()
+         FROM (SELECT id, active FROM webhooks WHERE id = $1 AND tenant_id = $2 FOR UPDATE) previous
+         WHERE w.id = previous.id
+         RETURNING w.active, previous.active AS was_active`,
+        [id, tenantId, threshold]
+      );
+
+      const row = result.rows[0];
+      return !!row && row.was_active && !row.active;
+    } catch (error) {
+      logger.error('Erro ao registrar falha do webhook', { error: error.message, webhookId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * Gera um novo segredo de assinatura
+   */
+  async rotateSecret() {
+    try {
+      const result = await query(
+        `UPDATE webhooks SET secret = $1, updated_at = NOW()
+         WHERE id = $2 AND tenant_id = $3
+         RETURNING *`,
+        [generateSecret(), this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Webhook não encontrado');
+      }
+
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      logger.error('Erro ao rotacionar segredo do webhook', { error: error.message, webhookId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove assinatura
+   */
+  async delete() {
+    try {
+      const result = await query(
+        'DELETE FROM webhooks WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Webhook não encontrado');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Erro ao remover webhook', { error: error.message, webhookId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON (o segredo só é exposto na criação e rotação)
+   */
+  toJSON({ includeSecret = false } = {}) {
+    const json = {
+      id: this.id,
+      url: this.url,
+      events: this.events,
+      active: this.active,
+      consecutive_failures: this.consecutive_failures,
+      disabled_at: this.disabled_at,
+      disabled_reason: this.disabled_reason,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+
+    if (includeSecret) {
+      json.secret = this.secret;
+    }
+
+    return json;
+  }
+}
+
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
@@ -0,0 +1,154 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+class WebhookDelivery {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.webhook_id = data.webhook_id;
+    this.event_id = data.event_id;
+    this.event = data.event;
+    this.payload = data.payload;
+    this.attempt = data.attempt;
+    this.status = data.status;
+    this.status_code = data.status_code;
+    this.latency_ms = data.latency_ms;
+    this.response_snippet = data.response_snippet;
+    this.error = data.error;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Registra uma tentativa de entrega
+   */
+  static async create(deliveryData) {
+    try {
+      const {
+        tenant_id, webhook_id, event_id, event, payload, attempt,
+        status, status_code, latency_ms, response_snippet, error
+      } = deliveryData;
+
+      const result = await query(
+        `INSERT INTO webhook_deliveries
+           (tenant_id, webhook_id, event_id, event, payload, attempt, status, status_code, latency_ms, response_snippet, error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          tenant_id,
+          webhook_id,
+          event_id,
+          event,
+          JSON.stringify(payload),
+          attempt,
+          status,
+          status_code,
+          latency_ms,
+          response_snippet,
+          error
+        ]
+      );
+
+      return new WebhookDelivery(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao registrar entrega de webhook', { error: error.message, webhook_id: deliveryData.webhook_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca tentativa por ID
+   */
+  static async findById(tenantId, webhookId, id) {
+    try {
+      const result = await query(
+        'SELECT * FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2 AND tenant_id = $3',
+        [id, webhookId, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new WebhookDelivery(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar entrega de webhook', { error: error.message, id, webhookId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista tentativas de um webhook com paginação, mais recentes primeiro
+   */
+  static async list(tenantId, webhookId, filters = {}, page = 1, limit = 50) {
+    try {
+      let whereClause = 'WHERE webhook_id = $1 AND tenant_id = $2';
+      let params = [webhookId, tenantId];
+      let paramIndex = 3;
+
+      // Filtros opcionais
+      if (filters.status) {
+        whereClause += ` AND status = $${paramIndex}`;
+        params.push(filters.status);
+        paramIndex++;
+      }
+
+      if (filters.event) {
+        whereClause += ` AND event = $${paramIndex}`;
+        params.push(filters.event);
+        paramIndex++;
+      }
+
+      // Conta total de registros
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM webhook_deliveries ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const offset = (page - 1) * limit;
+
+      // Busca registros paginados
+      const result = await query(
+        `SELECT * FROM webhook_deliveries ${whereClause}
+         ORDER BY created_at DESC
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        deliveries: result.rows.map(row => new WebhookDelivery(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Erro ao listar entregas de webhook', { error: error.message, webhookId, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      webhook_id: this.webhook_id,
+      event_id: this.event_id,
+      event: this.event,
+      payload: this.payload,
+      attempt: this.attempt,
+      status: this.status,
+      status_code: this.status_code,
+      latency_ms: this.latency_ms,
+      response_snippet: this.response_snippet,
+      error: this.error,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,134 @@
+const { query } = require('../config/database');
+const { encrypt, decrypt } = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+class WhatsAppAccount {
+  constructor(data) {
+    this.id = data.id;
+    this.tenant_id = data.tenant_id;
+    this.phone_number_id = data.phone_number_id;
+    this.business_account_id = data.business_account_id;
+    this.display_phone_number = data.display_phone_number;
+    this.access_token_encrypted = data.access_token_encrypted;
+    this.status = data.status;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Cadastra ou substitui a conta WhatsApp do tenant
+   */
+  static async upsert(tenantId, accountData) {
+    try {
+      const { phone_number_id, business_account_id, display_phone_number, access_token, status } = accountData;
+
+      const result = await query(
+        `INSERT INTO whatsapp_accounts (tenant_id, phone_number_id, business_account_id, display_phone_number, access_token_encrypted, status)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'active'))
+         ON CONFLICT (tenant_id) DO UPDATE SET
+           phone_number_id = EXCLUDED.phone_number_id,
+           business_account_id = EXCLUDED.business_account_id,
+           display_phone_number = EXCLUDED.display_phone_number,
+           access_token_encrypted = EXCLUDED.access_token_encrypted,
+           status = EXCLUDED.status,
+           updated_at = NOW()
+         RETURNING *`,
+        [tenantId, phone_number_id, business_account_id, display_phone_number, encrypt(access_token), status]
+      );
+
+      return new WhatsAppAccount(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao salvar conta WhatsApp', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca a conta do tenant
+   */
+  static async findByTenant(tenantId) {
+    try {
+      const result = await query(
+        'SELECT * FROM whatsapp_accounts WHERE tenant_id = $1',
+        [tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new WhatsAppAccount(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar conta WhatsApp do tenant', { error: error.message, tenantId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca conta ativa pelo phone_number_id informado nos webhooks da Meta
+   */
+  static async findByPhoneNumberId(phoneNumberId) {
+    try {
+      const result = await query(
+        'SELECT * FROM whatsapp_accounts WHERE phone_number_id = $1 AND status = $2',
+        [phoneNumberId, 'active']
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new WhatsAppAccount(result.rows[0]);
+    } catch (error) {
+      logger.error('Erro ao buscar conta WhatsApp por phone_number_id', { error: error.message, phoneNumberId });
+      throw error;
+    }
+  }
+
+  /**
+   * Retorna o token de acesso descriptografado
+   */
+  getAccessToken() {
+    return decrypt(this.access_token_encrypted);
+  }
+
+  /**
+   * Remove a conta
+   */
+  async delete() {
+    try {
+      const result = await query(
+        'DELETE FROM whatsapp_accounts WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [this.id, this.tenant_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Conta WhatsApp não encontrada');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Erro ao remover conta WhatsApp', { error: error.message, accountId: this.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte para objeto JSON (nunca expõe o token)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      tenant_id: this.tenant_id,
+      phone_number_id: this.phone_number_id,
+      business_account_id: this.business_account_id,
+      display_phone_number: this.display_phone_number,
+      has_access_token: !!this.access_token_encrypted,
+      status: this.status,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = WhatsAppAccount;
@@ -1,4 +1,6 @@
 const { query } = require('../config/database');
+const { normalizeDocument, validateDocument } = require('../utils/documents');
+const { WEEKDAYS, isValidTimeZone, isValidTime } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
 class Workshop {
@@ -108,6 +110,13 @@ class Workshop {
         paramIndex++;
       }
 
+      // CNPJ com ou sem pontuação
+      if (filters.cnpj) {
+        sql += ` AND regexp_replace(upper(cnpj), '[^0-9A-Z]', '', 'g') = $${paramIndex}`;
+        params.push(normalizeDocument(filters.cnpj));
+        paramIndex++;
+      }
+
       if (filters.search) {
         sql += ` AND (name ILIKE $${paramIndex} OR cnpj ILIKE $${paramIndex})`;
         params.push(`%${filters.search}%`);
@@ -376,14 +385,32 @@ class Workshop {
       errors.push('Nome da oficina deve ter pelo menos 2 caracteres');
     }
 
-    if (this.cnpj && !/^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$/.test(this.cnpj)) {
-      errors.push('CNPJ deve estar no formato XX.XXX.XXX/XXXX-XX');
+    if (this.cnpj) {
+      const cnpjCheck = validateDocument(this.cnpj, 'cnpj');
+      if (!cnpjCheck.valid) {
+        errors.push(cnpjCheck.message);
+      }
     }
 
     if (this.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.email)) {
       errors.push('Email deve ter formato válido');
     }
 
+    if (this.timezone && !isValidTimeZone(this.timezone)) {
+      errors.push('Fuso horário inválido (use o formato IANA, ex.: America/Sao_Paulo)');
+    }
+
+    // Horário por dia da semana: { monday: { open: '08:00', close: '18:00' }, sunday: { closed: true } }
+    if (this.working_hours && typeof this.working_hours === 'object') {
+      for (const [day, hours] of Object.entries(this.working_hours)) {
+        if (!WEEKDAYS.includes(day)) {
+          errors.push(`Dia inválido em working_hours: ${day}`);
+        } else if (hours && !hours.closed && (!isValidTime(hours.open) || !isValidTime(hours.close) || hours.open >= hours.close)) {
+          errors.push(`Horário de ${day} deve ter open e close no formato HH:MM, com open antes de close`);
+        }
+      }
+    }
+
     if (this.max_vehicles_per_day && (this.max_vehicles_per_day < 1 || this.max_vehicles_per_day > 1000)) {
       errors.push('Máximo de veículos por dia deve estar entre 1 e 1000');
     }
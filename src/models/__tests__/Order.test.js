@@ -0,0 +1,45 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const { query } = require('../../config/database');
+const Order = require('../Order');
+
+describe('Order', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recalculateEstimate', () => {
+    it('grava a soma dos itens do tenant, sem valor negativo, e retorna o novo valor', async () => {
+      query.mockResolvedValue({ rows: [{ estimate_amount: '189.00' }] });
+
+      await expect(Order.recalculateEstimate('tenant-1', 'order-1')).resolves.toBe('189.00');
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toMatch(/SUM\(total_amount\), 0\) FROM order_items WHERE order_id = \$1 AND tenant_id = \$2/);
+      expect(sql).toMatch(/GREATEST\(/);
+      expect(sql).toMatch(/WHERE id = \$1 AND tenant_id = \$2/);
+      expect(params).toEqual(['order-1', 'tenant-1']);
+    });
+
+    it('zera o valor quando o último item é removido', async () => {
+      query.mockResolvedValue({ rows: [{ estimate_amount: '0.00' }] });
+
+      await expect(Order.recalculateEstimate('tenant-1', 'order-1')).resolves.toBe('0.00');
+      expect(query.mock.calls[0][0]).not.toMatch(/EXISTS/);
+    });
+
+    it('usa o client da transação quando informado', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ estimate_amount: '70.00' }] }) };
+
+      await expect(Order.recalculateEstimate('tenant-1', 'order-1', client)).resolves.toBe('70.00');
+      expect(client.query).toHaveBeenCalled();
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('retorna null para ordem inexistente', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(Order.recalculateEstimate('tenant-1', 'order-1')).resolves.toBeNull();
+    });
+  });
+});
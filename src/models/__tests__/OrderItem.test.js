@@ -0,0 +1,42 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const OrderItem = require('../OrderItem');
+
+describe('OrderItem', () => {
+  describe('calculateTotal', () => {
+    it('multiplica quantidade e preço e aplica a alíquota com arredondamento em centavos', () => {
+      expect(OrderItem.calculateTotal({ type: 'part', quantity: 2, unit_price: 35, tax_rate: 0 })).toBe(70);
+      expect(OrderItem.calculateTotal({ type: 'labor', quantity: '1.5', unit_price: '120', tax_rate: '5' })).toBe(189);
+      expect(OrderItem.calculateTotal({ type: 'part', quantity: 3, unit_price: 9.99, tax_rate: 12.5 })).toBe(33.72);
+    });
+
+    it('considera alíquota ausente como zero', () => {
+      expect(OrderItem.calculateTotal({ type: 'part', quantity: 1, unit_price: 10 })).toBe(10);
+    });
+
+    it('descontos entram com valor negativo', () => {
+      expect(OrderItem.calculateTotal({ type: 'discount', quantity: 1, unit_price: 50, tax_rate: 0 })).toBe(-50);
+    });
+  });
+
+  describe('validate', () => {
+    it('exige tipo, descrição e preço unitário na criação', () => {
+      expect(OrderItem.validate({})).toEqual([
+        expect.stringContaining('Tipo do item'),
+        'Descrição do item é obrigatória',
+        'Preço unitário deve ser maior ou igual a zero'
+      ]);
+    });
+
+    it('valida quantidade e alíquota', () => {
+      const errors = OrderItem.validate({ type: 'part', description: 'Filtro', unit_price: 10, quantity: 0, tax_rate: 101 });
+
+      expect(errors).toEqual(['Quantidade deve ser maior que zero', 'Alíquota de imposto deve estar entre 0 e 100']);
+    });
+
+    it('na atualização parcial valida apenas os campos enviados', () => {
+      expect(OrderItem.validate({ quantity: 2 }, true)).toEqual([]);
+      expect(OrderItem.validate({ unit_price: -1 }, true)).toEqual(['Preço unitário deve ser maior ou igual a zero']);
+    });
+  });
+});
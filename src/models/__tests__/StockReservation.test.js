@@ -0,0 +1,64 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../StockMovement', () => ({ record: jest.fn() }));
+
+const { query, getClient } = require('../../config/database');
+const StockMovement = require('../StockMovement');
+const StockReservation = require('../StockReservation');
+
+const mockClient = (reservations) => {
+  const client = {
+    query: jest.fn(async (sql) => (sql.includes('FOR UPDATE') ? { rows: reservations } : { rows: [] })),
+    release: jest.fn()
+  };
+  getClient.mockResolvedValue(client);
+  return client;
+};
+
+describe('StockReservation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('consumeOrder', () => {
+    it('lança o consumo de cada reserva ativa e marca as reservas como consumidas na mesma transação', async () => {
+      const client = mockClient([
+        { id: 'reservation-1', workshop_id: 'workshop-1', part_id: 'part-1', order_item_id: 'item-1', quantity: '2.000' },
+        { id: 'reservation-2', workshop_id: 'workshop-1', part_id: 'part-2', order_item_id: 'item-2', quantity: '0.500' }
+      ]);
+      StockMovement.record.mockImplementation(async (tenantId, data) => data);
+
+      const movements = await StockReservation.consumeOrder('tenant-1', 'order-1');
+
+      expect(movements.map(movement => [movement.part_id, movement.quantity, movement.type])).toEqual([
+        ['part-1', -2, 'consumption'],
+        ['part-2', -0.5, 'consumption']
+      ]);
+      expect(StockMovement.record).toHaveBeenCalledWith('tenant-1', expect.objectContaining({ order_item_id: 'item-1' }), client);
+
+      const consumed = client.query.mock.calls.find(([sql]) => sql.includes("status = 'consumed'"));
+      expect(consumed[1]).toEqual([['reservation-1', 'reservation-2']]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('desfaz a baixa quando uma movimentação falha', async () => {
+      const client = mockClient([{ id: 'reservation-1', workshop_id: 'workshop-1', part_id: 'part-1', quantity: '1' }]);
+      StockMovement.record.mockRejectedValue(new Error('falha'));
+
+      await expect(StockReservation.consumeOrder('tenant-1', 'order-1')).rejects.toThrow('falha');
+
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseOrder', () => {
+    it('libera apenas reservas ativas e retorna quantas foram liberadas', async () => {
+      query.mockResolvedValue({ rowCount: 3 });
+
+      await expect(StockReservation.releaseOrder('tenant-1', 'order-1')).resolves.toBe(3);
+      expect(query.mock.calls[0][0]).toMatch(/status = 'reserved'/);
+      expect(query.mock.calls[0][1]).toEqual(['order-1', 'tenant-1']);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const { query } = require('../../config/database');
+const Template = require('../Template');
+
+const orderTemplate = {
+  name: 'orcamento_aprovacao',
+  category: 'utility',
+  language: 'pt_BR',
+  header: 'Orçamento {{1}}',
+  body: 'Olá {{1}}, o orçamento do veículo {{2}} ficou em {{3}}.',
+  buttons: [{ type: 'quick_reply', text: 'Aprovar' }, { type: 'url', text: 'Detalhes' }],
+  parameters: {
+    header: { type: 'text' },
+    body: [{ name: 'cliente' }, { name: 'placa' }, { name: 'total' }],
+    buttons: [{ index: 0, sub_type: 'quick_reply' }, { index: 1, sub_type: 'url' }]
+  }
+};
+
+describe('Template', () => {
+  describe('placeholders', () => {
+    it('retorna os números distintos dos placeholders em ordem', () => {
+      expect(Template.placeholders('{{2}} e {{1}}, de novo {{2}}')).toEqual([1, 2]);
+      expect(Template.placeholders(null)).toEqual([]);
+    });
+  });
+
+  describe('validate', () => {
+    it('aceita template coerente entre texto e parâmetros', () => {
+      expect(Template.validate(orderTemplate)).toEqual([]);
+    });
+
+    it('exige um parâmetro por placeholder do corpo, em sequência', () => {
+      expect(Template.validate({ ...orderTemplate, body: 'Olá {{1}}, placa {{3}}' })).toEqual([
+        'Placeholders do corpo devem ser sequenciais a partir de {{1}}',
+        'Corpo possui 2 placeholder(s) e 3 parâmetro(s) definidos'
+      ]);
+    });
+
+    it('recusa placeholder no cabeçalho sem parâmetro e botão inexistente', () => {
+      const errors = Template.validate({
+        ...orderTemplate,
+        parameters: { body: orderTemplate.parameters.body, buttons: [{ index: 5, sub_type: 'quick_reply' }] }
+      });
+
+      expect(errors).toEqual([
+        'Cabeçalho possui placeholder mas parameters.header não foi definido',
+        'Parâmetro de botão aponta para index 5 inexistente'
+      ]);
+    });
+
+    it('permite remover cabeçalho, rodapé e botões com null', () => {
+      expect(Template.validate({
+        ...orderTemplate,
+        header: null,
+        footer: null,
+        buttons: null,
+        parameters: { body: orderTemplate.parameters.body }
+      })).toEqual([]);
+    });
+  });
+
+  describe('validateComponents', () => {
+    const template = new Template({ ...orderTemplate, status: 'approved' });
+
+    it('aceita componentes que correspondem aos parâmetros', () => {
+      expect(template.validateComponents({
+        header: [{ type: 'text', text: 'ABC1D23' }],
+        body: ['Maria', 'ABC1D23', 'R$ 350,00'],
+        buttons: ['order_approval:approve:1', 'ordens/1']
+      })).toEqual([]);
+    });
+
+    it('informa a quantidade e os nomes esperados', () => {
+      expect(template.validateComponents({ body: ['Maria'] })).toEqual([
+        'Template espera 3 parâmetro(s) no corpo (cliente, placa, total)',
+        'Template espera 1 parâmetro de cabeçalho do tipo text',
+        'Template espera 2 parâmetro(s) de botão'
+      ]);
+    });
+
+    it('recusa textos vazios', () => {
+      expect(template.validateComponents({
+        header: [{ type: 'text', text: 'ABC1D23' }],
+        body: ['Maria', ' ', 'R$ 350,00'],
+        buttons: ['', 'ordens/1']
+      })).toEqual([
+        'Parâmetros do corpo devem ser textos não vazios',
+        'Parâmetros de botão devem ser textos não vazios'
+      ]);
+    });
+  });
+
+  describe('update', () => {
+    const template = () => new Template({ ...orderTemplate, id: 'template-1', tenant_id: 'tenant-1', status: 'approved' });
+
+    beforeEach(() => {
+      query.mockReset();
+      query.mockResolvedValue({ rows: [{ id: 'template-1', status: 'pending' }] });
+    });
+
+    it('null remove cabeçalho, rodapé e botões', async () => {
+      await template().update({ header: null, footer: null, buttons: null });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toMatch(/header = CASE WHEN \$2::boolean THEN \$3 ELSE header END/);
+      expect(params.slice(1, 8)).toEqual([true, null, undefined, true, null, true, null]);
+      expect(params[9]).toBe(true);
+    });
+
+    it('campos omitidos mantêm o valor atual', async () => {
+      await template().update({ body: 'Novo corpo' });
+
+      const params = query.mock.calls[0][1];
+      expect(params.slice(1, 8)).toEqual([false, null, 'Novo corpo', false, null, false, null]);
+    });
+  });
+});
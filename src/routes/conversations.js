@@ -0,0 +1,263 @@
+const express = require('express');
+const ConversationController = require('../controllers/ConversationController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Middleware de autenticação para todas as rotas
+router.use(authenticateJWT);
+router.use(validateTenantHeader);
+router.use(requireScope(['messages']));
+
+/**
+ * @swagger
+ * /v1/conversations:
+ *   get:
+ *     summary: Listar conversas
+ *     description: Caixa de entrada com as conversas do tenant, ordenadas pela última mensagem.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: query
+ *         name: assigned_to
+ *         schema:
+ *           type: string
+ *         description: ID do usuário, "me" para as próprias ou "none" para não atribuídas
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Apenas conversas com mensagens não lidas
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           type: string
+ *         description: Busca parcial pelo telefone do contato
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Lista de conversas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ */
+router.get('/', ConversationController.list);
+
+/**
+ * @swagger
+ * /v1/conversations/{id}:
+ *   get:
+ *     summary: Obter conversa
+ *     description: Retorna a conversa com os veículos do contato (pelo telefone do proprietário) e suas ordens em aberto.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Conversa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Conversation'
+ *                 - type: object
+ *                   properties:
+ *                     vehicles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Vehicle'
+ *                     open_orders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: Conversa não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', ConversationController.getById);
+
+/**
+ * @swagger
+ * /v1/conversations/{id}/messages:
+ *   get:
+ *     summary: Listar mensagens da conversa
+ *     description: Mensagens enviadas e recebidas do contato, mais recentes primeiro.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Mensagens da conversa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       404:
+ *         description: Conversa não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/messages', ConversationController.listMessages);
+
+/**
+ * @swagger
+ * /v1/conversations/{id}/read:
+ *   post:
+ *     summary: Marcar conversa como lida
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Conversa marcada como lida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       404:
+ *         description: Conversa não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/read', ConversationController.markRead);
+
+/**
+ * @swagger
+ * /v1/conversations/{id}/assign:
+ *   post:
+ *     summary: Atribuir conversa
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Usuário responsável (null remove a atribuição)
+ *     responses:
+ *       200:
+ *         description: Conversa atribuída
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Usuário inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Conversa não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/assign', ConversationController.assign);
+
+module.exports = router;
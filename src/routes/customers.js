@@ -0,0 +1,376 @@
+const express = require('express');
+const CustomerController = require('../controllers/CustomerController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+const { tenantRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Middleware de autenticação para todas as rotas
+router.use(authenticateJWT);
+router.use(validateTenantHeader);
+router.use(requireScope(['customers']));
+
+/**
+ * @swagger
+ * /v1/customers:
+ *   post:
+ *     summary: Criar cliente
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: João Silva
+ *               document:
+ *                 type: string
+ *                 description: CPF ou CNPJ, com ou sem pontuação (dígitos verificadores validados)
+ *                 example: 529.982.247-25
+ *               phones:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["+5511999999999"]
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               consent_whatsapp:
+ *                 type: boolean
+ *                 default: true
+ *               consent_marketing:
+ *                 type: boolean
+ *                 default: false
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cliente criado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Dados inválidos ou CPF/CNPJ inválido (invalid_document)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Já existe cliente com este CPF/CNPJ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', tenantRateLimiter, CustomerController.create);
+
+/**
+ * @swagger
+ * /v1/customers:
+ *   get:
+ *     summary: Listar e buscar clientes
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca por nome, email, documento ou telefone
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           type: string
+ *         description: Telefone (com ou sem 55 e nono dígito)
+ *       - in: query
+ *         name: document
+ *         schema:
+ *           type: string
+ *         description: CPF ou CNPJ
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Clientes encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Customer'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ */
+router.get('/', CustomerController.list);
+
+/**
+ * @swagger
+ * /v1/customers/duplicates:
+ *   get:
+ *     summary: Listar clientes possivelmente duplicados
+ *     description: |
+ *       Pares de clientes com o mesmo CPF/CNPJ, algum telefone em comum ou mesmo nome e email.
+ *       Use POST /v1/customers/{id}/merge para unificá-los.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Pares encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 duplicates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       customer:
+ *                         $ref: '#/components/schemas/Customer'
+ *                       duplicate:
+ *                         $ref: '#/components/schemas/Customer'
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [document, phone, name_email]
+ */
+router.get('/duplicates', CustomerController.listDuplicates);
+
+/**
+ * @swagger
+ * /v1/customers/{id}:
+ *   get:
+ *     summary: Buscar cliente por ID
+ *     description: Inclui os veículos vinculados ao cliente.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Cliente encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Customer'
+ *       404:
+ *         description: Cliente não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', CustomerController.getById);
+
+/**
+ * @swagger
+ * /v1/customers/{id}:
+ *   patch:
+ *     summary: Atualizar cliente
+ *     description: Nome, telefone principal e email são replicados em owner dos veículos vinculados.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               document:
+ *                 type: string
+ *                 nullable: true
+ *               phones:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               email:
+ *                 type: string
+ *                 nullable: true
+ *               consent_whatsapp:
+ *                 type: boolean
+ *               consent_marketing:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cliente atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Dados inválidos ou CPF/CNPJ inválido (invalid_document)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Cliente não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Já existe cliente com este CPF/CNPJ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id', tenantRateLimiter, CustomerController.update);
+
+/**
+ * @swagger
+ * /v1/customers/{id}:
+ *   delete:
+ *     summary: Remover cliente
+ *     description: Os veículos do cliente são mantidos, sem cliente vinculado.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Cliente removido
+ *       404:
+ *         description: Cliente não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', tenantRateLimiter, CustomerController.delete);
+
+/**
+ * @swagger
+ * /v1/customers/{id}/merge:
+ *   post:
+ *     summary: Mesclar clientes
+ *     description: |
+ *       Incorpora os clientes de source_ids ao cliente {id}: veículos e telefones são transferidos,
+ *       documento e email são herdados quando o destino não os tem, e os clientes de origem são removidos.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Cliente que permanece
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source_ids
+ *             properties:
+ *               source_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Clientes mesclados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Cliente não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Clientes com CPF/CNPJ diferentes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/merge', tenantRateLimiter, CustomerController.merge);
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const MaintenanceController = require('../controllers/MaintenanceController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+const { tenantRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Middleware de autenticação para todas as rotas
+router.use(authenticateJWT);
+router.use(validateTenantHeader);
+router.use(requireScope(['vehicles']));
+
+/**
+ * @swagger
+ * /v1/maintenance/plans:
+ *   post:
+ *     summary: Criar plano de manutenção preventiva
+ *     description: |
+ *       Plano de um veículo (vehicle_id) ou de um modelo (model e, opcionalmente, brand, comparados
+ *       com meta.model/meta.brand do veículo). Vence a cada interval_km, interval_months ou o que vier primeiro.
+ *       Um job diário envia o template configurado ao proprietário quando o plano vence.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - template_name
+ *             properties:
+ *               vehicle_id:
+ *                 type: string
+ *                 format: uuid
+ *               brand:
+ *                 type: string
+ *                 example: Ford
+ *               model:
+ *                 type: string
+ *                 example: Fiesta 1.6
+ *               name:
+ *                 type: string
+ *                 example: Troca de óleo
+ *               service_type:
+ *                 type: string
+ *                 enum: [oil_change, timing_belt, brakes, tires, inspection, other]
+ *                 default: other
+ *               interval_km:
+ *                 type: integer
+ *                 example: 10000
+ *               interval_months:
+ *                 type: integer
+ *                 example: 6
+ *               template_name:
+ *                 type: string
+ *                 example: lembrete_manutencao
+ *               template_language:
+ *                 type: string
+ *                 default: pt_BR
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [owner_name, plate, plan_name, current_mileage, due_mileage, due_date, workshop_name]
+ *                 example: [owner_name, plan_name, plate]
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Plano criado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenancePlan'
+ *       400:
+ *         description: Dados inválidos ou template incompatível
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/plans', tenantRateLimiter, MaintenanceController.createPlan);
+
+/**
+ * @swagger
+ * /v1/maintenance/plans:
+ *   get:
+ *     summary: Listar planos de manutenção
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: query
+ *         name: vehicle_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Apenas planos específicos deste veículo
+ *     responses:
+ *       200:
+ *         description: Planos do tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MaintenancePlan'
+ *                 service_types:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 available_variables:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ */
+router.get('/plans', MaintenanceController.listPlans);
+
+/**
+ * @swagger
+ * /v1/maintenance/plans/{id}:
+ *   patch:
+ *     summary: Atualizar plano de manutenção
+ *     description: Altera nome, intervalos, template ou pausa o plano. Veículo e modelo não podem ser alterados.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               service_type:
+ *                 type: string
+ *               interval_km:
+ *                 type: integer
+ *                 nullable: true
+ *               interval_months:
+ *                 type: integer
+ *                 nullable: true
+ *               template_name:
+ *                 type: string
+ *               template_language:
+ *                 type: string
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Plano atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenancePlan'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Plano não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/plans/:id', tenantRateLimiter, MaintenanceController.updatePlan);
+
+/**
+ * @swagger
+ * /v1/maintenance/plans/{id}:
+ *   delete:
+ *     summary: Remover plano de manutenção
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Plano removido
+ *       404:
+ *         description: Plano não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/plans/:id', tenantRateLimiter, MaintenanceController.deletePlan);
+
+module.exports = router;
@@ -62,6 +62,12 @@ router.use(requireScope(['messages']));
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Contato fora da janela de atendimento de 24h (use um template aprovado)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Limite de taxa excedido
  *         content:
@@ -81,7 +87,9 @@ router.post('/whatsapp/text',
  * /v1/messages/whatsapp/template:
  *   post:
  *     summary: Enviar template via WhatsApp
- *     description: Envia uma mensagem usando template pré-aprovado do WhatsApp
+ *     description: |
+ *       Envia uma mensagem usando um template aprovado cadastrado em /v1/templates.
+ *       Os componentes informados devem corresponder aos parâmetros definidos no template.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -93,39 +101,68 @@ router.post('/whatsapp/text',
  *           schema:
  *             type: object
  *             required:
- *               - phone
- *               - template_id
- *               - variables
+ *               - to
+ *               - name
+ *               - language
  *             properties:
- *               phone:
+ *               to:
  *                 type: string
  *                 description: Número do telefone (formato internacional)
- *                 example: "5511999999999"
- *               template_id:
+ *                 example: "+5511999999999"
+ *               name:
+ *                 type: string
+ *                 description: Nome do template aprovado
+ *                 example: "orcamento_pronto"
+ *               language:
  *                 type: string
- *                 description: ID do template aprovado
- *                 example: "manutencao_concluida"
- *               variables:
+ *                 description: Idioma do template
+ *                 example: "pt_BR"
+ *               components:
  *                 type: object
- *                 description: Variáveis para o template
+ *                 description: Valores dos parâmetros do template
+ *                 properties:
+ *                   header:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [text, image, document, video]
+ *                         text:
+ *                           type: string
+ *                         url:
+ *                           type: string
+ *                   body:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Um valor por placeholder do corpo, na ordem
+ *                   buttons:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Um valor por parâmetro de botão, na ordem
  *                 example: {
- *                   "cliente": "João Silva",
- *                   "veiculo": "Toyota Corolla 2022",
- *                   "data": "15/12/2024"
+ *                   "body": ["João Silva", "Toyota Corolla 2022"]
  *                 }
- *               vehicle_id:
- *                 type: string
- *                 format: uuid
- *                 description: ID do veículo relacionado (opcional)
+ *               metadata:
+ *                 type: object
+ *                 description: Metadados adicionais (opcional)
  *     responses:
- *       201:
- *         description: Template enviado com sucesso
+ *       202:
+ *         description: Template aceito para envio
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Message'
+ *               type: object
+ *               properties:
+ *                 message_id:
+ *                   type: string
+ *                 status:
+ *                   type: string
  *       400:
- *         description: Dados inválidos
+ *         description: Dados inválidos ou componentes não correspondem ao template
  *         content:
  *           application/json:
  *             schema:
@@ -136,6 +173,18 @@ router.post('/whatsapp/text',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Template não cadastrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Template não aprovado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Limite de taxa excedido
  *         content:
@@ -222,6 +271,12 @@ router.post('/whatsapp/template',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Contato fora da janela de atendimento de 24h (use um template aprovado)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Limite de taxa excedido
  *         content:
@@ -324,6 +379,12 @@ router.post('/whatsapp/interactive',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Contato fora da janela de atendimento de 24h (use um template aprovado)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Limite de taxa excedido
  *         content:
@@ -428,7 +489,9 @@ router.get('/',
  * /v1/messages/{messageId}/status:
  *   get:
  *     summary: Verificar status de mensagem
- *     description: Retorna o status atual de uma mensagem específica
+ *     description: |
+ *       Retorna o status atual de uma mensagem. Aceita o ID do WhatsApp ou o ID provisório
+ *       (queued_<uuid>) de mensagens enviadas pela fila.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -439,8 +502,7 @@ router.get('/',
  *         required: true
  *         schema:
  *           type: string
- *           format: uuid
- *         description: ID único da mensagem
+ *         description: ID da mensagem no WhatsApp ou ID da fila
  *     responses:
  *       200:
  *         description: Status da mensagem
@@ -451,10 +513,16 @@ router.get('/',
  *               properties:
  *                 message_id:
  *                   type: string
- *                   format: uuid
+ *                   description: ID no WhatsApp (ou ID da fila enquanto não enviada)
+ *                 queue_id:
+ *                   type: string
+ *                   description: ID provisório retornado pela fila
  *                 status:
  *                   type: string
- *                   enum: [pending, sent, delivered, read, failed]
+ *                   enum: [queued, sent, delivered, read, failed]
+ *                 error:
+ *                   type: string
+ *                   description: Motivo da falha (status failed)
  *                 updated_at:
  *                   type: string
  *                   format: date-time
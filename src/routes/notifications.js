@@ -0,0 +1,284 @@
+const express = require('express');
+const NotificationController = require('../controllers/NotificationController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+const { tenantRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Middleware de autenticação para todas as rotas
+router.use(authenticateJWT);
+router.use(validateTenantHeader);
+router.use(requireScope(['messages']));
+
+/**
+ * @swagger
+ * /v1/notifications/rules:
+ *   post:
+ *     summary: Criar regra de notificação
+ *     description: |
+ *       Associa um evento da ordem a um template do WhatsApp enviado ao proprietário do veículo.
+ *       As variáveis preenchem os placeholders do corpo do template, na ordem {{1}}, {{2}}...
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - event
+ *               - template_name
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [order.created, order.approved, order.started, order.completed, order.cancelled]
+ *               template_name:
+ *                 type: string
+ *                 example: servico_concluido
+ *               template_language:
+ *                 type: string
+ *                 default: pt_BR
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [owner_name, plate, code16, workshop_name, estimate_amount]
+ *                 example: [owner_name, plate, workshop_name]
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Regra criada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationRule'
+ *       400:
+ *         description: Dados inválidos ou template incompatível
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Já existe regra para o evento
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/rules', tenantRateLimiter, NotificationController.createRule);
+
+/**
+ * @swagger
+ * /v1/notifications/rules:
+ *   get:
+ *     summary: Listar regras de notificação
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     responses:
+ *       200:
+ *         description: Regras do tenant com eventos e variáveis disponíveis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationRule'
+ *                 available_events:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 available_variables:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ */
+router.get('/rules', NotificationController.listRules);
+
+/**
+ * @swagger
+ * /v1/notifications/rules/{id}:
+ *   patch:
+ *     summary: Atualizar regra de notificação
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               template_name:
+ *                 type: string
+ *               template_language:
+ *                 type: string
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Regra atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationRule'
+ *       400:
+ *         description: Dados inválidos ou template incompatível
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Regra não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/rules/:id', NotificationController.updateRule);
+
+/**
+ * @swagger
+ * /v1/notifications/rules/{id}:
+ *   delete:
+ *     summary: Remover regra de notificação
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Regra removida
+ *       404:
+ *         description: Regra não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/rules/:id', NotificationController.deleteRule);
+
+/**
+ * @swagger
+ * /v1/notifications/opt-outs:
+ *   post:
+ *     summary: Registrar opt-out de contato
+ *     description: |
+ *       O contato deixa de receber notificações automáticas. Clientes também podem
+ *       fazer opt-out respondendo PARAR, SAIR ou STOP no WhatsApp.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+5511999999999"
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Opt-out registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ContactOptOut'
+ *       400:
+ *         description: Telefone não informado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/opt-outs', tenantRateLimiter, NotificationController.createOptOut);
+
+/**
+ * @swagger
+ * /v1/notifications/opt-outs:
+ *   get:
+ *     summary: Listar opt-outs
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     responses:
+ *       200:
+ *         description: Contatos com opt-out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 opt_outs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContactOptOut'
+ */
+router.get('/opt-outs', NotificationController.listOptOuts);
+
+/**
+ * @swagger
+ * /v1/notifications/opt-outs/{phone}:
+ *   delete:
+ *     summary: Remover opt-out
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "5511999999999"
+ *     responses:
+ *       204:
+ *         description: Opt-out removido
+ *       404:
+ *         description: Opt-out não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/opt-outs/:phone', NotificationController.deleteOptOut);
+
+module.exports = router;
@@ -28,7 +28,6 @@ router.use(requireScope(['orders']));
  *             type: object
  *             required:
  *               - vehicle_id
- *               - estimate_amount
  *             properties:
  *               vehicle_id:
  *                 type: string
@@ -42,9 +41,9 @@ router.use(requireScope(['orders']));
  *                 example: 150.00
  *               status:
  *                 type: string
- *                 enum: [awaiting_approval, approved, in_progress, completed, cancelled]
+ *                 enum: [awaiting_approval]
  *                 default: awaiting_approval
- *                 description: Status inicial da ordem
+ *                 description: Status inicial da ordem (sempre awaiting_approval)
  *                 example: "awaiting_approval"
  *               notes:
  *                 type: string
@@ -55,6 +54,16 @@ router.use(requireScope(['orders']));
  *                 format: uuid
  *                 description: ID da oficina (opcional)
  *                 example: "456e7890-e89b-12d3-a456-426614174000"
+ *               mileage:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Quilometragem do veículo na entrada (registrada no histórico do hodômetro)
+ *                 example: 87500
+ *               items:
+ *                 type: array
+ *                 description: Itens do orçamento (quando informados, estimate_amount é calculado a partir deles)
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderItemInput'
  *     responses:
  *       201:
  *         description: Ordem criada com sucesso
@@ -137,6 +146,12 @@ router.post('/',
  *           type: string
  *         description: Filtrar por código de 16 caracteres
  *       - in: query
+ *         name: assigned_to
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filtrar por mecânico responsável (pela ordem ou por algum item); para mecânicos, o padrão são as próprias ordens
+ *       - in: query
  *         name: min_amount
  *         schema:
  *           type: number
@@ -264,17 +279,22 @@ router.get('/:id',
  *               status:
  *                 type: string
  *                 enum: [awaiting_approval, approved, in_progress, completed, cancelled]
- *                 description: Novo status da ordem
+ *                 description: Novo status da ordem (validado pela máquina de estados)
+ *               reason:
+ *                 type: string
+ *                 description: Motivo da mudança de status, registrado no histórico
  *               estimate_amount:
  *                 type: number
  *                 minimum: 0.01
  *                 description: Novo valor estimado
- *               approved:
- *                 type: boolean
- *                 description: Status de aprovação
  *               notes:
  *                 type: string
  *                 description: Novas observações
+ *               assigned_to:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Mecânico responsável (null remove a atribuição)
  *     responses:
  *       200:
  *         description: Ordem atualizada com sucesso
@@ -300,6 +320,12 @@ router.get('/:id',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transição de status não permitida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Limite de taxa excedido
  *         content:
@@ -518,15 +544,49 @@ router.get('/stats/conversion',
  *           type: string
  *           format: uuid
  *         description: ID da ordem
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo registrado no histórico de status
  *     responses:
  *       200:
  *         description: Ordem aprovada com sucesso
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Order'
- *       400:
- *         description: Ordem já foi aprovada
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Order'
+ *                 - type: object
+ *                   properties:
+ *                     stock_shortages:
+ *                       type: array
+ *                       description: Peças reservadas sem saldo disponível suficiente na oficina
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           part_id:
+ *                             type: string
+ *                             format: uuid
+ *                           sku:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                           required:
+ *                             type: number
+ *                           quantity:
+ *                             type: number
+ *                           available:
+ *                             type: number
+ *                           missing:
+ *                             type: number
+ *       409:
+ *         description: Transição de status não permitida
  *         content:
  *           application/json:
  *             schema:
@@ -573,15 +633,25 @@ router.post('/:id/approve',
  *           type: string
  *           format: uuid
  *         description: ID da ordem
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo registrado no histórico de status
  *     responses:
  *       200:
- *         description: Ordem iniciada com sucesso
+ *         description: Ordem iniciada com sucesso (inclui stock_shortages, como na aprovação)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
- *       400:
- *         description: Ordem não pode ser iniciada
+ *       409:
+ *         description: Transição de status não permitida
  *         content:
  *           application/json:
  *             schema:
@@ -628,6 +698,16 @@ router.post('/:id/start',
  *           type: string
  *           format: uuid
  *         description: ID da ordem
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo registrado no histórico de status
  *     responses:
  *       200:
  *         description: Ordem concluída com sucesso
@@ -635,8 +715,8 @@ router.post('/:id/start',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
- *       400:
- *         description: Ordem não pode ser concluída
+ *       409:
+ *         description: Transição de status não permitida
  *         content:
  *           application/json:
  *             schema:
@@ -665,4 +745,539 @@ router.post('/:id/complete',
   OrderController.complete
 );
 
+/**
+ * @swagger
+ * /v1/orders/{id}/send-approval:
+ *   post:
+ *     summary: Enviar orçamento para aprovação via WhatsApp
+ *     description: |
+ *       Envia ao proprietário do veículo uma mensagem interativa com o orçamento e os botões
+ *       Aprovar/Recusar. A resposta do cliente aprova ou cancela a ordem automaticamente,
+ *       com o mesmo efeito de POST /v1/orders/{id}/approve.
+ *       Fora da janela de atendimento de 24h o orçamento é enviado pelo template aprovado
+ *       WHATSAPP_ESTIMATE_TEMPLATE; sem o template aprovado o envio retorna status skipped.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *     responses:
+ *       202:
+ *         description: Orçamento enviado ao cliente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order_id:
+ *                   type: string
+ *                   format: uuid
+ *                 message_id:
+ *                   type: string
+ *                   nullable: true
+ *                 status:
+ *                   type: string
+ *                   enum: [sent, skipped]
+ *                 sent_as:
+ *                   type: string
+ *                   enum: [interactive, template]
+ *                 reason:
+ *                   type: string
+ *                   description: Motivo do envio não realizado (ex.: template_not_found)
+ *       400:
+ *         description: Veículo sem telefone do proprietário
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ordem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ordem não está aguardando aprovação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/send-approval',
+  tenantRateLimiter,
+  checkIdempotency,
+  OrderController.sendForApproval
+);
+
+/**
+ * @swagger
+ * /v1/orders/{id}/history:
+ *   get:
+ *     summary: Histórico de status da ordem
+ *     description: Lista as transições de status da ordem com ator, data e motivo
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *     responses:
+ *       200:
+ *         description: Histórico de status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order_id:
+ *                   type: string
+ *                   format: uuid
+ *                 status:
+ *                   type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderStatusHistory'
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         description: Ordem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history',
+  tenantRateLimiter,
+  OrderController.getHistory
+);
+
+/**
+ * @swagger
+ * /v1/orders/{id}/notifications:
+ *   get:
+ *     summary: Notificações da ordem
+ *     description: Lista as notificações automáticas disparadas pelos eventos da ordem, incluindo as ignoradas (opt-out, sem telefone) e as que falharam
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *     responses:
+ *       200:
+ *         description: Notificações da ordem
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order_id:
+ *                   type: string
+ *                   format: uuid
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationLog'
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         description: Ordem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/notifications',
+  tenantRateLimiter,
+  OrderController.getNotifications
+);
+
+/**
+ * @swagger
+ * /v1/orders/{id}/items:
+ *   get:
+ *     summary: Listar itens da ordem
+ *     description: Lista peças, mão de obra, taxas e descontos que compõem o orçamento
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *     responses:
+ *       200:
+ *         description: Itens da ordem
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order_id:
+ *                   type: string
+ *                   format: uuid
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderItem'
+ *                 estimate_amount:
+ *                   type: number
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         description: Ordem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Adicionar item à ordem
+ *     description: Adiciona um item ao orçamento e recalcula o valor estimado da ordem
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderItemInput'
+ *     responses:
+ *       201:
+ *         description: Item adicionado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 item:
+ *                   $ref: '#/components/schemas/OrderItem'
+ *                 estimate_amount:
+ *                   type: number
+ *       400:
+ *         description: Dados inválidos ou ordem encerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ordem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/items',
+  tenantRateLimiter,
+  OrderController.listItems
+);
+
+router.post('/:id/items',
+  tenantRateLimiter,
+  checkIdempotency,
+  OrderController.addItem
+);
+
+/**
+ * @swagger
+ * /v1/orders/{id}/items/{itemId}:
+ *   patch:
+ *     summary: Atualizar item da ordem
+ *     description: Atualiza um item do orçamento e recalcula o valor estimado da ordem
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID do item
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderItemInput'
+ *     responses:
+ *       200:
+ *         description: Item atualizado
+ *       400:
+ *         description: Dados inválidos ou ordem encerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Item não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Remover item da ordem
+ *     description: Remove um item do orçamento e recalcula o valor estimado da ordem
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID do item
+ *     responses:
+ *       204:
+ *         description: Item removido
+ *       400:
+ *         description: Ordem encerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Item não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id/items/:itemId',
+  tenantRateLimiter,
+  checkIdempotency,
+  OrderController.updateItem
+);
+
+router.delete('/:id/items/:itemId',
+  tenantRateLimiter,
+  OrderController.deleteItem
+);
+
+/**
+ * @swagger
+ * /v1/orders/{id}/time-entries:
+ *   get:
+ *     summary: Listar apontamentos de horas da ordem
+ *     description: Entradas e saídas dos mecânicos na ordem, com o total de minutos trabalhados
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *     responses:
+ *       200:
+ *         description: Apontamentos da ordem
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order_id:
+ *                   type: string
+ *                   format: uuid
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderTimeEntry'
+ *                 total_minutes:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         description: Ordem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/time-entries',
+  tenantRateLimiter,
+  OrderController.listTimeEntries
+);
+
+/**
+ * @swagger
+ * /v1/orders/{id}/time-entries/clock-in:
+ *   post:
+ *     summary: Registrar entrada do mecânico na ordem
+ *     description: |
+ *       Abre um apontamento de horas. Mecânicos apontam as próprias horas; demais usuários
+ *       informam user_id. Cada mecânico pode ter apenas um apontamento aberto por vez
+ *       (already_clocked_in). Os apontamentos abertos são encerrados quando a ordem é
+ *       concluída ou cancelada.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Mecânico (ignorado quando o próprio mecânico está autenticado)
+ *               item_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Item da ordem trabalhado
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Entrada registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderTimeEntry'
+ *       400:
+ *         description: Mecânico inválido, item de outra ordem ou ordem encerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ordem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Mecânico já possui apontamento aberto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/time-entries/clock-in',
+  tenantRateLimiter,
+  OrderController.clockIn
+);
+
+/**
+ * @swagger
+ * /v1/orders/{id}/time-entries/clock-out:
+ *   post:
+ *     summary: Registrar saída do mecânico da ordem
+ *     description: Encerra o apontamento aberto do mecânico nesta ordem
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da ordem
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Mecânico (ignorado quando o próprio mecânico está autenticado)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Saída registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderTimeEntry'
+ *       404:
+ *         description: Ordem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Mecânico sem apontamento aberto nesta ordem
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/time-entries/clock-out',
+  tenantRateLimiter,
+  OrderController.clockOut
+);
+
 module.exports = router;
@@ -0,0 +1,270 @@
+const express = require('express');
+const PartController = require('../controllers/PartController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+const { tenantRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Middleware de autenticação para todas as rotas
+router.use(authenticateJWT);
+router.use(validateTenantHeader);
+router.use(requireScope(['inventory']));
+
+/**
+ * @swagger
+ * /v1/parts:
+ *   post:
+ *     summary: Cadastrar peça
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sku
+ *               - description
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 description: Código da peça (único no tenant, gravado em maiúsculas)
+ *                 example: FO-1234
+ *               description:
+ *                 type: string
+ *                 example: Filtro de óleo
+ *               unit:
+ *                 type: string
+ *                 default: un
+ *                 example: un
+ *               cost:
+ *                 type: number
+ *                 format: float
+ *                 description: Custo de referência
+ *                 example: 18.5
+ *               price:
+ *                 type: number
+ *                 format: float
+ *                 description: Preço de venda sugerido nos itens das ordens
+ *                 example: 35
+ *               supplier:
+ *                 type: string
+ *                 example: Distribuidora Auto Peças
+ *     responses:
+ *       201:
+ *         description: Peça cadastrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Part'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Já existe peça com este SKU
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', tenantRateLimiter, PartController.create);
+
+/**
+ * @swagger
+ * /v1/parts:
+ *   get:
+ *     summary: Listar e buscar peças
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca por SKU ou descrição
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *         description: Fornecedor
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por peças ativas ou inativas
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Peças encontradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 parts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Part'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ */
+router.get('/', PartController.list);
+
+/**
+ * @swagger
+ * /v1/parts/{id}:
+ *   get:
+ *     summary: Buscar peça por ID
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Peça encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Part'
+ *       404:
+ *         description: Peça não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', PartController.getById);
+
+/**
+ * @swagger
+ * /v1/parts/{id}:
+ *   patch:
+ *     summary: Atualizar peça
+ *     description: Alterar o preço não muda os itens já lançados nas ordens.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               cost:
+ *                 type: number
+ *                 format: float
+ *               price:
+ *                 type: number
+ *                 format: float
+ *               supplier:
+ *                 type: string
+ *                 nullable: true
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Peça atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Part'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Peça não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Já existe peça com este SKU
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id', tenantRateLimiter, PartController.update);
+
+/**
+ * @swagger
+ * /v1/parts/{id}:
+ *   delete:
+ *     summary: Desativar peça
+ *     description: A peça deixa de aceitar novos itens de ordem; estoque e movimentações são mantidos.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Peça desativada
+ *       404:
+ *         description: Peça não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', tenantRateLimiter, PartController.delete);
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const TemplateController = require('../controllers/TemplateController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+const { tenantRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Middleware de autenticação para todas as rotas
+router.use(authenticateJWT);
+router.use(validateTenantHeader);
+router.use(requireScope(['messages']));
+
+/**
+ * @swagger
+ * /v1/templates:
+ *   post:
+ *     summary: Cadastrar template de mensagem
+ *     description: |
+ *       Registra um template do WhatsApp para o tenant com a definição dos placeholders.
+ *       O template começa como pending e só pode ser enviado depois de aprovado.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemplateInput'
+ *     responses:
+ *       201:
+ *         description: Template cadastrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Template'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Já existe template com o mesmo nome e idioma
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', tenantRateLimiter, TemplateController.create);
+
+/**
+ * @swagger
+ * /v1/templates:
+ *   get:
+ *     summary: Listar templates
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [utility, marketing, authentication]
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         example: pt_BR
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Busca parcial pelo nome
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Lista de templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Template'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ */
+router.get('/', TemplateController.list);
+
+/**
+ * @swagger
+ * /v1/templates/{id}:
+ *   get:
+ *     summary: Obter template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Template'
+ *       404:
+ *         description: Template não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', TemplateController.getById);
+
+/**
+ * @swagger
+ * /v1/templates/{id}:
+ *   patch:
+ *     summary: Atualizar template
+ *     description: Alterar o conteúdo (cabeçalho, corpo, rodapé, botões ou parâmetros) volta o status para pending. Envie null em header, footer ou buttons para removê-los.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemplateInput'
+ *     responses:
+ *       200:
+ *         description: Template atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Template'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Template não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id', TemplateController.update);
+
+/**
+ * @swagger
+ * /v1/templates/{id}/status:
+ *   post:
+ *     summary: Alterar status do template
+ *     description: |
+ *       Registra o resultado da análise da Meta. Transições permitidas:
+ *       pending → approved | rejected; approved → pending; rejected → pending.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, rejected]
+ *               rejection_reason:
+ *                 type: string
+ *                 description: Motivo da rejeição (status rejected)
+ *     responses:
+ *       200:
+ *         description: Status alterado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Template'
+ *       409:
+ *         description: Transição de status não permitida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/status', TemplateController.updateStatus);
+
+/**
+ * @swagger
+ * /v1/templates/{id}:
+ *   delete:
+ *     summary: Remover template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Template removido
+ *       404:
+ *         description: Template não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', TemplateController.delete);
+
+module.exports = router;
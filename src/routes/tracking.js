@@ -0,0 +1,155 @@
+const express = require('express');
+const TrackingController = require('../controllers/TrackingController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+const { publicRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Configurações exigem autenticação; a consulta por code16 é pública
+const settingsAuth = [authenticateJWT, validateTenantHeader, requireScope(['vehicles'])];
+
+/**
+ * @swagger
+ * /v1/tracking/settings:
+ *   get:
+ *     summary: Configurações do acompanhamento público
+ *     tags: [Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     responses:
+ *       200:
+ *         description: Configurações do tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 public_tracking_enabled:
+ *                   type: boolean
+ */
+router.get('/settings', settingsAuth, TrackingController.getSettings);
+
+/**
+ * @swagger
+ * /v1/tracking/settings:
+ *   put:
+ *     summary: Ativar ou desativar o acompanhamento público
+ *     description: Desativado, nenhum code16 do tenant pode ser consultado em /v1/tracking/{code16}.
+ *     tags: [Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - public_tracking_enabled
+ *             properties:
+ *               public_tracking_enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Configurações atualizadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 public_tracking_enabled:
+ *                   type: boolean
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/settings', settingsAuth, TrackingController.updateSettings);
+
+/**
+ * @swagger
+ * /v1/tracking/{code16}:
+ *   get:
+ *     summary: Acompanhar veículo pelo code16
+ *     description: |
+ *       Consulta pública (sem autenticação) do status da ordem mais recente do veículo.
+ *       Não retorna dados do proprietário nem identificadores internos.
+ *       Códigos revogados ou de tenants com acompanhamento desativado retornam 404.
+ *     tags: [Tracking]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: code16
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "ABCD-EFGH-JKMN-PQRV"
+ *     responses:
+ *       200:
+ *         description: Visão pública do veículo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PublicTracking'
+ *       404:
+ *         description: Veículo não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       410:
+ *         description: Código substituído por um novo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Limite de taxa excedido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:code16', publicRateLimiter, TrackingController.getPublic);
+
+/**
+ * @swagger
+ * /v1/tracking/{code16}/media/{mediaId}/thumbnail:
+ *   get:
+ *     summary: Thumbnail de mídia da ordem
+ *     tags: [Tracking]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: code16
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: mediaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Imagem JPEG
+ *         content:
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Mídia não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:code16/media/:mediaId/thumbnail', publicRateLimiter, TrackingController.getThumbnail);
+
+module.exports = router;
@@ -8,7 +8,9 @@ const router = express.Router();
  * /v1/utils/code16:
  *   post:
  *     summary: Gerar código de 16 caracteres
- *     description: Gera um código único de 16 caracteres para identificação de veículos
+ *     description: |
+ *       Gera um código de 16 caracteres (Base32 Crockford) a partir do seed: 15 caracteres
+ *       derivados do seed e um dígito verificador. A unicidade só é garantida na criação de veículos.
  *     tags: [Utils]
  *     responses:
  *       200:
@@ -20,10 +22,8 @@ const router = express.Router();
  *               properties:
  *                 code16:
  *                   type: string
- *                   maxLength: 16
- *                   minLength: 16
- *                   description: Código único de 16 caracteres
- *                   example: "ABC123DEF456GHIJ"
+ *                   description: Código de 16 caracteres no formato XXXX-XXXX-XXXX-XXXX
+ *                   example: "ABC1-23DE-F456-GHJR"
  *       500:
  *         description: Erro interno do servidor
  *         content:
@@ -1,5 +1,6 @@
 const express = require('express');
 const VehicleController = require('../controllers/VehicleController');
+const MaintenanceController = require('../controllers/MaintenanceController');
 const { authenticateJWT, validateTenantHeader, requireScope, checkPlanLimits } = require('../middleware/auth');
 const { tenantRateLimiter, createResourceRateLimiter, checkIdempotency } = require('../middleware/rateLimit');
 
@@ -52,7 +53,7 @@ router.use(requireScope(['vehicles']));
  *                 example: "Prata"
  *               license_plate:
  *                 type: string
- *                 description: Placa do veículo
+ *                 description: Placa do veículo no padrão antigo (ABC1234) ou Mercosul (ABC1D23); hífen e minúsculas são aceitos
  *                 example: "ABC1234"
  *               vin:
  *                 type: string
@@ -90,6 +91,14 @@ router.use(requireScope(['vehicles']));
  *                 format: email
  *                 description: Email do proprietário
  *                 example: "joao@email.com"
+ *               owner_document:
+ *                 type: string
+ *                 description: CPF ou CNPJ do proprietário (dígitos verificadores validados; erro invalid_document)
+ *                 example: "529.982.247-25"
+ *               customer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Cliente proprietário; sem ele, o cliente é localizado pelo telefone do proprietário ou criado
  *               notes:
  *                 type: string
  *                 description: Observações sobre o veículo
@@ -102,7 +111,7 @@ router.use(requireScope(['vehicles']));
  *             schema:
  *               $ref: '#/components/schemas/Vehicle'
  *       400:
- *         description: Dados inválidos
+ *         description: Dados inválidos (invalid_plate para placa fora dos padrões)
  *         content:
  *           application/json:
  *             schema:
@@ -113,6 +122,12 @@ router.use(requireScope(['vehicles']));
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Placa já cadastrada (a placa antiga e a convertida para Mercosul são a mesma)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Limite de taxa excedido
  *         content:
@@ -168,6 +183,12 @@ router.post('/',
  *         schema:
  *           type: integer
  *         description: Filtrar por ano
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filtrar por cliente
  *     responses:
  *       200:
  *         description: Lista de veículos
@@ -258,6 +279,126 @@ router.get('/:vehicleId',
   VehicleController.getById
 );
 
+/**
+ * @swagger
+ * /v1/vehicles/{vehicleId}/timeline:
+ *   get:
+ *     summary: Histórico do veículo
+ *     description: |
+ *       Linha do tempo do veículo, mais recentes primeiro: ordens criadas (order), mudanças de
+ *       status (status_change), mídias enviadas (media) e mensagens WhatsApp trocadas com o
+ *       proprietário ou vinculadas às ordens do veículo (message).
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID único do veículo
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Tipos separados por vírgula (order, status_change, media, message)
+ *         example: "order,status_change"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Entradas a partir desta data
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Entradas até esta data
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Histórico do veículo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 vehicle_id:
+ *                   type: string
+ *                   format: uuid
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [order, status_change, media, message]
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                         description: ID do registro de origem (ordem, histórico, mídia ou mensagem)
+ *                       order_id:
+ *                         type: string
+ *                         format: uuid
+ *                         nullable: true
+ *                       occurred_at:
+ *                         type: string
+ *                         format: date-time
+ *                       data:
+ *                         type: object
+ *                         description: Campos específicos do tipo
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Tipo ou data inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Não autorizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Veículo não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:vehicleId/timeline',
+  tenantRateLimiter,
+  VehicleController.getTimeline
+);
+
 /**
  * @swagger
  * /v1/vehicles/{vehicleId}:
@@ -328,6 +469,13 @@ router.get('/:vehicleId',
  *                 type: string
  *                 format: email
  *                 description: Email do proprietário
+ *               owner_document:
+ *                 type: string
+ *                 description: CPF ou CNPJ do proprietário
+ *               customer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Novo cliente proprietário (owner passa a refletir o cliente)
  *               notes:
  *                 type: string
  *                 description: Observações sobre o veículo
@@ -430,9 +578,8 @@ router.delete('/:vehicleId',
  *         required: true
  *         schema:
  *           type: string
- *           maxLength: 16
- *           minLength: 16
- *         description: Código de 16 caracteres do veículo
+ *         description: Código de 16 caracteres do veículo (aceita minúsculas, sem hífens e I/L/O no lugar de 1/0)
+ *         example: "ABCD-EFGH-JKMN-PQRV"
  *     responses:
  *       200:
  *         description: Detalhes do veículo
@@ -440,6 +587,12 @@ router.delete('/:vehicleId',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Vehicle'
+ *       400:
+ *         description: Dígito verificador não confere (provável erro de digitação)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Não autorizado
  *         content:
@@ -452,6 +605,12 @@ router.delete('/:vehicleId',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       410:
+ *         description: Código substituído por rotação (details.vehicle_id indica o veículo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Limite de taxa excedido
  *         content:
@@ -464,4 +623,337 @@ router.get('/code/:code16',
   VehicleController.getByCode16
 );
 
+/**
+ * @swagger
+ * /v1/vehicles/{vehicleId}/code16/revoke:
+ *   post:
+ *     summary: Revogar code16 do veículo
+ *     description: Bloqueia o acompanhamento público do veículo em /v1/tracking/{code16}. A busca interna pelo código continua funcionando.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID único do veículo
+ *     responses:
+ *       200:
+ *         description: Código revogado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Vehicle'
+ *       401:
+ *         description: Não autorizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Veículo não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:vehicleId/code16/revoke',
+  tenantRateLimiter,
+  VehicleController.revokeCode16
+);
+
+/**
+ * @swagger
+ * /v1/vehicles/{vehicleId}/code16/rotate:
+ *   post:
+ *     summary: Gerar novo code16 para o veículo
+ *     description: |
+ *       Substitui o code16 por um novo código único. O código anterior vai para o histórico
+ *       e passa a responder 410 (substituído) nas consultas. Também desfaz uma revogação.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID único do veículo
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo da troca
+ *                 example: "Código impresso extraviado"
+ *     responses:
+ *       200:
+ *         description: Novo código gerado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Vehicle'
+ *                 - type: object
+ *                   properties:
+ *                     previous_code16:
+ *                       type: string
+ *                     code16_history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code16:
+ *                             type: string
+ *                           replaced_by:
+ *                             type: string
+ *                           retired_by:
+ *                             type: string
+ *                             format: uuid
+ *                             nullable: true
+ *                           reason:
+ *                             type: string
+ *                             nullable: true
+ *                           retired_at:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Não autorizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Veículo não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:vehicleId/code16/rotate',
+  tenantRateLimiter,
+  VehicleController.rotateCode16
+);
+
+/**
+ * @swagger
+ * /v1/vehicles/{vehicleId}/odometer:
+ *   post:
+ *     summary: Registrar leitura do hodômetro
+ *     description: A quilometragem não pode ser menor que a última leitura. Leituras também são registradas ao criar ordens com mileage.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mileage
+ *             properties:
+ *               mileage:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 87500
+ *               recorded_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Leitura registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OdometerReading'
+ *       400:
+ *         description: Quilometragem inválida ou menor que a última leitura
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Veículo não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:vehicleId/odometer',
+  tenantRateLimiter,
+  MaintenanceController.recordOdometer
+);
+
+/**
+ * @swagger
+ * /v1/vehicles/{vehicleId}/odometer:
+ *   get:
+ *     summary: Leituras do hodômetro
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Leituras mais recentes primeiro
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 vehicle_id:
+ *                   type: string
+ *                   format: uuid
+ *                 readings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OdometerReading'
+ *       404:
+ *         description: Veículo não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:vehicleId/odometer',
+  tenantRateLimiter,
+  MaintenanceController.listOdometer
+);
+
+/**
+ * @swagger
+ * /v1/vehicles/{vehicleId}/maintenance:
+ *   get:
+ *     summary: Situação da manutenção preventiva
+ *     description: Planos aplicáveis ao veículo com próximo vencimento (km e data) e os últimos lembretes enviados.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Situação dos planos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 vehicle_id:
+ *                   type: string
+ *                   format: uuid
+ *                 plans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VehicleMaintenanceStatus'
+ *                 reminders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Veículo não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:vehicleId/maintenance',
+  tenantRateLimiter,
+  MaintenanceController.getVehicleStatus
+);
+
+/**
+ * @swagger
+ * /v1/vehicles/{vehicleId}/maintenance/{planId}/done:
+ *   post:
+ *     summary: Registrar manutenção realizada
+ *     description: Reinicia a contagem do plano a partir desta data e quilometragem.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mileage:
+ *                 type: integer
+ *                 description: Quilometragem no serviço (sem ela, usa a última leitura)
+ *               performed_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Nova situação do plano
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VehicleMaintenanceStatus'
+ *       400:
+ *         description: Quilometragem inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Veículo ou plano não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:vehicleId/maintenance/:planId/done',
+  tenantRateLimiter,
+  MaintenanceController.markDone
+);
+
 module.exports = router;
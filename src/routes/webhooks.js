@@ -1,5 +1,8 @@
 const express = require('express');
 const WhatsAppService = require('../services/WhatsAppService');
+const WebhookController = require('../controllers/WebhookController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+const { tenantRateLimiter } = require('../middleware/rateLimit');
 const { verifyHmac } = require('../utils/crypto');
 const logger = require('../utils/logger');
 
@@ -128,13 +131,21 @@ router.post('/whatsapp', (req, res) => {
   }
 });
 
+// Webhooks de parceiros exigem autenticação; /whatsapp permanece público (Meta)
+const partnerAuth = [authenticateJWT, validateTenantHeader, requireScope(['webhooks'])];
+
 /**
  * @swagger
  * /v1/webhooks/partners:
  *   post:
  *     summary: Cadastrar webhook de parceiro
- *     description: Cadastra um novo webhook para receber eventos de parceiros
+ *     description: |
+ *       Cadastra um webhook do tenant para receber eventos. Se o segredo não for informado,
+ *       um novo é gerado. O segredo só é retornado nesta resposta e na rotação.
  *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
  *     requestBody:
  *       required: true
  *       content:
@@ -144,23 +155,22 @@ router.post('/whatsapp', (req, res) => {
  *             required:
  *               - url
  *               - events
- *               - secret
  *             properties:
  *               url:
  *                 type: string
  *                 format: uri
- *                 description: URL do webhook
+ *                 description: URL do webhook (hosts que resolvem para endereços privados, loopback ou link-local são recusados)
  *                 example: "https://api.parceiro.com/webhook"
  *               events:
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [message.delivered, message.read, message.failed, button.clicked, list.selected, order.updated, order.approved, order.completed]
+ *                   enum: [message.received, message.sent, message.delivered, message.read, message.failed, button.clicked, list.selected, order.created, order.updated, order.approved, order.started, order.completed, order.cancelled, order.deleted, inventory.shortage, inventory.reservation_failed]
  *                 description: Lista de eventos para receber
  *                 example: ["message.delivered", "message.read", "order.updated"]
  *               secret:
  *                 type: string
- *                 description: Chave secreta para assinatura HMAC
+ *                 description: Chave secreta para assinatura HMAC (mínimo 16 caracteres)
  *                 example: "webhook_secret_key_123"
  *     responses:
  *       201:
@@ -168,134 +178,38 @@ router.post('/whatsapp', (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                   description: ID do webhook
- *                 url:
- *                   type: string
- *                   format: uri
- *                 events:
- *                   type: array
- *                   items:
- *                     type: string
- *                 active:
- *                   type: boolean
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Segredo para validar X-Signature-256
  *       400:
  *         description: Dados inválidos
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Erro interno do servidor
+ *       401:
+ *         description: Não autorizado
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/partners', (req, res) => {
-  try {
-    const { url, events, secret } = req.body;
-
-    // Validações básicas
-    if (!url || !events || !secret) {
-      return res.status(400).json({
-        error: {
-          code: 'invalid_request',
-          message: 'Campos url, events e secret são obrigatórios',
-          details: { required: ['url', 'events', 'secret'] }
-        }
-      });
-    }
-
-    // Valida URL
-    try {
-      new URL(url);
-    } catch (error) {
-      return res.status(400).json({
-        error: {
-          code: 'invalid_request',
-          message: 'URL inválida',
-          details: { url }
-        }
-      });
-    }
-
-    // Valida eventos
-    const validEvents = [
-      'message.delivered',
-      'message.read',
-      'message.failed',
-      'button.clicked',
-      'list.selected',
-      'order.updated',
-      'order.approved',
-      'order.completed'
-    ];
-
-    const invalidEvents = events.filter(event => !validEvents.includes(event));
-    if (invalidEvents.length > 0) {
-      return res.status(400).json({
-        error: {
-          code: 'invalid_request',
-          message: 'Eventos inválidos',
-          details: { 
-            invalid_events: invalidEvents,
-            valid_events 
-          }
-        }
-      });
-    }
-
-    // Salva webhook no banco
-    const { query } = require('../config/database');
-    query(
-      `INSERT INTO webhooks (url, events, secret, active)
-       VALUES ($1, $2, $3, true)
-       RETURNING id`,
-      [url, JSON.stringify(events), secret]
-    ).then(result => {
-      logger.info('Webhook de parceiro cadastrado', { 
-        webhook_id: result.rows[0].id,
-        url,
-        events 
-      });
-
-      res.status(201).json({
-        id: result.rows[0].id,
-        url,
-        events,
-        active: true
-      });
-    }).catch(error => {
-      logger.error('Erro ao cadastrar webhook', { error: error.message });
-      res.status(500).json({
-        error: {
-          code: 'internal_error',
-          message: 'Erro interno ao cadastrar webhook'
-        }
-      });
-    });
-  } catch (error) {
-    logger.error('Erro ao processar cadastro de webhook', { error: error.message });
-    res.status(500).json({
-      error: {
-        code: 'internal_error',
-        message: 'Erro interno'
-      }
-    });
-  }
-});
+router.post('/partners', partnerAuth, tenantRateLimiter, WebhookController.create);
 
 /**
  * @swagger
  * /v1/webhooks/partners:
  *   get:
  *     summary: Listar webhooks de parceiros
- *     description: Lista todos os webhooks de parceiros cadastrados
+ *     description: Lista os webhooks do tenant (sem os segredos)
  *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
  *     responses:
  *       200:
  *         description: Lista de webhooks
@@ -307,138 +221,307 @@ router.post('/partners', (req, res) => {
  *                 webhooks:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: integer
- *                         description: ID do webhook
- *                       url:
- *                         type: string
- *                         format: uri
- *                         description: URL do webhook
- *                       events:
- *                         type: array
- *                         items:
- *                           type: string
- *                         description: Eventos configurados
- *                       active:
- *                         type: boolean
- *                         description: Status do webhook
- *                       created_at:
- *                         type: string
- *                         format: date-time
- *                         description: Data de criação
- *       500:
- *         description: Erro interno do servidor
+ *                     $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: Não autorizado
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/partners', (req, res) => {
-  try {
-    const { query } = require('../config/database');
-    
-    query('SELECT id, url, events, active, created_at FROM webhooks ORDER BY created_at DESC')
-      .then(result => {
-        res.json({
-          webhooks: result.rows.map(row => ({
-            id: row.id,
-            url: row.url,
-            events: row.events,
-            active: row.active,
-            created_at: row.created_at
-          }))
-        });
-      })
-      .catch(error => {
-        logger.error('Erro ao listar webhooks', { error: error.message });
-        res.status(500).json({
-          error: {
-            code: 'internal_error',
-            message: 'Erro interno ao listar webhooks'
-          }
-        });
-      });
-  } catch (error) {
-    logger.error('Erro ao processar listagem de webhooks', { error: error.message });
-    res.status(500).json({
-      error: {
-        code: 'internal_error',
-        message: 'Erro interno'
-      }
-    });
-  }
-});
+router.get('/partners', partnerAuth, WebhookController.list);
 
 /**
  * @swagger
  * /v1/webhooks/partners/{id}:
- *   delete:
- *     summary: Remover webhook de parceiro
- *     description: Remove um webhook de parceiro específico
+ *   get:
+ *     summary: Obter webhook de parceiro
  *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
+ *           format: uuid
  *         description: ID do webhook
  *     responses:
- *       204:
- *         description: Webhook removido com sucesso
+ *       200:
+ *         description: Webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
  *       404:
  *         description: Webhook não encontrado
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Erro interno do servidor
+ */
+router.get('/partners/:id', partnerAuth, WebhookController.get);
+
+/**
+ * @swagger
+ * /v1/webhooks/partners/{id}:
+ *   patch:
+ *     summary: Atualizar webhook de parceiro
+ *     description: |
+ *       Altera URL e eventos, ou pausa/reativa a assinatura com o campo active.
+ *       Reativar uma assinatura desativada automaticamente zera o contador de falhas.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID do webhook
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Webhook atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Webhook não encontrado
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/partners/:id', (req, res) => {
-  try {
-    const { id } = req.params;
-    const { query } = require('../config/database');
-    
-    query('DELETE FROM webhooks WHERE id = $1 RETURNING id', [id])
-      .then(result => {
-        if (result.rows.length === 0) {
-          return res.status(404).json({
-            error: {
-              code: 'not_found',
-              message: 'Webhook não encontrado',
-              details: { webhook_id: id }
-            }
-          });
-        }
+router.patch('/partners/:id', partnerAuth, WebhookController.update);
 
-        logger.info('Webhook removido', { webhook_id: id });
-        res.status(204).send();
-      })
-      .catch(error => {
-        logger.error('Erro ao remover webhook', { error: error.message });
-        res.status(500).json({
-          error: {
-            code: 'internal_error',
-            message: 'Erro interno ao remover webhook'
-          }
-        });
-      });
-  } catch (error) {
-    logger.error('Erro ao processar remoção de webhook', { error: error.message });
-    res.status(500).json({
-      error: {
-        code: 'internal_error',
-        message: 'Erro interno'
-      }
-    });
-  }
-});
+/**
+ * @swagger
+ * /v1/webhooks/partners/{id}/rotate-secret:
+ *   post:
+ *     summary: Rotacionar segredo do webhook
+ *     description: Gera um novo segredo de assinatura. O segredo anterior deixa de valer imediatamente.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID do webhook
+ *     responses:
+ *       200:
+ *         description: Segredo rotacionado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *       404:
+ *         description: Webhook não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/partners/:id/rotate-secret', partnerAuth, tenantRateLimiter, WebhookController.rotateSecret);
+
+/**
+ * @swagger
+ * /v1/webhooks/partners/{id}/deliveries:
+ *   get:
+ *     summary: Listar entregas do webhook
+ *     description: Lista as tentativas de entrega do webhook, mais recentes primeiro
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID do webhook
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [success, failed]
+ *         description: Filtrar por resultado da tentativa
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filtrar por evento
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Número da página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Itens por página
+ *     responses:
+ *       200:
+ *         description: Lista de entregas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       404:
+ *         description: Webhook não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/partners/:id/deliveries', partnerAuth, WebhookController.listDeliveries);
+
+/**
+ * @swagger
+ * /v1/webhooks/partners/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Reenviar evento ao webhook
+ *     description: Enfileira novamente o evento da entrega, mantendo o mesmo X-Webhook-Event-Id
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID do webhook
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da entrega
+ *     responses:
+ *       202:
+ *         description: Reenvio enfileirado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 event_id:
+ *                   type: string
+ *                   format: uuid
+ *                 event:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: queued
+ *       404:
+ *         description: Webhook ou entrega não encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Webhook desativado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/partners/:id/deliveries/:deliveryId/redeliver', partnerAuth, tenantRateLimiter, WebhookController.redeliver);
+
+/**
+ * @swagger
+ * /v1/webhooks/partners/{id}:
+ *   delete:
+ *     summary: Remover webhook de parceiro
+ *     description: Remove um webhook de parceiro do tenant
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID do webhook
+ *     responses:
+ *       204:
+ *         description: Webhook removido com sucesso
+ *       404:
+ *         description: Webhook não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/partners/:id', partnerAuth, WebhookController.delete);
 
 module.exports = router;
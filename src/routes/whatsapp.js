@@ -0,0 +1,218 @@
+const express = require('express');
+const WhatsAppAccountController = require('../controllers/WhatsAppAccountController');
+const WhatsAppMockController = require('../controllers/WhatsAppMockController');
+const { authenticateJWT, validateTenantHeader, requireScope } = require('../middleware/auth');
+const { tenantRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Middleware de autenticação para todas as rotas
+router.use(authenticateJWT);
+router.use(validateTenantHeader);
+router.use(requireScope(['messages']));
+
+// Token e número da conta só podem ser alterados por administradores e gerentes
+const settingsScope = requireScope(['settings']);
+
+/**
+ * @swagger
+ * /v1/whatsapp/account:
+ *   get:
+ *     summary: Obter conta WhatsApp do tenant
+ *     description: Retorna a conta WhatsApp Business configurada para o tenant (sem o token de acesso)
+ *     tags: [WhatsApp]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     responses:
+ *       200:
+ *         description: Conta WhatsApp
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WhatsAppAccount'
+ *       404:
+ *         description: Conta não configurada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/account', WhatsAppAccountController.get);
+
+/**
+ * @swagger
+ * /v1/whatsapp/account:
+ *   put:
+ *     summary: Configurar conta WhatsApp do tenant
+ *     description: |
+ *       Cadastra ou substitui o número WhatsApp Business do tenant. O token de acesso é armazenado
+ *       criptografado e o phone_number_id é usado para rotear os webhooks recebidos da Meta.
+ *     tags: [WhatsApp]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone_number_id
+ *               - access_token
+ *             properties:
+ *               phone_number_id:
+ *                 type: string
+ *                 description: Phone Number ID da Meta
+ *                 example: "109876543210987"
+ *               business_account_id:
+ *                 type: string
+ *                 description: WhatsApp Business Account ID
+ *                 example: "102938475610293"
+ *               display_phone_number:
+ *                 type: string
+ *                 description: Número exibido aos clientes
+ *                 example: "+55 11 99999-9999"
+ *               access_token:
+ *                 type: string
+ *                 description: Token de acesso permanente da Cloud API
+ *               status:
+ *                 type: string
+ *                 enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: Conta configurada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WhatsAppAccount'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Permissão insuficiente (requer perfil admin ou manager)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: phone_number_id já vinculado a outro tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/account', settingsScope, tenantRateLimiter, WhatsAppAccountController.upsert);
+
+/**
+ * @swagger
+ * /v1/whatsapp/account:
+ *   delete:
+ *     summary: Remover conta WhatsApp do tenant
+ *     tags: [WhatsApp]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     responses:
+ *       204:
+ *         description: Conta removida
+ *       403:
+ *         description: Permissão insuficiente (requer perfil admin ou manager)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Conta não configurada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/account', settingsScope, WhatsAppAccountController.delete);
+
+/**
+ * @swagger
+ * /v1/whatsapp/mock/messages:
+ *   get:
+ *     summary: Listar mensagens do provedor mock
+ *     description: Disponível apenas com WHATSAPP_PROVIDER=mock fora de produção
+ *     tags: [WhatsApp]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     responses:
+ *       200:
+ *         description: Mensagens registradas pelo provedor mock para o número do tenant
+ *       404:
+ *         description: Provedor mock inativo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/mock/messages',
+  WhatsAppMockController.requireMockProvider,
+  WhatsAppMockController.listMessages
+);
+
+/**
+ * @swagger
+ * /v1/whatsapp/mock/messages/{messageId}/status:
+ *   post:
+ *     summary: Simular webhook de status
+ *     description: |
+ *       Gera um webhook de status no formato da Meta e o processa para o tenant autenticado.
+ *       Disponível apenas com WHATSAPP_PROVIDER=mock fora de produção.
+ *     tags: [WhatsApp]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID retornado pelo provedor mock (wamid.mock.NNNNNN)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [sent, delivered, read, failed]
+ *               error:
+ *                 type: string
+ *                 description: Motivo da falha (status failed)
+ *     responses:
+ *       202:
+ *         description: Webhook simulado processado
+ *       404:
+ *         description: Provedor mock inativo ou mensagem não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Mensagem não registrada para o tenant; status não aplicado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/mock/messages/:messageId/status',
+  WhatsAppMockController.requireMockProvider,
+  WhatsAppMockController.simulateStatus
+);
+
+module.exports = router;
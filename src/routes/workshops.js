@@ -1,5 +1,8 @@
 const express = require('express');
 const WorkshopController = require('../controllers/WorkshopController');
+const AppointmentController = require('../controllers/AppointmentController');
+const MechanicController = require('../controllers/MechanicController');
+const InventoryController = require('../controllers/InventoryController');
 const { authenticateJWT, validateTenantHeader, requireScope, checkPlanLimits } = require('../middleware/auth');
 const { tenantRateLimiter, createResourceRateLimiter, checkIdempotency } = require('../middleware/rateLimit');
 
@@ -36,9 +39,8 @@ router.use(requireScope(['workshops']));
  *                 example: "Oficina Central"
  *               cnpj:
  *                 type: string
- *                 pattern: '^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$'
- *                 description: CNPJ da oficina (formato XX.XXX.XXX/XXXX-XX)
- *                 example: "12.345.678/0001-90"
+ *                 description: CNPJ da oficina, com ou sem pontuação (numérico ou alfanumérico); os dígitos verificadores são validados e o CNPJ é armazenado no formato XX.XXX.XXX/XXXX-XX
+ *                 example: "11.222.333/0001-81"
  *               corporate_name:
  *                 type: string
  *                 description: Razão social da oficina
@@ -212,7 +214,7 @@ router.use(requireScope(['workshops']));
  *             schema:
  *               $ref: '#/components/schemas/Workshop'
  *       400:
- *         description: Dados inválidos
+ *         description: Dados inválidos ou CNPJ inválido (invalid_document, com a verificação que falhou em details.check)
  *         content:
  *           application/json:
  *             schema:
@@ -407,8 +409,7 @@ router.get('/:id',
  *                 description: Nome da oficina
  *               cnpj:
  *                 type: string
- *                 pattern: '^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$'
- *                 description: CNPJ da oficina
+ *                 description: CNPJ da oficina, com ou sem pontuação (dígitos verificadores validados)
  *               corporate_name:
  *                 type: string
  *                 description: Razão social da oficina
@@ -469,7 +470,7 @@ router.get('/:id',
  *             schema:
  *               $ref: '#/components/schemas/Workshop'
  *       400:
- *         description: Dados inválidos
+ *         description: Dados inválidos ou CNPJ inválido (invalid_document, com a verificação que falhou em details.check)
  *         content:
  *           application/json:
  *             schema:
@@ -836,7 +837,10 @@ router.get('/:id/stats',
  * /v1/workshops/{id}/sync-erp:
  *   post:
  *     summary: Sincronizar com ERP
- *     description: Inicia sincronização da oficina com sistema ERP
+ *     description: |
+ *       Enfileira uma execução de sincronização com o ERP (conector em ERP_CONNECTOR).
+ *       O worker importa clientes, veículos e ordens alterados no ERP e envia os alterados
+ *       localmente, vinculando os registros por erp_id. Acompanhe em /sync-erp/runs.
  *     tags: [Workshops]
  *     security:
  *       - bearerAuth: []
@@ -850,8 +854,8 @@ router.get('/:id/stats',
  *           format: uuid
  *         description: ID da oficina
  *     responses:
- *       200:
- *         description: Sincronização iniciada com sucesso
+ *       202:
+ *         description: Sincronização enfileirada
  *         content:
  *           application/json:
  *             schema:
@@ -860,9 +864,12 @@ router.get('/:id/stats',
  *                 message:
  *                   type: string
  *                   example: "Sincronização com ERP iniciada com sucesso"
+ *                 run:
+ *                   $ref: '#/components/schemas/ErpSyncRun'
  *                 last_sync:
  *                   type: string
  *                   format: date-time
+ *                   description: Conclusão da última sincronização
  *       400:
  *         description: Sincronização com ERP não habilitada
  *         content:
@@ -881,6 +888,12 @@ router.get('/:id/stats',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Já existe sincronização em andamento (sync_in_progress)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Limite de taxa excedido
  *         content:
@@ -893,4 +906,964 @@ router.post('/:id/sync-erp',
   WorkshopController.syncWithERP
 );
 
+/**
+ * @swagger
+ * /v1/workshops/{id}/sync-erp/runs:
+ *   get:
+ *     summary: Listar sincronizações com ERP
+ *     description: Execuções da oficina, mais recentes primeiro, com contadores por entidade, conflitos e erros
+ *     tags: [Workshops]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, completed_with_errors, failed]
+ *         description: Filtrar por status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Número da página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Itens por página
+ *     responses:
+ *       200:
+ *         description: Lista de execuções
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ErpSyncRun'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Status inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/sync-erp/runs',
+  tenantRateLimiter,
+  WorkshopController.listSyncRuns
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/availability:
+ *   get:
+ *     summary: Horários disponíveis para agendamento
+ *     description: |
+ *       Horários calculados a partir de working_hours no fuso da oficina, em intervalos de
+ *       APPOINTMENT_SLOT_MINUTES. Cada horário aceita até max_mechanics atendimentos simultâneos
+ *       e o dia aceita até max_vehicles_per_day agendamentos.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Data local da oficina (padrão hoje)
+ *     responses:
+ *       200:
+ *         description: Disponibilidade do dia
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkshopAvailability'
+ *       400:
+ *         description: Data inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/availability',
+  tenantRateLimiter,
+  AppointmentController.getAvailability
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/appointments:
+ *   post:
+ *     summary: Agendar atendimento
+ *     description: |
+ *       Informe scheduled_at (ISO 8601) ou date e time no horário local da oficina.
+ *       O agendamento é recusado com a oficina fechada (workshop_closed), fora do horário
+ *       (outside_working_hours), com o dia completo (day_full) ou sem vaga no horário (slot_full).
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vehicle_id
+ *             properties:
+ *               vehicle_id:
+ *                 type: string
+ *                 format: uuid
+ *               scheduled_at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-10-20T11:00:00Z"
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-10-20"
+ *               time:
+ *                 type: string
+ *                 example: "08:00"
+ *               duration_minutes:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 720
+ *                 description: Padrão APPOINTMENT_SLOT_MINUTES
+ *               service_description:
+ *                 type: string
+ *                 example: Revisão dos 30.000 km
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Agendamento criado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Dados inválidos ou horário no passado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Oficina fechada, fora do horário ou sem capacidade
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/appointments',
+  tenantRateLimiter,
+  AppointmentController.create
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/appointments:
+ *   get:
+ *     summary: Listar agendamentos da oficina
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Data local inicial
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Data local final
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, confirmed, checked_in, cancelled, no_show]
+ *       - in: query
+ *         name: vehicle_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Agendamentos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 appointments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/appointments',
+  tenantRateLimiter,
+  AppointmentController.list
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/appointments/{appointmentId}:
+ *   get:
+ *     summary: Buscar agendamento
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Agendamento encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Agendamento não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/appointments/:appointmentId',
+  tenantRateLimiter,
+  AppointmentController.getById
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/appointments/{appointmentId}:
+ *   patch:
+ *     summary: Atualizar agendamento
+ *     description: |
+ *       Remarca (scheduled_at ou date e time, com as mesmas regras de capacidade), altera observações
+ *       ou muda o status: scheduled → confirmed, e scheduled/confirmed → cancelled ou no_show.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scheduled_at:
+ *                 type: string
+ *                 format: date-time
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *               duration_minutes:
+ *                 type: integer
+ *               service_description:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, cancelled, no_show]
+ *               cancel_reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Agendamento atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Agendamento não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transição de status não permitida ou sem capacidade no novo horário
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id/appointments/:appointmentId',
+  tenantRateLimiter,
+  AppointmentController.update
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/appointments/{appointmentId}:
+ *   delete:
+ *     summary: Cancelar agendamento
+ *     description: O agendamento é mantido com status cancelled e libera a vaga.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Agendamento cancelado
+ *       404:
+ *         description: Agendamento não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Agendamento já finalizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id/appointments/:appointmentId',
+  tenantRateLimiter,
+  AppointmentController.cancel
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/appointments/{appointmentId}/check-in:
+ *   post:
+ *     summary: Registrar chegada do veículo
+ *     description: |
+ *       O agendamento confirmado passa para checked_in e abre uma ordem de serviço
+ *       (aguardando aprovação) para o veículo na oficina.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicle_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Obrigatório se o agendamento não tiver veículo
+ *               estimate_amount:
+ *                 type: number
+ *                 default: 0
+ *               notes:
+ *                 type: string
+ *                 description: Padrão service_description do agendamento
+ *               mileage:
+ *                 type: integer
+ *                 description: Quilometragem de entrada
+ *     responses:
+ *       201:
+ *         description: Ordem aberta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 appointment:
+ *                   $ref: '#/components/schemas/Appointment'
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Agendamento não encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Agendamento não está confirmado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/appointments/:appointmentId/check-in',
+  tenantRateLimiter,
+  AppointmentController.checkIn
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/mechanics/workload:
+ *   get:
+ *     summary: Carga de trabalho dos mecânicos
+ *     description: |
+ *       Para cada mecânico ativo da oficina (incluindo os que atendem todas as oficinas):
+ *       ordens em aberto atribuídas, apontamento em andamento e horas apontadas no período.
+ *       O período usa datas locais da oficina; o padrão são os últimos 7 dias.
+ *     tags: [Workshops]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Início do período (data local)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fim do período (data local, inclusive; padrão hoje)
+ *     responses:
+ *       200:
+ *         description: Carga de trabalho dos mecânicos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MechanicsWorkload'
+ *       400:
+ *         description: Período inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/mechanics/workload',
+  tenantRateLimiter,
+  MechanicController.workload
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/inventory:
+ *   get:
+ *     summary: Estoque da oficina
+ *     description: |
+ *       Saldo de cada peça movimentada na oficina. reserved soma os itens das ordens aprovadas
+ *       ou em andamento; available = quantity - reserved.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca por SKU ou descrição da peça
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por peças ativas ou inativas
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Estoque da oficina
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PartStock'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/inventory',
+  InventoryController.listStock
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/inventory/low-stock:
+ *   get:
+ *     summary: Relatório de estoque baixo
+ *     description: |
+ *       Peças ativas com saldo disponível (descontadas as reservas) no estoque mínimo ou abaixo
+ *       dele, ou negativo, ordenadas pela maior falta. shortage é a quantidade para voltar ao mínimo.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *     responses:
+ *       200:
+ *         description: Peças com estoque baixo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LowStockReport'
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/inventory/low-stock',
+  InventoryController.lowStock
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/inventory/movements:
+ *   post:
+ *     summary: Lançar movimentação de estoque
+ *     description: |
+ *       Compra (quantidade positiva) ou ajuste (positivo ou negativo, ex.: inventário, perda).
+ *       O consumo é lançado automaticamente na conclusão das ordens com peças.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - part_id
+ *               - type
+ *               - quantity
+ *             properties:
+ *               part_id:
+ *                 type: string
+ *                 format: uuid
+ *               type:
+ *                 type: string
+ *                 enum: [purchase, adjustment]
+ *               quantity:
+ *                 type: number
+ *                 description: Diferente de zero; positiva na compra
+ *                 example: 10
+ *               unit_cost:
+ *                 type: number
+ *                 format: float
+ *                 description: Custo unitário da compra (padrão o custo da peça)
+ *               notes:
+ *                 type: string
+ *                 example: NF 12345
+ *     responses:
+ *       201:
+ *         description: Movimentação lançada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         description: Dados inválidos ou peça não encontrada (invalid_part)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/inventory/movements',
+  tenantRateLimiter,
+  InventoryController.createMovement
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/inventory/movements:
+ *   get:
+ *     summary: Movimentações de estoque da oficina
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: query
+ *         name: part_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filtrar por peça
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [purchase, adjustment, consumption]
+ *         description: Filtrar por tipo
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filtrar por ordem de serviço (consumos)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Início do período (data local)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fim do período (data local, inclusive)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Movimentações, mais recentes primeiro
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Filtros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Oficina não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/inventory/movements',
+  InventoryController.listMovements
+);
+
+/**
+ * @swagger
+ * /v1/workshops/{id}/inventory/{partId}:
+ *   patch:
+ *     summary: Configurar peça no estoque da oficina
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - tenantHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da oficina
+ *       - in: path
+ *         name: partId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID da peça
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               min_quantity:
+ *                 type: number
+ *                 description: Estoque mínimo usado no relatório de estoque baixo
+ *                 example: 5
+ *               location:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Localização física (prateleira, gaveta)
+ *                 example: A3-02
+ *     responses:
+ *       200:
+ *         description: Estoque da peça na oficina
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PartStock'
+ *       400:
+ *         description: Dados inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Oficina ou peça não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id/inventory/:partId',
+  tenantRateLimiter,
+  InventoryController.configureStock
+);
+
 module.exports = router;
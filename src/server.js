@@ -9,6 +9,7 @@ const morgan = require('morgan');
 const swaggerUi = require('swagger-ui-express');
 const specs = require('../swaggerDef');
 const { generateUUID } = require('./utils/crypto');
+const { AppError } = require('./utils/errors');
 const logger = require('./utils/logger');
 
 // Importa rotas
@@ -20,6 +21,17 @@ const mediaRoutes = require('./routes/media');
 const workshopsRoutes = require('./routes/workshops');
 const ordersRoutes = require('./routes/orders');
 const authRoutes = require('./routes/auth');
+const whatsappRoutes = require('./routes/whatsapp');
+const templatesRoutes = require('./routes/templates');
+const conversationsRoutes = require('./routes/conversations');
+const notificationsRoutes = require('./routes/notifications');
+const trackingRoutes = require('./routes/tracking');
+const maintenanceRoutes = require('./routes/maintenance');
+const customersRoutes = require('./routes/customers');
+const partsRoutes = require('./routes/parts');
+
+// Assinantes de eventos de domínio
+require('./services/subscribers').registerSubscribers();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -127,6 +139,14 @@ app.use('/v1/utils', utilsRoutes);
 app.use('/v1/media', mediaRoutes);
 app.use('/v1/workshops', workshopsRoutes);
 app.use('/v1/orders', ordersRoutes);
+app.use('/v1/whatsapp', whatsappRoutes);
+app.use('/v1/templates', templatesRoutes);
+app.use('/v1/conversations', conversationsRoutes);
+app.use('/v1/notifications', notificationsRoutes);
+app.use('/v1/tracking', trackingRoutes);
+app.use('/v1/maintenance', maintenanceRoutes);
+app.use('/v1/customers', customersRoutes);
+app.use('/v1/parts', partsRoutes);
 
 // Middleware de tratamento de erros
 app.use((err, req, res, next) => {
@@ -141,6 +161,14 @@ app.use((err, req, res, next) => {
     return next(err);
   }
 
+  // Erro de domínio com código e status definidos
+  if (err instanceof AppError) {
+    return res.status(err.status).json({
+      ...err.toResponse(),
+      correlation_id: req.correlationId
+    });
+  }
+
   // Erro de validação
   if (err.name === 'ValidationError') {
     return res.status(400).json({
@@ -0,0 +1,419 @@
+const redis = require('../config/redis');
+const Vehicle = require('../models/Vehicle');
+const Workshop = require('../models/Workshop');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const SchedulingService = require('./SchedulingService');
+const WhatsAppService = require('./WhatsAppService');
+const { AppError } = require('../utils/errors');
+const { canonicalPhone } = require('../utils/phone');
+const { isValidDate, isValidTime, weekdayOf, zonedParts, addDays } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// Tempo sem resposta até a conversa de agendamento expirar
+const SESSION_TTL_SECONDS = parseInt(process.env.BOOKING_SESSION_TTL_SECONDS) || 1800;
+
+// Quantos dias à frente são consultados para oferecer datas
+const DAYS_AHEAD = parseInt(process.env.BOOKING_DAYS_AHEAD) || 14;
+
+const START_KEYWORDS = ['AGENDAR', 'AGENDAMENTO'];
+const CANCEL_KEYWORDS = ['CANCELAR'];
+
+// IDs das linhas das listas: booking:<etapa>:<valor>
+const ROW_PREFIX = 'booking';
+const ROW_PATTERN = /^booking:(vehicle|workshop|service|day|slot):(.+)$/;
+
+// Etapas na ordem da conversa e o campo da sessão preenchido por cada uma
+const STEPS = [
+  { step: 'vehicle', field: 'vehicle_id' },
+  { step: 'workshop', field: 'workshop_id' },
+  { step: 'service', field: 'service_type' },
+  { step: 'day', field: 'date' },
+  { step: 'slot', field: 'time' }
+];
+
+// Limites das mensagens de lista do WhatsApp
+const MAX_ROWS = 10;
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+
+const SERVICE_LABELS = {
+  oil_change: 'Troca de óleo',
+  timing_belt: 'Correia dentada',
+  brakes: 'Freios',
+  tires: 'Pneus',
+  inspection: 'Revisão',
+  other: 'Outro serviço'
+};
+
+const WEEKDAY_LABELS = {
+  sunday: 'Dom',
+  monday: 'Seg',
+  tuesday: 'Ter',
+  wednesday: 'Qua',
+  thursday: 'Qui',
+  friday: 'Sex',
+  saturday: 'Sáb'
+};
+
+const truncate = (text, length) => {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+const formatDay = (date) => `${WEEKDAY_LABELS[weekdayOf(date)]}, ${date.slice(8, 10)}/${date.slice(5, 7)}`;
+
+/**
+ * Autoatendimento de agendamento pelo WhatsApp.
+ * O cliente envia AGENDAR e escolhe, em mensagens de lista, veículo e oficina (quando houver mais de um),
+ * tipo de serviço, dia e horário. O estado da conversa fica no Redis por contato e expira sem resposta.
+ */
+class BookingFlowService {
+  sessionKey(tenantId, phone) {
+    return `booking:session:${tenantId}:${canonicalPhone(phone)}`;
+  }
+
+  async loadSession(tenantId, phone) {
+    const raw = await redis.get(this.sessionKey(tenantId, phone));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async saveSession(tenantId, phone, session) {
+    await redis.set(this.sessionKey(tenantId, phone), JSON.stringify(session), { EX: SESSION_TTL_SECONDS });
+  }
+
+  async clearSession(tenantId, phone) {
+    await redis.del(this.sessionKey(tenantId, phone));
+  }
+
+  /**
+   * Monta o ID de uma linha de lista do fluxo
+   */
+  buildRowId(step, value) {
+    return `${ROW_PREFIX}:${step}:${value}`;
+  }
+
+  /**
+   * Extrai etapa e valor de um ID de linha, ou null se não for do fluxo de agendamento
+   */
+  parseRowId(rowId) {
+    const match = ROW_PATTERN.exec(rowId || '');
+    if (!match) return null;
+
+    return { step: match[1], value: match[2] };
+  }
+
+  /**
+   * Trata palavras-chave de texto (AGENDAR inicia, CANCELAR encerra a conversa em andamento).
+   * Retorna false se o texto não pertence ao fluxo.
+   */
+  async handleInboundText(tenantId, message) {
+    const text = (message.text?.body || '').trim().toUpperCase();
+
+    if (START_KEYWORDS.includes(text)) {
+      await this.start(tenantId, message.from);
+      return true;
+    }
+
+    if (CANCEL_KEYWORDS.includes(text)) {
+      const session = await this.loadSession(tenantId, message.from);
+      if (!session) return false;
+
+      await this.clearSession(tenantId, message.from);
+      await this.reply(tenantId, message.from, 'Agendamento cancelado. Quando quiser, envie AGENDAR para começar de novo.');
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Inicia a conversa: identifica os veículos do contato e as oficinas com agenda configurada
+   */
+  async start(tenantId, phone) {
+    const vehicles = await Vehicle.findByOwnerPhone(tenantId, phone);
+    if (vehicles.length === 0) {
+      await this.reply(tenantId, phone, 'Não encontramos veículo cadastrado para este número. Fale com a oficina para agendar.');
+      return;
+    }
+
+    const workshops = await this.bookableWorkshops(tenantId);
+    if (workshops.length === 0) {
+      await this.reply(tenantId, phone, 'No momento o agendamento pelo WhatsApp não está disponível. Fale com a oficina.');
+      return;
+    }
+
+    const session = {
+      vehicle_id: vehicles.length === 1 ? vehicles[0].id : null,
+      workshop_id: workshops.length === 1 ? workshops[0].id : null,
+      started_at: new Date().toISOString()
+    };
+
+    logger.info('Agendamento via WhatsApp iniciado', {
+      tenant_id: tenantId,
+      from: WhatsAppService.maskPhone(phone)
+    });
+
+    await this.advance(tenantId, phone, session);
+  }
+
+  /**
+   * Processa a escolha do cliente em uma lista.
+   * Retorna false se a linha não pertence ao fluxo de agendamento.
+   */
+  async handleListReply(tenantId, message, rowId) {
+    const parsed = this.parseRowId(rowId);
+    if (!parsed) return false;
+
+    const session = await this.loadSession(tenantId, message.from);
+    if (!session) {
+      await this.reply(tenantId, message.from, 'Sua conversa de agendamento expirou. Envie AGENDAR para começar de novo.');
+      return true;
+    }
+
+    if (!(await this.isValidChoice(tenantId, message.from, parsed))) {
+      logger.warn('Escolha de agendamento inválida', {
+        tenant_id: tenantId,
+        step: parsed.step,
+        from: WhatsAppService.maskPhone(message.from)
+      });
+      await this.advance(tenantId, message.from, session);
+      return true;
+    }
+
+    // Uma lista anterior pode ser respondida de novo: as etapas seguintes são refeitas
+    const index = STEPS.findIndex(item => item.step === parsed.step);
+    session[STEPS[index].field] = parsed.value;
+    for (const item of STEPS.slice(index + 1)) {
+      session[item.field] = null;
+    }
+
+    if (parsed.step === 'slot') {
+      await this.book(tenantId, message.from, session);
+    } else {
+      await this.advance(tenantId, message.from, session);
+    }
+
+    return true;
+  }
+
+  /**
+   * Confere se o valor escolhido ainda é válido para o contato
+   */
+  async isValidChoice(tenantId, phone, { step, value }) {
+    switch (step) {
+      case 'vehicle': {
+        // Mesma busca da lista enviada, que aceita o telefone com/sem 55 e com/sem o nono dígito
+        const vehicles = await Vehicle.findByOwnerPhone(tenantId, phone);
+        return vehicles.some(vehicle => vehicle.id === value);
+      }
+      case 'workshop': {
+        const workshops = await this.bookableWorkshops(tenantId);
+        return workshops.some(workshop => workshop.id === value);
+      }
+      case 'service':
+        return MaintenancePlan.SERVICE_TYPES.includes(value);
+      case 'day':
+        return isValidDate(value);
+      case 'slot':
+        return isValidTime(value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Oficinas ativas com horário de funcionamento configurado
+   */
+  async bookableWorkshops(tenantId) {
+    const result = await Workshop.findByTenant(tenantId, { status: 'active', limit: 100 });
+    return result.data.filter(workshop => Object.keys(workshop.working_hours || {}).length > 0);
+  }
+
+  /**
+   * Envia a pergunta da próxima etapa ainda não respondida
+   */
+  async advance(tenantId, phone, session, notice = null) {
+    if (!session.vehicle_id) return this.askVehicle(tenantId, phone, session);
+    if (!session.workshop_id) return this.askWorkshop(tenantId, phone, session);
+    if (!session.service_type) return this.askService(tenantId, phone, session, notice);
+
+    const workshop = await Workshop.findById(session.workshop_id, tenantId);
+    if (!workshop || workshop.status !== 'active') {
+      await this.clearSession(tenantId, phone);
+      await this.reply(tenantId, phone, 'No momento esta oficina não está recebendo agendamentos. Fale com a oficina.');
+      return;
+    }
+
+    if (!session.date) return this.askDay(tenantId, phone, session, workshop, notice);
+    return this.askSlot(tenantId, phone, session, workshop, notice);
+  }
+
+  async askVehicle(tenantId, phone, session) {
+    const vehicles = await Vehicle.findByOwnerPhone(tenantId, phone);
+    const rows = vehicles.slice(0, MAX_ROWS).map(vehicle => ({
+      id: this.buildRowId('vehicle', vehicle.id),
+      title: truncate(vehicle.plate, MAX_ROW_TITLE),
+      description: truncate([vehicle.meta?.brand, vehicle.meta?.model].filter(Boolean).join(' '), MAX_ROW_DESCRIPTION)
+    }));
+
+    await this.ask(tenantId, phone, { ...session, step: 'vehicle' },
+      'Olá! Vamos agendar seu atendimento. Para qual veículo?', 'Ver veículos', 'Veículos', rows);
+  }
+
+  async askWorkshop(tenantId, phone, session) {
+    const workshops = await this.bookableWorkshops(tenantId);
+    const rows = workshops.slice(0, MAX_ROWS).map(workshop => ({
+      id: this.buildRowId('workshop', workshop.id),
+      title: truncate(workshop.name, MAX_ROW_TITLE),
+      description: truncate([workshop.address?.street, workshop.address?.city].filter(Boolean).join(', '), MAX_ROW_DESCRIPTION)
+    }));
+
+    await this.ask(tenantId, phone, { ...session, step: 'workshop' },
+      'Em qual oficina você prefere ser atendido?', 'Ver oficinas', 'Oficinas', rows);
+  }
+
+  async askService(tenantId, phone, session, notice) {
+    const rows = MaintenancePlan.SERVICE_TYPES.map(serviceType => ({
+      id: this.buildRowId('service', serviceType),
+      title: SERVICE_LABELS[serviceType]
+    }));
+
+    await this.ask(tenantId, phone, { ...session, step: 'service' },
+      notice || 'Qual serviço você precisa?', 'Ver serviços', 'Serviços', rows);
+  }
+
+  /**
+   * Oferece os próximos dias com ao menos um horário livre
+   */
+  async askDay(tenantId, phone, session, workshop, notice) {
+    const today = zonedParts(new Date(), SchedulingService.timezoneOf(workshop)).date;
+    const rows = [];
+
+    for (let offset = 0; offset < DAYS_AHEAD && rows.length < MAX_ROWS; offset++) {
+      const date = addDays(today, offset);
+      const availability = await SchedulingService.getAvailability(workshop, date);
+      const free = availability.slots.filter(slot => slot.available).length;
+
+      if (free > 0) {
+        rows.push({
+          id: this.buildRowId('day', date),
+          title: formatDay(date),
+          description: free === 1 ? '1 horário disponível' : `${free} horários disponíveis`
+        });
+      }
+    }
+
+    if (rows.length === 0) {
+      await this.clearSession(tenantId, phone);
+      await this.reply(tenantId, phone, `Não há horários disponíveis em ${workshop.name} nos próximos ${DAYS_AHEAD} dias. Fale com a oficina.`);
+      return;
+    }
+
+    await this.ask(tenantId, phone, { ...session, step: 'day' },
+      notice || 'Qual dia fica melhor para você?', 'Ver dias', 'Dias disponíveis', rows);
+  }
+
+  /**
+   * Oferece os horários livres do dia escolhido
+   */
+  async askSlot(tenantId, phone, session, workshop, notice) {
+    const availability = await SchedulingService.getAvailability(workshop, session.date);
+    const rows = availability.slots
+      .filter(slot => slot.available)
+      .slice(0, MAX_ROWS)
+      .map(slot => ({
+        id: this.buildRowId('slot', slot.time),
+        title: slot.time
+      }));
+
+    if (rows.length === 0) {
+      return this.advance(tenantId, phone, { ...session, date: null },
+        `Os horários de ${formatDay(session.date)} foram preenchidos. Escolha outro dia:`);
+    }
+
+    await this.ask(tenantId, phone, { ...session, step: 'slot' },
+      notice || `Horários disponíveis em ${formatDay(session.date)}:`, 'Ver horários', 'Horários', rows);
+  }
+
+  /**
+   * Grava a sessão na etapa atual e envia a lista correspondente
+   */
+  async ask(tenantId, phone, session, body, buttonText, sectionTitle, rows) {
+    await this.saveSession(tenantId, phone, session);
+
+    await WhatsAppService.sendList(phone, body, buttonText, [{ title: sectionTitle, rows }], {
+      tenant_id: tenantId,
+      purpose: 'booking_flow',
+      booking_step: session.step
+    });
+  }
+
+  /**
+   * Cria o agendamento com as escolhas da conversa
+   */
+  async book(tenantId, phone, session) {
+    const workshop = await Workshop.findById(session.workshop_id, tenantId);
+    const vehicle = await Vehicle.findById(tenantId, session.vehicle_id);
+
+    if (!workshop || !vehicle) {
+      await this.clearSession(tenantId, phone);
+      await this.reply(tenantId, phone, 'Não foi possível concluir o agendamento. Envie AGENDAR para começar de novo.');
+      return;
+    }
+
+    try {
+      const appointment = await SchedulingService.book(workshop, {
+        date: session.date,
+        time: session.time,
+        vehicle_id: vehicle.id,
+        customer_id: vehicle.customer_id,
+        contact_phone: canonicalPhone(phone),
+        service_description: SERVICE_LABELS[session.service_type],
+        source: 'whatsapp'
+      });
+
+      await this.clearSession(tenantId, phone);
+
+      logger.info('Agendamento criado via WhatsApp', {
+        tenant_id: tenantId,
+        appointment_id: appointment.id,
+        workshop_id: workshop.id
+      });
+
+      await this.reply(
+        tenantId,
+        phone,
+        `Agendamento registrado! ${SERVICE_LABELS[session.service_type]} do veículo ${vehicle.plate} em ${workshop.name}, ` +
+          `${formatDay(session.date)} às ${session.time}. Se precisar remarcar, fale com a oficina.`,
+        { appointment_id: appointment.id }
+      );
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+
+      logger.warn('Agendamento via WhatsApp recusado', {
+        tenant_id: tenantId,
+        workshop_id: workshop.id,
+        code: error.code
+      });
+
+      if (error.code === 'workshop_unavailable') {
+        await this.clearSession(tenantId, phone);
+        await this.reply(tenantId, phone, 'No momento esta oficina não está recebendo agendamentos. Fale com a oficina.');
+        return;
+      }
+
+      // Horário ocupado enquanto o cliente escolhia: oferece de novo a partir do dia
+      const retry = error.code === 'slot_full'
+        ? { ...session, time: null }
+        : { ...session, date: null, time: null };
+
+      await this.advance(tenantId, phone, retry, 'Esse horário acabou de ser preenchido. Escolha outra opção:');
+    }
+  }
+
+  async reply(tenantId, phone, text, metadata = {}) {
+    await WhatsAppService.sendText(phone, text, { tenant_id: tenantId, purpose: 'booking_flow', ...metadata });
+  }
+}
+
+module.exports = new BookingFlowService();
@@ -0,0 +1,69 @@
+const WebhookService = require('./WebhookService');
+const logger = require('../utils/logger');
+
+// Evento publicado para cada status de destino da ordem
+const ORDER_STATUS_EVENTS = {
+  approved: 'order.approved',
+  in_progress: 'order.started',
+  completed: 'order.completed',
+  cancelled: 'order.cancelled'
+};
+
+/**
+ * Publicador de eventos de domínio.
+ * Cada evento é entregue aos assinantes internos e encaminhado aos webhooks
+ * de parceiros do tenant (WebhookService).
+ */
+class DomainEvents {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Registra um assinante interno: handler(tenantId, data, event)
+   */
+  subscribe(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, []);
+    }
+    this.handlers.get(event).push(handler);
+  }
+
+  /**
+   * Publica um evento. Falhas de assinantes são registradas e não
+   * interrompem quem publicou.
+   */
+  async publish(tenantId, event, data) {
+    for (const handler of this.handlers.get(event) || []) {
+      try {
+        await handler(tenantId, data, event);
+      } catch (error) {
+        logger.error('Erro em assinante de evento de domínio', { error: error.message, event, tenant_id: tenantId });
+      }
+    }
+
+    await WebhookService.dispatch(tenantId, event, data);
+  }
+
+  /**
+   * Publica evento de ordem com o snapshot da ordem e do veículo
+   */
+  async publishOrder(event, order, extra = {}) {
+    const { vehicle, ...orderData } = order.toJSON();
+
+    await this.publish(order.tenant_id, event, {
+      order: orderData,
+      vehicle: vehicle || null,
+      ...extra
+    });
+  }
+
+  /**
+   * Nome do evento publicado ao entrar no status, ou null
+   */
+  orderStatusEvent(status) {
+    return ORDER_STATUS_EVENTS[status] || null;
+  }
+}
+
+module.exports = new DomainEvents();
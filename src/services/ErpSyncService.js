@@ -0,0 +1,588 @@
+const { Queue } = require('bullmq');
+const { query } = require('../config/database');
+const { connection, QUEUES } = require('../config/queue');
+const Customer = require('../models/Customer');
+const Vehicle = require('../models/Vehicle');
+const Order = require('../models/Order');
+const Workshop = require('../models/Workshop');
+const ErpSyncRun = require('../models/ErpSyncRun');
+const ErpSyncCursor = require('../models/ErpSyncCursor');
+const OrderStateMachine = require('./OrderStateMachine');
+const DomainEvents = require('./DomainEvents');
+const { createConnector } = require('./erp');
+const { AppError } = require('../utils/errors');
+const { normalizePlate } = require('../utils/plate');
+const logger = require('../utils/logger');
+
+// Entidades na ordem de dependência (veículo referencia cliente; ordem referencia veículo)
+const ENTITIES = ['customers', 'vehicles', 'orders'];
+
+// Tabelas com as colunas erp_id/erp_synced_at
+const TABLES = {
+  customers: 'customers',
+  vehicles: 'vehicles',
+  orders: 'orders'
+};
+
+const BATCH_SIZE = parseInt(process.env.ERP_SYNC_BATCH_SIZE) || 500;
+
+// Execução pendente/em andamento há mais tempo que isso é considerada abandonada
+const STALE_MINUTES = parseInt(process.env.ERP_SYNC_STALE_MINUTES) || 60;
+
+// Limite de conflitos e erros detalhados guardados por execução (os contadores seguem completos)
+const MAX_LOGGED_ISSUES = 100;
+
+const ERP_ACTOR = { type: 'system', id: 'erp_sync' };
+
+// Avanço normal da ordem; cancelled é alcançável a partir de qualquer status em aberto
+const ORDER_FLOW = ['awaiting_approval', 'approved', 'in_progress', 'completed'];
+
+/**
+ * Sincronização de clientes, veículos e ordens com o ERP da oficina.
+ * A API enfileira a execução em erp:sync; o worker (src/workers/erpSync.js) lê do ERP os
+ * registros alterados após o cursor de cada entidade (pull) e envia os registros locais
+ * alterados desde a última sincronização (push). Os registros são vinculados por erp_id.
+ *
+ * Conflito: registro alterado no ERP e localmente desde a última sincronização. A alteração
+ * do ERP não é aplicada, a versão local é reenviada e o conflito fica registrado na execução.
+ */
+class ErpSyncService {
+  constructor() {
+    // Fila processada por src/workers/erpSync.js
+    this.queue = new Queue(QUEUES.ERP_SYNC, {
+      connection
+    });
+  }
+
+  /**
+   * Registra e enfileira uma execução para a oficina
+   */
+  async requestSync(workshop, { requestedBy } = {}) {
+    const connector = createConnector(undefined, { tenantId: workshop.tenant_id, workshopId: workshop.id });
+
+    const abandoned = await ErpSyncRun.failStale(workshop.tenant_id, workshop.id, STALE_MINUTES);
+    if (abandoned > 0) {
+      logger.warn('Execuções de sincronização com ERP abandonadas encerradas', { workshop_id: workshop.id, abandoned });
+    }
+
+    const run = await ErpSyncRun.create(workshop.tenant_id, {
+      workshop_id: workshop.id,
+      connector: connector.name,
+      requested_by: requestedBy
+    });
+
+    if (!run) {
+      const active = await ErpSyncRun.findActive(workshop.tenant_id, workshop.id);
+      throw new AppError('Já existe uma sincronização com ERP em andamento para esta oficina', {
+        code: 'sync_in_progress',
+        status: 409,
+        details: { run_id: active ? active.id : null, status: active ? active.status : null }
+      });
+    }
+
+    try {
+      await this.queue.add('sync', {
+        run_id: run.id,
+        tenant_id: workshop.tenant_id,
+        workshop_id: workshop.id
+      }, {
+        jobId: run.id,
+        attempts: 1,
+        removeOnComplete: 1000,
+        removeOnFail: 1000
+      });
+    } catch (error) {
+      await run.finish('failed', this.newReport(), 'Não foi possível enfileirar a sincronização');
+      throw error;
+    }
+
+    return run;
+  }
+
+  /**
+   * Processa um job da fila erp:sync
+   */
+  async process(job) {
+    const { run_id: runId, tenant_id: tenantId, workshop_id: workshopId } = job.data;
+
+    const run = await ErpSyncRun.findById(tenantId, runId);
+    if (!run) {
+      logger.warn('Execução de sincronização com ERP não encontrada', { run_id: runId, tenant_id: tenantId });
+      return null;
+    }
+
+    const report = this.newReport();
+    await run.start();
+
+    try {
+      const workshop = await Workshop.findById(workshopId, tenantId);
+      if (!workshop || !workshop.erp_sync_enabled) {
+        throw new Error('Sincronização com ERP não está habilitada para esta oficina');
+      }
+
+      const context = {
+        tenantId,
+        workshop,
+        connector: createConnector(run.connector, { tenantId, workshopId }),
+        report
+      };
+
+      for (const entity of ENTITIES) {
+        await this.pullEntity(context, entity);
+        await this.pushEntity(context, entity);
+      }
+
+      const hasErrors = ENTITIES.some(entity => report.counts[entity].errors > 0);
+      await run.finish(hasErrors ? 'completed_with_errors' : 'completed', report);
+      await workshop.update({ last_erp_sync: new Date().toISOString() });
+
+      logger.info('Sincronização com ERP concluída', {
+        run_id: run.id,
+        workshop_id: workshopId,
+        tenant_id: tenantId,
+        status: run.status,
+        counts: report.counts
+      });
+
+      return { run_id: run.id, status: run.status, counts: report.counts };
+    } catch (error) {
+      logger.error('Erro na sincronização com ERP', { error: error.message, run_id: run.id, workshop_id: workshopId });
+      await run.finish('failed', report, error.message);
+      throw error;
+    }
+  }
+
+  newReport() {
+    const counts = {};
+    for (const entity of ENTITIES) {
+      counts[entity] = { pulled: 0, created: 0, updated: 0, pushed: 0, conflicts: 0, errors: 0 };
+    }
+    return { counts, conflicts: [], errors: [] };
+  }
+
+  recordIssue(report, list, counter, entity, detail) {
+    report.counts[entity][counter]++;
+    if (report[list].length < MAX_LOGGED_ISSUES) {
+      report[list].push({ entity, ...detail });
+    }
+  }
+
+  /**
+   * Erro de dados de um registro do ERP (registrado na execução sem interrompê-la)
+   */
+  invalidRecord(message, details = {}) {
+    return new AppError(message, { code: 'invalid_record', status: 422, details });
+  }
+
+  /**
+   * Alterado localmente depois da última sincronização
+   */
+  changedLocally(local) {
+    return Boolean(local.erp_synced_at) && new Date(local.updated_at) > new Date(local.erp_synced_at);
+  }
+
+  /**
+   * Vincula o registro local ao ERP e marca o momento da sincronização.
+   * O trigger de updated_at grava o mesmo NOW(), então o registro deixa de constar como alterado.
+   */
+  async markSynced(entity, tenantId, localId, erpId) {
+    await query(
+      `UPDATE ${TABLES[entity]} SET erp_id = $1, erp_synced_at = NOW() WHERE id = $2 AND tenant_id = $3`,
+      [erpId, localId, tenantId]
+    );
+  }
+
+  /**
+   * Aplica os registros alterados no ERP desde o cursor
+   */
+  async pullEntity(context, entity) {
+    const { tenantId, workshop, connector, report } = context;
+    const cursor = await ErpSyncCursor.get(workshop.id, entity, 'pull');
+    const result = await connector.pull(entity, cursor);
+
+    for (const invalid of result.invalid) {
+      this.recordIssue(report, 'errors', 'errors', entity, { direction: 'pull', ...invalid });
+    }
+
+    for (const record of result.records) {
+      report.counts[entity].pulled++;
+
+      try {
+        await this.applyRecord(context, entity, record);
+      } catch (error) {
+        // Registro com problema não interrompe os demais; o ERP pode reenviá-lo com novo updated_at
+        if (!(error instanceof AppError)) {
+          logger.warn('Erro ao aplicar registro do ERP', { error: error.message, entity, erp_id: record.erp_id, tenant_id: tenantId });
+        }
+        this.recordIssue(report, 'errors', 'errors', entity, {
+          direction: 'pull',
+          erp_id: record.erp_id,
+          message: error.message
+        });
+      }
+    }
+
+    if (result.cursor && result.cursor !== cursor) {
+      await ErpSyncCursor.set(tenantId, workshop.id, entity, 'pull', result.cursor);
+    }
+  }
+
+  async applyRecord(context, entity, record) {
+    switch (entity) {
+      case 'customers':
+        return this.pullCustomer(context, record);
+      case 'vehicles':
+        return this.pullVehicle(context, record);
+      case 'orders':
+        return this.pullOrder(context, record);
+      default:
+        throw new Error(`Entidade de ERP desconhecida: ${entity}`);
+    }
+  }
+
+  conflict(context, entity, local, record) {
+    this.recordIssue(context.report, 'conflicts', 'conflicts', entity, {
+      erp_id: record.erp_id,
+      local_id: local.id,
+      local_updated_at: local.updated_at,
+      erp_updated_at: record.updated_at
+    });
+  }
+
+  /**
+   * Registro local ainda não vinculado, encontrado por outro identificador (documento, telefone, placa).
+   * Não é reaproveitado se já estiver vinculado a outro registro do ERP.
+   */
+  linkable(match, record) {
+    if (match && match.erp_id && match.erp_id !== record.erp_id) {
+      throw this.invalidRecord(`Registro local já vinculado a outro erp_id (${match.erp_id})`, { local_id: match.id });
+    }
+    return match;
+  }
+
+  async pullCustomer(context, record) {
+    const { tenantId, report } = context;
+    const data = {
+      name: record.name,
+      document: record.document || undefined,
+      phones: record.phones.length > 0 ? record.phones : undefined,
+      email: record.email || undefined
+    };
+
+    const errors = Customer.validate(data);
+    if (errors.length > 0) {
+      throw this.invalidRecord(errors.join('; '));
+    }
+
+    let local = await Customer.findByErpId(tenantId, record.erp_id);
+    if (local && this.changedLocally(local)) {
+      return this.conflict(context, 'customers', local, record);
+    }
+
+    if (!local) {
+      const match = (data.document && await Customer.findByDocument(tenantId, data.document)) ||
+        (data.phones && await Customer.findByPhone(tenantId, data.phones[0]));
+      local = this.linkable(match, record);
+    }
+
+    if (local) {
+      await local.update(data);
+      report.counts.customers.updated++;
+    } else {
+      local = await Customer.create(tenantId, data);
+      report.counts.customers.created++;
+    }
+
+    await this.markSynced('customers', tenantId, local.id, record.erp_id);
+  }
+
+  async pullVehicle(context, record) {
+    const { tenantId, report } = context;
+
+    if (!normalizePlate(record.plate)) {
+      throw this.invalidRecord('Placa inválida', { plate: record.plate });
+    }
+
+    const customer = record.customer_erp_id ? await Customer.findByErpId(tenantId, record.customer_erp_id) : null;
+    if (record.customer_erp_id && !customer) {
+      throw this.invalidRecord(`Cliente ${record.customer_erp_id} não encontrado; sincronize o cliente antes`);
+    }
+
+    let local = await Vehicle.findByErpId(tenantId, record.erp_id);
+    if (local && this.changedLocally(local)) {
+      return this.conflict(context, 'vehicles', local, record);
+    }
+
+    if (!local) {
+      local = this.linkable(await Vehicle.findByPlate(tenantId, record.plate), record);
+    }
+
+    const meta = { ...(local?.meta || {}) };
+    for (const field of ['brand', 'model', 'year']) {
+      if (record[field] !== null && record[field] !== undefined) meta[field] = record[field];
+    }
+
+    if (local) {
+      await local.update({
+        plate: record.plate,
+        meta,
+        customer_id: customer ? customer.id : undefined,
+        owner: customer ? customer.toOwner() : undefined
+      });
+      report.counts.vehicles.updated++;
+    } else {
+      if (!customer) {
+        throw this.invalidRecord('Veículo novo precisa de customer_erp_id');
+      }
+
+      local = await Vehicle.create(tenantId, {
+        plate: record.plate,
+        owner: customer.toOwner(),
+        meta,
+        customer_id: customer.id
+      });
+      report.counts.vehicles.created++;
+    }
+
+    await this.markSynced('vehicles', tenantId, local.id, record.erp_id);
+  }
+
+  async pullOrder(context, record) {
+    const { tenantId, workshop, report } = context;
+
+    const vehicle = record.vehicle_erp_id ? await Vehicle.findByErpId(tenantId, record.vehicle_erp_id) : null;
+    if (!vehicle) {
+      throw this.invalidRecord(`Veículo ${record.vehicle_erp_id || '(vazio)'} não encontrado; sincronize o veículo antes`);
+    }
+
+    if (record.status && !Object.prototype.hasOwnProperty.call(OrderStateMachine.TRANSITIONS, record.status)) {
+      throw this.invalidRecord(`Status de ordem inválido: ${record.status}`);
+    }
+
+    if (record.estimate_amount !== null && !(record.estimate_amount >= 0)) {
+      throw this.invalidRecord('estimate_amount inválido');
+    }
+
+    let order = await Order.findByErpId(tenantId, record.erp_id);
+    if (order && this.changedLocally(order)) {
+      return this.conflict(context, 'orders', order, record);
+    }
+
+    if (order && order.vehicle_id !== vehicle.id) {
+      throw this.invalidRecord('Ordem vinculada a outro veículo', { order_id: order.id });
+    }
+
+    if (!order) {
+      if (!(record.estimate_amount > 0)) {
+        throw this.invalidRecord('Ordem nova precisa de estimate_amount maior que zero');
+      }
+
+      const created = await Order.create(tenantId, {
+        vehicle_id: vehicle.id,
+        estimate_amount: record.estimate_amount,
+        notes: record.notes
+      });
+      await OrderStateMachine.recordCreation(created, { actor: ERP_ACTOR, reason: 'Ordem importada do ERP' });
+      await created.update({ workshop_id: workshop.id });
+
+      order = await Order.findById(tenantId, created.id);
+      await DomainEvents.publishOrder('order.created', order);
+      report.counts.orders.created++;
+    } else {
+      // Com itens, o valor estimado é calculado localmente e não vem do ERP
+      const changes = [];
+      if (record.estimate_amount !== null && order.items.length === 0 &&
+          Number(record.estimate_amount) !== Number(order.estimate_amount)) {
+        changes.push('estimate_amount');
+      }
+      if (record.notes !== null && record.notes !== order.notes) {
+        changes.push('notes');
+      }
+
+      if (changes.length > 0) {
+        await order.update({
+          estimate_amount: changes.includes('estimate_amount') ? record.estimate_amount : undefined,
+          notes: changes.includes('notes') ? record.notes : undefined
+        });
+        await DomainEvents.publishOrder('order.updated', await Order.findById(tenantId, order.id), { changes });
+      }
+
+      if (changes.length > 0 || (record.status && record.status !== order.status)) {
+        report.counts.orders.updated++;
+      }
+    }
+
+    // Status inválido para a ordem não desfaz os demais campos já aplicados
+    let statusError = null;
+    if (record.status && record.status !== order.status) {
+      try {
+        await this.advanceOrder(tenantId, order, record.status);
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        statusError = error;
+      }
+    }
+
+    await this.markSynced('orders', tenantId, order.id, record.erp_id);
+
+    if (statusError) {
+      throw statusError;
+    }
+  }
+
+  /**
+   * Leva a ordem ao status do ERP passando pelas transições intermediárias
+   */
+  async advanceOrder(tenantId, order, toStatus) {
+    if (toStatus === 'cancelled') {
+      return OrderStateMachine.transition(tenantId, order.id, 'cancelled', { actor: ERP_ACTOR, reason: 'Cancelada no ERP' });
+    }
+
+    const from = ORDER_FLOW.indexOf(order.status);
+    const to = ORDER_FLOW.indexOf(toStatus);
+    if (from === -1 || to <= from) {
+      throw new AppError(`Status ${toStatus} do ERP não pode ser aplicado à ordem em ${order.status}`, {
+        code: 'invalid_status_transition',
+        status: 409,
+        details: { order_id: order.id, from: order.status, to: toStatus }
+      });
+    }
+
+    let current = order;
+    for (const status of ORDER_FLOW.slice(from + 1, to + 1)) {
+      current = await OrderStateMachine.transition(tenantId, order.id, status, {
+        actor: ERP_ACTOR,
+        reason: 'Status atualizado pelo ERP'
+      });
+    }
+    return current;
+  }
+
+  /**
+   * Envia ao ERP os registros alterados desde a última sincronização, em lotes
+   */
+  async pushEntity(context, entity) {
+    const { tenantId, workshop, connector, report } = context;
+    let cursor = await ErpSyncCursor.get(workshop.id, entity, 'push');
+    const attempted = [];
+    // Após a primeira linha não sincronizada o cursor para, e ela volta na próxima execução
+    let blocked = false;
+    let rows;
+
+    do {
+      rows = await this.loadChanged(entity, tenantId, workshop.id, cursor, attempted);
+      if (rows.length === 0) break;
+
+      attempted.push(...rows.map(row => row.local_id));
+
+      const results = await connector.push(entity, rows);
+      const synced = new Set();
+
+      for (const result of results) {
+        try {
+          await this.markSynced(entity, tenantId, result.local_id, result.erp_id);
+          synced.add(result.local_id);
+          report.counts[entity].pushed++;
+        } catch (error) {
+          this.recordIssue(report, 'errors', 'errors', entity, {
+            direction: 'push',
+            local_id: result.local_id,
+            erp_id: result.erp_id,
+            message: error.message
+          });
+        }
+      }
+
+      const previous = cursor;
+      for (const row of rows) {
+        if (blocked || !synced.has(row.local_id)) {
+          blocked = true;
+          break;
+        }
+        cursor = new Date(row.updated_at).toISOString();
+      }
+
+      if (cursor !== previous) {
+        await ErpSyncCursor.set(tenantId, workshop.id, entity, 'push', cursor);
+      }
+    } while (rows.length === BATCH_SIZE);
+  }
+
+  /**
+   * Registros locais alterados desde a última sincronização, a partir do cursor.
+   * O cursor é inclusivo (>=) para não perder registros com o mesmo updated_at do fim do lote;
+   * os já sincronizados saem pelo filtro de erp_synced_at.
+   */
+  async loadChanged(entity, tenantId, workshopId, cursor, excludeIds) {
+    const params = [tenantId, cursor, excludeIds, BATCH_SIZE];
+    const pending = `(t.erp_synced_at IS NULL OR t.updated_at > t.erp_synced_at)
+         AND ($2::timestamptz IS NULL OR t.updated_at >= $2::timestamptz)
+         AND NOT (t.id = ANY($3::uuid[]))`;
+
+    if (entity === 'customers') {
+      const result = await query(
+        `SELECT t.* FROM customers t
+         WHERE t.tenant_id = $1 AND ${pending}
+         ORDER BY t.updated_at ASC, t.id ASC
+         LIMIT $4`,
+        params
+      );
+
+      return result.rows.map(row => ({
+        local_id: row.id,
+        erp_id: row.erp_id,
+        name: row.name,
+        document: row.document,
+        phones: row.phones,
+        email: row.email,
+        updated_at: row.updated_at.toISOString()
+      }));
+    }
+
+    if (entity === 'vehicles') {
+      const result = await query(
+        `SELECT t.*, c.erp_id AS customer_erp_id
+         FROM vehicles t
+         LEFT JOIN customers c ON c.id = t.customer_id
+         WHERE t.tenant_id = $1 AND ${pending}
+         ORDER BY t.updated_at ASC, t.id ASC
+         LIMIT $4`,
+        params
+      );
+
+      return result.rows.map(row => ({
+        local_id: row.id,
+        erp_id: row.erp_id,
+        plate: row.plate,
+        customer_erp_id: row.customer_erp_id,
+        brand: row.meta?.brand,
+        model: row.meta?.model,
+        year: row.meta?.year,
+        updated_at: row.updated_at.toISOString()
+      }));
+    }
+
+    // Ordens: apenas as da oficina sincronizada
+    const result = await query(
+      `SELECT t.*, v.erp_id AS vehicle_erp_id
+       FROM orders t
+       JOIN vehicles v ON v.id = t.vehicle_id
+       WHERE t.tenant_id = $1 AND t.workshop_id = $5 AND ${pending}
+       ORDER BY t.updated_at ASC, t.id ASC
+       LIMIT $4`,
+      [...params, workshopId]
+    );
+
+    return result.rows.map(row => ({
+      local_id: row.id,
+      erp_id: row.erp_id,
+      vehicle_erp_id: row.vehicle_erp_id,
+      status: row.status,
+      estimate_amount: row.estimate_amount,
+      notes: row.notes,
+      updated_at: row.updated_at.toISOString()
+    }));
+  }
+}
+
+module.exports = new ErpSyncService();
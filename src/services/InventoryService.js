@@ -0,0 +1,252 @@
+const Part = require('../models/Part');
+const PartStock = require('../models/PartStock');
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+const DomainEvents = require('./DomainEvents');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Status em que os itens com peça ficam reservados no estoque da oficina
+const RESERVING_STATUSES = ['approved', 'in_progress'];
+
+// Movimentações lançadas manualmente (o consumo vem da conclusão das ordens)
+const MANUAL_MOVEMENT_TYPES = ['purchase', 'adjustment'];
+
+/**
+ * Estoque de peças por oficina: movimentações e reservas pelas ordens de serviço.
+ * Itens com peça são reservados na aprovação, consumidos na conclusão e liberados no cancelamento.
+ */
+class InventoryService {
+  /**
+   * Registra os assinantes de eventos de domínio (chamado na inicialização da API e dos workers)
+   */
+  register() {
+    // Alterações de itens ou da oficina depois da aprovação ajustam as reservas
+    for (const event of ['order.approved', 'order.started', 'order.updated']) {
+      DomainEvents.subscribe(event, (tenantId, data) => this.runSafely('reserve', tenantId, data.order, () => this.reserveOrder(tenantId, data.order)));
+    }
+    DomainEvents.subscribe('order.completed', (tenantId, data) => this.runSafely('consume', tenantId, data.order, () => this.consumeOrder(tenantId, data.order)));
+    DomainEvents.subscribe('order.cancelled', (tenantId, data) => this.runSafely('release', tenantId, data.order, () => this.releaseOrder(tenantId, data.order)));
+  }
+
+  /**
+   * Executa a ação de estoque de um assinante. O DomainEvents descarta erros de assinantes,
+   * então a falha é registrada e avisada aos parceiros no evento inventory.reservation_failed.
+   */
+  async runSafely(action, tenantId, order, handler) {
+    try {
+      await handler();
+    } catch (error) {
+      logger.error('Falha ao atualizar o estoque da ordem', {
+        error: error.message,
+        action,
+        order_id: order.id,
+        tenant_id: tenantId
+      });
+
+      await DomainEvents.publish(tenantId, 'inventory.reservation_failed', {
+        action,
+        order_id: order.id,
+        workshop_id: order.workshop_id || null,
+        error: error.message
+      });
+    }
+  }
+
+  async reserveOrder(tenantId, order) {
+    if (!RESERVING_STATUSES.includes(order.status)) return;
+
+    if (!order.workshop_id) {
+      logger.warn('Ordem sem oficina: peças não reservadas', { order_id: order.id, tenant_id: tenantId });
+      return;
+    }
+
+    const reservations = await StockReservation.syncOrder(tenantId, order.id, order.workshop_id);
+    const active = reservations.filter(reservation => reservation.status === 'reserved');
+    if (active.length > 0) {
+      logger.info('Peças reservadas para a ordem', { order_id: order.id, tenant_id: tenantId, reservations: active.length });
+    }
+
+    // A reserva não é bloqueada sem saldo: a falta é informada para a compra das peças
+    const shortages = await this.getOrderShortages(order);
+    if (shortages.length > 0) {
+      logger.warn('Peças reservadas sem saldo suficiente', { order_id: order.id, tenant_id: tenantId, parts: shortages.length });
+
+      await DomainEvents.publish(tenantId, 'inventory.shortage', {
+        order_id: order.id,
+        workshop_id: order.workshop_id,
+        shortages
+      });
+    }
+  }
+
+  /**
+   * Peças reservadas pela ordem cujo saldo disponível na oficina ficou negativo.
+   * Ordens fora dos status de reserva ou sem oficina não têm faltas.
+   */
+  async getOrderShortages(order) {
+    if (!RESERVING_STATUSES.includes(order.status) || !order.workshop_id) return [];
+
+    const reservations = await StockReservation.findByOrder(order.tenant_id, order.id);
+    const required = new Map();
+    for (const reservation of reservations.filter(item => item.status === 'reserved')) {
+      required.set(reservation.part_id, (required.get(reservation.part_id) || 0) + reservation.quantity);
+    }
+    if (required.size === 0) return [];
+
+    const stock = await PartStock.findByParts(order.tenant_id, order.workshop_id, [...required.keys()]);
+
+    return stock
+      .filter(item => item.available < 0)
+      .map(item => ({
+        part_id: item.part.id,
+        sku: item.part.sku,
+        description: item.part.description,
+        required: required.get(item.part.id),
+        quantity: item.quantity,
+        available: item.available,
+        missing: Math.min(required.get(item.part.id), -item.available)
+      }));
+  }
+
+  async consumeOrder(tenantId, order) {
+    if (!order.workshop_id) return;
+
+    // Ordens aprovadas antes do controle de estoque ainda não têm reservas
+    await StockReservation.syncOrder(tenantId, order.id, order.workshop_id);
+
+    const movements = await StockReservation.consumeOrder(tenantId, order.id);
+    if (movements.length > 0) {
+      logger.info('Peças da ordem baixadas do estoque', { order_id: order.id, tenant_id: tenantId, movements: movements.length });
+    }
+  }
+
+  async releaseOrder(tenantId, order) {
+    const released = await StockReservation.releaseOrder(tenantId, order.id);
+    if (released > 0) {
+      logger.info('Reservas de peças da ordem liberadas', { order_id: order.id, tenant_id: tenantId, released });
+    }
+  }
+
+  /**
+   * Peça ativa do tenant, ou erro 400
+   */
+  async resolvePart(tenantId, partId, field = 'part_id') {
+    const part = partId ? await Part.findById(tenantId, partId) : null;
+    if (!part || !part.active) {
+      throw new AppError('Peça não encontrada ou inativa', {
+        code: 'invalid_part',
+        status: 400,
+        details: { field, part_id: partId || null }
+      });
+    }
+    return part;
+  }
+
+  /**
+   * Prepara os dados de um item que referencia peça do catálogo.
+   * Na criação, tipo, descrição e preço unitário vêm da peça quando não informados.
+   */
+  async prepareItem(tenantId, itemData, current = null) {
+    const partId = itemData.part_id !== undefined ? itemData.part_id : current?.part_id;
+    if (!partId) return itemData;
+
+    const type = itemData.type !== undefined ? itemData.type : (current ? current.type : 'part');
+    if (type !== 'part') {
+      throw new AppError('Somente itens do tipo part podem referenciar peça', {
+        code: 'invalid_request',
+        status: 400,
+        details: { field: 'part_id', type }
+      });
+    }
+
+    if (itemData.part_id === undefined) return itemData;
+
+    const part = await this.resolvePart(tenantId, partId);
+    if (current) return itemData;
+
+    return {
+      type: 'part',
+      description: part.description,
+      unit_price: Number(part.price),
+      ...itemData
+    };
+  }
+
+  /**
+   * Lança compra ou ajuste de estoque na oficina
+   */
+  async recordMovement(workshop, movementData, userId = null) {
+    const { part_id, type, quantity, unit_cost, notes } = movementData;
+    const errors = [];
+
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      errors.push(`Tipo deve ser um de: ${MANUAL_MOVEMENT_TYPES.join(', ')}`);
+    }
+
+    if (quantity === undefined || quantity === null || isNaN(Number(quantity)) || Number(quantity) === 0) {
+      errors.push('Quantidade deve ser diferente de zero');
+    } else if (type === 'purchase' && Number(quantity) < 0) {
+      errors.push('Quantidade da compra deve ser maior que zero');
+    }
+
+    if (unit_cost !== undefined && unit_cost !== null && (isNaN(Number(unit_cost)) || Number(unit_cost) < 0)) {
+      errors.push('Custo unitário deve ser maior ou igual a zero');
+    }
+
+    if (errors.length > 0) {
+      throw new AppError('Dados inválidos', {
+        code: 'invalid_request',
+        status: 400,
+        details: { errors }
+      });
+    }
+
+    const part = await Part.findById(workshop.tenant_id, part_id);
+    if (!part) {
+      throw new AppError('Peça não encontrada', {
+        code: 'invalid_part',
+        status: 400,
+        details: { field: 'part_id', part_id: part_id || null }
+      });
+    }
+
+    const movement = await StockMovement.record(workshop.tenant_id, {
+      workshop_id: workshop.id,
+      part_id,
+      type,
+      quantity: Number(quantity),
+      unit_cost: type === 'purchase' ? (unit_cost ?? part.cost) : unit_cost,
+      notes,
+      created_by: userId
+    });
+
+    logger.info('Movimentação de estoque lançada', {
+      movement_id: movement.id,
+      workshop_id: workshop.id,
+      tenant_id: workshop.tenant_id,
+      part_id,
+      type,
+      quantity: movement.quantity,
+      balance: movement.balance
+    });
+
+    return movement;
+  }
+
+  /**
+   * Relatório de peças com estoque baixo na oficina
+   */
+  async getLowStock(workshop) {
+    const stock = await PartStock.findLowStock(workshop.tenant_id, workshop.id);
+
+    return {
+      workshop_id: workshop.id,
+      generated_at: new Date().toISOString(),
+      items: stock.map(item => ({ ...item.toJSON(), shortage: item.shortage })),
+      total: stock.length
+    };
+  }
+}
+
+module.exports = new InventoryService();
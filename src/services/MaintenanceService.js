@@ -0,0 +1,277 @@
+const { query } = require('../config/database');
+const redis = require('../config/redis');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const MaintenanceReminder = require('../models/MaintenanceReminder');
+const OdometerReading = require('../models/OdometerReading');
+const ContactOptOut = require('../models/ContactOptOut');
+const Customer = require('../models/Customer');
+const NotificationService = require('./NotificationService');
+const WhatsAppService = require('./WhatsAppService');
+const { AppError } = require('../utils/errors');
+const { canonicalPhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+// Enquanto a manutenção continuar vencida, o lembrete é repetido a cada N dias
+const REMINDER_REPEAT_DAYS = parseInt(process.env.MAINTENANCE_REMINDER_REPEAT_DAYS) || 30;
+
+// Trava para que só um worker execute a rodada de lembretes
+const RUN_LOCK_KEY = 'maintenance:reminders:lock';
+const RUN_LOCK_TTL_SECONDS = 3600;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * Manutenção preventiva: calcula quando cada plano vence no veículo
+ * e envia lembretes por template do WhatsApp ao proprietário.
+ */
+class MaintenanceService {
+  /**
+   * Calcula o vencimento do plano a partir da última execução
+   * (sem execução registrada: primeira leitura do hodômetro e data de cadastro do veículo)
+   *
+   * @param {object} plan - interval_km, interval_months
+   * @param {object} state - current_mileage, first_mileage, vehicle_created_at, last_service_at, last_service_mileage
+   */
+  computeDue(plan, state, now = new Date()) {
+    const baseMileage = state.last_service_mileage ?? state.first_mileage ?? null;
+    const baseDate = state.last_service_at || state.vehicle_created_at;
+
+    const dueMileage = plan.interval_km && baseMileage !== null ? baseMileage + plan.interval_km : null;
+    const dueDate = plan.interval_months && baseDate ? addMonths(baseDate, plan.interval_months) : null;
+    const currentMileage = state.current_mileage ?? null;
+
+    let dueReason = null;
+    if (dueMileage !== null && currentMileage !== null && currentMileage >= dueMileage) {
+      dueReason = 'mileage';
+    } else if (dueDate && now >= dueDate) {
+      dueReason = 'time';
+    }
+
+    return {
+      due: dueReason !== null,
+      due_reason: dueReason,
+      current_mileage: currentMileage,
+      due_mileage: dueMileage,
+      due_date: dueDate
+    };
+  }
+
+  /**
+   * Se o lembrete deve ser enviado: ainda não avisado neste ciclo ou aviso antigo
+   */
+  shouldRemind(state, now = new Date()) {
+    if (!state.last_reminded_at) return true;
+
+    const remindedAt = new Date(state.last_reminded_at);
+    if (state.last_service_at && remindedAt < new Date(state.last_service_at)) return true;
+
+    return now - remindedAt >= REMINDER_REPEAT_DAYS * DAY_MS;
+  }
+
+  /**
+   * Situação de todos os planos aplicáveis ao veículo
+   */
+  async vehicleStatus(vehicle) {
+    const plans = await MaintenancePlan.findForVehicle(vehicle);
+    if (plans.length === 0) {
+      return [];
+    }
+
+    const readings = await query(
+      `SELECT
+         (SELECT mileage FROM odometer_readings WHERE vehicle_id = $1 ORDER BY recorded_at DESC LIMIT 1) AS current_mileage,
+         (SELECT mileage FROM odometer_readings WHERE vehicle_id = $1 ORDER BY recorded_at ASC LIMIT 1) AS first_mileage`,
+      [vehicle.id]
+    );
+
+    const status = [];
+    for (const plan of plans) {
+      const state = await MaintenancePlan.findVehicleState(vehicle.tenant_id, vehicle.id, plan.id) || {};
+
+      status.push({
+        plan: plan.toJSON(),
+        last_service_at: state.last_service_at || null,
+        last_service_mileage: state.last_service_mileage ?? null,
+        last_reminded_at: state.last_reminded_at || null,
+        ...this.computeDue(plan, {
+          ...readings.rows[0],
+          ...state,
+          vehicle_created_at: vehicle.created_at
+        })
+      });
+    }
+
+    return status;
+  }
+
+  /**
+   * Registra o serviço do plano como realizado (com leitura do hodômetro, se informada)
+   */
+  async markServiced(vehicle, plan, { mileage = null, performedAt = null, userId = null } = {}) {
+    if (mileage !== null) {
+      await OdometerReading.create(vehicle.tenant_id, {
+        vehicle_id: vehicle.id,
+        mileage,
+        source: 'manual',
+        recorded_by: userId,
+        recorded_at: performedAt
+      });
+    }
+
+    return MaintenancePlan.markServiced(vehicle.tenant_id, vehicle.id, plan.id, {
+      mileage: mileage ?? (await OdometerReading.latest(vehicle.tenant_id, vehicle.id))?.mileage ?? null,
+      performedAt
+    });
+  }
+
+  /**
+   * Pares (plano, veículo) de todos os tenants ativos com a situação atual
+   */
+  async findCandidates() {
+    const result = await query(
+      `SELECT p.id AS plan_id, p.tenant_id, p.name AS plan_name, p.interval_km, p.interval_months,
+              p.template_name, p.template_language, p.variables,
+              v.id AS vehicle_id, v.plate, v.owner, v.customer_id, v.created_at AS vehicle_created_at,
+              last_reading.mileage AS current_mileage, first_reading.mileage AS first_mileage,
+              vm.last_service_at, vm.last_service_mileage, vm.last_reminded_at
+       FROM maintenance_plans p
+       JOIN tenants t ON t.id = p.tenant_id AND t.status = 'active'
+       JOIN vehicles v ON v.tenant_id = p.tenant_id
+         AND (
+           v.id = p.vehicle_id
+           OR (p.vehicle_id IS NULL AND lower(v.meta->>'model') = lower(p.model)
+               AND (p.brand IS NULL OR lower(v.meta->>'brand') = lower(p.brand)))
+         )
+       LEFT JOIN vehicle_maintenance vm ON vm.vehicle_id = v.id AND vm.plan_id = p.id
+       LEFT JOIN LATERAL (
+         SELECT mileage FROM odometer_readings WHERE vehicle_id = v.id ORDER BY recorded_at DESC LIMIT 1
+       ) last_reading ON true
+       LEFT JOIN LATERAL (
+         SELECT mileage FROM odometer_readings WHERE vehicle_id = v.id ORDER BY recorded_at ASC LIMIT 1
+       ) first_reading ON true
+       WHERE p.active = true`
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Rodada de lembretes (job diário do worker). Retorna a contagem por status.
+   */
+  async runReminders(now = new Date()) {
+    const locked = await redis.set(RUN_LOCK_KEY, String(process.pid), { NX: true, EX: RUN_LOCK_TTL_SECONDS });
+    if (!locked) {
+      logger.info('Rodada de lembretes de manutenção já em execução em outro worker');
+      return null;
+    }
+
+    const summary = { queued: 0, skipped: 0, failed: 0 };
+
+    try {
+      const candidates = await this.findCandidates();
+
+      for (const candidate of candidates) {
+        const due = this.computeDue(candidate, candidate, now);
+        if (!due.due || !this.shouldRemind(candidate, now)) {
+          continue;
+        }
+
+        const reminder = await this.sendReminder(candidate, due);
+        summary[reminder.status]++;
+      }
+
+      logger.info('Rodada de lembretes de manutenção concluída', { candidates: candidates.length, ...summary });
+      return summary;
+    } finally {
+      await redis.del(RUN_LOCK_KEY);
+    }
+  }
+
+  /**
+   * Envia o lembrete de um plano vencido e registra o resultado
+   */
+  async sendReminder(candidate, due) {
+    const tenantId = candidate.tenant_id;
+    const phone = candidate.owner?.phone;
+    const entry = {
+      vehicle_id: candidate.vehicle_id,
+      plan_id: candidate.plan_id,
+      due_reason: due.due_reason,
+      contact_phone: canonicalPhone(phone)
+    };
+
+    // Marca o ciclo como avisado mesmo quando não há envio, para não reprocessar todo dia
+    await MaintenancePlan.markReminded(tenantId, candidate.vehicle_id, candidate.plan_id);
+
+    if (!phone) {
+      return MaintenanceReminder.create(tenantId, { ...entry, status: 'skipped', reason: 'missing_owner_phone' });
+    }
+
+    if (await ContactOptOut.isOptedOut(tenantId, phone)) {
+      return MaintenanceReminder.create(tenantId, { ...entry, status: 'skipped', reason: 'opted_out' });
+    }
+
+    if (candidate.customer_id && !(await Customer.hasWhatsAppConsent(tenantId, candidate.customer_id))) {
+      return MaintenanceReminder.create(tenantId, { ...entry, status: 'skipped', reason: 'no_whatsapp_consent' });
+    }
+
+    try {
+      const values = {
+        owner_name: candidate.owner?.name || 'cliente',
+        plate: candidate.plate,
+        plan_name: candidate.plan_name,
+        current_mileage: due.current_mileage !== null ? `${due.current_mileage.toLocaleString('pt-BR')} km` : '',
+        due_mileage: due.due_mileage !== null ? `${due.due_mileage.toLocaleString('pt-BR')} km` : '',
+        due_date: due.due_date ? due.due_date.toLocaleDateString('pt-BR') : '',
+        workshop_name: await NotificationService.resolveWorkshopName(tenantId, null)
+      };
+
+      const result = await WhatsAppService.queueMessage({
+        type: 'template',
+        to: phone,
+        template: {
+          name: candidate.template_name,
+          language: candidate.template_language,
+          components: {
+            body: (candidate.variables || []).map(variable => String(values[variable]))
+          }
+        },
+        metadata: {
+          tenant_id: tenantId,
+          vehicle_id: candidate.vehicle_id,
+          plan_id: candidate.plan_id,
+          purpose: 'maintenance_reminder'
+        }
+      });
+
+      logger.info('Lembrete de manutenção enfileirado', {
+        vehicle_id: candidate.vehicle_id,
+        plan_id: candidate.plan_id,
+        tenant_id: tenantId,
+        message_id: result.message_id
+      });
+
+      return MaintenanceReminder.create(tenantId, { ...entry, status: 'queued', message_id: result.message_id });
+    } catch (error) {
+      // Template removido, não aprovado ou com parâmetros diferentes do plano
+      const reason = error instanceof AppError ? error.code : error.message;
+
+      logger.warn('Lembrete de manutenção não enviado', {
+        vehicle_id: candidate.vehicle_id,
+        plan_id: candidate.plan_id,
+        tenant_id: tenantId,
+        reason
+      });
+
+      return MaintenanceReminder.create(tenantId, { ...entry, status: 'failed', reason });
+    }
+  }
+}
+
+module.exports = new MaintenanceService();
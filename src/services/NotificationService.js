@@ -0,0 +1,156 @@
+const { query } = require('../config/database');
+const NotificationRule = require('../models/NotificationRule');
+const NotificationLog = require('../models/NotificationLog');
+const ContactOptOut = require('../models/ContactOptOut');
+const Customer = require('../models/Customer');
+const Workshop = require('../models/Workshop');
+const DomainEvents = require('./DomainEvents');
+const WhatsAppService = require('./WhatsAppService');
+const { AppError } = require('../utils/errors');
+const { canonicalPhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+// Palavras enviadas pelo cliente para deixar de receber notificações
+const OPT_OUT_KEYWORDS = ['PARAR', 'SAIR', 'STOP'];
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', {
+  style: 'currency',
+  currency: 'BRL'
+});
+
+/**
+ * Notificações automáticas ao proprietário do veículo.
+ * Assina os eventos de ordem e envia o template configurado em notification_rules.
+ */
+class NotificationService {
+  /**
+   * Registra os assinantes de eventos de domínio (chamado na inicialização da API e dos workers)
+   */
+  register() {
+    for (const event of NotificationRule.EVENTS) {
+      DomainEvents.subscribe(event, (tenantId, data) => this.notifyOrderEvent(tenantId, event, data));
+    }
+  }
+
+  /**
+   * Nome exibido ao cliente: oficina da ordem ou, sem oficina, o tenant
+   */
+  async resolveWorkshopName(tenantId, workshopId) {
+    if (workshopId) {
+      const workshop = await Workshop.findById(workshopId, tenantId);
+      if (workshop) return workshop.name;
+    }
+
+    const result = await query('SELECT name FROM tenants WHERE id = $1', [tenantId]);
+    return result.rows[0]?.name || '';
+  }
+
+  /**
+   * Valores das variáveis disponíveis para os templates
+   */
+  async buildVariables(tenantId, order, vehicle) {
+    return {
+      owner_name: vehicle?.owner?.name || 'cliente',
+      plate: vehicle?.plate || '',
+      code16: vehicle?.code16 || '',
+      workshop_name: await this.resolveWorkshopName(tenantId, order.workshop_id),
+      estimate_amount: formatCurrency(order.estimate_amount)
+    };
+  }
+
+  /**
+   * Envia a notificação configurada para o evento da ordem e registra o resultado
+   */
+  async notifyOrderEvent(tenantId, event, { order, vehicle }) {
+    const rule = await NotificationRule.findByEvent(tenantId, event);
+    if (!rule || !rule.active) {
+      return null;
+    }
+
+    const phone = vehicle?.owner?.phone;
+    const entry = {
+      order_id: order.id,
+      rule_id: rule.id,
+      event,
+      contact_phone: canonicalPhone(phone)
+    };
+
+    if (!phone) {
+      return NotificationLog.create(tenantId, { ...entry, status: 'skipped', reason: 'missing_owner_phone' });
+    }
+
+    if (await ContactOptOut.isOptedOut(tenantId, phone)) {
+      return NotificationLog.create(tenantId, { ...entry, status: 'skipped', reason: 'opted_out' });
+    }
+
+    if (vehicle.customer_id && !(await Customer.hasWhatsAppConsent(tenantId, vehicle.customer_id))) {
+      return NotificationLog.create(tenantId, { ...entry, status: 'skipped', reason: 'no_whatsapp_consent' });
+    }
+
+    try {
+      const values = await this.buildVariables(tenantId, order, vehicle);
+
+      const result = await WhatsAppService.queueMessage({
+        type: 'template',
+        to: phone,
+        template: {
+          name: rule.template_name,
+          language: rule.template_language,
+          components: {
+            body: rule.variables.map(variable => String(values[variable]))
+          }
+        },
+        metadata: {
+          tenant_id: tenantId,
+          order_id: order.id,
+          purpose: 'order_notification',
+          event
+        }
+      });
+
+      logger.info('Notificação de ordem enfileirada', {
+        order_id: order.id,
+        event,
+        tenant_id: tenantId,
+        message_id: result.message_id
+      });
+
+      return NotificationLog.create(tenantId, { ...entry, status: 'queued', message_id: result.message_id });
+    } catch (error) {
+      // Template removido, não aprovado ou com parâmetros diferentes da regra
+      const reason = error instanceof AppError ? error.code : error.message;
+
+      logger.warn('Notificação de ordem não enviada', { order_id: order.id, event, tenant_id: tenantId, reason });
+
+      return NotificationLog.create(tenantId, { ...entry, status: 'failed', reason });
+    }
+  }
+
+  /**
+   * Registra opt-out quando o cliente responde com uma palavra-chave (PARAR, SAIR, STOP).
+   * Retorna true se a mensagem era um pedido de opt-out.
+   */
+  async handleInboundText(tenantId, message) {
+    const text = (message.text?.body || '').trim().toUpperCase();
+    if (!OPT_OUT_KEYWORDS.includes(text)) {
+      return false;
+    }
+
+    await ContactOptOut.create(tenantId, message.from, { source: 'whatsapp', reason: text });
+
+    logger.info('Opt-out de notificações registrado via WhatsApp', {
+      tenant_id: tenantId,
+      from: WhatsAppService.maskPhone(message.from)
+    });
+
+    await WhatsAppService.sendText(
+      message.from,
+      'Pronto! Você não receberá mais notificações automáticas. Para voltar a recebê-las, fale com a oficina.',
+      { tenant_id: tenantId, purpose: 'notification_opt_out' }
+    );
+
+    return true;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,247 @@
+const Order = require('../models/Order');
+const OrderStateMachine = require('./OrderStateMachine');
+const WhatsAppService = require('./WhatsAppService');
+const { AppError } = require('../utils/errors');
+const { samePhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+// IDs dos botões: order_approval:<approve|reject>:<order_id>
+const BUTTON_PREFIX = 'order_approval';
+const BUTTON_PATTERN = /^order_approval:(approve|reject):([0-9a-f-]{36})$/i;
+
+// Limite de caracteres do corpo de mensagens interativas do WhatsApp
+const MAX_BODY_LENGTH = 1024;
+
+// Template aprovado usado fora da janela de atendimento de 24h.
+// Corpo: {{1}} nome do cliente, {{2}} placa, {{3}} total; botões quick_reply 0 (aprovar) e 1 (recusar)
+const ESTIMATE_TEMPLATE_NAME = process.env.WHATSAPP_ESTIMATE_TEMPLATE || 'orcamento_aprovacao';
+const ESTIMATE_TEMPLATE_LANGUAGE = process.env.WHATSAPP_ESTIMATE_TEMPLATE_LANGUAGE || 'pt_BR';
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', {
+  style: 'currency',
+  currency: 'BRL'
+});
+
+class OrderApprovalService {
+  /**
+   * Monta o ID de um botão de aprovação/recusa
+   */
+  static buildButtonId(action, orderId) {
+    return `${BUTTON_PREFIX}:${action}:${orderId}`;
+  }
+
+  /**
+   * Extrai ação e ordem de um ID de botão, ou null se não for de aprovação
+   */
+  static parseButtonId(buttonId) {
+    const match = BUTTON_PATTERN.exec(buttonId || '');
+    if (!match) return null;
+
+    return { action: match[1].toLowerCase(), order_id: match[2].toLowerCase() };
+  }
+
+  /**
+   * Monta o texto do orçamento enviado ao cliente
+   */
+  static buildEstimateBody(order) {
+    const ownerName = order.vehicle?.owner?.name;
+    const header = `${ownerName ? `Olá, ${ownerName}! ` : 'Olá! '}Segue o orçamento do veículo ${order.vehicle?.plate}:`;
+    const footer = `\nTotal: ${formatCurrency(order.estimate_amount)}\n\nDeseja aprovar o serviço?`;
+
+    const lines = (order.items || []).map(item =>
+      `• ${item.description} (${Number(item.quantity)}x): ${formatCurrency(item.total_amount)}`
+    );
+
+    // Mantém o corpo dentro do limite do WhatsApp, resumindo os itens excedentes
+    let body = [header, ...lines].join('\n') + footer;
+    while (body.length > MAX_BODY_LENGTH && lines.length > 0) {
+      lines.pop();
+      body = [header, ...lines, '• ...'].join('\n') + footer;
+    }
+
+    return body;
+  }
+
+  /**
+   * Envia o orçamento da ordem para aprovação do cliente: mensagem interativa dentro da
+   * janela de atendimento de 24h ou template aprovado fora dela
+   */
+  static async sendEstimate(tenantId, orderId, { actor } = {}) {
+    const order = await Order.findById(tenantId, orderId);
+
+    if (!order) {
+      throw new AppError('Ordem de serviço não encontrada', {
+        code: 'not_found',
+        status: 404,
+        details: { order_id: orderId }
+      });
+    }
+
+    if (order.status !== 'awaiting_approval') {
+      throw new AppError('Apenas ordens aguardando aprovação podem ser enviadas ao cliente', {
+        code: 'invalid_status',
+        status: 409,
+        details: { status: order.status }
+      });
+    }
+
+    const phone = order.vehicle?.owner?.phone;
+    if (!phone) {
+      throw new AppError('Veículo não possui telefone do proprietário cadastrado', {
+        code: 'missing_owner_phone',
+        status: 400,
+        details: { vehicle_id: order.vehicle_id }
+      });
+    }
+
+    const metadata = {
+      tenant_id: tenantId,
+      order_id: order.id,
+      purpose: 'order_approval',
+      requested_by: actor?.id
+    };
+
+    const { open } = await WhatsAppService.getServiceWindow(tenantId, phone);
+
+    let result;
+    try {
+      result = open
+        ? await OrderApprovalService.sendInteractiveEstimate(order, phone, metadata)
+        : await OrderApprovalService.sendTemplateEstimate(order, phone, metadata);
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+
+      // Template de orçamento não cadastrado, não aprovado ou com parâmetros diferentes
+      logger.warn('Orçamento não enviado para aprovação via WhatsApp', {
+        order_id: order.id,
+        tenant_id: tenantId,
+        reason: error.code
+      });
+
+      return {
+        order_id: order.id,
+        message_id: null,
+        status: 'skipped',
+        reason: error.code
+      };
+    }
+
+    logger.info('Orçamento enviado para aprovação via WhatsApp', {
+      order_id: order.id,
+      tenant_id: tenantId,
+      message_id: result.message_id,
+      sent_as: open ? 'interactive' : 'template'
+    });
+
+    return {
+      order_id: order.id,
+      message_id: result.message_id,
+      status: result.status,
+      sent_as: open ? 'interactive' : 'template'
+    };
+  }
+
+  /**
+   * Orçamento detalhado com botões interativos (dentro da janela de atendimento)
+   */
+  static async sendInteractiveEstimate(order, phone, metadata) {
+    return WhatsAppService.sendInteractive(
+      phone,
+      OrderApprovalService.buildEstimateBody(order),
+      [
+        { id: OrderApprovalService.buildButtonId('approve', order.id), title: '✅ Aprovar' },
+        { id: OrderApprovalService.buildButtonId('reject', order.id), title: '❌ Recusar' }
+      ],
+      metadata
+    );
+  }
+
+  /**
+   * Orçamento pelo template aprovado, com os mesmos IDs de botão como payload (fora da janela)
+   */
+  static async sendTemplateEstimate(order, phone, metadata) {
+    return WhatsAppService.sendTemplate(
+      phone,
+      ESTIMATE_TEMPLATE_NAME,
+      ESTIMATE_TEMPLATE_LANGUAGE,
+      {
+        body: [
+          order.vehicle?.owner?.name || 'cliente',
+          order.vehicle?.plate || '',
+          formatCurrency(order.estimate_amount)
+        ],
+        buttons: [
+          OrderApprovalService.buildButtonId('approve', order.id),
+          OrderApprovalService.buildButtonId('reject', order.id)
+        ]
+      },
+      metadata
+    );
+  }
+
+  /**
+   * Processa o clique do cliente em Aprovar/Recusar.
+   * O tenant vem da conta WhatsApp que recebeu a resposta.
+   * Retorna false se o botão não pertence ao fluxo de aprovação.
+   */
+  static async handleButtonReply(tenantId, message, buttonId) {
+    const parsed = OrderApprovalService.parseButtonId(buttonId);
+    if (!parsed) return false;
+
+    const order = await Order.findById(tenantId, parsed.order_id);
+    if (!order) {
+      logger.warn('Resposta de aprovação para ordem inexistente', { order_id: parsed.order_id, tenant_id: tenantId });
+      return true;
+    }
+
+    // Apenas o proprietário do veículo pode aprovar ou recusar o orçamento
+    if (!samePhone(message.from, order.vehicle?.owner?.phone)) {
+      logger.warn('Resposta de aprovação de telefone diferente do proprietário', {
+        order_id: order.id,
+        tenant_id: tenantId,
+        from: WhatsAppService.maskPhone(message.from)
+      });
+      return true;
+    }
+
+    const toStatus = parsed.action === 'approve' ? 'approved' : 'cancelled';
+    const reason = parsed.action === 'approve'
+      ? 'Orçamento aprovado pelo cliente via WhatsApp'
+      : 'Orçamento recusado pelo cliente via WhatsApp';
+
+    try {
+      await OrderStateMachine.transition(tenantId, order.id, toStatus, {
+        actor: { type: 'customer', id: message.from },
+        reason
+      });
+
+      await WhatsAppService.sendText(
+        message.from,
+        parsed.action === 'approve'
+          ? `Orçamento do veículo ${order.vehicle.plate} aprovado! Vamos iniciar o serviço e avisaremos sobre o andamento.`
+          : `Orçamento do veículo ${order.vehicle.plate} recusado. Se quiser conversar sobre outra proposta, é só responder esta mensagem.`,
+        { tenant_id: tenantId, order_id: order.id, purpose: 'order_approval_confirmation' }
+      );
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+
+      // Botão clicado novamente ou ordem já alterada pela oficina
+      logger.warn('Resposta de aprovação ignorada', {
+        order_id: order.id,
+        tenant_id: tenantId,
+        code: error.code,
+        status: order.status
+      });
+
+      await WhatsAppService.sendText(
+        message.from,
+        `Este orçamento do veículo ${order.vehicle.plate} já foi respondido anteriormente.`,
+        { tenant_id: tenantId, order_id: order.id, purpose: 'order_approval_confirmation' }
+      );
+    }
+
+    return true;
+  }
+}
+
+module.exports = OrderApprovalService;
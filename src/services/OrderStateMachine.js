@@ -0,0 +1,155 @@
+const { getClient } = require('../config/database');
+const Order = require('../models/Order');
+const OrderStatusHistory = require('../models/OrderStatusHistory');
+const DomainEvents = require('./DomainEvents');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Transições permitidas para cada status de orders.status
+const TRANSITIONS = {
+  awaiting_approval: ['approved', 'cancelled'],
+  approved: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const INITIAL_STATUS = 'awaiting_approval';
+
+// Status em que a ordem já foi aprovada pelo cliente
+const APPROVED_STATUSES = ['approved', 'in_progress', 'completed'];
+
+class OrderStateMachine {
+  /**
+   * Verifica se a transição é permitida
+   */
+  static canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Lança erro se a transição não for permitida
+   */
+  static assertTransition(fromStatus, toStatus) {
+    if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, toStatus)) {
+      throw new AppError('Status de ordem inválido', {
+        code: 'invalid_request',
+        status: 400,
+        details: { status: toStatus, valid_statuses: Object.keys(TRANSITIONS) }
+      });
+    }
+
+    if (!OrderStateMachine.canTransition(fromStatus, toStatus)) {
+      throw new AppError(`Transição de ${fromStatus} para ${toStatus} não é permitida`, {
+        code: 'invalid_status_transition',
+        status: 409,
+        details: {
+          from: fromStatus,
+          to: toStatus,
+          allowed: TRANSITIONS[fromStatus] || []
+        }
+      });
+    }
+  }
+
+  /**
+   * Registra o status inicial de uma ordem recém-criada
+   */
+  static async recordCreation(order, { actor, reason } = {}, client = null) {
+    return OrderStatusHistory.create(order.tenant_id, {
+      order_id: order.id,
+      from_status: null,
+      to_status: order.status,
+      actor,
+      reason: reason || 'Ordem criada'
+    }, client);
+  }
+
+  /**
+   * Executa uma transição de status com bloqueio da linha e registro no histórico,
+   * publicando o evento do novo status (order.approved, order.started, ...).
+   * Todos os caminhos que alteram orders.status devem passar por aqui.
+   *
+   * @param {string} tenantId - ID do tenant
+   * @param {string} orderId - ID da ordem
+   * @param {string} toStatus - Status de destino
+   * @param {object} context - { actor: { type, id }, reason }
+   * @returns {Promise<Order>} - Ordem atualizada (com veículo e itens)
+   */
+  static async transition(tenantId, orderId, toStatus, { actor, reason } = {}) {
+    const client = await getClient();
+    let fromStatus;
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT status FROM orders WHERE id = $1 AND tenant_id = $2 FOR UPDATE',
+        [orderId, tenantId]
+      );
+
+      if (current.rows.length === 0) {
+        throw new AppError('Ordem de serviço não encontrada', {
+          code: 'not_found',
+          status: 404,
+          details: { order_id: orderId }
+        });
+      }
+
+      fromStatus = current.rows[0].status;
+      OrderStateMachine.assertTransition(fromStatus, toStatus);
+
+      await client.query(
+        `UPDATE orders
+         SET status = $1,
+             approved = CASE WHEN $2::boolean THEN true ELSE approved END,
+             updated_at = NOW()
+         WHERE id = $3 AND tenant_id = $4`,
+        [toStatus, APPROVED_STATUSES.includes(toStatus), orderId, tenantId]
+      );
+
+      await OrderStatusHistory.create(tenantId, {
+        order_id: orderId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        actor,
+        reason
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (!(error instanceof AppError)) {
+        logger.error('Erro ao executar transição de status', { error: error.message, orderId, tenantId, toStatus });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Transição de status da ordem registrada', {
+      order_id: orderId,
+      tenant_id: tenantId,
+      from: fromStatus,
+      to: toStatus,
+      actor_type: actor?.type
+    });
+
+    const order = await Order.findById(tenantId, orderId);
+
+    const event = DomainEvents.orderStatusEvent(toStatus);
+    if (event) {
+      await DomainEvents.publishOrder(event, order, {
+        transition: { from: fromStatus, to: toStatus, actor, reason: reason || null }
+      });
+    }
+
+    return order;
+  }
+}
+
+OrderStateMachine.TRANSITIONS = TRANSITIONS;
+OrderStateMachine.INITIAL_STATUS = INITIAL_STATUS;
+
+module.exports = OrderStateMachine;
@@ -0,0 +1,390 @@
+const { query, getClient } = require('../config/database');
+const Appointment = require('../models/Appointment');
+const Order = require('../models/Order');
+const OdometerReading = require('../models/OdometerReading');
+const OrderStateMachine = require('./OrderStateMachine');
+const DomainEvents = require('./DomainEvents');
+const { AppError } = require('../utils/errors');
+const {
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  weekdayOf,
+  zonedParts,
+  zonedTimeToUtc
+} = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// Intervalo entre horários oferecidos e duração padrão de um atendimento
+const SLOT_MINUTES = parseInt(process.env.APPOINTMENT_SLOT_MINUTES) || 60;
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+/**
+ * Agenda das oficinas: horários a partir de working_hours no fuso da oficina,
+ * limite diário (max_vehicles_per_day) e atendimentos simultâneos (max_mechanics).
+ */
+class SchedulingService {
+  /**
+   * Horário de funcionamento da oficina na data local, em minutos; null se fechada
+   */
+  hoursFor(workshop, date) {
+    const day = (workshop.working_hours || {})[weekdayOf(date)];
+    if (!day || day.closed || !isValidTime(day.open) || !isValidTime(day.close)) {
+      return null;
+    }
+
+    const open = timeToMinutes(day.open);
+    const close = timeToMinutes(day.close);
+    return open < close ? { open, close } : null;
+  }
+
+  timezoneOf(workshop) {
+    return workshop.timezone || DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Quantos agendamentos ocupam o intervalo [start, start + duration)
+   */
+  overlapping(appointments, start, durationMinutes) {
+    const end = start.getTime() + durationMinutes * MINUTE_MS;
+
+    return appointments.filter(appointment => {
+      const appointmentStart = new Date(appointment.scheduled_at).getTime();
+      const appointmentEnd = appointmentStart + appointment.duration_minutes * MINUTE_MS;
+      return appointmentStart < end && appointmentEnd > start.getTime();
+    }).length;
+  }
+
+  /**
+   * Horários disponíveis da oficina em uma data local
+   */
+  async getAvailability(workshop, date, now = new Date()) {
+    const timezone = this.timezoneOf(workshop);
+    const hours = this.hoursFor(workshop, date);
+    const appointments = await Appointment.findActiveByDay(workshop.id, date);
+
+    const dailyLimit = workshop.max_vehicles_per_day;
+    const capacity = {
+      daily_limit: dailyLimit,
+      booked: appointments.length,
+      remaining: Math.max(0, dailyLimit - appointments.length),
+      simultaneous_limit: workshop.max_mechanics
+    };
+
+    if (!hours) {
+      const configured = Object.keys(workshop.working_hours || {}).length > 0;
+      return {
+        date,
+        timezone,
+        open: false,
+        reason: configured ? 'closed' : 'working_hours_not_configured',
+        capacity,
+        slots: []
+      };
+    }
+
+    const slots = [];
+    for (let minutes = hours.open; minutes + SLOT_MINUTES <= hours.close; minutes += SLOT_MINUTES) {
+      const time = minutesToTime(minutes);
+      const startsAt = zonedTimeToUtc(date, time, timezone);
+
+      if (startsAt <= now) {
+        continue;
+      }
+
+      const remaining = Math.max(0, workshop.max_mechanics - this.overlapping(appointments, startsAt, SLOT_MINUTES));
+
+      slots.push({
+        time,
+        starts_at: startsAt.toISOString(),
+        available: remaining > 0 && capacity.remaining > 0,
+        remaining
+      });
+    }
+
+    return {
+      date,
+      timezone,
+      open: true,
+      slot_minutes: SLOT_MINUTES,
+      working_hours: {
+        open: minutesToTime(hours.open),
+        close: minutesToTime(hours.close)
+      },
+      reason: capacity.remaining === 0 ? 'day_full' : null,
+      capacity,
+      slots
+    };
+  }
+
+  /**
+   * Início do atendimento a partir de scheduled_at (ISO 8601) ou de date + time locais da oficina
+   */
+  resolveStart(workshop, { scheduled_at, date, time }) {
+    if (date !== undefined || time !== undefined) {
+      if (!isValidDate(date) || !isValidTime(time)) {
+        throw new AppError('Informe date (YYYY-MM-DD) e time (HH:MM) no horário local da oficina', {
+          code: 'invalid_request',
+          status: 400,
+          details: { date, time }
+        });
+      }
+      return zonedTimeToUtc(date, time, this.timezoneOf(workshop));
+    }
+
+    const startsAt = scheduled_at ? new Date(scheduled_at) : null;
+    if (!startsAt || isNaN(startsAt)) {
+      throw new AppError('Informe scheduled_at (ISO 8601) ou date e time', {
+        code: 'invalid_request',
+        status: 400,
+        details: { scheduled_at }
+      });
+    }
+
+    return startsAt;
+  }
+
+  /**
+   * Recusa o agendamento se a oficina estiver fechada, fora do horário ou sem capacidade
+   */
+  assertBookable(workshop, startsAt, durationMinutes, appointments, now = new Date()) {
+    const timezone = this.timezoneOf(workshop);
+    const local = zonedParts(startsAt, timezone);
+
+    if (workshop.status !== 'active') {
+      throw new AppError('Oficina não está recebendo agendamentos', {
+        code: 'workshop_unavailable',
+        status: 409,
+        details: { workshop_status: workshop.status }
+      });
+    }
+
+    if (startsAt <= now) {
+      throw new AppError('Horário do agendamento já passou', {
+        code: 'invalid_request',
+        status: 400,
+        details: { scheduled_at: startsAt.toISOString() }
+      });
+    }
+
+    const hours = this.hoursFor(workshop, local.date);
+    if (!hours) {
+      throw new AppError('Oficina fechada nesta data', {
+        code: 'workshop_closed',
+        status: 409,
+        details: { date: local.date, weekday: local.weekday, timezone }
+      });
+    }
+
+    if (local.minutes < hours.open || local.minutes + durationMinutes > hours.close) {
+      throw new AppError('Horário fora do funcionamento da oficina', {
+        code: 'outside_working_hours',
+        status: 409,
+        details: {
+          date: local.date,
+          time: local.time,
+          open: minutesToTime(hours.open),
+          close: minutesToTime(hours.close),
+          timezone
+        }
+      });
+    }
+
+    if (appointments.length >= workshop.max_vehicles_per_day) {
+      throw new AppError('Agenda do dia está completa', {
+        code: 'day_full',
+        status: 409,
+        details: { date: local.date, daily_limit: workshop.max_vehicles_per_day }
+      });
+    }
+
+    if (this.overlapping(appointments, startsAt, durationMinutes) >= workshop.max_mechanics) {
+      throw new AppError('Não há vaga neste horário', {
+        code: 'slot_full',
+        status: 409,
+        details: { date: local.date, time: local.time, simultaneous_limit: workshop.max_mechanics }
+      });
+    }
+
+    return local;
+  }
+
+  /**
+   * Verifica a capacidade e grava o agendamento na mesma transação.
+   * A linha da oficina fica bloqueada para que dois agendamentos simultâneos não excedam o limite.
+   */
+  async withCapacity(workshop, startsAt, durationMinutes, excludeId, write) {
+    const local = zonedParts(startsAt, this.timezoneOf(workshop));
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query('SELECT id FROM workshops WHERE id = $1 FOR UPDATE', [workshop.id]);
+
+      const appointments = await Appointment.findActiveByDay(workshop.id, local.date, { excludeId, client });
+      this.assertBookable(workshop, startsAt, durationMinutes, appointments);
+
+      const appointment = await write(local, client);
+
+      await client.query('COMMIT');
+      return appointment;
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (!(error instanceof AppError)) {
+        logger.error('Erro ao gravar agendamento', { error: error.message, workshop_id: workshop.id });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Agenda um atendimento
+   */
+  async book(workshop, appointmentData) {
+    const startsAt = this.resolveStart(workshop, appointmentData);
+    const durationMinutes = appointmentData.duration_minutes || SLOT_MINUTES;
+
+    const appointment = await this.withCapacity(workshop, startsAt, durationMinutes, null, (local, client) =>
+      Appointment.create(workshop.tenant_id, {
+        ...appointmentData,
+        workshop_id: workshop.id,
+        scheduled_at: startsAt,
+        local_date: local.date,
+        duration_minutes: durationMinutes
+      }, client)
+    );
+
+    logger.info('Agendamento criado', {
+      appointment_id: appointment.id,
+      workshop_id: workshop.id,
+      tenant_id: workshop.tenant_id,
+      source: appointment.source
+    });
+
+    return appointment;
+  }
+
+  /**
+   * Remarca o atendimento (mesmas regras de capacidade, sem contar o próprio agendamento)
+   */
+  async reschedule(workshop, appointment, changes) {
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+      throw new AppError('Apenas agendamentos ativos podem ser remarcados', {
+        code: 'invalid_status_transition',
+        status: 409,
+        details: { status: appointment.status }
+      });
+    }
+
+    const hasNewStart = changes.scheduled_at !== undefined || changes.date !== undefined || changes.time !== undefined;
+    const startsAt = hasNewStart ? this.resolveStart(workshop, changes) : new Date(appointment.scheduled_at);
+    const durationMinutes = changes.duration_minutes || appointment.duration_minutes;
+
+    await this.withCapacity(workshop, startsAt, durationMinutes, appointment.id, (local, client) =>
+      appointment.update({
+        scheduled_at: startsAt,
+        local_date: local.date,
+        duration_minutes: durationMinutes
+      }, client)
+    );
+
+    logger.info('Agendamento remarcado', { appointment_id: appointment.id, workshop_id: workshop.id });
+    return appointment;
+  }
+
+  /**
+   * Confirma, cancela ou marca não comparecimento
+   */
+  async changeStatus(appointment, status, { reason = null } = {}) {
+    const allowed = Appointment.TRANSITIONS[appointment.status] || [];
+
+    if (!allowed.includes(status)) {
+      throw new AppError(`Transição de ${appointment.status} para ${status} não permitida`, {
+        code: 'invalid_status_transition',
+        status: 409,
+        details: { from: appointment.status, to: status, allowed }
+      });
+    }
+
+    await appointment.update({ status, cancel_reason: status === 'cancelled' ? reason : null });
+
+    logger.info('Status do agendamento alterado', { appointment_id: appointment.id, status });
+    return appointment;
+  }
+
+  /**
+   * Chegada do veículo: o agendamento confirmado vira uma ordem de serviço
+   */
+  async checkIn(workshop, appointment, { vehicleId, estimateAmount = 0, notes = null, mileage, actor }) {
+    const tenantId = workshop.tenant_id;
+
+    // Marca a chegada antes de abrir a ordem, para que dois check-ins não gerem duas ordens
+    const claimed = await query(
+      `UPDATE appointments
+       SET status = 'checked_in', checked_in_at = NOW(), vehicle_id = $1
+       WHERE id = $2 AND tenant_id = $3 AND status = 'confirmed'
+       RETURNING id`,
+      [vehicleId, appointment.id, tenantId]
+    );
+
+    if (claimed.rows.length === 0) {
+      throw new AppError('Apenas agendamentos confirmados podem receber o veículo', {
+        code: 'invalid_status_transition',
+        status: 409,
+        details: { from: appointment.status, to: 'checked_in', allowed_from: ['confirmed'] }
+      });
+    }
+
+    let order;
+    try {
+      order = await Order.create(tenantId, {
+        vehicle_id: vehicleId,
+        estimate_amount: estimateAmount,
+        notes: notes || appointment.service_description
+      });
+      await OrderStateMachine.recordCreation(order, { actor, reason: 'Ordem criada na chegada do agendamento' });
+      await order.update({ workshop_id: workshop.id });
+
+      if (mileage !== undefined) {
+        await OdometerReading.create(tenantId, {
+          vehicle_id: vehicleId,
+          order_id: order.id,
+          mileage,
+          source: 'order',
+          recorded_by: actor?.id
+        });
+      }
+    } catch (error) {
+      // Sem ordem, o agendamento volta a aguardar a chegada
+      await query(
+        `UPDATE appointments SET status = 'confirmed', checked_in_at = NULL WHERE id = $1 AND tenant_id = $2`,
+        [appointment.id, tenantId]
+      );
+      throw error;
+    }
+
+    await appointment.update({ order_id: order.id });
+
+    logger.info('Veículo recebido; ordem aberta a partir do agendamento', {
+      appointment_id: appointment.id,
+      order_id: order.id,
+      workshop_id: workshop.id,
+      tenant_id: tenantId
+    });
+
+    const createdOrder = await Order.findById(tenantId, order.id);
+    await DomainEvents.publishOrder('order.created', createdOrder);
+
+    return { appointment, order: createdOrder };
+  }
+}
+
+module.exports = new SchedulingService();
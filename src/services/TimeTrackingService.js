@@ -0,0 +1,201 @@
+const User = require('../models/User');
+const Order = require('../models/Order');
+const OrderTimeEntry = require('../models/OrderTimeEntry');
+const DomainEvents = require('./DomainEvents');
+const { AppError } = require('../utils/errors');
+const { zonedTimeToUtc, addDays } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// Violação de índice único do PostgreSQL (apontamento aberto já existente)
+const UNIQUE_VIOLATION = '23505';
+
+// Período padrão da carga de trabalho: últimos 7 dias, incluindo hoje
+const DEFAULT_PERIOD_DAYS = 7;
+
+/**
+ * Responsáveis pelas ordens e apontamento de horas dos mecânicos
+ */
+class TimeTrackingService {
+  /**
+   * Registra os assinantes de eventos de domínio (chamado na inicialização da API e dos workers)
+   */
+  register() {
+    for (const event of ['order.completed', 'order.cancelled']) {
+      DomainEvents.subscribe(event, (tenantId, data) => this.closeOrderEntries(tenantId, data.order.id));
+    }
+  }
+
+  /**
+   * Ordem encerrada não acumula horas: fecha os apontamentos que ficaram abertos
+   */
+  async closeOrderEntries(tenantId, orderId) {
+    const closed = await OrderTimeEntry.closeOpenByOrder(tenantId, orderId);
+    if (closed > 0) {
+      logger.info('Apontamentos abertos encerrados com a ordem', { order_id: orderId, tenant_id: tenantId, closed });
+    }
+  }
+
+  /**
+   * Mecânico ativo do tenant, ou erro 400
+   */
+  async resolveMechanic(tenantId, userId, field = 'assigned_to') {
+    const mechanic = userId ? await User.findMechanic(tenantId, userId) : null;
+    if (!mechanic) {
+      throw new AppError('Usuário não é um mecânico ativo', {
+        code: 'invalid_mechanic',
+        status: 400,
+        details: { field, user_id: userId || null }
+      });
+    }
+    return mechanic;
+  }
+
+  assertOpen(order) {
+    if (order.status === 'completed' || order.status === 'cancelled') {
+      throw new AppError('Não é possível apontar horas em ordem concluída ou cancelada', {
+        code: 'order_closed',
+        status: 400,
+        details: { status: order.status }
+      });
+    }
+  }
+
+  alreadyClockedIn(entry) {
+    return new AppError('Mecânico já possui apontamento aberto', {
+      code: 'already_clocked_in',
+      status: 409,
+      details: { order_id: entry?.order_id || null, started_at: entry?.started_at || null }
+    });
+  }
+
+  /**
+   * Entrada do mecânico na ordem (opcionalmente em um item)
+   */
+  async clockIn(order, { userId, itemId, notes }) {
+    this.assertOpen(order);
+    await this.resolveMechanic(order.tenant_id, userId, 'user_id');
+
+    if (itemId && !(order.items || []).some(item => item.id === itemId)) {
+      throw new AppError('Item não pertence à ordem', {
+        code: 'invalid_request',
+        status: 400,
+        details: { order_id: order.id, item_id: itemId }
+      });
+    }
+
+    const open = await OrderTimeEntry.findOpenByUser(order.tenant_id, userId);
+    if (open) {
+      throw this.alreadyClockedIn(open);
+    }
+
+    try {
+      const entry = await OrderTimeEntry.clockIn(order.tenant_id, {
+        order_id: order.id,
+        order_item_id: itemId,
+        user_id: userId,
+        notes
+      });
+
+      logger.info('Entrada registrada na ordem', { order_id: order.id, user_id: userId, tenant_id: order.tenant_id });
+      return entry;
+    } catch (error) {
+      // Duas entradas simultâneas: a segunda esbarra no índice único
+      if (error.code === UNIQUE_VIOLATION) {
+        throw this.alreadyClockedIn(await OrderTimeEntry.findOpenByUser(order.tenant_id, userId));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Saída do mecânico da ordem
+   */
+  async clockOut(order, { userId, notes }) {
+    const open = await OrderTimeEntry.findOpenByUser(order.tenant_id, userId);
+    if (!open || open.order_id !== order.id) {
+      throw new AppError('Mecânico não possui apontamento aberto nesta ordem', {
+        code: 'not_clocked_in',
+        status: 409,
+        details: { order_id: order.id, user_id: userId, open_order_id: open ? open.order_id : null }
+      });
+    }
+
+    await open.clockOut(notes);
+
+    logger.info('Saída registrada na ordem', {
+      order_id: order.id,
+      user_id: userId,
+      tenant_id: order.tenant_id,
+      duration_minutes: open.duration_minutes
+    });
+
+    return open;
+  }
+
+  /**
+   * Carga de trabalho dos mecânicos da oficina: ordens em aberto atribuídas,
+   * apontamento em andamento e horas apontadas no período (datas locais da oficina)
+   */
+  async getWorkload(workshop, { from, to, today }) {
+    const period = {
+      from: from || addDays(today, -(DEFAULT_PERIOD_DAYS - 1)),
+      to: to || today
+    };
+    const start = zonedTimeToUtc(period.from, '00:00', workshop.timezone);
+    const end = zonedTimeToUtc(addDays(period.to, 1), '00:00', workshop.timezone);
+
+    const mechanics = await User.listMechanics(workshop.tenant_id, workshop.id);
+    const userIds = mechanics.map(mechanic => mechanic.id);
+
+    const assignments = await Order.findOpenAssignments(workshop.tenant_id, userIds);
+    const minutes = await OrderTimeEntry.minutesByUser(workshop.tenant_id, userIds, start, end);
+
+    const result = [];
+    for (const mechanic of mechanics) {
+      const openEntry = await OrderTimeEntry.findOpenByUser(workshop.tenant_id, mechanic.id);
+      const openOrders = assignments
+        .filter(assignment => assignment.user_id === mechanic.id)
+        .map(assignment => ({
+          order_id: assignment.order_id,
+          status: assignment.status,
+          workshop_id: assignment.workshop_id,
+          plate: assignment.plate,
+          assigned_order: assignment.assigned_order,
+          assigned_items: assignment.assigned_items
+        }));
+      const loggedMinutes = minutes[mechanic.id] || 0;
+
+      result.push({
+        user_id: mechanic.id,
+        name: mechanic.name,
+        email: mechanic.email,
+        workshop_id: mechanic.workshop_id,
+        clocked_in: openEntry
+          ? { order_id: openEntry.order_id, order_item_id: openEntry.order_item_id, started_at: openEntry.started_at }
+          : null,
+        open_orders: openOrders,
+        open_orders_count: openOrders.length,
+        logged_minutes: loggedMinutes,
+        logged_hours: Math.round(loggedMinutes / 60 * 100) / 100
+      });
+    }
+
+    const totalMinutes = result.reduce((sum, mechanic) => sum + mechanic.logged_minutes, 0);
+
+    return {
+      workshop_id: workshop.id,
+      timezone: workshop.timezone,
+      period,
+      max_mechanics: workshop.max_mechanics,
+      mechanics: result,
+      totals: {
+        mechanics: result.length,
+        clocked_in: result.filter(mechanic => mechanic.clocked_in).length,
+        open_orders: new Set(assignments.map(assignment => assignment.order_id)).size,
+        logged_hours: Math.round(totalMinutes / 60 * 100) / 100
+      }
+    };
+  }
+}
+
+module.exports = new TimeTrackingService();
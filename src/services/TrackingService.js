@@ -0,0 +1,139 @@
+const Vehicle = require('../models/Vehicle');
+const Tenant = require('../models/Tenant');
+const Order = require('../models/Order');
+const OrderStatusHistory = require('../models/OrderStatusHistory');
+const Workshop = require('../models/Workshop');
+const Media = require('../models/Media');
+
+// Rótulos exibidos ao cliente para cada status da ordem
+const STATUS_LABELS = {
+  awaiting_approval: 'Aguardando aprovação',
+  approved: 'Aprovado',
+  in_progress: 'Em andamento',
+  completed: 'Concluído',
+  cancelled: 'Cancelado'
+};
+
+/**
+ * Visão pública do veículo consultada pelo code16.
+ * Retorna apenas dados seguros para o cliente: sem dados do proprietário,
+ * IDs internos, observações da oficina ou caminhos de arquivos.
+ */
+class TrackingService {
+  /**
+   * Mascara a placa mantendo o início e o último caractere (ABC1D23 → ABC***3)
+   */
+  maskPlate(plate) {
+    const normalized = String(plate || '').replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    if (normalized.length < 5) return null;
+
+    return `${normalized.slice(0, 3)}${'*'.repeat(normalized.length - 4)}${normalized.slice(-1)}`;
+  }
+
+  /**
+   * Monta a visão pública do veículo, ou null se o código não estiver disponível
+   */
+  async getPublicView(code16) {
+    const vehicle = await Vehicle.findPublicByCode16(code16);
+    if (!vehicle) {
+      return null;
+    }
+
+    const meta = vehicle.meta || {};
+    const view = {
+      code16: vehicle.code16,
+      vehicle: {
+        plate: this.maskPlate(vehicle.plate),
+        brand: meta.brand || null,
+        model: meta.model || null,
+        year: meta.year || null,
+        color: meta.color || null
+      },
+      workshop: null,
+      order: null,
+      media: []
+    };
+
+    // Ordem mais recente do veículo
+    const [latest] = await Order.findByVehicle(vehicle.tenant_id, vehicle.id);
+    if (!latest) {
+      return view;
+    }
+
+    const order = await Order.findById(vehicle.tenant_id, latest.id);
+    const history = await OrderStatusHistory.findByOrder(vehicle.tenant_id, order.id);
+
+    view.order = {
+      status: order.status,
+      status_label: STATUS_LABELS[order.status] || order.status,
+      estimate_amount: order.estimate_amount,
+      items: (order.items || []).map(item => ({
+        description: item.description,
+        quantity: item.quantity,
+        total_amount: item.total_amount
+      })),
+      timeline: history.map(entry => ({
+        status: entry.to_status,
+        status_label: STATUS_LABELS[entry.to_status] || entry.to_status,
+        at: entry.created_at
+      })),
+      created_at: order.created_at,
+      updated_at: order.updated_at
+    };
+
+    if (order.workshop_id) {
+      const workshop = await Workshop.findById(order.workshop_id, vehicle.tenant_id);
+      if (workshop) {
+        view.workshop = {
+          name: workshop.name,
+          phone: workshop.phone || null
+        };
+      }
+    }
+
+    const thumbnails = await Media.findPublicThumbnails(vehicle.id, order.id, vehicle.tenant_id);
+    view.media = thumbnails.map(media => ({
+      id: media.id,
+      thumbnail_url: `/v1/tracking/${vehicle.code16}/media/${media.id}/thumbnail`,
+      created_at: media.created_at
+    }));
+
+    return view;
+  }
+
+  /**
+   * Se o código foi aposentado por rotação (a oficina gerou um novo).
+   * Só é informado quando o tenant mantém o acompanhamento público ativo.
+   */
+  async isSuperseded(code16) {
+    const retired = await Vehicle.findRetiredCode16(code16);
+    if (!retired) {
+      return false;
+    }
+
+    const tenant = await Tenant.findById(retired.tenant_id);
+    return Boolean(tenant && tenant.public_tracking_enabled && tenant.status === 'active');
+  }
+
+  /**
+   * Caminho do thumbnail se a mídia pertence à ordem exibida publicamente, ou null
+   */
+  async findThumbnailPath(code16, mediaId) {
+    const vehicle = await Vehicle.findPublicByCode16(code16);
+    if (!vehicle) {
+      return null;
+    }
+
+    const [latest] = await Order.findByVehicle(vehicle.tenant_id, vehicle.id);
+    if (!latest) {
+      return null;
+    }
+
+    const thumbnails = await Media.findPublicThumbnails(vehicle.id, latest.id, vehicle.tenant_id);
+    const media = thumbnails.find(item => item.id === mediaId);
+
+    return media ? media.thumbnail_url : null;
+  }
+}
+
+module.exports = new TrackingService();
@@ -0,0 +1,222 @@
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const { Queue } = require('bullmq');
+const { connection, QUEUES } = require('../config/queue');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateHmac, generateUUID } = require('../utils/crypto');
+const { findBlockedAddress, publicLookup } = require('../utils/network');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Tentativas por entrega (backoff exponencial: 10s, 20s, 40s, ...)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BACKOFF_DELAY_MS = 10000;
+
+// Entregas esgotadas seguidas antes de desativar a assinatura
+const FAILURE_THRESHOLD = parseInt(process.env.WEBHOOK_FAILURE_THRESHOLD) || 10;
+
+const REQUEST_TIMEOUT_MS = 10000;
+const RESPONSE_SNIPPET_LENGTH = 500;
+
+// Conexões dos webhooks só para endereços públicos, validados na resolução do DNS
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+class WebhookService {
+  constructor() {
+    // Fila de entregas processada por src/workers/webhookDelivery.js
+    this.deliveryQueue = new Queue(QUEUES.WEBHOOK_DELIVERY, {
+      connection
+    });
+  }
+
+  /**
+   * Enfileira o evento para todos os webhooks ativos do tenant que o assinam
+   */
+  async dispatch(tenantId, event, data) {
+    try {
+      if (!tenantId) {
+        logger.warn('Evento sem tenant não enviado a parceiros', { event });
+        return;
+      }
+
+      const webhooks = await Webhook.findActiveForEvent(tenantId, event);
+      const eventId = generateUUID();
+
+      for (const webhook of webhooks) {
+        await this.enqueue(webhook, { event_id: eventId, event, data });
+      }
+    } catch (error) {
+      logger.error('Erro ao disparar webhooks', { error: error.message, tenant_id: tenantId, event });
+    }
+  }
+
+  /**
+   * Adiciona uma entrega à fila
+   */
+  async enqueue(webhook, { event_id, event, data }) {
+    await this.deliveryQueue.add('deliver', {
+      tenant_id: webhook.tenant_id,
+      webhook_id: webhook.id,
+      event_id,
+      event,
+      data
+    }, {
+      attempts: MAX_ATTEMPTS,
+      backoff: {
+        type: 'exponential',
+        delay: BACKOFF_DELAY_MS
+      },
+      removeOnComplete: 1000,
+      removeOnFail: 1000
+    });
+  }
+
+  /**
+   * Reenvia manualmente o evento de uma entrega registrada
+   */
+  async redeliver(tenantId, webhookId, deliveryId) {
+    const webhook = await Webhook.findById(tenantId, webhookId);
+    if (!webhook) {
+      throw new AppError('Webhook não encontrado', {
+        code: 'not_found',
+        status: 404,
+        details: { webhook_id: webhookId }
+      });
+    }
+
+    if (!webhook.active) {
+      throw new AppError('Webhook está desativado; reative-o antes de reenviar', {
+        code: 'webhook_inactive',
+        status: 409,
+        details: { webhook_id: webhookId, disabled_reason: webhook.disabled_reason }
+      });
+    }
+
+    const delivery = await WebhookDelivery.findById(tenantId, webhookId, deliveryId);
+    if (!delivery) {
+      throw new AppError('Entrega não encontrada', {
+        code: 'not_found',
+        status: 404,
+        details: { delivery_id: deliveryId }
+      });
+    }
+
+    await this.enqueue(webhook, {
+      event_id: delivery.event_id,
+      event: delivery.event,
+      data: delivery.payload.data
+    });
+
+    logger.info('Reenvio de webhook enfileirado', {
+      webhook_id: webhookId,
+      tenant_id: tenantId,
+      event_id: delivery.event_id
+    });
+
+    return {
+      event_id: delivery.event_id,
+      event: delivery.event,
+      status: 'queued'
+    };
+  }
+
+  /**
+   * Processa um job da fila: envia o evento, registra a tentativa e
+   * lança erro em caso de falha para que o BullMQ agende nova tentativa.
+   */
+  async deliver(job) {
+    const { tenant_id, webhook_id, event_id, event, data } = job.data;
+    const attempt = job.attemptsMade + 1;
+    const isLastAttempt = attempt >= (job.opts.attempts || 1);
+
+    const webhook = await Webhook.findById(tenant_id, webhook_id);
+    if (!webhook || !webhook.active) {
+      logger.info('Entrega descartada: webhook removido ou desativado', { webhook_id, event_id });
+      return { skipped: true };
+    }
+
+    const payload = {
+      event,
+      data,
+      sent_at: new Date().toISOString()
+    };
+    const body = JSON.stringify(payload);
+    const signature = generateHmac(body, webhook.secret);
+
+    const startedAt = Date.now();
+    let response = null;
+    let requestError = null;
+
+    try {
+      // URLs com IP literal não passam pelo lookup dos agents
+      const blocked = await findBlockedAddress(webhook.url);
+      if (blocked) {
+        throw new Error(`URL aponta para endereço não público (${blocked})`);
+      }
+
+      response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Signature-256': `sha256=${signature}`,
+          'X-Webhook-Event-Id': event_id,
+          'X-Webhook-Attempt': String(attempt)
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        responseType: 'text',
+        transformResponse: [raw => raw],
+        validateStatus: () => true
+      });
+    } catch (error) {
+      requestError = error;
+    }
+
+    const latencyMs = Date.now() - startedAt;
+    const success = !!response && response.status >= 200 && response.status < 300;
+    const errorMessage = success
+      ? null
+      : (requestError ? requestError.message : `HTTP ${response.status}`);
+
+    await WebhookDelivery.create({
+      tenant_id,
+      webhook_id,
+      event_id,
+      event,
+      payload: { event, data },
+      attempt,
+      status: success ? 'success' : 'failed',
+      status_code: response ? response.status : null,
+      latency_ms: latencyMs,
+      response_snippet: response && response.data
+        ? String(response.data).slice(0, RESPONSE_SNIPPET_LENGTH)
+        : null,
+      error: errorMessage
+    });
+
+    if (success) {
+      await Webhook.registerSuccess(tenant_id, webhook_id);
+      return { status_code: response.status, latency_ms: latencyMs };
+    }
+
+    if (isLastAttempt) {
+      const disabled = await Webhook.registerFailure(tenant_id, webhook_id, FAILURE_THRESHOLD);
+
+      if (disabled) {
+        logger.warn('Webhook desativado por falhas consecutivas', {
+          webhook_id,
+          tenant_id,
+          threshold: FAILURE_THRESHOLD
+        });
+      }
+    }
+
+    throw new Error(`Falha na entrega do webhook: ${errorMessage}`);
+  }
+}
+
+module.exports = new WebhookService();
@@ -1,21 +1,140 @@
-const axios = require('axios');
-const { Queue } = require('bullmq');
-const { encrypt } = require('../utils/crypto');
+const { Queue, UnrecoverableError } = require('bullmq');
+const { connection, QUEUES } = require('../config/queue');
+const redis = require('../config/redis');
+const { encrypt, generateUUID } = require('../utils/crypto');
+const WhatsAppAccount = require('../models/WhatsAppAccount');
+const Tenant = require('../models/Tenant');
+const Template = require('../models/Template');
+const Conversation = require('../models/Conversation');
+const WebhookService = require('./WebhookService');
+const { createProvider } = require('./whatsapp');
+const { AppError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
+// Tempo de cache das credenciais descriptografadas de cada tenant
+const CREDENTIALS_TTL_MS = 5 * 60 * 1000;
+// Versão incrementada a cada alteração da conta; invalida o cache da API e dos workers
+const CREDENTIALS_VERSION_PREFIX = 'wa:credentials:version:';
+
+// Tipos aceitos por queueMessage
+const QUEUED_MESSAGE_TYPES = ['text', 'template', 'interactive', 'list'];
+
+// Janela de atendimento: mensagens livres só até 24h após a última mensagem do cliente
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
 class WhatsAppService {
   constructor() {
-    this.baseURL = 'https://graph.facebook.com/v18.0';
+    this.provider = createProvider();
     this.token = process.env.WHATSAPP_TOKEN;
     this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    this.defaultTenantId = process.env.WHATSAPP_DEFAULT_TENANT_ID;
+    this.credentialsCache = new Map();
+
+    // Webhooks simulados pelo provedor mock entram pelo mesmo fluxo da Meta
+    if (this.provider.setWebhookHandler) {
+      this.provider.setWebhookHandler(payload => this.processWebhook(payload));
+    }
     
     // Filas para processamento assíncrono
-    this.sendQueue = new Queue('wa:send', {
-      connection: require('../config/redis')
+    this.sendQueue = new Queue(QUEUES.WHATSAPP_SEND, {
+      connection
     });
     
-    this.statusQueue = new Queue('wa:status', {
-      connection: require('../config/redis')
+    this.statusQueue = new Queue(QUEUES.WHATSAPP_STATUS, {
+      connection
+    });
+  }
+
+  /**
+   * Resolve as credenciais da conta WhatsApp do tenant.
+   * Sem conta cadastrada, usa WHATSAPP_TOKEN/WHATSAPP_PHONE_NUMBER_ID do ambiente.
+   */
+  async getCredentials(tenantId) {
+    const version = tenantId ? await this.getCredentialsVersion(tenantId) : null;
+    const cached = tenantId && this.credentialsCache.get(tenantId);
+    if (cached && version !== null && cached.version === version && cached.expires_at > Date.now()) {
+      return cached.credentials;
+    }
+
+    const account = tenantId ? await WhatsAppAccount.findByTenant(tenantId) : null;
+    let credentials;
+
+    if (account && account.status === 'active') {
+      credentials = {
+        phoneNumberId: account.phone_number_id,
+        token: account.getAccessToken()
+      };
+    } else if (!account && this.token && this.phoneNumberId) {
+      credentials = {
+        phoneNumberId: this.phoneNumberId,
+        token: this.token
+      };
+    } else if (!account && this.provider.defaultCredentials()) {
+      credentials = this.provider.defaultCredentials();
+    } else {
+      throw new Error('Tenant não possui conta WhatsApp ativa configurada');
+    }
+
+    if (version !== null) {
+      this.credentialsCache.set(tenantId, { credentials, version, expires_at: Date.now() + CREDENTIALS_TTL_MS });
+    }
+
+    return credentials;
+  }
+
+  /**
+   * Versão das credenciais do tenant no Redis, compartilhada entre API e workers.
+   * Sem Redis o cache não é usado (retorna null).
+   */
+  async getCredentialsVersion(tenantId) {
+    try {
+      return (await redis.get(`${CREDENTIALS_VERSION_PREFIX}${tenantId}`)) || '0';
+    } catch (error) {
+      logger.warn('Versão das credenciais WhatsApp indisponível; cache ignorado', { error: error.message, tenantId });
+      return null;
+    }
+  }
+
+  /**
+   * Invalida as credenciais em cache em todos os processos após alteração da conta do tenant
+   */
+  async invalidateCredentials(tenantId) {
+    this.credentialsCache.delete(tenantId);
+    await redis.incr(`${CREDENTIALS_VERSION_PREFIX}${tenantId}`);
+  }
+
+  /**
+   * Situação da janela de atendimento de 24h do contato (aberta e data da última mensagem recebida)
+   */
+  async getServiceWindow(tenantId, to) {
+    const conversation = await Conversation.findByPhone(tenantId, to);
+    const lastInboundAt = conversation ? conversation.last_inbound_at : null;
+
+    return {
+      open: Boolean(lastInboundAt) && Date.now() - new Date(lastInboundAt).getTime() < SERVICE_WINDOW_MS,
+      last_inbound_at: lastInboundAt
+    };
+  }
+
+  /**
+   * Garante que o contato enviou mensagem nas últimas 24h.
+   * Fora da janela a Meta só aceita templates aprovados.
+   */
+  async assertServiceWindow(tenantId, to) {
+    const { open, last_inbound_at: lastInboundAt } = await this.getServiceWindow(tenantId, to);
+
+    if (open) {
+      return;
+    }
+
+    throw new AppError('Contato fora da janela de atendimento de 24h; envie um template aprovado', {
+      code: 'outside_service_window',
+      status: 422,
+      details: {
+        last_inbound_at: lastInboundAt,
+        window_hours: SERVICE_WINDOW_MS / (60 * 60 * 1000),
+        use: 'POST /v1/messages/whatsapp/template'
+      }
     });
   }
 
@@ -24,6 +143,8 @@ class WhatsAppService {
    */
   async sendText(to, text, metadata = {}) {
     try {
+      await this.assertServiceWindow(metadata.tenant_id, to);
+
       const messageData = {
         messaging_product: 'whatsapp',
         recipient_type: 'individual',
@@ -35,7 +156,8 @@ class WhatsAppService {
         }
       };
 
-      const response = await this.makeRequest('POST', `/${this.phoneNumberId}/messages`, messageData);
+      const credentials = await this.getCredentials(metadata.tenant_id);
+      const { provider_id: providerId } = await this.provider.sendMessage(credentials, messageData);
       
       // Salva mensagem no banco
       await this.saveMessage({
@@ -44,12 +166,12 @@ class WhatsAppService {
         channel: 'whatsapp',
         state: 'sent',
         payload: messageData,
-        provider_id: response.data.messages[0].id,
+        provider_id: providerId,
         metadata: metadata
       });
 
       return {
-        message_id: response.data.messages[0].id,
+        message_id: providerId,
         status: 'sent'
       };
     } catch (error) {
@@ -63,10 +185,46 @@ class WhatsAppService {
   }
 
   /**
-   * Envia template
+   * Busca o template do tenant e verifica se pode ser enviado com os componentes informados
+   */
+  async resolveTemplate(tenantId, templateName, language, components = {}) {
+    const template = await Template.findByName(tenantId, templateName, language);
+
+    if (!template) {
+      throw new AppError('Template não encontrado', {
+        code: 'template_not_found',
+        status: 404,
+        details: { name: templateName, language }
+      });
+    }
+
+    if (template.status !== 'approved') {
+      throw new AppError('Template não está aprovado para envio', {
+        code: 'template_not_approved',
+        status: 409,
+        details: { name: templateName, language, status: template.status }
+      });
+    }
+
+    const errors = template.validateComponents(components);
+    if (errors.length > 0) {
+      throw new AppError('Componentes não correspondem aos parâmetros do template', {
+        code: 'invalid_template_components',
+        status: 400,
+        details: { errors, parameters: template.parameters }
+      });
+    }
+
+    return template;
+  }
+
+  /**
+   * Envia template registrado e aprovado para o tenant
    */
   async sendTemplate(to, templateName, language, components = {}, metadata = {}) {
     try {
+      const template = await this.resolveTemplate(metadata.tenant_id, templateName, language, components);
+
       const messageData = {
         messaging_product: 'whatsapp',
         recipient_type: 'individual',
@@ -95,14 +253,30 @@ class WhatsAppService {
           parameters: components.header.map(param => {
             if (param.type === 'text') {
               return { type: 'text', text: param.text };
-            } else if (param.type === 'image') {
-              return { type: 'image', image: { link: param.url } };
             }
+            return { type: param.type, [param.type]: { link: param.url } };
           })
         });
       }
 
-      const response = await this.makeRequest('POST', `/${this.phoneNumberId}/messages`, messageData);
+      // Parâmetros de botões na ordem definida no template
+      (template.parameters.buttons || []).forEach((definition, position) => {
+        const value = components.buttons[position];
+
+        messageData.template.components.push({
+          type: 'button',
+          sub_type: definition.sub_type,
+          index: String(definition.index),
+          parameters: [
+            definition.sub_type === 'url'
+              ? { type: 'text', text: value }
+              : { type: 'payload', payload: value }
+          ]
+        });
+      });
+
+      const credentials = await this.getCredentials(metadata.tenant_id);
+      const { provider_id: providerId } = await this.provider.sendMessage(credentials, messageData);
       
       // Salva mensagem no banco
       await this.saveMessage({
@@ -111,12 +285,12 @@ class WhatsAppService {
         channel: 'whatsapp',
         state: 'sent',
         payload: messageData,
-        provider_id: response.data.messages[0].id,
+        provider_id: providerId,
         metadata: metadata
       });
 
       return {
-        message_id: response.data.messages[0].id,
+        message_id: providerId,
         status: 'sent'
       };
     } catch (error) {
@@ -139,6 +313,8 @@ class WhatsAppService {
         throw new Error('Máximo de 3 botões permitido');
       }
 
+      await this.assertServiceWindow(metadata.tenant_id, to);
+
       const messageData = {
         messaging_product: 'whatsapp',
         recipient_type: 'individual',
@@ -161,7 +337,8 @@ class WhatsAppService {
         }
       };
 
-      const response = await this.makeRequest('POST', `/${this.phoneNumberId}/messages`, messageData);
+      const credentials = await this.getCredentials(metadata.tenant_id);
+      const { provider_id: providerId } = await this.provider.sendMessage(credentials, messageData);
       
       // Salva mensagem no banco
       await this.saveMessage({
@@ -170,12 +347,12 @@ class WhatsAppService {
         channel: 'whatsapp',
         state: 'sent',
         payload: messageData,
-        provider_id: response.data.messages[0].id,
+        provider_id: providerId,
         metadata: metadata
       });
 
       return {
-        message_id: response.data.messages[0].id,
+        message_id: providerId,
         status: 'sent'
       };
     } catch (error) {
@@ -193,6 +370,8 @@ class WhatsAppService {
    */
   async sendList(to, body, buttonText, sections, metadata = {}) {
     try {
+      await this.assertServiceWindow(metadata.tenant_id, to);
+
       const messageData = {
         messaging_product: 'whatsapp',
         recipient_type: 'individual',
@@ -210,7 +389,8 @@ class WhatsAppService {
         }
       };
 
-      const response = await this.makeRequest('POST', `/${this.phoneNumberId}/messages`, messageData);
+      const credentials = await this.getCredentials(metadata.tenant_id);
+      const { provider_id: providerId } = await this.provider.sendMessage(credentials, messageData);
       
       // Salva mensagem no banco
       await this.saveMessage({
@@ -219,12 +399,12 @@ class WhatsAppService {
         channel: 'whatsapp',
         state: 'sent',
         payload: messageData,
-        provider_id: response.data.messages[0].id,
+        provider_id: providerId,
         metadata: metadata
       });
 
       return {
-        message_id: response.data.messages[0].id,
+        message_id: providerId,
         status: 'sent'
       };
     } catch (error) {
@@ -238,11 +418,46 @@ class WhatsAppService {
   }
 
   /**
-   * Adiciona mensagem à fila para processamento assíncrono
+   * Adiciona mensagem à fila para processamento assíncrono.
+   * A mensagem é registrada como queued e o ID provisório (queued_<uuid>)
+   * passa a apontar para o provider_id real após o envio pelo worker.
+   *
+   * @param {object} messageData - { type: text|template|interactive|list, to, metadata: { tenant_id }, ...campos do tipo }
    */
   async queueMessage(messageData) {
     try {
-      await this.sendQueue.add('send_message', messageData, {
+      const { type, to, metadata = {} } = messageData;
+
+      if (!QUEUED_MESSAGE_TYPES.includes(type)) {
+        throw new Error(`Tipo de mensagem inválido para fila: ${type}`);
+      }
+
+      if (!to || !metadata.tenant_id) {
+        throw new Error('Campos to e metadata.tenant_id são obrigatórios');
+      }
+
+      // Templates inválidos e mensagens livres fora da janela são rejeitados antes de entrar na fila
+      if (type === 'template') {
+        const { template = {} } = messageData;
+        await this.resolveTemplate(metadata.tenant_id, template.name, template.language, template.components);
+      } else {
+        await this.assertServiceWindow(metadata.tenant_id, to);
+      }
+
+      const queueId = `queued_${generateUUID()}`;
+
+      await this.saveMessage({
+        tenant_id: metadata.tenant_id,
+        direction: 'outbound',
+        channel: 'whatsapp',
+        state: 'queued',
+        payload: messageData,
+        queue_id: queueId,
+        metadata
+      });
+
+      await this.sendQueue.add('send_message', { ...messageData, queue_id: queueId }, {
+        jobId: queueId,
         attempts: 5,
         backoff: {
           type: 'exponential',
@@ -253,7 +468,7 @@ class WhatsAppService {
       });
 
       return {
-        message_id: `queued_${Date.now()}`,
+        message_id: queueId,
         status: 'queued'
       };
     } catch (error) {
@@ -262,44 +477,117 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Processa um job da fila wa:send (executado por src/workers/whatsappSend.js)
+   */
+  async processQueuedMessage(job) {
+    const { type, to, queue_id: queueId, metadata = {} } = job.data;
+    const { query } = require('../config/database');
+
+    // Evita reenvio se uma tentativa anterior já obteve o ID do provedor
+    const existing = await query(
+      'SELECT provider_id FROM messages WHERE queue_id = $1 AND tenant_id = $2',
+      [queueId, metadata.tenant_id]
+    );
+    if (existing.rows[0]?.provider_id) {
+      return { message_id: existing.rows[0].provider_id, status: 'sent' };
+    }
+
+    const sendMetadata = { ...metadata, queued_id: queueId };
+
+    try {
+      switch (type) {
+        case 'text':
+          return await this.sendText(to, job.data.text, sendMetadata);
+        case 'template':
+          return await this.sendTemplate(
+            to,
+            job.data.template.name,
+            job.data.template.language,
+            job.data.template.components,
+            sendMetadata
+          );
+        case 'interactive':
+          return await this.sendInteractive(to, job.data.body, job.data.buttons, sendMetadata);
+        case 'list':
+          return await this.sendList(to, job.data.body, job.data.button_text, job.data.sections, sendMetadata);
+        default:
+          throw new Error(`Tipo de mensagem inválido para fila: ${type}`);
+      }
+    } catch (error) {
+      // Mantém queued entre tentativas; failed apenas quando esgotadas.
+      // Janela de atendimento expirada não se resolve com nova tentativa.
+      const windowExpired = error instanceof AppError && error.code === 'outside_service_window';
+      const isLastAttempt = windowExpired || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+      await query(
+        `UPDATE messages SET state = $1, error = $2, updated_at = NOW()
+         WHERE queue_id = $3 AND tenant_id = $4`,
+        [isLastAttempt ? 'failed' : 'queued', error.message, queueId, metadata.tenant_id]
+      );
+
+      throw windowExpired ? new UnrecoverableError(error.message) : error;
+    }
+  }
+
   /**
    * Verifica status de uma mensagem
    */
-  async checkMessageStatus(messageId) {
+  async checkMessageStatus(messageId, tenantId) {
     try {
-      const response = await this.makeRequest('GET', `/${messageId}`);
-      return response.data;
+      const credentials = await this.getCredentials(tenantId);
+      return await this.provider.getMessageStatus(credentials, messageId);
     } catch (error) {
       logger.error('Erro ao verificar status da mensagem', { error: error.message, messageId });
       throw error;
     }
   }
 
+  /**
+   * Tenant dono do número que recebeu o evento do webhook.
+   * O número do ambiente (WHATSAPP_PHONE_NUMBER_ID ou o padrão do provedor) atende os tenants sem
+   * conta própria: pertence a WHATSAPP_DEFAULT_TENANT_ID ou, sem ele, ao único tenant ativo sem conta.
+   */
+  async resolveWebhookTenant(phoneNumberId) {
+    if (!phoneNumberId) return null;
+
+    const account = await WhatsAppAccount.findByPhoneNumberId(phoneNumberId);
+    if (account) return account.tenant_id;
+
+    const defaultPhoneNumberId = this.phoneNumberId || this.provider.defaultCredentials()?.phoneNumberId;
+    if (phoneNumberId !== defaultPhoneNumberId) return null;
+
+    if (this.defaultTenantId) return this.defaultTenantId;
+
+    const tenants = await Tenant.findWithoutWhatsAppAccount();
+    if (tenants.length > 1) {
+      logger.warn('Número do ambiente atende mais de um tenant; defina WHATSAPP_DEFAULT_TENANT_ID', {
+        phone_number_id: phoneNumberId,
+        tenants: tenants.length
+      });
+    }
+
+    return tenants.length === 1 ? tenants[0].id : null;
+  }
+
   /**
    * Processa webhook do WhatsApp
    */
   async processWebhook(webhookData) {
     try {
-      const { object, entry } = webhookData;
-      
-      if (object !== 'whatsapp_business_account') {
-        return;
-      }
-
-      for (const entryItem of entry) {
-        for (const change of entryItem.changes) {
-          if (change.value && change.value.messages) {
-            for (const message of change.value.messages) {
-              await this.processInboundMessage(message);
-            }
-          }
-          
-          if (change.value && change.value.statuses) {
-            for (const status of change.value.statuses) {
-              await this.processStatusUpdate(status);
-            }
-          }
+      for (const change of this.provider.parseWebhook(webhookData)) {
+        // Identifica o tenant pelo número que recebeu o evento
+        const phoneNumberId = change.phone_number_id;
+        const tenantId = await this.resolveWebhookTenant(phoneNumberId);
+
+        if (!tenantId) {
+          logger.warn('Webhook recebido para phone_number_id sem conta cadastrada', {
+            phone_number_id: phoneNumberId
+          });
+          continue;
         }
+
+        await this.processChange(change, { tenant_id: tenantId });
       }
     } catch (error) {
       logger.error('Erro ao processar webhook', { error: error.message });
@@ -307,12 +595,49 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Processa webhook já atribuído a um tenant (usado pelo provedor mock, que dispensa conta cadastrada).
+   * Retorna quantas atualizações de status foram aplicadas.
+   */
+  async processWebhookForTenant(tenantId, webhookData) {
+    let applied = 0;
+
+    for (const change of this.provider.parseWebhook(webhookData)) {
+      applied += await this.processChange(change, { tenant_id: tenantId });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Processa mensagens e status de um evento do webhook.
+   * Retorna quantas atualizações de status foram aplicadas.
+   */
+  async processChange(change, context) {
+    let applied = 0;
+
+    for (const message of change.messages) {
+      const contact = change.contacts.find(item => item.wa_id === message.from);
+      await this.processInboundMessage(message, {
+        ...context,
+        contact_name: contact?.profile?.name || null
+      });
+    }
+
+    for (const status of change.statuses) {
+      if (await this.processStatusUpdate(status, context)) applied++;
+    }
+
+    return applied;
+  }
+
   /**
    * Processa mensagem recebida
    */
-  async processInboundMessage(message) {
+  async processInboundMessage(message, context) {
     try {
       const messageData = {
+        tenant_id: context.tenant_id,
         direction: 'inbound',
         channel: 'whatsapp',
         state: 'received',
@@ -320,6 +645,7 @@ class WhatsAppService {
         provider_id: message.id,
         metadata: {
           from: message.from,
+          contact_name: context.contact_name,
           timestamp: message.timestamp
         }
       };
@@ -329,54 +655,117 @@ class WhatsAppService {
 
       // Processa interações
       if (message.type === 'interactive') {
-        await this.processInteractiveMessage(message);
+        await this.processInteractiveMessage(message, context);
+      }
+
+      // Botão de resposta rápida de template (enviado fora da janela de atendimento)
+      if (message.type === 'button') {
+        await this.processButtonClick(message, context, {
+          id: message.button.payload,
+          title: message.button.text
+        });
+      }
+
+      // Pedido de opt-out de notificações e palavras-chave do agendamento
+      // (carregados sob demanda para evitar dependência circular)
+      if (message.type === 'text') {
+        const NotificationService = require('./NotificationService');
+        const handled = await NotificationService.handleInboundText(context.tenant_id, message);
+
+        if (!handled) {
+          const BookingFlowService = require('./BookingFlowService');
+          await BookingFlowService.handleInboundText(context.tenant_id, message);
+        }
       }
 
       // Dispara webhooks para parceiros
-      await this.triggerPartnerWebhooks('message.received', messageData);
+      await WebhookService.dispatch(context.tenant_id, 'message.received', messageData);
     } catch (error) {
-      logger.error('Erro ao processar mensagem recebida', { error: error.message });
+      logger.error('Erro ao processar mensagem recebida', { error: error.message, tenant_id: context.tenant_id });
     }
   }
 
   /**
-   * Processa atualização de status
+   * Processa atualização de status. Retorna false se a mensagem não está registrada para o tenant
    */
-  async processStatusUpdate(status) {
+  async processStatusUpdate(status, context) {
     try {
       // Atualiza status da mensagem no banco
-      await this.updateMessageStatus(status.id, status.status);
+      const updated = await this.updateMessageStatus(context.tenant_id, status.id, status.status);
+      if (!updated) {
+        logger.warn('Status recebido para mensagem não registrada', { tenant_id: context.tenant_id, message_id: status.id });
+        return false;
+      }
 
       // Dispara webhooks para parceiros
-      await this.triggerPartnerWebhooks(`message.${status.status}`, {
+      await WebhookService.dispatch(context.tenant_id, `message.${status.status}`, {
+        tenant_id: context.tenant_id,
         message_id: status.id,
         status: status.status,
         timestamp: status.timestamp
       });
+
+      return true;
+    } catch (error) {
+      logger.error('Erro ao processar atualização de status', { error: error.message, tenant_id: context.tenant_id });
+      return false;
+    }
+  }
+
+  /**
+   * Processa o clique em um botão, de mensagem interativa ou de template
+   */
+  async processButtonClick(message, context, button) {
+    // Aprovação/recusa de orçamento pelo cliente (carregado sob demanda para evitar dependência circular).
+    // Falhas da aprovação não impedem o webhook button.clicked dos parceiros.
+    try {
+      const OrderApprovalService = require('./OrderApprovalService');
+      await OrderApprovalService.handleButtonReply(context.tenant_id, message, button.id);
     } catch (error) {
-      logger.error('Erro ao processar atualização de status', { error: error.message });
+      logger.error('Erro ao processar resposta de aprovação', {
+        error: error.message,
+        tenant_id: context.tenant_id,
+        button_id: button.id
+      });
     }
+
+    await WebhookService.dispatch(context.tenant_id, 'button.clicked', {
+      tenant_id: context.tenant_id,
+      message_id: message.id,
+      button,
+      contact: message.from,
+      timestamp: message.timestamp
+    });
   }
 
   /**
    * Processa mensagem interativa
    */
-  async processInteractiveMessage(message) {
+  async processInteractiveMessage(message, context) {
     try {
       const interactive = message.interactive;
       
       if (interactive.type === 'button_reply') {
-        await this.triggerPartnerWebhooks('button.clicked', {
-          message_id: message.id,
-          button: {
-            id: interactive.button_reply.id,
-            title: interactive.button_reply.title
-          },
-          contact: message.from,
-          timestamp: message.timestamp
+        await this.processButtonClick(message, context, {
+          id: interactive.button_reply.id,
+          title: interactive.button_reply.title
         });
       } else if (interactive.type === 'list_reply') {
-        await this.triggerPartnerWebhooks('list.selected', {
+        // Escolhas do autoatendimento de agendamento (carregado sob demanda para evitar dependência circular).
+        // Falhas do agendamento não impedem o webhook list.selected dos parceiros.
+        try {
+          const BookingFlowService = require('./BookingFlowService');
+          await BookingFlowService.handleListReply(context.tenant_id, message, interactive.list_reply.id);
+        } catch (error) {
+          logger.error('Erro no autoatendimento de agendamento', {
+            error: error.message,
+            tenant_id: context.tenant_id,
+            list_id: interactive.list_reply.id
+          });
+        }
+
+        await WebhookService.dispatch(context.tenant_id, 'list.selected', {
+          tenant_id: context.tenant_id,
           message_id: message.id,
           list: {
             id: interactive.list_reply.id,
@@ -393,52 +782,61 @@ class WhatsAppService {
   }
 
   /**
-   * Faz requisição para a API do WhatsApp
-   */
-  async makeRequest(method, endpoint, data = null) {
-    try {
-      const config = {
-        method,
-        url: `${this.baseURL}${endpoint}`,
-        headers: {
-          'Authorization': `Bearer ${this.token}`,
-          'Content-Type': 'application/json'
-        }
-      };
-
-      if (data) {
-        config.data = data;
-      }
-
-      const response = await axios(config);
-      return response;
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`WhatsApp API Error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-      }
-      throw error;
-    }
-  }
-
-  /**
-   * Salva mensagem no banco de dados
+   * Salva mensagem no banco de dados e a vincula à conversa do contato.
+   * Envios vindos da fila (metadata.queued_id) atualizam o registro queued existente.
    */
   async saveMessage(messageData) {
     try {
       const { query } = require('../config/database');
+
+      const queuedId = messageData.metadata && messageData.metadata.queued_id;
+      if (queuedId) {
+        const updated = await query(
+          `UPDATE messages
+           SET state = $1, payload = $2, provider_id = $3, error = NULL, updated_at = NOW()
+           WHERE queue_id = $4 AND tenant_id = $5
+           RETURNING id`,
+          [
+            messageData.state,
+            JSON.stringify(messageData.payload),
+            messageData.provider_id,
+            queuedId,
+            messageData.tenant_id
+          ]
+        );
+
+        if (updated.rows.length > 0) {
+          return updated.rows[0].id;
+        }
+      }
       
+      const metadata = messageData.metadata || {};
+      const isInbound = messageData.direction === 'inbound';
+      const conversation = await Conversation.touch(
+        messageData.tenant_id,
+        isInbound ? messageData.payload.from : messageData.payload.to,
+        {
+          direction: messageData.direction,
+          contactName: metadata.contact_name,
+          // Timestamp do WhatsApp (segundos) marca o início da janela de atendimento
+          inboundAt: isInbound && metadata.timestamp ? new Date(Number(metadata.timestamp) * 1000) : null
+        }
+      );
+
       const result = await query(
-        `INSERT INTO messages (tenant_id, direction, channel, state, payload, provider_id, metadata)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `INSERT INTO messages (tenant_id, conversation_id, direction, channel, state, payload, provider_id, queue_id, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
          RETURNING id`,
         [
           messageData.tenant_id,
+          conversation ? conversation.id : null,
           messageData.direction,
           messageData.channel,
           messageData.state,
           JSON.stringify(messageData.payload),
           messageData.provider_id,
-          JSON.stringify(messageData.metadata || {})
+          messageData.queue_id || queuedId || null,
+          JSON.stringify(metadata)
         ]
       );
 
@@ -452,74 +850,18 @@ class WhatsAppService {
   /**
    * Atualiza status de uma mensagem
    */
-  async updateMessageStatus(providerId, status) {
+  async updateMessageStatus(tenantId, providerId, status) {
     try {
       const { query } = require('../config/database');
       
-      await query(
-        'UPDATE messages SET state = $1, updated_at = NOW() WHERE provider_id = $2',
-        [status, providerId]
-      );
-    } catch (error) {
-      logger.error('Erro ao atualizar status da mensagem', { error: error.message });
-      throw error;
-    }
-  }
-
-  /**
-   * Dispara webhooks para parceiros
-   */
-  async triggerPartnerWebhooks(event, data) {
-    try {
-      const { query } = require('../config/database');
-      
-      // Busca webhooks configurados para o evento
-      const webhooks = await query(
-        'SELECT * FROM webhooks WHERE events @> $1 AND active = true',
-        [JSON.stringify([event])]
-      );
-
-      for (const webhook of webhooks.rows) {
-        try {
-          await this.sendWebhook(webhook.url, webhook.secret, event, data);
-        } catch (error) {
-          logger.error('Erro ao enviar webhook', { 
-            error: error.message, 
-            webhook_id: webhook.id,
-            event 
-          });
-        }
-      }
-    } catch (error) {
-      logger.error('Erro ao disparar webhooks', { error: error.message });
-    }
-  }
-
-  /**
-   * Envia webhook para parceiro
-   */
-  async sendWebhook(url, secret, event, data) {
-    try {
-      const payload = {
-        event,
-        data,
-        sent_at: new Date().toISOString()
-      };
-
-      const signature = require('../utils/crypto').generateHmac(
-        JSON.stringify(payload),
-        secret
+      const result = await query(
+        'UPDATE messages SET state = $1, updated_at = NOW() WHERE provider_id = $2 AND tenant_id = $3',
+        [status, providerId, tenantId]
       );
 
-      await axios.post(url, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Signature-256': `sha256=${signature}`
-        },
-        timeout: 10000
-      });
+      return result.rowCount > 0;
     } catch (error) {
-      logger.error('Erro ao enviar webhook', { error: error.message, url });
+      logger.error('Erro ao atualizar status da mensagem', { error: error.message });
       throw error;
     }
   }
@@ -0,0 +1,185 @@
+jest.mock('../../models/Part', () => ({ findById: jest.fn() }));
+jest.mock('../../models/PartStock', () => ({ findByParts: jest.fn() }));
+jest.mock('../../models/StockMovement', () => ({ record: jest.fn() }));
+jest.mock('../../models/StockReservation', () => ({
+  syncOrder: jest.fn(),
+  findByOrder: jest.fn(),
+  consumeOrder: jest.fn(),
+  releaseOrder: jest.fn()
+}));
+jest.mock('../DomainEvents', () => ({ subscribe: jest.fn(), publish: jest.fn() }));
+
+const Part = require('../../models/Part');
+const PartStock = require('../../models/PartStock');
+const StockMovement = require('../../models/StockMovement');
+const StockReservation = require('../../models/StockReservation');
+const DomainEvents = require('../DomainEvents');
+const InventoryService = require('../InventoryService');
+
+const tenantId = 'tenant-1';
+const order = { id: 'order-1', tenant_id: tenantId, workshop_id: 'workshop-1', status: 'approved' };
+const filter = { id: 'part-1', sku: 'FO-1234', description: 'Filtro de óleo', price: '35.00', cost: '18.50', active: true };
+
+describe('InventoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    StockReservation.syncOrder.mockResolvedValue([]);
+    StockReservation.findByOrder.mockResolvedValue([]);
+    PartStock.findByParts.mockResolvedValue([]);
+  });
+
+  describe('reserveOrder', () => {
+    it('reserva as peças da ordem aprovada na oficina da ordem', async () => {
+      await InventoryService.reserveOrder(tenantId, order);
+
+      expect(StockReservation.syncOrder).toHaveBeenCalledWith(tenantId, 'order-1', 'workshop-1');
+      expect(DomainEvents.publish).not.toHaveBeenCalled();
+    });
+
+    it('não reserva ordens fora dos status de reserva ou sem oficina', async () => {
+      await InventoryService.reserveOrder(tenantId, { ...order, status: 'awaiting_approval' });
+      await InventoryService.reserveOrder(tenantId, { ...order, workshop_id: null });
+
+      expect(StockReservation.syncOrder).not.toHaveBeenCalled();
+    });
+
+    it('publica inventory.shortage com as peças sem saldo', async () => {
+      StockReservation.findByOrder.mockResolvedValue([
+        { part_id: 'part-1', quantity: 2, status: 'reserved' },
+        { part_id: 'part-1', quantity: 1, status: 'reserved' },
+        { part_id: 'part-2', quantity: 5, status: 'released' }
+      ]);
+      PartStock.findByParts.mockResolvedValue([{ part: filter, quantity: 1, available: -2 }]);
+
+      await InventoryService.reserveOrder(tenantId, order);
+
+      expect(PartStock.findByParts).toHaveBeenCalledWith(tenantId, 'workshop-1', ['part-1']);
+      expect(DomainEvents.publish).toHaveBeenCalledWith(tenantId, 'inventory.shortage', {
+        order_id: 'order-1',
+        workshop_id: 'workshop-1',
+        shortages: [{
+          part_id: 'part-1',
+          sku: 'FO-1234',
+          description: 'Filtro de óleo',
+          required: 3,
+          quantity: 1,
+          available: -2,
+          missing: 2
+        }]
+      });
+    });
+  });
+
+  describe('consumeOrder', () => {
+    it('sincroniza as reservas antes de baixar o estoque', async () => {
+      StockReservation.consumeOrder.mockResolvedValue([{ id: 'movement-1' }]);
+
+      await InventoryService.consumeOrder(tenantId, { ...order, status: 'completed' });
+
+      expect(StockReservation.syncOrder).toHaveBeenCalledWith(tenantId, 'order-1', 'workshop-1');
+      expect(StockReservation.consumeOrder).toHaveBeenCalledWith(tenantId, 'order-1');
+      expect(StockReservation.syncOrder.mock.invocationCallOrder[0])
+        .toBeLessThan(StockReservation.consumeOrder.mock.invocationCallOrder[0]);
+    });
+
+    it('ignora ordens sem oficina', async () => {
+      await InventoryService.consumeOrder(tenantId, { ...order, workshop_id: null });
+
+      expect(StockReservation.consumeOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseOrder', () => {
+    it('libera as reservas ativas da ordem cancelada', async () => {
+      StockReservation.releaseOrder.mockResolvedValue(2);
+
+      await InventoryService.releaseOrder(tenantId, { ...order, status: 'cancelled' });
+
+      expect(StockReservation.releaseOrder).toHaveBeenCalledWith(tenantId, 'order-1');
+    });
+  });
+
+  describe('runSafely', () => {
+    it('publica inventory.reservation_failed quando a ação falha', async () => {
+      await InventoryService.runSafely('consume', tenantId, order, async () => {
+        throw new Error('deadlock detected');
+      });
+
+      expect(DomainEvents.publish).toHaveBeenCalledWith(tenantId, 'inventory.reservation_failed', {
+        action: 'consume',
+        order_id: 'order-1',
+        workshop_id: 'workshop-1',
+        error: 'deadlock detected'
+      });
+    });
+  });
+
+  describe('register', () => {
+    it('assina aprovação, início e alteração para reservar, conclusão para baixar e cancelamento para liberar', () => {
+      InventoryService.register();
+
+      expect(DomainEvents.subscribe.mock.calls.map(([event]) => event)).toEqual([
+        'order.approved',
+        'order.started',
+        'order.updated',
+        'order.completed',
+        'order.cancelled'
+      ]);
+    });
+  });
+
+  describe('prepareItem', () => {
+    it('preenche tipo, descrição e preço a partir da peça', async () => {
+      Part.findById.mockResolvedValue(filter);
+
+      await expect(InventoryService.prepareItem(tenantId, { part_id: 'part-1', quantity: 2 })).resolves.toEqual({
+        type: 'part',
+        description: 'Filtro de óleo',
+        unit_price: 35,
+        part_id: 'part-1',
+        quantity: 2
+      });
+    });
+
+    it('recusa peça inativa ou inexistente e item de outro tipo', async () => {
+      Part.findById.mockResolvedValue({ ...filter, active: false });
+      await expect(InventoryService.prepareItem(tenantId, { part_id: 'part-1' }))
+        .rejects.toMatchObject({ code: 'invalid_part', status: 400 });
+
+      await expect(InventoryService.prepareItem(tenantId, { part_id: 'part-1', type: 'labor' }))
+        .rejects.toMatchObject({ code: 'invalid_request', status: 400 });
+    });
+  });
+
+  describe('recordMovement', () => {
+    const workshop = { id: 'workshop-1', tenant_id: tenantId };
+
+    it('usa o custo da peça nas compras sem custo informado', async () => {
+      Part.findById.mockResolvedValue(filter);
+      StockMovement.record.mockResolvedValue({ id: 'movement-1', quantity: 10, balance: 10 });
+
+      await InventoryService.recordMovement(workshop, { part_id: 'part-1', type: 'purchase', quantity: '10' }, 'user-1');
+
+      expect(StockMovement.record).toHaveBeenCalledWith(tenantId, expect.objectContaining({
+        workshop_id: 'workshop-1',
+        type: 'purchase',
+        quantity: 10,
+        unit_cost: '18.50',
+        created_by: 'user-1'
+      }));
+    });
+
+    it('recusa consumo manual, quantidade zero e compra negativa', async () => {
+      await expect(InventoryService.recordMovement(workshop, { part_id: 'part-1', type: 'consumption', quantity: 0 }))
+        .rejects.toMatchObject({
+          code: 'invalid_request',
+          details: { errors: ['Tipo deve ser um de: purchase, adjustment', 'Quantidade deve ser diferente de zero'] }
+        });
+
+      await expect(InventoryService.recordMovement(workshop, { part_id: 'part-1', type: 'purchase', quantity: -1 }))
+        .rejects.toMatchObject({ details: { errors: ['Quantidade da compra deve ser maior que zero'] } });
+
+      expect(StockMovement.record).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../config/redis', () => ({}));
+jest.mock('../NotificationService', () => ({}));
+jest.mock('../WhatsAppService', () => ({}));
+
+const MaintenanceService = require('../MaintenanceService');
+
+describe('MaintenanceService', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  describe('computeDue', () => {
+    const plan = { interval_km: 10000, interval_months: 6 };
+
+    it('vence pela quilometragem a partir da última execução', () => {
+      const result = MaintenanceService.computeDue(plan, {
+        current_mileage: 60500,
+        first_mileage: 20000,
+        last_service_mileage: 50000,
+        last_service_at: '2026-09-01T12:00:00Z',
+        vehicle_created_at: '2024-01-10T12:00:00Z'
+      }, now);
+
+      expect(result).toEqual({
+        due: true,
+        due_reason: 'mileage',
+        current_mileage: 60500,
+        due_mileage: 60000,
+        due_date: new Date('2027-03-01T12:00:00Z')
+      });
+    });
+
+    it('vence pelo tempo quando a quilometragem ainda não chegou', () => {
+      const result = MaintenanceService.computeDue(plan, {
+        current_mileage: 52000,
+        last_service_mileage: 50000,
+        last_service_at: '2026-03-01T12:00:00Z'
+      }, now);
+
+      expect(result.due).toBe(true);
+      expect(result.due_reason).toBe('time');
+      expect(result.due_date).toEqual(new Date('2026-09-01T12:00:00Z'));
+    });
+
+    it('sem execução registrada usa a primeira leitura e o cadastro do veículo', () => {
+      const result = MaintenanceService.computeDue(plan, {
+        current_mileage: 25000,
+        first_mileage: 20000,
+        vehicle_created_at: '2026-06-01T12:00:00Z'
+      }, now);
+
+      expect(result).toMatchObject({
+        due: false,
+        due_reason: null,
+        due_mileage: 30000,
+        due_date: new Date('2026-12-01T12:00:00Z')
+      });
+    });
+
+    it('planos só por tempo ignoram a quilometragem', () => {
+      const result = MaintenanceService.computeDue({ interval_km: null, interval_months: 12 }, {
+        current_mileage: null,
+        vehicle_created_at: '2025-10-01T12:00:00Z'
+      }, now);
+
+      expect(result).toMatchObject({ due: true, due_reason: 'time', due_mileage: null });
+    });
+
+    it('sem leitura do hodômetro não vence pela quilometragem', () => {
+      const result = MaintenanceService.computeDue({ interval_km: 5000, interval_months: null }, {
+        current_mileage: null,
+        first_mileage: null,
+        vehicle_created_at: '2020-01-01T12:00:00Z'
+      }, now);
+
+      expect(result).toMatchObject({ due: false, due_reason: null, due_mileage: null, due_date: null });
+    });
+  });
+
+  describe('shouldRemind', () => {
+    it('envia quando o proprietário nunca foi avisado', () => {
+      expect(MaintenanceService.shouldRemind({ last_reminded_at: null }, now)).toBe(true);
+    });
+
+    it('envia quando o aviso é anterior à última execução', () => {
+      expect(MaintenanceService.shouldRemind({
+        last_reminded_at: '2026-10-10T12:00:00Z',
+        last_service_at: '2026-10-15T12:00:00Z'
+      }, now)).toBe(true);
+    });
+
+    it('repete o aviso somente após o intervalo', () => {
+      expect(MaintenanceService.shouldRemind({ last_reminded_at: '2026-10-01T12:00:00Z' }, now)).toBe(false);
+      expect(MaintenanceService.shouldRemind({ last_reminded_at: '2026-09-19T12:00:00Z' }, now)).toBe(true);
+    });
+  });
+});
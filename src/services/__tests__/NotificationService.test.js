@@ -0,0 +1,98 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../models/NotificationRule', () => ({ EVENTS: [], findByEvent: jest.fn() }));
+jest.mock('../../models/NotificationLog', () => ({ create: jest.fn(async (tenantId, entry) => entry) }));
+jest.mock('../../models/ContactOptOut', () => ({ isOptedOut: jest.fn() }));
+jest.mock('../DomainEvents', () => ({ subscribe: jest.fn() }));
+jest.mock('../WhatsAppService', () => ({ queueMessage: jest.fn() }));
+
+const { query } = require('../../config/database');
+const NotificationRule = require('../../models/NotificationRule');
+const ContactOptOut = require('../../models/ContactOptOut');
+const Order = require('../../models/Order');
+const WhatsAppService = require('../WhatsAppService');
+const NotificationService = require('../NotificationService');
+
+const tenantId = 'tenant-1';
+
+const orderRow = {
+  id: 'order-1',
+  tenant_id: tenantId,
+  vehicle_id: 'vehicle-1',
+  workshop_id: null,
+  status: 'approved',
+  estimate_amount: '350.00',
+  plate: 'ABC1D23',
+  code16: 'ABCD1234EFGH5678',
+  owner: { name: 'Maria', phone: '11987654321' },
+  customer_id: 'customer-1'
+};
+
+// Snapshot publicado por DomainEvents.publishOrder
+const loadEventData = async () => {
+  const order = await Order.findById(tenantId, 'order-1');
+  const { vehicle, ...orderData } = order.toJSON();
+  return { order: orderData, vehicle };
+};
+
+const mockDatabase = ({ consent }) => {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM orders o')) return { rows: [orderRow] };
+    if (sql.includes('FROM order_items')) return { rows: [] };
+    if (sql.includes('consent_whatsapp')) return { rows: [{ consent_whatsapp: consent }] };
+    if (sql.includes('FROM tenants')) return { rows: [{ name: 'Oficina Central' }] };
+    return { rows: [] };
+  });
+};
+
+describe('NotificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NotificationRule.findByEvent.mockResolvedValue({
+      id: 'rule-1',
+      active: true,
+      template_name: 'ordem_aprovada',
+      template_language: 'pt_BR',
+      variables: ['owner_name', 'plate']
+    });
+    ContactOptOut.isOptedOut.mockResolvedValue(false);
+    WhatsAppService.queueMessage.mockResolvedValue({ message_id: 'message-1' });
+  });
+
+  it('não envia notificação ao cliente que revogou o consentimento de WhatsApp', async () => {
+    mockDatabase({ consent: false });
+
+    const data = await loadEventData();
+    const log = await NotificationService.notifyOrderEvent(tenantId, 'order.approved', data);
+
+    expect(data.vehicle.customer_id).toBe('customer-1');
+    expect(WhatsAppService.queueMessage).not.toHaveBeenCalled();
+    expect(log).toMatchObject({ status: 'skipped', reason: 'no_whatsapp_consent' });
+  });
+
+  it('envia o template da regra ao cliente com consentimento', async () => {
+    mockDatabase({ consent: true });
+
+    const log = await NotificationService.notifyOrderEvent(tenantId, 'order.approved', await loadEventData());
+
+    expect(WhatsAppService.queueMessage).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'template',
+      to: '11987654321',
+      template: {
+        name: 'ordem_aprovada',
+        language: 'pt_BR',
+        components: { body: ['Maria', 'ABC1D23'] }
+      }
+    }));
+    expect(log).toMatchObject({ status: 'queued', message_id: 'message-1' });
+  });
+
+  it('não envia ao contato que pediu opt-out', async () => {
+    mockDatabase({ consent: true });
+    ContactOptOut.isOptedOut.mockResolvedValue(true);
+
+    const log = await NotificationService.notifyOrderEvent(tenantId, 'order.approved', await loadEventData());
+
+    expect(WhatsAppService.queueMessage).not.toHaveBeenCalled();
+    expect(log).toMatchObject({ status: 'skipped', reason: 'opted_out' });
+  });
+});
@@ -0,0 +1,197 @@
+jest.mock('../../models/Order', () => ({ findById: jest.fn() }));
+jest.mock('../OrderStateMachine', () => ({ transition: jest.fn() }));
+jest.mock('../WhatsAppService', () => ({
+  getServiceWindow: jest.fn(),
+  sendInteractive: jest.fn(),
+  sendTemplate: jest.fn(),
+  sendText: jest.fn(),
+  maskPhone: jest.fn(phone => phone)
+}));
+
+const Order = require('../../models/Order');
+const OrderStateMachine = require('../OrderStateMachine');
+const WhatsAppService = require('../WhatsAppService');
+const OrderApprovalService = require('../OrderApprovalService');
+const { AppError } = require('../../utils/errors');
+
+const tenantId = 'tenant-1';
+const orderId = '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b';
+
+const buildOrder = (overrides = {}) => ({
+  id: orderId,
+  status: 'awaiting_approval',
+  vehicle_id: 'vehicle-1',
+  estimate_amount: '350.00',
+  vehicle: { plate: 'ABC1D23', owner: { name: 'Maria', phone: '11987654321' } },
+  items: [],
+  ...overrides
+});
+
+describe('OrderApprovalService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseButtonId', () => {
+    it('extrai ação e ordem dos IDs gerados por buildButtonId', () => {
+      expect(OrderApprovalService.parseButtonId(OrderApprovalService.buildButtonId('approve', orderId)))
+        .toEqual({ action: 'approve', order_id: orderId });
+      expect(OrderApprovalService.parseButtonId(`ORDER_APPROVAL:REJECT:${orderId.toUpperCase()}`))
+        .toEqual({ action: 'reject', order_id: orderId });
+    });
+
+    it('ignora botões de outros fluxos e IDs malformados', () => {
+      expect(OrderApprovalService.parseButtonId('opt_status')).toBeNull();
+      expect(OrderApprovalService.parseButtonId(`order_approval:cancel:${orderId}`)).toBeNull();
+      expect(OrderApprovalService.parseButtonId('order_approval:approve:123')).toBeNull();
+      expect(OrderApprovalService.parseButtonId(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildEstimateBody', () => {
+    it('lista os itens e o total do orçamento', () => {
+      const body = OrderApprovalService.buildEstimateBody(buildOrder({
+        items: [{ description: 'Troca de óleo', quantity: '1', total_amount: '350.00' }]
+      }));
+
+      expect(body).toContain('Olá, Maria! Segue o orçamento do veículo ABC1D23:');
+      expect(body).toMatch(/• Troca de óleo \(1x\): R\$\s350,00/);
+      expect(body).toMatch(/Total: R\$\s350,00/);
+    });
+
+    it('resume os itens para caber no limite do WhatsApp', () => {
+      const items = Array.from({ length: 40 }, (_, index) => ({
+        description: `Serviço de manutenção número ${index + 1}`,
+        quantity: '1',
+        total_amount: '10.00'
+      }));
+
+      const body = OrderApprovalService.buildEstimateBody(buildOrder({ items }));
+
+      expect(body.length).toBeLessThanOrEqual(1024);
+      expect(body).toContain('• ...');
+      expect(body).toContain('Deseja aprovar o serviço?');
+    });
+  });
+
+  describe('handleButtonReply', () => {
+    const reply = (from, action = 'approve') => OrderApprovalService.handleButtonReply(
+      tenantId,
+      { id: 'wamid.in.1', from },
+      OrderApprovalService.buildButtonId(action, orderId)
+    );
+
+    beforeEach(() => {
+      Order.findById.mockResolvedValue(buildOrder());
+      OrderStateMachine.transition.mockResolvedValue(buildOrder({ status: 'approved' }));
+    });
+
+    it('aprova a ordem quando o proprietário responde, com ou sem o código do país', async () => {
+      await expect(reply('5511987654321')).resolves.toBe(true);
+
+      expect(OrderStateMachine.transition).toHaveBeenCalledWith(tenantId, orderId, 'approved', {
+        actor: { type: 'customer', id: '5511987654321' },
+        reason: 'Orçamento aprovado pelo cliente via WhatsApp'
+      });
+      expect(WhatsAppService.sendText).toHaveBeenCalledWith(
+        '5511987654321',
+        expect.stringContaining('aprovado'),
+        expect.objectContaining({ purpose: 'order_approval_confirmation' })
+      );
+    });
+
+    it('recusar cancela a ordem', async () => {
+      await reply('5511987654321', 'reject');
+
+      expect(OrderStateMachine.transition).toHaveBeenCalledWith(tenantId, orderId, 'cancelled', expect.any(Object));
+    });
+
+    it('ignora respostas de outro telefone', async () => {
+      await expect(reply('5521912345678')).resolves.toBe(true);
+
+      expect(OrderStateMachine.transition).not.toHaveBeenCalled();
+      expect(WhatsAppService.sendText).not.toHaveBeenCalled();
+    });
+
+    it('avisa o cliente quando o orçamento já foi respondido', async () => {
+      OrderStateMachine.transition.mockRejectedValue(
+        new AppError('Transição não permitida', { code: 'invalid_status_transition', status: 409 })
+      );
+
+      await expect(reply('5511987654321')).resolves.toBe(true);
+      expect(WhatsAppService.sendText).toHaveBeenCalledWith(
+        '5511987654321',
+        expect.stringContaining('já foi respondido'),
+        expect.any(Object)
+      );
+    });
+
+    it('retorna false para botões que não são de aprovação', async () => {
+      await expect(OrderApprovalService.handleButtonReply(tenantId, { from: '5511987654321' }, 'opt_status'))
+        .resolves.toBe(false);
+      expect(Order.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendEstimate', () => {
+    beforeEach(() => {
+      Order.findById.mockResolvedValue(buildOrder());
+    });
+
+    it('envia botões interativos dentro da janela de atendimento', async () => {
+      WhatsAppService.getServiceWindow.mockResolvedValue({ open: true });
+      WhatsAppService.sendInteractive.mockResolvedValue({ message_id: 'wamid.1', status: 'sent' });
+
+      const result = await OrderApprovalService.sendEstimate(tenantId, orderId);
+
+      expect(result).toEqual({ order_id: orderId, message_id: 'wamid.1', status: 'sent', sent_as: 'interactive' });
+      expect(WhatsAppService.sendTemplate).not.toHaveBeenCalled();
+
+      const [to, , buttons] = WhatsAppService.sendInteractive.mock.calls[0];
+      expect(to).toBe('11987654321');
+      expect(buttons.map(button => button.id)).toEqual([
+        `order_approval:approve:${orderId}`,
+        `order_approval:reject:${orderId}`
+      ]);
+    });
+
+    it('usa o template aprovado fora da janela, com os IDs dos botões como payload', async () => {
+      WhatsAppService.getServiceWindow.mockResolvedValue({ open: false });
+      WhatsAppService.sendTemplate.mockResolvedValue({ message_id: 'wamid.2', status: 'sent' });
+
+      const result = await OrderApprovalService.sendEstimate(tenantId, orderId);
+
+      expect(result).toEqual({ order_id: orderId, message_id: 'wamid.2', status: 'sent', sent_as: 'template' });
+      expect(WhatsAppService.sendInteractive).not.toHaveBeenCalled();
+      expect(WhatsAppService.sendTemplate).toHaveBeenCalledWith(
+        '11987654321',
+        'orcamento_aprovacao',
+        'pt_BR',
+        {
+          body: ['Maria', 'ABC1D23', expect.stringContaining('350,00')],
+          buttons: [`order_approval:approve:${orderId}`, `order_approval:reject:${orderId}`]
+        },
+        expect.objectContaining({ tenant_id: tenantId, order_id: orderId, purpose: 'order_approval' })
+      );
+    });
+
+    it('retorna skipped sem o template aprovado em vez de falhar', async () => {
+      WhatsAppService.getServiceWindow.mockResolvedValue({ open: false });
+      WhatsAppService.sendTemplate.mockRejectedValue(
+        new AppError('Template não aprovado', { code: 'template_not_approved', status: 422 })
+      );
+
+      const result = await OrderApprovalService.sendEstimate(tenantId, orderId);
+
+      expect(result).toEqual({ order_id: orderId, message_id: null, status: 'skipped', reason: 'template_not_approved' });
+    });
+
+    it('recusa ordens que não aguardam aprovação', async () => {
+      Order.findById.mockResolvedValue(buildOrder({ status: 'approved' }));
+
+      await expect(OrderApprovalService.sendEstimate(tenantId, orderId))
+        .rejects.toMatchObject({ code: 'invalid_status', status: 409 });
+      expect(WhatsAppService.getServiceWindow).not.toHaveBeenCalled();
+    });
+  });
+});
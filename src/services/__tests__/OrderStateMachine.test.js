@@ -0,0 +1,129 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../models/Order', () => ({ findById: jest.fn() }));
+jest.mock('../../models/OrderStatusHistory', () => ({ create: jest.fn() }));
+jest.mock('../DomainEvents', () => ({
+  orderStatusEvent: jest.fn(status => ({ approved: 'order.approved', cancelled: 'order.cancelled' })[status] || null),
+  publishOrder: jest.fn()
+}));
+
+const { getClient } = require('../../config/database');
+const Order = require('../../models/Order');
+const OrderStatusHistory = require('../../models/OrderStatusHistory');
+const DomainEvents = require('../DomainEvents');
+const OrderStateMachine = require('../OrderStateMachine');
+
+const actor = { type: 'user', id: 'user-1' };
+
+const mockClient = (currentStatus) => {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FOR UPDATE')) {
+        return { rows: currentStatus ? [{ status: currentStatus }] : [] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  getClient.mockResolvedValue(client);
+  return client;
+};
+
+const statements = (client) => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+
+describe('OrderStateMachine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Order.findById.mockResolvedValue({ id: 'order-1', status: 'approved' });
+  });
+
+  describe('assertTransition', () => {
+    it('permite apenas as transições definidas', () => {
+      expect(() => OrderStateMachine.assertTransition('awaiting_approval', 'approved')).not.toThrow();
+      expect(() => OrderStateMachine.assertTransition('approved', 'in_progress')).not.toThrow();
+      expect(() => OrderStateMachine.assertTransition('in_progress', 'completed')).not.toThrow();
+      expect(() => OrderStateMachine.assertTransition('in_progress', 'cancelled')).not.toThrow();
+    });
+
+    it('recusa transições fora do fluxo com os destinos permitidos', () => {
+      expect(() => OrderStateMachine.assertTransition('awaiting_approval', 'completed')).toThrow(
+        expect.objectContaining({
+          code: 'invalid_status_transition',
+          status: 409,
+          details: { from: 'awaiting_approval', to: 'completed', allowed: ['approved', 'cancelled'] }
+        })
+      );
+      expect(() => OrderStateMachine.assertTransition('completed', 'in_progress')).toThrow(
+        expect.objectContaining({ code: 'invalid_status_transition' })
+      );
+    });
+
+    it('recusa status inexistente', () => {
+      expect(() => OrderStateMachine.assertTransition('approved', 'finished')).toThrow(
+        expect.objectContaining({ code: 'invalid_request', status: 400 })
+      );
+    });
+  });
+
+  describe('transition', () => {
+    it('altera o status, registra o histórico na transação e publica o evento', async () => {
+      const client = mockClient('awaiting_approval');
+
+      const order = await OrderStateMachine.transition('tenant-1', 'order-1', 'approved', { actor, reason: 'Aprovado por telefone' });
+
+      expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'COMMIT']);
+      expect(client.query.mock.calls[2][1]).toEqual(['approved', true, 'order-1', 'tenant-1']);
+      expect(OrderStatusHistory.create).toHaveBeenCalledWith('tenant-1', {
+        order_id: 'order-1',
+        from_status: 'awaiting_approval',
+        to_status: 'approved',
+        actor,
+        reason: 'Aprovado por telefone'
+      }, client);
+      expect(client.release).toHaveBeenCalled();
+
+      expect(order).toEqual({ id: 'order-1', status: 'approved' });
+      expect(DomainEvents.publishOrder).toHaveBeenCalledWith('order.approved', order, {
+        transition: { from: 'awaiting_approval', to: 'approved', actor, reason: 'Aprovado por telefone' }
+      });
+    });
+
+    it('desfaz a transação e não publica evento quando a transição é inválida', async () => {
+      const client = mockClient('completed');
+
+      await expect(OrderStateMachine.transition('tenant-1', 'order-1', 'cancelled', { actor }))
+        .rejects.toMatchObject({ code: 'invalid_status_transition' });
+
+      expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'ROLLBACK']);
+      expect(OrderStatusHistory.create).not.toHaveBeenCalled();
+      expect(DomainEvents.publishOrder).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('retorna 404 para ordem de outro tenant ou inexistente', async () => {
+      mockClient(null);
+
+      await expect(OrderStateMachine.transition('tenant-1', 'order-1', 'approved', { actor }))
+        .rejects.toMatchObject({ code: 'not_found', status: 404 });
+    });
+  });
+
+  describe('recordCreation', () => {
+    it('registra o status inicial sem origem no client da criação', async () => {
+      const client = { query: jest.fn() };
+
+      await OrderStateMachine.recordCreation(
+        { id: 'order-1', tenant_id: 'tenant-1', status: 'awaiting_approval' },
+        { actor },
+        client
+      );
+
+      expect(OrderStatusHistory.create).toHaveBeenCalledWith('tenant-1', {
+        order_id: 'order-1',
+        from_status: null,
+        to_status: 'awaiting_approval',
+        actor,
+        reason: 'Ordem criada'
+      }, client);
+    });
+  });
+});
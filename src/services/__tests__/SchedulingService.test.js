@@ -0,0 +1,166 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../models/Appointment', () => ({ findActiveByDay: jest.fn() }));
+jest.mock('../DomainEvents', () => ({}));
+jest.mock('../OrderStateMachine', () => ({}));
+
+const Appointment = require('../../models/Appointment');
+const SchedulingService = require('../SchedulingService');
+
+const workshop = {
+  id: 'workshop-1',
+  status: 'active',
+  timezone: 'America/Sao_Paulo',
+  max_vehicles_per_day: 3,
+  max_mechanics: 2,
+  working_hours: {
+    monday: { open: '08:00', close: '12:00' },
+    sunday: { closed: true }
+  }
+};
+
+// Segunda-feira, 19/10/2026, 06:00 em São Paulo
+const now = new Date('2026-10-19T09:00:00Z');
+
+const appointmentAt = (time, duration = 60) => ({
+  scheduled_at: `2026-10-19T${time}:00-03:00`,
+  duration_minutes: duration
+});
+
+const expectAppError = (fn, code, status) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toMatchObject({ code, status });
+    return;
+  }
+  throw new Error(`AppError ${code} esperado`);
+};
+
+describe('SchedulingService', () => {
+  beforeEach(() => {
+    Appointment.findActiveByDay.mockReset();
+  });
+
+  describe('getAvailability', () => {
+    it('gera os horários no fuso da oficina com a vaga restante', async () => {
+      Appointment.findActiveByDay.mockResolvedValue([appointmentAt('09:00'), appointmentAt('09:00')]);
+
+      const result = await SchedulingService.getAvailability(workshop, '2026-10-19', now);
+
+      expect(Appointment.findActiveByDay).toHaveBeenCalledWith('workshop-1', '2026-10-19');
+      expect(result).toMatchObject({
+        date: '2026-10-19',
+        timezone: 'America/Sao_Paulo',
+        open: true,
+        slot_minutes: 60,
+        working_hours: { open: '08:00', close: '12:00' },
+        reason: null,
+        capacity: { daily_limit: 3, booked: 2, remaining: 1, simultaneous_limit: 2 }
+      });
+      expect(result.slots).toEqual([
+        { time: '08:00', starts_at: '2026-10-19T11:00:00.000Z', available: true, remaining: 2 },
+        { time: '09:00', starts_at: '2026-10-19T12:00:00.000Z', available: false, remaining: 0 },
+        { time: '10:00', starts_at: '2026-10-19T13:00:00.000Z', available: true, remaining: 2 },
+        { time: '11:00', starts_at: '2026-10-19T14:00:00.000Z', available: true, remaining: 2 }
+      ]);
+    });
+
+    it('omite horários que já passaram', async () => {
+      Appointment.findActiveByDay.mockResolvedValue([]);
+
+      const result = await SchedulingService.getAvailability(workshop, '2026-10-19', new Date('2026-10-19T12:30:00Z'));
+
+      expect(result.slots.map(slot => slot.time)).toEqual(['10:00', '11:00']);
+    });
+
+    it('marca o dia como completo no limite diário', async () => {
+      Appointment.findActiveByDay.mockResolvedValue([appointmentAt('08:00'), appointmentAt('10:00'), appointmentAt('11:00')]);
+
+      const result = await SchedulingService.getAvailability(workshop, '2026-10-19', now);
+
+      expect(result.reason).toBe('day_full');
+      expect(result.slots.every(slot => !slot.available)).toBe(true);
+    });
+
+    it('informa oficina fechada ou sem horário configurado', async () => {
+      Appointment.findActiveByDay.mockResolvedValue([]);
+
+      const closed = await SchedulingService.getAvailability(workshop, '2026-10-25', now);
+      expect(closed).toMatchObject({ open: false, reason: 'closed', slots: [] });
+
+      const unconfigured = await SchedulingService.getAvailability({ ...workshop, working_hours: {} }, '2026-10-19', now);
+      expect(unconfigured).toMatchObject({ open: false, reason: 'working_hours_not_configured', slots: [] });
+    });
+  });
+
+  describe('assertBookable', () => {
+    const startsAt = new Date('2026-10-19T13:00:00Z'); // 10:00 local
+
+    it('retorna a data e hora locais do agendamento', () => {
+      expect(SchedulingService.assertBookable(workshop, startsAt, 60, [], now)).toEqual({
+        date: '2026-10-19',
+        time: '10:00',
+        weekday: 'monday',
+        minutes: 600
+      });
+    });
+
+    it('recusa oficina inativa', () => {
+      expectAppError(
+        () => SchedulingService.assertBookable({ ...workshop, status: 'inactive' }, startsAt, 60, [], now),
+        'workshop_unavailable',
+        409
+      );
+    });
+
+    it('recusa horário que já passou', () => {
+      expectAppError(
+        () => SchedulingService.assertBookable(workshop, new Date('2026-10-19T08:00:00Z'), 60, [], now),
+        'invalid_request',
+        400
+      );
+    });
+
+    it('recusa dia em que a oficina não abre', () => {
+      expectAppError(
+        () => SchedulingService.assertBookable(workshop, new Date('2026-10-25T13:00:00Z'), 60, [], now),
+        'workshop_closed',
+        409
+      );
+    });
+
+    it('recusa atendimento que termina depois do fechamento', () => {
+      expectAppError(
+        () => SchedulingService.assertBookable(workshop, new Date('2026-10-19T14:30:00Z'), 60, [], now),
+        'outside_working_hours',
+        409
+      );
+    });
+
+    it('recusa quando o limite diário foi atingido', () => {
+      const appointments = [appointmentAt('08:00'), appointmentAt('09:00'), appointmentAt('11:00')];
+
+      expectAppError(
+        () => SchedulingService.assertBookable(workshop, startsAt, 60, appointments, now),
+        'day_full',
+        409
+      );
+    });
+
+    it('recusa quando os atendimentos simultâneos esgotaram o horário', () => {
+      const appointments = [appointmentAt('09:30'), appointmentAt('10:00', 30)];
+
+      expectAppError(
+        () => SchedulingService.assertBookable(workshop, startsAt, 60, appointments, now),
+        'slot_full',
+        409
+      );
+    });
+
+    it('aceita agendamento que começa quando o anterior termina', () => {
+      const appointments = [appointmentAt('09:00'), appointmentAt('09:00')];
+
+      expect(() => SchedulingService.assertBookable(workshop, startsAt, 60, appointments, now)).not.toThrow();
+    });
+  });
+});
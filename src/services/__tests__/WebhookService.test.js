@@ -0,0 +1,155 @@
+jest.mock('bullmq', () => ({ Queue: jest.fn(() => ({ add: jest.fn() })) }));
+jest.mock('../../config/queue', () => ({ connection: {}, QUEUES: { WEBHOOK_DELIVERY: 'webhook-delivery' } }));
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('../../models/Webhook', () => ({
+  findById: jest.fn(),
+  findActiveForEvent: jest.fn(),
+  registerSuccess: jest.fn(),
+  registerFailure: jest.fn()
+}));
+jest.mock('../../models/WebhookDelivery', () => ({ create: jest.fn() }));
+jest.mock('../../utils/network', () => ({
+  ...jest.requireActual('../../utils/network'),
+  findBlockedAddress: jest.fn()
+}));
+
+const axios = require('axios');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { findBlockedAddress } = require('../../utils/network');
+const { generateHmac } = require('../../utils/crypto');
+const WebhookService = require('../WebhookService');
+
+const webhook = {
+  id: 'webhook-1',
+  tenant_id: 'tenant-1',
+  url: 'https://parceiro.example.com/webhook',
+  secret: 'segredo-do-parceiro-123',
+  active: true
+};
+
+const buildJob = (attemptsMade = 0, attempts = 3) => ({
+  data: {
+    tenant_id: 'tenant-1',
+    webhook_id: 'webhook-1',
+    event_id: 'event-1',
+    event: 'order.created',
+    data: { order: { id: 'order-1' } }
+  },
+  attemptsMade,
+  opts: { attempts }
+});
+
+describe('WebhookService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Webhook.findById.mockResolvedValue(webhook);
+    findBlockedAddress.mockResolvedValue(null);
+  });
+
+  describe('dispatch', () => {
+    it('enfileira o evento para cada webhook ativo com o mesmo event_id', async () => {
+      Webhook.findActiveForEvent.mockResolvedValue([webhook, { ...webhook, id: 'webhook-2' }]);
+
+      await WebhookService.dispatch('tenant-1', 'order.created', { order: { id: 'order-1' } });
+
+      const jobs = WebhookService.deliveryQueue.add.mock.calls.map(([, job]) => job);
+      expect(jobs.map(job => job.webhook_id)).toEqual(['webhook-1', 'webhook-2']);
+      expect(jobs[0].event_id).toBe(jobs[1].event_id);
+
+      const [, , options] = WebhookService.deliveryQueue.add.mock.calls[0];
+      expect(options).toMatchObject({ attempts: 8, backoff: { type: 'exponential', delay: 10000 } });
+    });
+
+    it('não dispara eventos sem tenant', async () => {
+      await WebhookService.dispatch(null, 'order.created', {});
+
+      expect(Webhook.findActiveForEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deliver', () => {
+    it('assina o corpo com HMAC SHA-256 do segredo do webhook e registra o sucesso', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: 'recebido' });
+
+      const result = await WebhookService.deliver(buildJob(1));
+
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe(webhook.url);
+      expect(JSON.parse(body)).toMatchObject({ event: 'order.created', data: { order: { id: 'order-1' } } });
+      expect(options.headers).toMatchObject({
+        'X-Signature-256': `sha256=${generateHmac(body, webhook.secret)}`,
+        'X-Webhook-Event-Id': 'event-1',
+        'X-Webhook-Attempt': '2'
+      });
+
+      expect(result.status_code).toBe(200);
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        attempt: 2,
+        status: 'success',
+        status_code: 200,
+        response_snippet: 'recebido',
+        error: null
+      }));
+      expect(Webhook.registerSuccess).toHaveBeenCalledWith('tenant-1', 'webhook-1');
+    });
+
+    it('lança erro para o BullMQ tentar novamente sem contar falha antes da última tentativa', async () => {
+      axios.post.mockResolvedValue({ status: 503, data: 'indisponível' });
+
+      await expect(WebhookService.deliver(buildJob(0, 3))).rejects.toThrow('HTTP 503');
+
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', status_code: 503 }));
+      expect(Webhook.registerFailure).not.toHaveBeenCalled();
+      expect(Webhook.registerSuccess).not.toHaveBeenCalled();
+    });
+
+    it('registra a falha na última tentativa, o que pode desativar o webhook', async () => {
+      axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      Webhook.registerFailure.mockResolvedValue(true);
+
+      await expect(WebhookService.deliver(buildJob(2, 3))).rejects.toThrow('ECONNREFUSED');
+
+      expect(Webhook.registerFailure).toHaveBeenCalledWith('tenant-1', 'webhook-1', 10);
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        attempt: 3,
+        status: 'failed',
+        status_code: null,
+        error: 'connect ECONNREFUSED'
+      }));
+    });
+
+    it('descarta a entrega de webhook desativado', async () => {
+      Webhook.findById.mockResolvedValue({ ...webhook, active: false });
+
+      await expect(WebhookService.deliver(buildJob())).resolves.toEqual({ skipped: true });
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(WebhookDelivery.create).not.toHaveBeenCalled();
+    });
+
+    it('não envia para URL que resolve para endereço não público', async () => {
+      findBlockedAddress.mockResolvedValue('169.254.169.254');
+
+      await expect(WebhookService.deliver(buildJob())).rejects.toThrow('endereço não público');
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'failed',
+        status_code: null,
+        response_snippet: null,
+        error: 'URL aponta para endereço não público (169.254.169.254)'
+      }));
+    });
+
+    it('conecta pelos agents que validam o endereço resolvido', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+
+      await WebhookService.deliver(buildJob());
+
+      const [, , options] = axios.post.mock.calls[0];
+      expect(options.maxRedirects).toBe(0);
+      expect(options.httpAgent.options.lookup).toBeInstanceOf(Function);
+      expect(options.httpsAgent.options.lookup).toBeInstanceOf(Function);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('bullmq', () => ({ Queue: jest.fn(() => ({ add: jest.fn() })), UnrecoverableError: Error }));
+jest.mock('../../config/queue', () => ({ connection: {}, QUEUES: {} }));
+jest.mock('../../config/redis', () => ({ get: jest.fn().mockResolvedValue(null), incr: jest.fn() }));
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../models/WhatsAppAccount', () => ({ findByTenant: jest.fn().mockResolvedValue(null) }));
+jest.mock('../../models/Tenant', () => ({}));
+jest.mock('../../models/Conversation', () => ({ findByPhone: jest.fn() }));
+jest.mock('../WebhookService', () => ({ dispatch: jest.fn() }));
+jest.mock('../OrderApprovalService', () => ({ handleButtonReply: jest.fn() }));
+jest.mock('../whatsapp', () => ({
+  createProvider: () => ({
+    sendMessage: jest.fn().mockResolvedValue({ provider_id: 'wamid.1' }),
+    defaultCredentials: () => ({ phoneNumberId: 'phone-1', token: null })
+  })
+}));
+
+const Template = require('../../models/Template');
+const Conversation = require('../../models/Conversation');
+const WebhookService = require('../WebhookService');
+const OrderApprovalService = require('../OrderApprovalService');
+const WhatsAppService = require('../WhatsAppService');
+
+const approvedTemplate = new Template({
+  name: 'orcamento_aprovacao',
+  language: 'pt_BR',
+  status: 'approved',
+  header: '{{1}}',
+  body: 'Olá {{1}}, o orçamento do veículo {{2}} ficou em {{3}}.',
+  buttons: [{ type: 'quick_reply', text: 'Aprovar' }, { type: 'url', text: 'Detalhes' }],
+  parameters: {
+    header: { type: 'image' },
+    body: [{ name: 'cliente' }, { name: 'placa' }, { name: 'total' }],
+    buttons: [{ index: 0, sub_type: 'quick_reply' }, { index: 1, sub_type: 'url' }]
+  }
+});
+
+const components = {
+  header: [{ type: 'image', url: 'https://cdn.example.com/logo.png' }],
+  body: ['Maria', 'ABC1D23', 'R$ 350,00'],
+  buttons: ['order_approval:approve:1', 'ordens/1']
+};
+
+describe('WhatsAppService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Template, 'findByName').mockResolvedValue(approvedTemplate);
+    jest.spyOn(WhatsAppService, 'saveMessage').mockResolvedValue();
+  });
+
+  describe('sendTemplate', () => {
+    it('monta os componentes no formato da Meta a partir dos parâmetros do template', async () => {
+      const result = await WhatsAppService.sendTemplate('5511987654321', 'orcamento_aprovacao', 'pt_BR', components, {
+        tenant_id: 'tenant-1'
+      });
+
+      expect(result).toEqual({ message_id: 'wamid.1', status: 'sent' });
+
+      const [credentials, messageData] = WhatsAppService.provider.sendMessage.mock.calls[0];
+      expect(credentials).toEqual({ phoneNumberId: 'phone-1', token: null });
+      expect(messageData.template).toEqual({
+        name: 'orcamento_aprovacao',
+        language: { code: 'pt_BR' },
+        components: [
+          {
+            type: 'body',
+            parameters: [
+              { type: 'text', text: 'Maria' },
+              { type: 'text', text: 'ABC1D23' },
+              { type: 'text', text: 'R$ 350,00' }
+            ]
+          },
+          {
+            type: 'header',
+            parameters: [{ type: 'image', image: { link: 'https://cdn.example.com/logo.png' } }]
+          },
+          {
+            type: 'button',
+            sub_type: 'quick_reply',
+            index: '0',
+            parameters: [{ type: 'payload', payload: 'order_approval:approve:1' }]
+          },
+          {
+            type: 'button',
+            sub_type: 'url',
+            index: '1',
+            parameters: [{ type: 'text', text: 'ordens/1' }]
+          }
+        ]
+      });
+    });
+
+    it('recusa template não aprovado sem chamar o provedor', async () => {
+      Template.findByName.mockResolvedValue(new Template({ ...approvedTemplate, status: 'pending' }));
+
+      await expect(WhatsAppService.sendTemplate('5511987654321', 'orcamento_aprovacao', 'pt_BR', components, {
+        tenant_id: 'tenant-1'
+      })).rejects.toMatchObject({ code: 'template_not_approved', status: 409 });
+      expect(WhatsAppService.provider.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('recusa componentes diferentes dos parâmetros do template', async () => {
+      await expect(WhatsAppService.sendTemplate('5511987654321', 'orcamento_aprovacao', 'pt_BR', { body: ['Maria'] }, {
+        tenant_id: 'tenant-1'
+      })).rejects.toMatchObject({ code: 'invalid_template_components', status: 400 });
+    });
+
+    it('retorna 404 para template não cadastrado', async () => {
+      Template.findByName.mockResolvedValue(null);
+
+      await expect(WhatsAppService.sendTemplate('5511987654321', 'inexistente', 'pt_BR', {}, {
+        tenant_id: 'tenant-1'
+      })).rejects.toMatchObject({ code: 'template_not_found', status: 404 });
+    });
+  });
+
+  describe('janela de atendimento', () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    it('fica aberta até 24h após a última mensagem recebida', async () => {
+      Conversation.findByPhone.mockResolvedValue({ last_inbound_at: hoursAgo(23) });
+
+      await expect(WhatsAppService.getServiceWindow('tenant-1', '5511987654321')).resolves.toMatchObject({ open: true });
+      await expect(WhatsAppService.assertServiceWindow('tenant-1', '5511987654321')).resolves.toBeUndefined();
+    });
+
+    it('fecha depois de 24h ou sem mensagem do contato', async () => {
+      Conversation.findByPhone.mockResolvedValue({ last_inbound_at: hoursAgo(25) });
+      await expect(WhatsAppService.assertServiceWindow('tenant-1', '5511987654321'))
+        .rejects.toMatchObject({ code: 'outside_service_window', status: 422 });
+
+      Conversation.findByPhone.mockResolvedValue(null);
+      await expect(WhatsAppService.getServiceWindow('tenant-1', '5511987654321'))
+        .resolves.toEqual({ open: false, last_inbound_at: null });
+    });
+  });
+
+  describe('processInboundMessage', () => {
+    it('encaminha o botão de resposta rápida de template para a aprovação de orçamento', async () => {
+      const message = {
+        id: 'wamid.in.1',
+        from: '5511987654321',
+        timestamp: '1792400000',
+        type: 'button',
+        button: { payload: 'order_approval:approve:1', text: 'Aprovar' }
+      };
+
+      await WhatsAppService.processInboundMessage(message, { tenant_id: 'tenant-1' });
+
+      expect(OrderApprovalService.handleButtonReply).toHaveBeenCalledWith('tenant-1', message, 'order_approval:approve:1');
+      expect(WebhookService.dispatch).toHaveBeenCalledWith('tenant-1', 'button.clicked', expect.objectContaining({
+        button: { id: 'order_approval:approve:1', title: 'Aprovar' },
+        contact: '5511987654321'
+      }));
+    });
+  });
+});
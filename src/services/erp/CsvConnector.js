@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const path = require('path');
+const csv = require('../../utils/csv');
+
+// Colunas de cada arquivo (entrada e saída usam o mesmo layout)
+const COLUMNS = {
+  customers: ['erp_id', 'name', 'document', 'phones', 'email', 'updated_at'],
+  vehicles: ['erp_id', 'plate', 'customer_erp_id', 'brand', 'model', 'year', 'updated_at'],
+  orders: ['erp_id', 'vehicle_erp_id', 'status', 'estimate_amount', 'notes', 'updated_at']
+};
+
+// Separador dos telefones dentro da coluna phones
+const LIST_SEPARATOR = ';';
+
+/**
+ * Conector de ERP por arquivos CSV.
+ *
+ * Interface comum dos conectores:
+ * - pull(entity, cursor) => { records, invalid, cursor } registros alterados no ERP após o cursor
+ * - push(entity, records) => [{ local_id, erp_id }] grava registros locais no ERP
+ *
+ * O ERP deposita os arquivos em <ERP_CSV_DIR>/<tenant_id>/<workshop_id>/inbound/<entidade>.csv
+ * e lê o que é enviado em outbound/<entidade>.csv. Cada linha traz updated_at (ISO 8601),
+ * usado como cursor; registros locais sem erp_id são enviados com o ID local como erp_id.
+ */
+class CsvConnector {
+  constructor(options = {}) {
+    this.name = 'csv';
+    this.directory = path.join(
+      options.baseDir || process.env.ERP_CSV_DIR || './data/erp',
+      options.tenantId,
+      options.workshopId
+    );
+  }
+
+  filePath(folder, entity) {
+    return path.join(this.directory, folder, `${entity}.csv`);
+  }
+
+  async readFile(file) {
+    try {
+      return csv.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Registros do arquivo de entrada alterados após o cursor, em ordem de updated_at
+   */
+  async pull(entity, cursor) {
+    const rows = await this.readFile(this.filePath('inbound', entity));
+    const since = cursor ? new Date(cursor) : null;
+    const records = [];
+    const invalid = [];
+
+    for (const row of rows) {
+      const updatedAt = new Date(row.updated_at);
+
+      if (!row.erp_id) {
+        invalid.push({ row: row._row, message: 'erp_id ausente' });
+        continue;
+      }
+      if (!row.updated_at || isNaN(updatedAt)) {
+        invalid.push({ row: row._row, erp_id: row.erp_id, message: 'updated_at ausente ou inválido' });
+        continue;
+      }
+      if (since && updatedAt <= since) {
+        continue;
+      }
+
+      records.push(this.fromRow(entity, row, updatedAt));
+    }
+
+    records.sort((a, b) => new Date(a.updated_at) - new Date(b.updated_at));
+
+    return {
+      records,
+      invalid,
+      cursor: records.length > 0 ? records[records.length - 1].updated_at : cursor
+    };
+  }
+
+  /**
+   * Atualiza o arquivo de saída, substituindo as linhas com o mesmo erp_id
+   */
+  async push(entity, records) {
+    const file = this.filePath('outbound', entity);
+    const rows = new Map((await this.readFile(file)).map(row => [row.erp_id, row]));
+    const results = [];
+
+    for (const record of records) {
+      const erpId = record.erp_id || record.local_id;
+      rows.set(erpId, this.toRow(entity, { ...record, erp_id: erpId }));
+      results.push({ local_id: record.local_id, erp_id: erpId });
+    }
+
+    // Grava em arquivo temporário e renomeia, para o ERP nunca ler um arquivo pela metade
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, csv.stringify(COLUMNS[entity], [...rows.values()]), 'utf8');
+    await fs.rename(temporary, file);
+
+    return results;
+  }
+
+  fromRow(entity, row, updatedAt) {
+    const record = { erp_id: row.erp_id, updated_at: updatedAt.toISOString() };
+
+    switch (entity) {
+      case 'customers':
+        return {
+          ...record,
+          name: row.name,
+          document: row.document || null,
+          phones: (row.phones || '').split(LIST_SEPARATOR).map(phone => phone.trim()).filter(Boolean),
+          email: row.email || null
+        };
+      case 'vehicles':
+        return {
+          ...record,
+          plate: row.plate,
+          customer_erp_id: row.customer_erp_id || null,
+          brand: row.brand || null,
+          model: row.model || null,
+          year: row.year ? parseInt(row.year) : null
+        };
+      case 'orders':
+        return {
+          ...record,
+          vehicle_erp_id: row.vehicle_erp_id || null,
+          status: row.status || null,
+          estimate_amount: row.estimate_amount !== '' && row.estimate_amount !== undefined ? Number(row.estimate_amount) : null,
+          notes: row.notes || null
+        };
+      default:
+        throw new Error(`Entidade de ERP desconhecida: ${entity}`);
+    }
+  }
+
+  toRow(entity, record) {
+    if (entity === 'customers') {
+      return { ...record, phones: (record.phones || []).join(LIST_SEPARATOR) };
+    }
+    return record;
+  }
+}
+
+CsvConnector.COLUMNS = COLUMNS;
+
+module.exports = CsvConnector;
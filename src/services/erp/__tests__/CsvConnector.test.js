@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CsvConnector = require('../CsvConnector');
+
+describe('CsvConnector', () => {
+  let baseDir;
+  let connector;
+
+  const writeInbound = async (entity, content) => {
+    const file = connector.filePath('inbound', entity);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content, 'utf8');
+  };
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'erp-csv-'));
+    connector = new CsvConnector({ baseDir, tenantId: 'tenant-1', workshopId: 'workshop-1' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('usa um diretório por tenant e oficina', () => {
+    expect(connector.filePath('inbound', 'orders')).toBe(path.join(baseDir, 'tenant-1', 'workshop-1', 'inbound', 'orders.csv'));
+  });
+
+  describe('pull', () => {
+    it('retorna lista vazia sem arquivo de entrada', async () => {
+      expect(await connector.pull('customers', null)).toEqual({ records: [], invalid: [], cursor: null });
+    });
+
+    it('converte os registros, ordena por updated_at e avança o cursor', async () => {
+      await writeInbound('customers', [
+        'erp_id,name,document,phones,email,updated_at',
+        'C2,Bruno,,11999998888; 11988887777,,2026-10-19T12:00:00Z',
+        'C1,Ana,52998224725,,ana@example.com,2026-10-19T10:00:00Z'
+      ].join('\n'));
+
+      const result = await connector.pull('customers', null);
+
+      expect(result.records).toEqual([
+        {
+          erp_id: 'C1',
+          updated_at: '2026-10-19T10:00:00.000Z',
+          name: 'Ana',
+          document: '52998224725',
+          phones: [],
+          email: 'ana@example.com'
+        },
+        {
+          erp_id: 'C2',
+          updated_at: '2026-10-19T12:00:00.000Z',
+          name: 'Bruno',
+          document: null,
+          phones: ['11999998888', '11988887777'],
+          email: null
+        }
+      ]);
+      expect(result.cursor).toBe('2026-10-19T12:00:00.000Z');
+    });
+
+    it('ignora registros até o cursor e mantém o cursor sem novidades', async () => {
+      await writeInbound('vehicles', [
+        'erp_id,plate,customer_erp_id,brand,model,year,updated_at',
+        'V1,ABC1234,C1,Fiat,Uno,2010,2026-10-19T10:00:00Z',
+        'V2,XYZ9A99,,,,,2026-10-19T11:00:00Z'
+      ].join('\n'));
+
+      const result = await connector.pull('vehicles', '2026-10-19T10:00:00.000Z');
+
+      expect(result.records).toEqual([{
+        erp_id: 'V2',
+        updated_at: '2026-10-19T11:00:00.000Z',
+        plate: 'XYZ9A99',
+        customer_erp_id: null,
+        brand: null,
+        model: null,
+        year: null
+      }]);
+
+      const unchanged = await connector.pull('vehicles', '2026-10-19T11:00:00.000Z');
+      expect(unchanged).toEqual({ records: [], invalid: [], cursor: '2026-10-19T11:00:00.000Z' });
+    });
+
+    it('informa linhas sem erp_id ou updated_at válido', async () => {
+      await writeInbound('orders', [
+        'erp_id,vehicle_erp_id,status,estimate_amount,notes,updated_at',
+        ',V1,approved,100,,2026-10-19T10:00:00Z',
+        'O2,V1,approved,100,,ontem',
+        'O3,V1,completed,250.5,Revisão,2026-10-19T10:00:00Z'
+      ].join('\n'));
+
+      const result = await connector.pull('orders', null);
+
+      expect(result.invalid).toEqual([
+        { row: 2, message: 'erp_id ausente' },
+        { row: 3, erp_id: 'O2', message: 'updated_at ausente ou inválido' }
+      ]);
+      expect(result.records).toEqual([{
+        erp_id: 'O3',
+        updated_at: '2026-10-19T10:00:00.000Z',
+        vehicle_erp_id: 'V1',
+        status: 'completed',
+        estimate_amount: 250.5,
+        notes: 'Revisão'
+      }]);
+    });
+  });
+
+  describe('push', () => {
+    it('grava o arquivo de saída usando o ID local como erp_id quando ausente', async () => {
+      const results = await connector.push('customers', [
+        { local_id: 'local-1', erp_id: null, name: 'Ana', phones: ['5511999998888', '551133334444'], updated_at: '2026-10-19T10:00:00.000Z' },
+        { local_id: 'local-2', erp_id: 'C9', name: 'Bruno', phones: [], updated_at: '2026-10-19T11:00:00.000Z' }
+      ]);
+
+      expect(results).toEqual([
+        { local_id: 'local-1', erp_id: 'local-1' },
+        { local_id: 'local-2', erp_id: 'C9' }
+      ]);
+
+      const content = await fs.readFile(connector.filePath('outbound', 'customers'), 'utf8');
+      expect(content).toBe([
+        'erp_id,name,document,phones,email,updated_at',
+        'local-1,Ana,,5511999998888;551133334444,,2026-10-19T10:00:00.000Z',
+        'C9,Bruno,,,,2026-10-19T11:00:00.000Z',
+        ''
+      ].join('\n'));
+    });
+
+    it('substitui linhas com o mesmo erp_id e mantém as demais', async () => {
+      await connector.push('vehicles', [
+        { local_id: 'v1', erp_id: 'V1', plate: 'ABC1234', year: 2010 },
+        { local_id: 'v2', erp_id: 'V2', plate: 'XYZ9A99', year: 2020 }
+      ]);
+      await connector.push('vehicles', [{ local_id: 'v1', erp_id: 'V1', plate: 'ABC1C34', year: 2011 }]);
+
+      const content = await fs.readFile(connector.filePath('outbound', 'vehicles'), 'utf8');
+      expect(content).toBe([
+        'erp_id,plate,customer_erp_id,brand,model,year,updated_at',
+        'V1,ABC1C34,,,,2011,',
+        'V2,XYZ9A99,,,,2020,',
+        ''
+      ].join('\n'));
+
+      const files = await fs.readdir(path.dirname(connector.filePath('outbound', 'vehicles')));
+      expect(files).toEqual(['vehicles.csv']);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const CsvConnector = require('./CsvConnector');
+
+const CONNECTORS = {
+  csv: CsvConnector
+};
+
+/**
+ * Cria o conector de ERP configurado em ERP_CONNECTOR (csv)
+ */
+function createConnector(name = process.env.ERP_CONNECTOR || 'csv', options = {}) {
+  const Connector = CONNECTORS[name];
+
+  if (!Connector) {
+    throw new Error(`Conector de ERP desconhecido: ${name}. Use um de: ${Object.keys(CONNECTORS).join(', ')}`);
+  }
+
+  return new Connector(options);
+}
+
+module.exports = {
+  createConnector,
+  CONNECTORS,
+  CsvConnector
+};
@@ -0,0 +1,14 @@
+/**
+ * Registra os assinantes de eventos de domínio.
+ * Chamado na inicialização da API e dos workers: eventos publicados pelos jobs
+ * (ex.: sincronização com o ERP) têm os mesmos efeitos dos publicados pela API.
+ */
+function registerSubscribers() {
+  require('./NotificationService').register();
+  require('./TimeTrackingService').register();
+  require('./InventoryService').register();
+}
+
+module.exports = {
+  registerSubscribers
+};
@@ -0,0 +1,101 @@
+const axios = require('axios');
+
+/**
+ * Provedor WhatsApp Cloud API (Meta).
+ *
+ * Interface comum dos provedores:
+ * - sendMessage(credentials, messageData) => { provider_id }
+ * - getMessageStatus(credentials, messageId) => objeto de status do provedor
+ * - parseWebhook(payload) => [{ phone_number_id, contacts, messages, statuses }]
+ * - defaultCredentials() => credenciais usadas sem conta/ambiente configurados, ou null
+ */
+class MetaCloudProvider {
+  constructor(options = {}) {
+    this.name = 'meta';
+    this.baseURL = options.baseURL || process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v18.0';
+  }
+
+  /**
+   * Envia mensagem no formato da Cloud API
+   */
+  async sendMessage(credentials, messageData) {
+    const response = await this.makeRequest('POST', `/${credentials.phoneNumberId}/messages`, messageData, credentials.token);
+
+    return {
+      provider_id: response.data.messages[0].id
+    };
+  }
+
+  /**
+   * Consulta uma mensagem na Cloud API
+   */
+  async getMessageStatus(credentials, messageId) {
+    const response = await this.makeRequest('GET', `/${messageId}`, null, credentials.token);
+    return response.data;
+  }
+
+  /**
+   * Extrai contatos, mensagens e status de um webhook da Meta, agrupados por phone_number_id
+   */
+  parseWebhook(payload) {
+    if (!payload || payload.object !== 'whatsapp_business_account') {
+      return [];
+    }
+
+    const changes = [];
+
+    for (const entryItem of payload.entry || []) {
+      for (const change of entryItem.changes || []) {
+        if (!change.value) {
+          continue;
+        }
+
+        changes.push({
+          phone_number_id: change.value.metadata?.phone_number_id,
+          contacts: change.value.contacts || [],
+          messages: change.value.messages || [],
+          statuses: change.value.statuses || []
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * A Cloud API exige credenciais reais
+   */
+  defaultCredentials() {
+    return null;
+  }
+
+  /**
+   * Faz requisição para a API do WhatsApp
+   */
+  async makeRequest(method, endpoint, data = null, token) {
+    try {
+      const config = {
+        method,
+        url: `${this.baseURL}${endpoint}`,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      };
+
+      if (data) {
+        config.data = data;
+      }
+
+      const response = await axios(config);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`WhatsApp API Error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = MetaCloudProvider;
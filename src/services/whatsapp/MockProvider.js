@@ -0,0 +1,182 @@
+const redis = require('../../config/redis');
+const MetaCloudProvider = require('./MetaCloudProvider');
+
+const MOCK_PHONE_NUMBER_ID = 'mock-phone-number-id';
+const SIMULATED_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+// Estado do mock no Redis, compartilhado entre a API e os workers que enviam as mensagens
+const SEQUENCE_KEY = 'wa:mock:sequence';
+const MESSAGES_KEY = 'wa:mock:messages';
+const NUMBER_KEY_PREFIX = 'wa:mock:number:';
+const STATE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Provedor local para testes e staging: não acessa a rede, guarda as mensagens
+ * enviadas no Redis e gera IDs determinísticos (wamid.mock.000001, ...).
+ * Os webhooks simulados usam o mesmo formato da Meta; as mensagens recebidas
+ * simuladas são entregues ao handler registrado em setWebhookHandler (WhatsAppService.processWebhook).
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.webhookHandler = null;
+    this.parser = new MetaCloudProvider();
+  }
+
+  /**
+   * Limpa mensagens registradas e reinicia a sequência de IDs
+   */
+  async reset() {
+    const numberKeys = [];
+    for await (const key of redis.scanIterator({ MATCH: `${NUMBER_KEY_PREFIX}*` })) {
+      numberKeys.push(key);
+    }
+
+    await redis.del([SEQUENCE_KEY, MESSAGES_KEY, ...numberKeys]);
+  }
+
+  /**
+   * Registra quem recebe os webhooks simulados
+   */
+  setWebhookHandler(handler) {
+    this.webhookHandler = handler;
+  }
+
+  async nextSequence() {
+    const sequence = await redis.incr(SEQUENCE_KEY);
+    await redis.expire(SEQUENCE_KEY, STATE_TTL_SECONDS);
+    return String(sequence).padStart(6, '0');
+  }
+
+  async saveSent(sent) {
+    await redis.hSet(MESSAGES_KEY, sent.id, JSON.stringify(sent));
+    await redis.expire(MESSAGES_KEY, STATE_TTL_SECONDS);
+  }
+
+  async sendMessage(credentials, messageData) {
+    const providerId = `wamid.mock.${await this.nextSequence()}`;
+
+    await this.saveSent({
+      id: providerId,
+      phone_number_id: credentials.phoneNumberId,
+      to: messageData.to,
+      type: messageData.type,
+      message: messageData,
+      status: 'sent',
+      sent_at: new Date().toISOString()
+    });
+
+    const numberKey = `${NUMBER_KEY_PREFIX}${credentials.phoneNumberId}`;
+    await redis.rPush(numberKey, providerId);
+    await redis.expire(numberKey, STATE_TTL_SECONDS);
+
+    return { provider_id: providerId };
+  }
+
+  async getMessageStatus(credentials, messageId) {
+    const sent = await this.findSent(messageId);
+    if (!sent) {
+      throw new Error(`WhatsApp API Error: 404 - mensagem ${messageId} não encontrada no provedor mock`);
+    }
+
+    return { id: sent.id, status: sent.status };
+  }
+
+  parseWebhook(payload) {
+    return this.parser.parseWebhook(payload);
+  }
+
+  defaultCredentials() {
+    return { phoneNumberId: MOCK_PHONE_NUMBER_ID, token: null };
+  }
+
+  /**
+   * Mensagens enviadas por um número, na ordem de envio
+   */
+  async getSentMessages(phoneNumberId) {
+    const ids = await redis.lRange(`${NUMBER_KEY_PREFIX}${phoneNumberId}`, 0, -1);
+    if (ids.length === 0) return [];
+
+    const rows = await redis.hmGet(MESSAGES_KEY, ids);
+    return rows.filter(Boolean).map(row => JSON.parse(row));
+  }
+
+  async findSent(messageId) {
+    const row = await redis.hGet(MESSAGES_KEY, messageId);
+    return row ? JSON.parse(row) : null;
+  }
+
+  /**
+   * Registra o status (sent/delivered/read/failed) de uma mensagem enviada e
+   * retorna o webhook correspondente no formato da Meta, para ser processado pelo chamador
+   */
+  async simulateStatus(messageId, status, { error } = {}) {
+    if (!SIMULATED_STATUSES.includes(status)) {
+      throw new Error(`Status simulado inválido: ${status}`);
+    }
+
+    const sent = await this.findSent(messageId);
+    if (!sent) {
+      throw new Error(`Mensagem ${messageId} não foi enviada pelo provedor mock`);
+    }
+
+    sent.status = status;
+    await this.saveSent(sent);
+
+    const statusPayload = {
+      id: sent.id,
+      status,
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      recipient_id: sent.to
+    };
+
+    if (status === 'failed') {
+      statusPayload.errors = [{
+        code: 131026,
+        title: error || 'Message undeliverable'
+      }];
+    }
+
+    return this.buildWebhook(sent.phone_number_id, { statuses: [statusPayload] });
+  }
+
+  /**
+   * Simula mensagem recebida de um cliente (ex.: resposta a botões)
+   */
+  async simulateInbound(phoneNumberId, message) {
+    const payload = this.buildWebhook(phoneNumberId, {
+      messages: [{
+        id: `wamid.mock.in.${await this.nextSequence()}`,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        ...message
+      }]
+    });
+
+    if (this.webhookHandler) {
+      await this.webhookHandler(payload);
+    }
+
+    return payload;
+  }
+
+  buildWebhook(phoneNumberId, value) {
+    return {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'mock-business-account',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { phone_number_id: phoneNumberId },
+            ...value
+          }
+        }]
+      }]
+    };
+  }
+}
+
+MockProvider.SIMULATED_STATUSES = SIMULATED_STATUSES;
+
+module.exports = MockProvider;
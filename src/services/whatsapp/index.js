@@ -0,0 +1,26 @@
+const MetaCloudProvider = require('./MetaCloudProvider');
+const MockProvider = require('./MockProvider');
+
+const PROVIDERS = {
+  meta: MetaCloudProvider,
+  mock: MockProvider
+};
+
+/**
+ * Cria o provedor WhatsApp configurado em WHATSAPP_PROVIDER (meta | mock)
+ */
+function createProvider(name = process.env.WHATSAPP_PROVIDER || 'meta') {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Provedor WhatsApp desconhecido: ${name}. Use um de: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider();
+}
+
+module.exports = {
+  createProvider,
+  MetaCloudProvider,
+  MockProvider
+};
@@ -0,0 +1,68 @@
+const {
+  generateCode16,
+  normalizeCode16,
+  validateCode16,
+  verifyCode16Checksum
+} = require('../crypto');
+
+describe('utils/crypto code16', () => {
+  describe('generateCode16', () => {
+    it('gera código no formato XXXX-XXXX-XXXX-XXXX com dígito verificador', () => {
+      const code = generateCode16();
+
+      expect(validateCode16(code)).toBe(true);
+      expect(verifyCode16Checksum(code)).toBe(true);
+    });
+
+    it('é determinístico com semente', () => {
+      expect(generateCode16('veiculo-1')).toBe(generateCode16('veiculo-1'));
+      expect(generateCode16('veiculo-1')).not.toBe(generateCode16('veiculo-2'));
+    });
+  });
+
+  describe('verifyCode16Checksum', () => {
+    it('detecta um caractere digitado errado', () => {
+      const code = generateCode16('veiculo-1');
+      const replacement = code[0] === '0' ? '1' : '0';
+
+      expect(verifyCode16Checksum(`${replacement}${code.slice(1)}`)).toBe(false);
+    });
+
+    it('detecta a troca de dois caracteres vizinhos', () => {
+      const code = generateCode16('veiculo-3');
+      const compact = code.replace(/-/g, '');
+      const index = [...compact.slice(0, 14)].findIndex((char, position) => char !== compact[position + 1]);
+      const swapped = compact.slice(0, index) + compact[index + 1] + compact[index] + compact.slice(index + 2);
+
+      expect(verifyCode16Checksum(normalizeCode16(swapped))).toBe(false);
+    });
+
+    it('rejeita códigos fora do formato', () => {
+      expect(verifyCode16Checksum('ABC')).toBe(false);
+    });
+  });
+
+  describe('normalizeCode16', () => {
+    it('aceita minúsculas, espaços e letras confundíveis', () => {
+      const code = generateCode16('veiculo-1');
+      const typed = code.toLowerCase().replace(/-/g, ' ');
+
+      expect(normalizeCode16(typed)).toBe(code);
+      expect(normalizeCode16('oooo-iiii-llll-0000')).toBe('0000-1111-1111-0000');
+    });
+
+    it('retorna null sem 16 caracteres', () => {
+      expect(normalizeCode16('ABCD-EFGH')).toBeNull();
+      expect(normalizeCode16(null)).toBeNull();
+    });
+  });
+
+  describe('validateCode16', () => {
+    it('aceita apenas o alfabeto Crockford', () => {
+      expect(validateCode16('0000-1111-2222-3333')).toBe(true);
+      expect(validateCode16('0000-1111-2222-333U')).toBe(true);
+      expect(validateCode16('UUUU-1111-2222-3333')).toBe(false);
+      expect(validateCode16('000011112222333')).toBe(false);
+    });
+  });
+});
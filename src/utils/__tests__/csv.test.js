@@ -0,0 +1,54 @@
+const { parseRows, parse, stringify } = require('../csv');
+
+describe('utils/csv', () => {
+  describe('parseRows', () => {
+    it('separa campos e linhas com LF ou CRLF', () => {
+      expect(parseRows('a,b\r\n1,2\n3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+
+    it('aceita separador, quebra de linha e aspas dentro de campos entre aspas', () => {
+      expect(parseRows('"a,b","linha 1\nlinha 2","diz ""oi"""\n')).toEqual([
+        ['a,b', 'linha 1\nlinha 2', 'diz "oi"']
+      ]);
+    });
+
+    it('remove BOM e ignora linhas em branco', () => {
+      expect(parseRows('\uFEFFa;b\n\n ; \n1;2\n', ';')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('mantém campos vazios', () => {
+      expect(parseRows('a,,c')).toEqual([['a', '', 'c']]);
+    });
+  });
+
+  describe('parse', () => {
+    it('usa a primeira linha como cabeçalho e informa a posição do registro', () => {
+      expect(parse(' plate , name \nABC1234, Ana \nXYZ9A99')).toEqual([
+        { _row: 2, plate: 'ABC1234', name: 'Ana' },
+        { _row: 3, plate: 'XYZ9A99', name: '' }
+      ]);
+    });
+
+    it('retorna lista vazia sem conteúdo', () => {
+      expect(parse('')).toEqual([]);
+    });
+  });
+
+  describe('stringify', () => {
+    it('gera cabeçalho e escapa campos quando necessário', () => {
+      const csv = stringify(['id', 'notes', 'amount'], [
+        { id: 1, notes: 'troca de óleo, filtro', amount: 150.5 },
+        { id: 2, notes: 'diz "urgente"\nligar antes', amount: null }
+      ]);
+
+      expect(csv).toBe('id,notes,amount\n1,"troca de óleo, filtro",150.5\n2,"diz ""urgente""\nligar antes",\n');
+    });
+
+    it('volta aos mesmos registros com parse', () => {
+      const records = [{ sku: 'FO-1', description: 'Filtro; óleo' }];
+      const csv = stringify(['sku', 'description'], records, ';');
+
+      expect(parse(csv, ';')).toEqual([{ _row: 2, ...records[0] }]);
+    });
+  });
+});
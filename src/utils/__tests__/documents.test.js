@@ -0,0 +1,90 @@
+const {
+  normalizeDocument,
+  documentType,
+  validateDocument,
+  isValidCPF,
+  isValidCNPJ,
+  formatDocument,
+  maskDocument
+} = require('../documents');
+
+describe('utils/documents', () => {
+  describe('normalizeDocument', () => {
+    it('remove pontos, barra, hífen e espaços', () => {
+      expect(normalizeDocument('529.982.247-25')).toBe('52998224725');
+      expect(normalizeDocument('12.abc.345/01de-35')).toBe('12ABC34501DE35');
+    });
+
+    it('retorna null para valores vazios', () => {
+      expect(normalizeDocument('')).toBeNull();
+      expect(normalizeDocument(null)).toBeNull();
+      expect(normalizeDocument(' ./- ')).toBeNull();
+    });
+  });
+
+  describe('documentType', () => {
+    it('identifica CPF e CNPJ pelo formato', () => {
+      expect(documentType('52998224725')).toBe('cpf');
+      expect(documentType('11222333000181')).toBe('cnpj');
+      expect(documentType('12ABC34501DE35')).toBe('cnpj');
+      expect(documentType('123')).toBeNull();
+    });
+  });
+
+  describe('validateDocument', () => {
+    it('aceita CPF, CNPJ numérico e CNPJ alfanumérico válidos', () => {
+      expect(validateDocument('529.982.247-25')).toMatchObject({ valid: true, type: 'cpf', document: '52998224725' });
+      expect(validateDocument('11.222.333/0001-81')).toMatchObject({ valid: true, type: 'cnpj' });
+      expect(validateDocument('12.ABC.345/01DE-35')).toMatchObject({ valid: true, type: 'cnpj' });
+    });
+
+    it('informa qual verificação falhou', () => {
+      expect(validateDocument('')).toMatchObject({ valid: false, check: 'required' });
+      expect(validateDocument('529#982')).toMatchObject({ valid: false, check: 'characters' });
+      expect(validateDocument('1234567')).toMatchObject({ valid: false, check: 'length' });
+      expect(validateDocument('111.111.111-11')).toMatchObject({ valid: false, check: 'repeated_digits' });
+      expect(validateDocument('529.982.247-35')).toMatchObject({ valid: false, check: 'first_check_digit' });
+      expect(validateDocument('529.982.247-26')).toMatchObject({
+        valid: false,
+        check: 'second_check_digit',
+        message: 'CPF inválido: segundo dígito verificador não confere'
+      });
+    });
+
+    it('rejeita letras no CPF e nos dígitos verificadores do CNPJ', () => {
+      expect(validateDocument('5299822472A', 'cpf')).toMatchObject({ valid: false, check: 'characters' });
+      expect(validateDocument('12ABC34501DE3X')).toMatchObject({ valid: false, check: 'characters' });
+    });
+
+    it('exige o tipo informado', () => {
+      expect(validateDocument('52998224725', 'cnpj')).toMatchObject({
+        valid: false,
+        check: 'length',
+        message: 'CNPJ inválido: deve ter 14 caracteres'
+      });
+    });
+  });
+
+  describe('isValidCPF / isValidCNPJ', () => {
+    it('validam apenas o próprio tipo', () => {
+      expect(isValidCPF('52998224725')).toBe(true);
+      expect(isValidCPF('11222333000181')).toBe(false);
+      expect(isValidCNPJ('11222333000181')).toBe(true);
+      expect(isValidCNPJ('52998224725')).toBe(false);
+    });
+  });
+
+  describe('formatDocument / maskDocument', () => {
+    it('formata CPF e CNPJ', () => {
+      expect(formatDocument('52998224725')).toBe('529.982.247-25');
+      expect(formatDocument('12ABC34501DE35')).toBe('12.ABC.345/01DE-35');
+      expect(formatDocument('123')).toBeNull();
+    });
+
+    it('mascara CPF e CNPJ', () => {
+      expect(maskDocument('52998224725')).toBe('***.982.247-**');
+      expect(maskDocument('11222333000181')).toBe('**.222.333/****-**');
+      expect(maskDocument('123')).toBeNull();
+    });
+  });
+});
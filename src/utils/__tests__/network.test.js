@@ -0,0 +1,90 @@
+jest.mock('dns', () => {
+  const actual = jest.requireActual('dns');
+  return { ...actual, lookup: jest.fn(), promises: { ...actual.promises, lookup: jest.fn() } };
+});
+
+const dns = require('dns');
+const { isPublicAddress, findBlockedAddress, publicLookup } = require('../network');
+
+describe('network', () => {
+  describe('isPublicAddress', () => {
+    it('aceita endereços públicos IPv4 e IPv6', () => {
+      expect(isPublicAddress('8.8.8.8')).toBe(true);
+      expect(isPublicAddress('172.32.0.1')).toBe(true);
+      expect(isPublicAddress('2001:4860:4860::8888')).toBe(true);
+      expect(isPublicAddress('::ffff:8.8.8.8')).toBe(true);
+    });
+
+    it('recusa loopback, redes privadas e link-local', () => {
+      [
+        '127.0.0.1',
+        '0.0.0.0',
+        '10.1.2.3',
+        '172.16.0.1',
+        '192.168.0.10',
+        '169.254.169.254',
+        '100.64.0.1',
+        '::1',
+        '::',
+        'fd00::1',
+        'fe80::1'
+      ].forEach(address => expect(isPublicAddress(address)).toBe(false));
+    });
+
+    it('recusa IPv4 privado mapeado em IPv6', () => {
+      expect(isPublicAddress('::ffff:127.0.0.1')).toBe(false);
+      expect(isPublicAddress('::ffff:a9fe:a9fe')).toBe(false);
+    });
+
+    it('recusa valores que não são IP', () => {
+      expect(isPublicAddress('localhost')).toBe(false);
+    });
+  });
+
+  describe('findBlockedAddress', () => {
+    beforeEach(() => {
+      dns.promises.lookup.mockReset();
+    });
+
+    it('verifica IPs literais sem consultar o DNS', async () => {
+      await expect(findBlockedAddress('http://169.254.169.254/latest/meta-data')).resolves.toBe('169.254.169.254');
+      await expect(findBlockedAddress('http://[::1]:8080/')).resolves.toBe('::1');
+      expect(dns.promises.lookup).not.toHaveBeenCalled();
+    });
+
+    it('retorna o endereço privado entre os resolvidos pelo DNS', async () => {
+      dns.promises.lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+      await expect(findBlockedAddress('https://parceiro.example.com/webhook')).resolves.toBe('10.0.0.5');
+      expect(dns.promises.lookup).toHaveBeenCalledWith('parceiro.example.com', { all: true });
+    });
+
+    it('retorna null quando todos os endereços são públicos', async () => {
+      dns.promises.lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+      await expect(findBlockedAddress('https://parceiro.example.com/webhook')).resolves.toBeNull();
+    });
+  });
+
+  describe('publicLookup', () => {
+    it('recusa a conexão quando o DNS resolve para endereço privado', (done) => {
+      dns.lookup.mockImplementation((hostname, options, callback) => callback(null, '127.0.0.1', 4));
+
+      publicLookup('rebind.example.com', {}, (error) => {
+        expect(error.code).toBe('EBLOCKEDADDRESS');
+        done();
+      });
+    });
+
+    it('repassa endereços públicos, inclusive no formato all', (done) => {
+      const addresses = [{ address: '93.184.216.34', family: 4 }];
+      dns.lookup.mockImplementation((hostname, options, callback) => callback(null, addresses));
+
+      publicLookup('parceiro.example.com', { all: true }, (error, address) => {
+        expect(error).toBeNull();
+        expect(address).toBe(addresses);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { normalizePhone, canonicalPhone, samePhone, phoneVariants } = require('../phone');
+
+describe('utils/phone', () => {
+  describe('normalizePhone', () => {
+    it('mantém apenas os dígitos', () => {
+      expect(normalizePhone('+55 (11) 99999-8888')).toBe('5511999998888');
+    });
+
+    it('retorna null para valores vazios', () => {
+      expect(normalizePhone('')).toBeNull();
+      expect(normalizePhone(null)).toBeNull();
+      expect(normalizePhone('()-')).toBeNull();
+    });
+  });
+
+  describe('canonicalPhone', () => {
+    it('adiciona o nono dígito a celulares antigos com 55', () => {
+      expect(canonicalPhone('551188887777')).toBe('5511988887777');
+    });
+
+    it('não altera telefones fixos', () => {
+      expect(canonicalPhone('551133334444')).toBe('551133334444');
+    });
+  });
+
+  describe('samePhone', () => {
+    it('compara número do WhatsApp com cadastro sem o código do país', () => {
+      expect(samePhone('5511999998888', '(11) 99999-8888')).toBe(true);
+      expect(samePhone('5511999998888', '11 99999 8888')).toBe(true);
+    });
+
+    it('compara números com e sem o nono dígito', () => {
+      expect(samePhone('551188887777', '11 98888-7777')).toBe(true);
+      expect(samePhone('551188887777', '1188887777')).toBe(true);
+    });
+
+    it('diferencia DDDs distintos', () => {
+      expect(samePhone('5511999998888', '5521999998888')).toBe(false);
+    });
+
+    it('não considera iguais telefones vazios', () => {
+      expect(samePhone(null, null)).toBe(false);
+      expect(samePhone('', '5511999998888')).toBe(false);
+    });
+  });
+
+  describe('phoneVariants', () => {
+    it('gera as formas com/sem 55 e com/sem o nono dígito', () => {
+      expect(phoneVariants('+55 11 99999-8888')).toEqual([
+        '5511999998888',
+        '11999998888',
+        '551199998888',
+        '1199998888'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { normalizePlate, plateFormat, isValidPlate, plateKey, samePlate } = require('../plate');
+
+describe('utils/plate', () => {
+  describe('normalizePlate', () => {
+    it('remove separadores e converte para maiúsculas', () => {
+      expect(normalizePlate('abc-1234')).toBe('ABC1234');
+      expect(normalizePlate(' abc 1d23 ')).toBe('ABC1D23');
+    });
+
+    it('retorna null para placas fora dos padrões', () => {
+      expect(normalizePlate('AB-12345')).toBeNull();
+      expect(normalizePlate('')).toBeNull();
+      expect(normalizePlate(null)).toBeNull();
+    });
+  });
+
+  describe('plateFormat', () => {
+    it('identifica placas antigas e Mercosul', () => {
+      expect(plateFormat('ABC1234')).toBe('legacy');
+      expect(plateFormat('ABC1D23')).toBe('mercosul');
+      expect(plateFormat('ABCD123')).toBeNull();
+    });
+  });
+
+  describe('isValidPlate', () => {
+    it('aceita os dois padrões com ou sem separadores', () => {
+      expect(isValidPlate('abc-1234')).toBe(true);
+      expect(isValidPlate('ABC1D23')).toBe(true);
+      expect(isValidPlate('1234ABC')).toBe(false);
+    });
+  });
+
+  describe('plateKey', () => {
+    it('converte o 5º caractere da placa antiga para letra', () => {
+      expect(plateKey('ABC1234')).toBe('ABC1C34');
+      expect(plateKey('XYZ9099')).toBe('XYZ9A99');
+    });
+
+    it('mantém placas Mercosul', () => {
+      expect(plateKey('abc-1d23')).toBe('ABC1D23');
+    });
+
+    it('retorna null para placas inválidas', () => {
+      expect(plateKey('ABC12')).toBeNull();
+    });
+  });
+
+  describe('samePlate', () => {
+    it('considera a placa antiga e a convertida o mesmo veículo', () => {
+      expect(samePlate('ABC-1234', 'abc1c34')).toBe(true);
+    });
+
+    it('diferencia placas distintas e inválidas', () => {
+      expect(samePlate('ABC1234', 'ABC1235')).toBe(false);
+      expect(samePlate('invalida', 'invalida')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  isValidTimeZone,
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  weekdayOf,
+  zonedParts,
+  zonedTimeToUtc,
+  addDays
+} = require('../timezone');
+
+describe('utils/timezone', () => {
+  describe('validações', () => {
+    it('reconhece fusos IANA', () => {
+      expect(isValidTimeZone('America/Sao_Paulo')).toBe(true);
+      expect(isValidTimeZone('America/Atlantida')).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+    });
+
+    it('aceita apenas datas existentes no formato YYYY-MM-DD', () => {
+      expect(isValidDate('2026-10-19')).toBe(true);
+      expect(isValidDate('2028-02-29')).toBe(true);
+      expect(isValidDate('2026-02-29')).toBe(false);
+      expect(isValidDate('19/10/2026')).toBe(false);
+      expect(isValidDate(undefined)).toBe(false);
+    });
+
+    it('aceita horários de 00:00 a 23:59', () => {
+      expect(isValidTime('00:00')).toBe(true);
+      expect(isValidTime('23:59')).toBe(true);
+      expect(isValidTime('24:00')).toBe(false);
+      expect(isValidTime('8:00')).toBe(false);
+    });
+  });
+
+  describe('conversões de horário', () => {
+    it('converte entre HH:MM e minutos', () => {
+      expect(timeToMinutes('08:30')).toBe(510);
+      expect(minutesToTime(510)).toBe('08:30');
+      expect(minutesToTime(0)).toBe('00:00');
+    });
+
+    it('calcula o dia da semana da data local', () => {
+      expect(weekdayOf('2026-10-19')).toBe('monday');
+      expect(weekdayOf('2026-10-25')).toBe('sunday');
+    });
+
+    it('soma dias atravessando meses e anos', () => {
+      expect(addDays('2026-10-31', 1)).toBe('2026-11-01');
+      expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+      expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+    });
+  });
+
+  describe('fusos', () => {
+    it('converte data e hora locais em UTC', () => {
+      expect(zonedTimeToUtc('2026-10-19', '08:00', 'America/Sao_Paulo').toISOString()).toBe('2026-10-19T11:00:00.000Z');
+      expect(zonedTimeToUtc('2026-10-19', '08:00', 'UTC').toISOString()).toBe('2026-10-19T08:00:00.000Z');
+    });
+
+    it('considera a troca de horário de verão', () => {
+      expect(zonedTimeToUtc('2026-03-07', '03:00', 'America/New_York').toISOString()).toBe('2026-03-07T08:00:00.000Z');
+      expect(zonedTimeToUtc('2026-03-08', '03:00', 'America/New_York').toISOString()).toBe('2026-03-08T07:00:00.000Z');
+    });
+
+    it('decompõe um instante no fuso informado', () => {
+      expect(zonedParts('2026-10-19T11:00:00Z', 'America/Sao_Paulo')).toEqual({
+        date: '2026-10-19',
+        time: '08:00',
+        weekday: 'monday',
+        minutes: 480
+      });
+      expect(zonedParts(new Date('2026-10-20T02:30:00Z'), 'America/Sao_Paulo')).toMatchObject({
+        date: '2026-10-19',
+        time: '23:30'
+      });
+    });
+  });
+});
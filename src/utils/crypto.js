@@ -95,37 +95,97 @@ function verifyHmac(data, signature, secret) {
   );
 }
 
+// Base32 Crockford sem I/L/O/U
+const CODE16_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+// Símbolos extras do dígito verificador Crockford (valores 32 a 36)
+const CODE16_CHECK_SYMBOLS = `${CODE16_ALPHABET}*~$=U`;
+
+const CODE16_PATTERN = /^[0-9A-HJ-NP-TV-Z]{4}-[0-9A-HJ-NP-TV-Z]{4}-[0-9A-HJ-NP-TV-Z]{4}-[0-9A-HJ-NP-TV-Z]{3}[0-9A-HJ-NP-TV-Z*~$=U]$/;
+
+/**
+ * Calcula o dígito verificador Crockford (módulo 37) de uma sequência Base32
+ * @param {string} body - Caracteres do código sem hífens
+ * @returns {string} - Símbolo verificador
+ */
+function code16CheckSymbol(body) {
+  let remainder = 0;
+  for (const char of body) {
+    remainder = (remainder * 32 + CODE16_ALPHABET.indexOf(char)) % 37;
+  }
+  return CODE16_CHECK_SYMBOLS[remainder];
+}
+
 /**
- * Gera código de 16 caracteres (Base32 Crockford)
- * @param {string} seed - Semente para geração
+ * Gera código de 16 caracteres (Base32 Crockford): 15 caracteres + dígito verificador.
+ * Não garante unicidade; use Vehicle.generateUniqueCode16 para novos veículos.
+ * @param {string} [seed] - Semente para geração determinística (aleatória se omitida)
  * @returns {string} - Código no formato XXXX-XXXX-XXXX-XXXX
  */
 function generateCode16(seed) {
-  // Base32 Crockford sem I/O/L/U
-  const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
-  
-  // Gera hash do seed
-  const hash = crypto.createHash('sha256').update(seed).digest();
-  
-  // Converte para Base32
-  let result = '';
-  for (let i = 0; i < 16; i++) {
-    const byte = hash[i];
-    result += alphabet[byte % 32];
+  const bytes = seed === undefined
+    ? crypto.randomBytes(15)
+    : crypto.createHash('sha256').update(String(seed)).digest();
+
+  // 256 é múltiplo de 32, então o módulo não introduz viés
+  let body = '';
+  for (let i = 0; i < 15; i++) {
+    body += CODE16_ALPHABET[bytes[i] % 32];
   }
-  
+
+  const result = body + code16CheckSymbol(body);
+
   // Formata com hífens
   return `${result.slice(0, 4)}-${result.slice(4, 8)}-${result.slice(8, 12)}-${result.slice(12, 16)}`;
 }
 
+/**
+ * Normaliza código digitado pelo usuário: maiúsculas, sem espaços/hífens,
+ * I/L → 1 e O → 0, reformatado como XXXX-XXXX-XXXX-XXXX
+ * @param {string} code - Código informado
+ * @returns {string|null} - Código normalizado ou null se não tiver 16 caracteres
+ */
+function normalizeCode16(code) {
+  if (typeof code !== 'string') return null;
+
+  const compact = code
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0');
+
+  if (compact.length !== 16) return null;
+
+  return `${compact.slice(0, 4)}-${compact.slice(4, 8)}-${compact.slice(8, 12)}-${compact.slice(12, 16)}`;
+}
+
 /**
  * Valida formato do código de 16 caracteres
  * @param {string} code - Código a ser validado
- * @returns {boolean} - True se o formato for válido
+ * @returns {boolean} - True se o formato for válido (códigos antigos, sem dígito verificador, também passam)
  */
 function validateCode16(code) {
-  const pattern = /^[0-9A-HJ-NP-TV-Z]{4}-[0-9A-HJ-NP-TV-Z]{4}-[0-9A-HJ-NP-TV-Z]{4}-[0-9A-HJ-NP-TV-Z]{4}$/;
-  return pattern.test(code);
+  return CODE16_PATTERN.test(code);
+}
+
+/**
+ * Confere o dígito verificador do código
+ * @param {string} code - Código normalizado
+ * @returns {boolean} - True se o último caractere confere com os 15 anteriores
+ */
+function verifyCode16Checksum(code) {
+  if (!validateCode16(code)) return false;
+
+  const compact = code.replace(/-/g, '');
+  return code16CheckSymbol(compact.slice(0, 15)) === compact[15];
+}
+
+/**
+ * Gera segredo aleatório para assinatura de webhooks
+ * @param {number} bytes - Quantidade de bytes aleatórios
+ * @returns {string} - Segredo em hexadecimal com prefixo whsec_
+ */
+function generateSecret(bytes = 32) {
+  return `whsec_${crypto.randomBytes(bytes).toString('hex')}`;
 }
 
 /**
@@ -142,6 +202,9 @@ module.exports = {
   generateHmac,
   verifyHmac,
   generateCode16,
+  normalizeCode16,
   validateCode16,
+  verifyCode16Checksum,
+  generateSecret,
   generateUUID
 };
@@ -0,0 +1,112 @@
+/**
+ * Leitura e escrita de CSV (RFC 4180): campos entre aspas podem conter
+ * separador, quebras de linha e aspas duplicadas ("").
+ */
+
+/**
+ * Converte o texto em linhas de campos
+ * @param {string} text - Conteúdo do arquivo
+ * @param {string} delimiter - Separador de campos
+ * @returns {string[][]}
+ */
+function parseRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Remove BOM de arquivos exportados por planilhas
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignora linhas em branco
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Converte o CSV em objetos usando a primeira linha como cabeçalho
+ * @param {string} text - Conteúdo do arquivo
+ * @param {string} delimiter - Separador de campos
+ * @returns {Array<object>} - Cada objeto traz também _row (posição do registro; o cabeçalho é o 1)
+ */
+function parse(text, delimiter = ',') {
+  const [header, ...rows] = parseRows(text, delimiter);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map((fields, index) => {
+    const record = { _row: index + 2 };
+    columns.forEach((column, position) => {
+      record[column] = (fields[position] || '').trim();
+    });
+    return record;
+  });
+}
+
+function escapeField(value, delimiter) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Gera o CSV com cabeçalho a partir das colunas informadas
+ * @param {string[]} columns - Colunas, na ordem
+ * @param {Array<object>} records - Registros
+ * @param {string} delimiter - Separador de campos
+ * @returns {string}
+ */
+function stringify(columns, records, delimiter = ',') {
+  const lines = [columns.join(delimiter)];
+
+  for (const record of records) {
+    lines.push(columns.map(column => escapeField(record[column], delimiter)).join(delimiter));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseRows,
+  parse,
+  stringify
+};
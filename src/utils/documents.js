@@ -0,0 +1,164 @@
+// CPF: 11 dígitos | CNPJ: 14 caracteres, os 12 primeiros podem ser letras (CNPJ alfanumérico, a partir de 07/2026)
+const CPF_PATTERN = /^[0-9]{11}$/;
+const CNPJ_PATTERN = /^[0-9A-Z]{12}[0-9]{2}$/;
+
+// Pesos do módulo 11 para o primeiro e o segundo dígito verificador
+const CPF_WEIGHTS = [
+  [10, 9, 8, 7, 6, 5, 4, 3, 2],
+  [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]
+];
+const CNPJ_WEIGHTS = [
+  [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2],
+  [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+];
+
+// Verificação que falhou → complemento da mensagem de erro
+const CHECK_MESSAGES = {
+  required: 'não informado',
+  characters: 'contém caracteres inválidos',
+  length: 'deve ter 11 dígitos (CPF) ou 14 caracteres (CNPJ)',
+  repeated_digits: 'não pode ter todos os dígitos iguais',
+  first_check_digit: 'primeiro dígito verificador não confere',
+  second_check_digit: 'segundo dígito verificador não confere'
+};
+
+const LABELS = { cpf: 'CPF', cnpj: 'CNPJ' };
+
+/**
+ * Normaliza CPF/CNPJ: maiúsculas, sem pontos, barra, hífen ou espaços
+ * @param {string} value - Documento em qualquer formato (123.456.789-09, 12.ABC.345/01DE-35...)
+ * @returns {string|null} - Documento compacto (não necessariamente válido), ou null se vazio
+ */
+function normalizeDocument(value) {
+  if (value === undefined || value === null) return null;
+
+  const compact = String(value).toUpperCase().replace(/[\s./-]/g, '');
+  return compact || null;
+}
+
+/**
+ * Identifica o tipo do documento já normalizado
+ * @param {string} document - Documento sem separadores
+ * @returns {'cpf'|'cnpj'|null} - Tipo do documento
+ */
+function documentType(document) {
+  if (CPF_PATTERN.test(document)) return 'cpf';
+  if (CNPJ_PATTERN.test(document)) return 'cnpj';
+  return null;
+}
+
+/**
+ * Dígito verificador pelo módulo 11 (letras valem o código ASCII menos 48, como no CNPJ alfanumérico)
+ */
+function checkDigit(document, weights) {
+  const sum = weights.reduce((total, weight, index) => total + (document.charCodeAt(index) - 48) * weight, 0);
+  const remainder = sum % 11;
+  return remainder < 2 ? 0 : 11 - remainder;
+}
+
+/**
+ * Valida CPF ou CNPJ e informa qual verificação falhou
+ * @param {string} value - Documento em qualquer formato
+ * @param {'cpf'|'cnpj'} [expectedType] - Exige um tipo específico
+ * @returns {{valid: boolean, type: string|null, document: string|null, check: string|null, message: string|null}}
+ */
+function validateDocument(value, expectedType = null) {
+  const document = normalizeDocument(value);
+  let type = expectedType;
+
+  const fail = (check) => {
+    const label = LABELS[type] || 'Documento';
+    const detail = check === 'length' && type
+      ? `deve ter ${type === 'cpf' ? '11 dígitos' : '14 caracteres'}`
+      : CHECK_MESSAGES[check];
+
+    return { valid: false, type, document, check, message: `${label} inválido: ${detail}` };
+  };
+
+  if (!document) return fail('required');
+  if (/[^0-9A-Z]/.test(document)) return fail('characters');
+
+  if (!type) {
+    type = document.length === 11 ? 'cpf' : document.length === 14 ? 'cnpj' : null;
+  }
+
+  const expectedLength = type === 'cpf' ? 11 : 14;
+  if (!type || document.length !== expectedLength) return fail('length');
+
+  // CPF só tem dígitos; no CNPJ alfanumérico os dígitos verificadores continuam numéricos
+  if (!(type === 'cpf' ? CPF_PATTERN : CNPJ_PATTERN).test(document)) return fail('characters');
+
+  if (/^(.)\1+$/.test(document)) return fail('repeated_digits');
+
+  const [firstWeights, secondWeights] = type === 'cpf' ? CPF_WEIGHTS : CNPJ_WEIGHTS;
+  const base = firstWeights.length;
+
+  if (checkDigit(document, firstWeights) !== Number(document[base])) return fail('first_check_digit');
+  if (checkDigit(document, secondWeights) !== Number(document[base + 1])) return fail('second_check_digit');
+
+  return { valid: true, type, document, check: null, message: null };
+}
+
+/**
+ * Verifica se o CPF é válido
+ * @param {string} value - CPF em qualquer formato
+ * @returns {boolean}
+ */
+function isValidCPF(value) {
+  return validateDocument(value, 'cpf').valid;
+}
+
+/**
+ * Verifica se o CNPJ (numérico ou alfanumérico) é válido
+ * @param {string} value - CNPJ em qualquer formato
+ * @returns {boolean}
+ */
+function isValidCNPJ(value) {
+  return validateDocument(value, 'cnpj').valid;
+}
+
+/**
+ * Formata CPF (XXX.XXX.XXX-XX) ou CNPJ (XX.XXX.XXX/XXXX-XX)
+ * @param {string} value - Documento em qualquer formato
+ * @returns {string|null} - Documento formatado, ou null se o formato não for reconhecido
+ */
+function formatDocument(value) {
+  const document = normalizeDocument(value);
+  const type = document ? documentType(document) : null;
+
+  if (type === 'cpf') {
+    return document.replace(/^(.{3})(.{3})(.{3})(.{2})$/, '$1.$2.$3-$4');
+  }
+
+  if (type === 'cnpj') {
+    return document.replace(/^(.{2})(.{3})(.{3})(.{4})(.{2})$/, '$1.$2.$3/$4-$5');
+  }
+
+  return null;
+}
+
+/**
+ * Mascara o documento para exibição e logs: ***.456.789-** ou **.345.678/****-**
+ * @param {string} value - Documento em qualquer formato
+ * @returns {string|null} - Documento mascarado, ou null se o formato não for reconhecido
+ */
+function maskDocument(value) {
+  const formatted = formatDocument(value);
+  if (!formatted) return null;
+
+  if (formatted.length === 14) {
+    return `***${formatted.slice(3, 11)}-**`;
+  }
+
+  return `**${formatted.slice(2, 10)}/****-**`;
+}
+
+module.exports = {
+  normalizeDocument,
+  documentType,
+  validateDocument,
+  isValidCPF,
+  isValidCNPJ,
+  formatDocument,
+  maskDocument
+};
@@ -0,0 +1,37 @@
+/**
+ * Erro de domínio com código e status HTTP para resposta da API
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Mensagem de erro
+   * @param {object} options - Código do erro, status HTTP e detalhes adicionais
+   */
+  constructor(message, { code = 'internal_error', status = 500, details } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * Formata o erro no envelope padrão da API
+   * @returns {object} - Corpo da resposta de erro
+   */
+  toResponse() {
+    const error = {
+      code: this.code,
+      message: this.message
+    };
+
+    if (this.details !== undefined) {
+      error.details = this.details;
+    }
+
+    return { error };
+  }
+}
+
+module.exports = {
+  AppError
+};
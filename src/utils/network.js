@@ -0,0 +1,90 @@
+const dns = require('dns');
+const net = require('net');
+
+// Endereços que não podem receber requisições de parceiros: loopback, redes privadas,
+// link-local (metadados de nuvem), CGNAT, multicast e faixas reservadas
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Verifica se o endereço IP é roteável publicamente
+ * @param {string} address - IPv4 ou IPv6
+ * @returns {boolean} - false para endereços privados, locais ou inválidos
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  // IPv4 mapeado em IPv6 (::ffff:127.0.0.1 ou ::ffff:7f00:1)
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return isPublicAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve o host da URL e retorna o primeiro endereço não público, ou null se todos forem públicos
+ * @param {string} url - URL http(s)
+ * @returns {Promise<string|null>} - Endereço bloqueado encontrado
+ */
+async function findBlockedAddress(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+
+  return addresses.find(address => !isPublicAddress(address)) || null;
+}
+
+/**
+ * dns.lookup que recusa endereços não públicos, para uso em http.Agent.
+ * Valida o endereço usado na conexão, o que impede a troca do DNS após a validação da URL.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(candidate => !isPublicAddress(candidate));
+    if (blocked) {
+      const blockedError = new Error(`Endereço não público bloqueado: ${hostname} (${blocked})`);
+      blockedError.code = 'EBLOCKEDADDRESS';
+      return callback(blockedError);
+    }
+
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  findBlockedAddress,
+  publicLookup
+};
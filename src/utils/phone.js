@@ -0,0 +1,80 @@
+/**
+ * Remove tudo que não for dígito do telefone
+ * @param {string} phone - Telefone em qualquer formato (+55 (11) 99999-9999, 5511999999999...)
+ * @returns {string|null} - Apenas dígitos, ou null se vazio
+ */
+function normalizePhone(phone) {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length > 0 ? digits : null;
+}
+
+/**
+ * Forma canônica de celular brasileiro com o nono dígito.
+ * O WhatsApp às vezes informa números antigos sem o 9 (55 + DDD + 8 dígitos).
+ * @param {string} phone - Telefone em qualquer formato
+ * @returns {string|null} - Dígitos no formato 55DDD9NNNNNNNN quando aplicável
+ */
+function canonicalPhone(phone) {
+  const digits = normalizePhone(phone);
+  if (!digits) return null;
+
+  if (digits.length === 12 && digits.startsWith('55') && /[6-9]/.test(digits[4])) {
+    return `${digits.slice(0, 4)}9${digits.slice(4)}`;
+  }
+
+  return digits;
+}
+
+/**
+ * Forma canônica com o código do país: números nacionais (DDD + 8 ou 9 dígitos) recebem o 55.
+ * Usada nas comparações, já que o WhatsApp sempre informa o número com o 55.
+ * @param {string} phone - Telefone em qualquer formato
+ * @returns {string|null} - Dígitos no formato 55DDD9NNNNNNNN quando aplicável
+ */
+function internationalPhone(phone) {
+  const digits = normalizePhone(phone);
+  if (!digits) return null;
+
+  return canonicalPhone(digits.length === 10 || digits.length === 11 ? `55${digits}` : digits);
+}
+
+/**
+ * Verifica se dois telefones representam o mesmo contato (com/sem 55, com/sem o nono dígito)
+ * @param {string} a - Primeiro telefone
+ * @param {string} b - Segundo telefone
+ * @returns {boolean} - True se forem o mesmo número
+ */
+function samePhone(a, b) {
+  const first = internationalPhone(a);
+  return first !== null && first === internationalPhone(b);
+}
+
+/**
+ * Formas em que o mesmo celular costuma ser cadastrado (com/sem 55, com/sem o nono dígito)
+ * @param {string} phone - Telefone em qualquer formato
+ * @returns {string[]} - Variações apenas com dígitos, para busca exata no banco
+ */
+function phoneVariants(phone) {
+  const canonical = canonicalPhone(phone);
+  if (!canonical) return [];
+
+  const variants = [canonical];
+
+  if (canonical.length === 13 && canonical.startsWith('55')) {
+    const national = canonical.slice(2);
+    const withoutNinth = `${national.slice(0, 2)}${national.slice(3)}`;
+    variants.push(national, `55${withoutNinth}`, withoutNinth);
+  }
+
+  return variants;
+}
+
+module.exports = {
+  normalizePhone,
+  canonicalPhone,
+  internationalPhone,
+  samePhone,
+  phoneVariants
+};
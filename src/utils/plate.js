@@ -0,0 +1,72 @@
+// Antigo: ABC1234 | Mercosul: ABC1D23 (o 5º caractere vira letra)
+const LEGACY_PATTERN = /^[A-Z]{3}[0-9]{4}$/;
+const MERCOSUL_PATTERN = /^[A-Z]{3}[0-9][A-Z][0-9]{2}$/;
+
+// Conversão oficial do 5º caractere: 0→A, 1→B, ..., 9→J
+const MERCOSUL_LETTERS = 'ABCDEFGHIJ';
+
+/**
+ * Normaliza placa: maiúsculas, sem hífen, espaços ou pontos
+ * @param {string} plate - Placa em qualquer formato (abc-1234, ABC 1D23...)
+ * @returns {string|null} - Placa no formato ABC1234 ou ABC1D23, ou null se inválida
+ */
+function normalizePlate(plate) {
+  if (!plate) return null;
+
+  const compact = String(plate).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return plateFormat(compact) ? compact : null;
+}
+
+/**
+ * Identifica o padrão da placa já normalizada
+ * @param {string} plate - Placa sem separadores
+ * @returns {'legacy'|'mercosul'|null} - Padrão da placa
+ */
+function plateFormat(plate) {
+  if (LEGACY_PATTERN.test(plate)) return 'legacy';
+  if (MERCOSUL_PATTERN.test(plate)) return 'mercosul';
+  return null;
+}
+
+/**
+ * Verifica se a placa é válida em algum dos padrões brasileiros
+ * @param {string} plate - Placa em qualquer formato
+ * @returns {boolean} - True se for antiga ou Mercosul
+ */
+function isValidPlate(plate) {
+  return normalizePlate(plate) !== null;
+}
+
+/**
+ * Chave de comparação: a forma Mercosul da placa.
+ * ABC1234 e ABC1C34 são o mesmo veículo e geram a mesma chave.
+ * @param {string} plate - Placa em qualquer formato
+ * @returns {string|null} - Placa no padrão Mercosul, ou null se inválida
+ */
+function plateKey(plate) {
+  const normalized = normalizePlate(plate);
+  if (!normalized) return null;
+
+  if (plateFormat(normalized) === 'mercosul') return normalized;
+
+  return `${normalized.slice(0, 4)}${MERCOSUL_LETTERS[Number(normalized[4])]}${normalized.slice(5)}`;
+}
+
+/**
+ * Verifica se duas placas representam o mesmo veículo
+ * @param {string} a - Primeira placa
+ * @param {string} b - Segunda placa
+ * @returns {boolean} - True se forem a mesma placa (antiga ou convertida)
+ */
+function samePlate(a, b) {
+  const first = plateKey(a);
+  return first !== null && first === plateKey(b);
+}
+
+module.exports = {
+  normalizePlate,
+  plateFormat,
+  isValidPlate,
+  plateKey,
+  samePlate
+};
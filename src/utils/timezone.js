@@ -0,0 +1,171 @@
+// Dias da semana na ordem de Date.getUTCDay(), como as chaves de workshops.working_hours
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const formatters = new Map();
+
+/**
+ * Formatter Intl reaproveitado por fuso (criar um a cada chamada é caro)
+ */
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Verifica se o fuso horário IANA é reconhecido (ex.: America/Sao_Paulo)
+ * @param {string} timeZone - Nome do fuso
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Verifica se a data está no formato YYYY-MM-DD e existe no calendário
+ * @param {string} date - Data local
+ * @returns {boolean}
+ */
+function isValidDate(date) {
+  if (!DATE_PATTERN.test(date || '')) return false;
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Verifica se o horário está no formato HH:MM (00:00 a 23:59)
+ * @param {string} time - Horário local
+ * @returns {boolean}
+ */
+function isValidTime(time) {
+  return TIME_PATTERN.test(time || '');
+}
+
+/**
+ * Converte HH:MM em minutos desde a meia-noite
+ * @param {string} time - Horário HH:MM
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Converte minutos desde a meia-noite em HH:MM
+ * @param {number} minutes - Minutos
+ * @returns {string}
+ */
+function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Dia da semana de uma data local
+ * @param {string} date - Data YYYY-MM-DD
+ * @returns {string} - sunday, monday, ...
+ */
+function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Data, hora e dia da semana de um instante no fuso informado
+ * @param {Date|string} instant - Instante (Date ou ISO 8601)
+ * @param {string} timeZone - Fuso IANA
+ * @returns {{date: string, time: string, weekday: string, minutes: number}}
+ */
+function zonedParts(instant, timeZone) {
+  const parts = {};
+  for (const part of formatterFor(timeZone).formatToParts(new Date(instant))) {
+    parts[part.type] = part.value;
+  }
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const time = `${parts.hour}:${parts.minute}`;
+
+  return {
+    date,
+    time,
+    weekday: weekdayOf(date),
+    minutes: timeToMinutes(time)
+  };
+}
+
+/**
+ * Diferença (ms) entre o horário local do fuso e UTC no instante informado
+ */
+function offsetAt(instant, timeZone) {
+  const parts = {};
+  for (const part of formatterFor(timeZone).formatToParts(instant)) {
+    parts[part.type] = part.value;
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instante UTC correspondente a uma data e hora locais do fuso
+ * @param {string} date - Data YYYY-MM-DD
+ * @param {string} time - Horário HH:MM
+ * @param {string} timeZone - Fuso IANA
+ * @returns {Date}
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Segunda passada corrige a troca de offset (horário de verão) entre o palpite e o resultado
+  let result = new Date(wallClock - offsetAt(new Date(wallClock), timeZone));
+  result = new Date(wallClock - offsetAt(result, timeZone));
+
+  return result;
+}
+
+/**
+ * Soma dias a uma data local
+ * @param {string} date - Data YYYY-MM-DD
+ * @param {number} days - Dias (pode ser negativo)
+ * @returns {string} - Data YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T12:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimeZone,
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  weekdayOf,
+  zonedParts,
+  zonedTimeToUtc,
+  addDays
+};
@@ -0,0 +1,37 @@
+const { Worker } = require('bullmq');
+const { connection, QUEUES } = require('../config/queue');
+const ErpSyncService = require('../services/ErpSyncService');
+const logger = require('../utils/logger');
+
+// Execuções de oficinas diferentes podem rodar em paralelo; a mesma oficina tem no máximo uma ativa
+const CONCURRENCY = parseInt(process.env.ERP_SYNC_WORKER_CONCURRENCY) || 1;
+
+/**
+ * Inicia o worker que processa as sincronizações da fila erp:sync
+ */
+function startErpSyncWorker() {
+  const worker = new Worker(
+    QUEUES.ERP_SYNC,
+    job => ErpSyncService.process(job),
+    { connection, concurrency: CONCURRENCY }
+  );
+
+  worker.on('failed', (job, error) => {
+    logger.warn('Sincronização com ERP falhou', {
+      run_id: job?.data?.run_id,
+      workshop_id: job?.data?.workshop_id,
+      tenant_id: job?.data?.tenant_id,
+      error: error.message
+    });
+  });
+
+  worker.on('error', (error) => {
+    logger.error('Erro no worker de sincronização com ERP', { error: error.message });
+  });
+
+  return worker;
+}
+
+module.exports = {
+  startErpSyncWorker
+};
@@ -0,0 +1,39 @@
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const { startWebhookDeliveryWorker } = require('./webhookDelivery');
+const { startWhatsAppSendWorker } = require('./whatsappSend');
+const { startMaintenanceReminderJob } = require('./maintenanceReminders');
+const { startErpSyncWorker } = require('./erpSync');
+const { registerSubscribers } = require('../services/subscribers');
+
+// Assinantes de eventos de domínio, os mesmos da API
+registerSubscribers();
+
+// Processo separado da API para consumir as filas do BullMQ
+const workers = [
+  startWebhookDeliveryWorker(),
+  startWhatsAppSendWorker(),
+  startMaintenanceReminderJob(),
+  startErpSyncWorker()
+];
+
+logger.info('Workers iniciados', { queues: workers.map(worker => worker.name) });
+
+// Graceful shutdown: aguarda os jobs em andamento
+const shutdown = async (signal) => {
+  logger.info(`${signal} recebido, encerrando workers...`);
+  await Promise.allSettled(workers.map(worker => worker.close()));
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+process.on('unhandledRejection', (reason) => {
+  logger.error('Promise rejeitada não tratada', {
+    reason: reason?.message || reason,
+    stack: reason?.stack
+  });
+  process.exit(1);
+});
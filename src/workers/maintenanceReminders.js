@@ -0,0 +1,32 @@
+const cron = require('node-cron');
+const MaintenanceService = require('../services/MaintenanceService');
+const logger = require('../utils/logger');
+
+// Padrão: todos os dias às 9h no horário de Brasília
+const SCHEDULE = process.env.MAINTENANCE_REMINDER_CRON || '0 9 * * *';
+const TIMEZONE = process.env.MAINTENANCE_REMINDER_TIMEZONE || 'America/Sao_Paulo';
+
+/**
+ * Agenda o job diário de lembretes de manutenção preventiva
+ */
+function startMaintenanceReminderJob() {
+  const task = cron.schedule(SCHEDULE, async () => {
+    try {
+      await MaintenanceService.runReminders();
+    } catch (error) {
+      logger.error('Erro na rodada de lembretes de manutenção', { error: error.message });
+    }
+  }, { timezone: TIMEZONE });
+
+  logger.info('Job de lembretes de manutenção agendado', { schedule: SCHEDULE, timezone: TIMEZONE });
+
+  // Mesma interface dos workers do BullMQ usada no shutdown
+  return {
+    name: 'maintenance:reminders',
+    close: async () => task.stop()
+  };
+}
+
+module.exports = {
+  startMaintenanceReminderJob
+};
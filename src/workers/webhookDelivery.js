@@ -0,0 +1,36 @@
+const { Worker } = require('bullmq');
+const { connection, QUEUES } = require('../config/queue');
+const WebhookService = require('../services/WebhookService');
+const logger = require('../utils/logger');
+
+const CONCURRENCY = parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 10;
+
+/**
+ * Inicia o worker de entrega de webhooks de parceiros
+ */
+function startWebhookDeliveryWorker() {
+  const worker = new Worker(
+    QUEUES.WEBHOOK_DELIVERY,
+    job => WebhookService.deliver(job),
+    { connection, concurrency: CONCURRENCY }
+  );
+
+  worker.on('failed', (job, error) => {
+    logger.warn('Tentativa de entrega de webhook falhou', {
+      webhook_id: job?.data?.webhook_id,
+      event_id: job?.data?.event_id,
+      attempts_made: job?.attemptsMade,
+      error: error.message
+    });
+  });
+
+  worker.on('error', (error) => {
+    logger.error('Erro no worker de webhooks', { error: error.message });
+  });
+
+  return worker;
+}
+
+module.exports = {
+  startWebhookDeliveryWorker
+};
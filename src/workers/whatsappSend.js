@@ -0,0 +1,44 @@
+const { Worker } = require('bullmq');
+const { connection, QUEUES } = require('../config/queue');
+const WhatsAppService = require('../services/WhatsAppService');
+const logger = require('../utils/logger');
+
+const CONCURRENCY = parseInt(process.env.WHATSAPP_WORKER_CONCURRENCY) || 5;
+
+/**
+ * Inicia o worker que envia as mensagens da fila wa:send
+ */
+function startWhatsAppSendWorker() {
+  const worker = new Worker(
+    QUEUES.WHATSAPP_SEND,
+    job => WhatsAppService.processQueuedMessage(job),
+    { connection, concurrency: CONCURRENCY }
+  );
+
+  worker.on('completed', (job, result) => {
+    logger.info('Mensagem da fila enviada', {
+      queue_id: job.data.queue_id,
+      message_id: result?.message_id,
+      tenant_id: job.data.metadata?.tenant_id
+    });
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.warn('Tentativa de envio de mensagem da fila falhou', {
+      queue_id: job?.data?.queue_id,
+      tenant_id: job?.data?.metadata?.tenant_id,
+      attempts_made: job?.attemptsMade,
+      error: error.message
+    });
+  });
+
+  worker.on('error', (error) => {
+    logger.error('Erro no worker de envio WhatsApp', { error: error.message });
+  });
+
+  return worker;
+}
+
+module.exports = {
+  startWhatsAppSendWorker
+};
@@ -88,8 +88,25 @@ const options = {
             },
             code16: {
               type: 'string',
-              maxLength: 16,
-              description: 'Código de 16 caracteres do veículo'
+              description: 'Código de 16 caracteres do veículo (o último é dígito verificador)',
+              example: 'ABCD-EFGH-JKMN-PQRV'
+            },
+            code16_revoked_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Data de revogação do code16 (bloqueia o acompanhamento público)'
+            },
+            erp_id: {
+              type: 'string',
+              nullable: true,
+              description: 'ID do veículo no ERP da oficina'
+            },
+            customer_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Cliente proprietário do veículo'
             },
             brand: {
               type: 'string',
@@ -535,6 +552,17 @@ const options = {
               format: 'uuid',
               description: 'ID da oficina onde o serviço será realizado'
             },
+            assigned_to: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Mecânico responsável pela ordem'
+            },
+            erp_id: {
+              type: 'string',
+              nullable: true,
+              description: 'ID da ordem no ERP da oficina'
+            },
             vehicle_id: {
               type: 'string',
               format: 'uuid',
@@ -567,6 +595,13 @@ const options = {
               minimum: 0,
               description: 'Valor total do serviço'
             },
+            items: {
+              type: 'array',
+              description: 'Itens do orçamento (peças, mão de obra, taxas e descontos)',
+              items: {
+                $ref: '#/components/schemas/OrderItem'
+              }
+            },
             created_at: {
               type: 'string',
               format: 'date-time',
@@ -579,32 +614,1854 @@ const options = {
             }
           }
         },
-        User: {
+        OrderItemInput: {
+          type: 'object',
+          description: 'type, description e unit_price são obrigatórios, exceto com part_id (vêm da peça quando omitidos)',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['part', 'labor', 'fee', 'discount'],
+              description: 'Tipo do item'
+            },
+            description: {
+              type: 'string',
+              description: 'Descrição do item',
+              example: 'Filtro de óleo'
+            },
+            quantity: {
+              type: 'number',
+              minimum: 0.001,
+              default: 1,
+              description: 'Quantidade (ou horas para mão de obra)'
+            },
+            unit_price: {
+              type: 'number',
+              minimum: 0,
+              description: 'Preço unitário sem impostos',
+              example: 45.9
+            },
+            tax_rate: {
+              type: 'number',
+              minimum: 0,
+              maximum: 100,
+              default: 0,
+              description: 'Alíquota de imposto em percentual'
+            },
+            position: {
+              type: 'integer',
+              description: 'Ordem de exibição no orçamento'
+            },
+            assigned_to: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Mecânico responsável pelo item'
+            },
+            part_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Peça do catálogo (somente itens do tipo part); reservada no estoque da oficina na aprovação e baixada na conclusão'
+            }
+          }
+        },
+        OrderItem: {
           type: 'object',
           properties: {
             id: {
               type: 'string',
               format: 'uuid',
-              description: 'ID único do usuário'
+              description: 'ID único do item'
+            },
+            order_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da ordem de serviço'
+            },
+            type: {
+              type: 'string',
+              enum: ['part', 'labor', 'fee', 'discount'],
+              description: 'Tipo do item'
+            },
+            description: {
+              type: 'string',
+              description: 'Descrição do item'
+            },
+            quantity: {
+              type: 'number',
+              description: 'Quantidade'
+            },
+            unit_price: {
+              type: 'number',
+              description: 'Preço unitário sem impostos'
+            },
+            tax_rate: {
+              type: 'number',
+              description: 'Alíquota de imposto em percentual'
+            },
+            total_amount: {
+              type: 'number',
+              description: 'Total do item com impostos (negativo para descontos)'
+            },
+            position: {
+              type: 'integer',
+              description: 'Ordem de exibição no orçamento'
+            },
+            assigned_to: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Mecânico responsável pelo item'
+            },
+            part_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Peça do catálogo (somente itens do tipo part); reservada no estoque da oficina na aprovação e baixada na conclusão'
+            }
+          }
+        },
+        OrderStatusHistory: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do registro'
+            },
+            order_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da ordem de serviço'
+            },
+            from_status: {
+              type: 'string',
+              nullable: true,
+              description: 'Status anterior (nulo na criação)'
+            },
+            to_status: {
+              type: 'string',
+              enum: ['awaiting_approval', 'approved', 'in_progress', 'completed', 'cancelled'],
+              description: 'Novo status'
+            },
+            actor: {
+              type: 'object',
+              properties: {
+                type: {
+                  type: 'string',
+                  enum: ['user', 'customer', 'system']
+                },
+                id: {
+                  type: 'string'
+                }
+              },
+              description: 'Quem realizou a transição'
+            },
+            reason: {
+              type: 'string',
+              description: 'Motivo da transição'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da transição'
+            }
+          }
+        },
+        Webhook: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do webhook'
+            },
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'URL que recebe os eventos'
+            },
+            events: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Eventos assinados'
+            },
+            active: {
+              type: 'boolean',
+              description: 'Se a assinatura está ativa (false = pausada ou desativada por falhas)'
+            },
+            consecutive_failures: {
+              type: 'integer',
+              description: 'Entregas que esgotaram as tentativas desde o último sucesso'
+            },
+            disabled_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Quando foi desativado automaticamente'
+            },
+            disabled_reason: {
+              type: 'string',
+              nullable: true,
+              description: 'Motivo da desativação automática'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de criação'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da última atualização'
+            }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da tentativa'
+            },
+            webhook_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do webhook'
+            },
+            event_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do evento (igual em todas as tentativas)'
+            },
+            event: {
+              type: 'string',
+              description: 'Evento entregue'
+            },
+            payload: {
+              type: 'object',
+              description: 'Evento enviado'
+            },
+            attempt: {
+              type: 'integer',
+              description: 'Número da tentativa'
+            },
+            status: {
+              type: 'string',
+              enum: ['success', 'failed'],
+              description: 'Resultado da tentativa'
+            },
+            status_code: {
+              type: 'integer',
+              nullable: true,
+              description: 'Status HTTP retornado pelo parceiro'
+            },
+            latency_ms: {
+              type: 'integer',
+              description: 'Tempo de resposta em milissegundos'
+            },
+            response_snippet: {
+              type: 'string',
+              nullable: true,
+              description: 'Início do corpo da resposta'
+            },
+            error: {
+              type: 'string',
+              nullable: true,
+              description: 'Erro da tentativa'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da tentativa'
+            }
+          }
+        },
+        WhatsAppAccount: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da conta'
             },
             tenant_id: {
               type: 'string',
               format: 'uuid',
               description: 'ID do tenant'
             },
-            email: {
+            phone_number_id: {
               type: 'string',
-              format: 'email',
-              description: 'Email do usuário'
+              description: 'Phone Number ID da Meta'
+            },
+            business_account_id: {
+              type: 'string',
+              description: 'WhatsApp Business Account ID'
+            },
+            display_phone_number: {
+              type: 'string',
+              description: 'Número exibido aos clientes'
+            },
+            has_access_token: {
+              type: 'boolean',
+              description: 'Se há token de acesso cadastrado (o token nunca é retornado)'
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'inactive'],
+              description: 'Status da conta'
             },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de criação'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da última atualização'
+            }
+          }
+        },
+        TemplateInput: {
+          type: 'object',
+          required: ['name', 'body'],
+          properties: {
             name: {
               type: 'string',
-              description: 'Nome completo do usuário'
+              description: 'Nome do template na Meta (letras minúsculas, números e _)',
+              example: 'orcamento_pronto'
             },
-            role: {
+            category: {
               type: 'string',
-              enum: ['admin', 'manager', 'user', 'viewer'],
-              description: 'Papel do usuário no sistema'
+              enum: ['utility', 'marketing', 'authentication'],
+              default: 'utility',
+              description: 'Categoria do template'
+            },
+            language: {
+              type: 'string',
+              default: 'pt_BR',
+              description: 'Idioma do template'
+            },
+            header: {
+              type: 'string',
+              nullable: true,
+              description: 'Texto do cabeçalho (pode conter {{1}})'
+            },
+            body: {
+              type: 'string',
+              description: 'Corpo do template com placeholders {{1}}, {{2}}...',
+              example: 'Olá {{1}}, o orçamento do seu {{2}} está pronto.'
+            },
+            footer: {
+              type: 'string',
+              nullable: true,
+              description: 'Rodapé do template'
+            },
+            buttons: {
+              type: 'array',
+              nullable: true,
+              items: {
+                type: 'object'
+              },
+              description: 'Botões do template'
+            },
+            parameters: {
+              type: 'object',
+              description: 'Definição dos placeholders por componente',
+              properties: {
+                header: {
+                  type: 'object',
+                  properties: {
+                    type: {
+                      type: 'string',
+                      enum: ['text', 'image', 'document', 'video']
+                    },
+                    name: {
+                      type: 'string'
+                    }
+                  }
+                },
+                body: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: {
+                        type: 'string'
+                      },
+                      example: {
+                        type: 'string'
+                      }
+                    }
+                  },
+                  description: 'Um item por placeholder do corpo, na ordem {{1}}, {{2}}...'
+                },
+                buttons: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      index: {
+                        type: 'integer',
+                        description: 'Posição do botão no template'
+                      },
+                      sub_type: {
+                        type: 'string',
+                        enum: ['url', 'quick_reply']
+                      },
+                      name: {
+                        type: 'string'
+                      }
+                    }
+                  }
+                }
+              },
+              example: {
+                body: [{ name: 'cliente' }, { name: 'veiculo' }]
+              }
+            }
+          }
+        },
+        Template: {
+          allOf: [
+            { $ref: '#/components/schemas/TemplateInput' },
+            {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  format: 'uuid',
+                  description: 'ID do template'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['pending', 'approved', 'rejected'],
+                  description: 'Status de aprovação (só templates approved podem ser enviados)'
+                },
+                rejection_reason: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Motivo da rejeição'
+                },
+                created_at: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'Data de criação'
+                },
+                updated_at: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'Data da última atualização'
+                }
+              }
+            }
+          ]
+        },
+        Conversation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da conversa'
+            },
+            contact_phone: {
+              type: 'string',
+              description: 'Telefone do contato (apenas dígitos)',
+              example: '5511999999999'
+            },
+            contact_name: {
+              type: 'string',
+              nullable: true,
+              description: 'Nome do perfil do WhatsApp'
+            },
+            assigned_user_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Usuário responsável pelo atendimento'
+            },
+            unread_count: {
+              type: 'integer',
+              description: 'Mensagens recebidas desde a última leitura'
+            },
+            last_message_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da última mensagem'
+            },
+            last_inbound_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Última mensagem recebida do contato (início da janela de atendimento de 24h)'
+            },
+            last_read_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Quando a conversa foi marcada como lida'
+            },
+            last_message: {
+              type: 'object',
+              description: 'Última mensagem da conversa',
+              properties: {
+                id: {
+                  type: 'string',
+                  format: 'uuid'
+                },
+                direction: {
+                  type: 'string',
+                  enum: ['inbound', 'outbound']
+                },
+                state: {
+                  type: 'string'
+                },
+                preview: {
+                  type: 'string',
+                  description: 'Texto resumido da mensagem'
+                },
+                created_at: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de criação'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da última atualização'
+            }
+          }
+        },
+        NotificationRule: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da regra'
+            },
+            event: {
+              type: 'string',
+              enum: ['order.created', 'order.approved', 'order.started', 'order.completed', 'order.cancelled'],
+              description: 'Evento da ordem que dispara a notificação'
+            },
+            template_name: {
+              type: 'string',
+              description: 'Template enviado ao proprietário do veículo'
+            },
+            template_language: {
+              type: 'string',
+              description: 'Idioma do template'
+            },
+            variables: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['owner_name', 'plate', 'code16', 'workshop_name', 'estimate_amount']
+              },
+              description: 'Variáveis que preenchem o corpo do template, na ordem {{1}}, {{2}}...'
+            },
+            active: {
+              type: 'boolean',
+              description: 'Se a regra está ativa'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de criação'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da última atualização'
+            }
+          }
+        },
+        NotificationLog: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do registro'
+            },
+            order_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da ordem'
+            },
+            rule_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Regra que disparou a notificação'
+            },
+            event: {
+              type: 'string',
+              description: 'Evento da ordem'
+            },
+            contact_phone: {
+              type: 'string',
+              nullable: true,
+              description: 'Telefone notificado'
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'skipped', 'failed'],
+              description: 'Resultado da notificação'
+            },
+            message_id: {
+              type: 'string',
+              nullable: true,
+              description: 'ID da mensagem enfileirada'
+            },
+            reason: {
+              type: 'string',
+              nullable: true,
+              description: 'Motivo (missing_owner_phone, opted_out, template_not_approved...)'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data do disparo'
+            }
+          }
+        },
+        ContactOptOut: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do opt-out'
+            },
+            phone: {
+              type: 'string',
+              description: 'Telefone do contato (apenas dígitos)'
+            },
+            source: {
+              type: 'string',
+              enum: ['api', 'whatsapp'],
+              description: 'Origem do pedido'
+            },
+            reason: {
+              type: 'string',
+              nullable: true,
+              description: 'Motivo ou palavra-chave enviada'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data do opt-out'
+            }
+          }
+        },
+        PublicTracking: {
+          type: 'object',
+          description: 'Visão pública do veículo, sem dados do proprietário',
+          properties: {
+            code16: {
+              type: 'string',
+              description: 'Código do veículo consultado'
+            },
+            vehicle: {
+              type: 'object',
+              properties: {
+                plate: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Placa mascarada (ex.: ABC***3)'
+                },
+                brand: {
+                  type: 'string',
+                  nullable: true
+                },
+                model: {
+                  type: 'string',
+                  nullable: true
+                },
+                year: {
+                  type: 'integer',
+                  nullable: true
+                },
+                color: {
+                  type: 'string',
+                  nullable: true
+                }
+              }
+            },
+            workshop: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                name: {
+                  type: 'string'
+                },
+                phone: {
+                  type: 'string',
+                  nullable: true
+                }
+              }
+            },
+            order: {
+              type: 'object',
+              nullable: true,
+              description: 'Ordem mais recente do veículo',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['awaiting_approval', 'approved', 'in_progress', 'completed', 'cancelled']
+                },
+                status_label: {
+                  type: 'string',
+                  example: 'Em andamento'
+                },
+                estimate_amount: {
+                  type: 'number',
+                  format: 'float'
+                },
+                items: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      description: {
+                        type: 'string'
+                      },
+                      quantity: {
+                        type: 'number'
+                      },
+                      total_amount: {
+                        type: 'number',
+                        format: 'float'
+                      }
+                    }
+                  }
+                },
+                timeline: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      status: {
+                        type: 'string'
+                      },
+                      status_label: {
+                        type: 'string'
+                      },
+                      at: {
+                        type: 'string',
+                        format: 'date-time'
+                      }
+                    }
+                  }
+                },
+                created_at: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                updated_at: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            media: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'string',
+                    format: 'uuid'
+                  },
+                  thumbnail_url: {
+                    type: 'string',
+                    example: '/v1/tracking/ABCD-EFGH-JKMN-PQRV/media/{id}/thumbnail'
+                  },
+                  created_at: {
+                    type: 'string',
+                    format: 'date-time'
+                  }
+                }
+              }
+            }
+          }
+        },
+        MaintenancePlan: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do plano'
+            },
+            vehicle_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Veículo do plano (nulo para planos por modelo)'
+            },
+            brand: {
+              type: 'string',
+              nullable: true,
+              description: 'Marca dos veículos do plano'
+            },
+            model: {
+              type: 'string',
+              nullable: true,
+              description: 'Modelo dos veículos do plano'
+            },
+            name: {
+              type: 'string',
+              description: 'Nome do serviço'
+            },
+            service_type: {
+              type: 'string',
+              enum: ['oil_change', 'timing_belt', 'brakes', 'tires', 'inspection', 'other'],
+              description: 'Tipo de serviço'
+            },
+            interval_km: {
+              type: 'integer',
+              nullable: true,
+              description: 'Intervalo em quilômetros'
+            },
+            interval_months: {
+              type: 'integer',
+              nullable: true,
+              description: 'Intervalo em meses'
+            },
+            template_name: {
+              type: 'string',
+              description: 'Template do lembrete'
+            },
+            template_language: {
+              type: 'string',
+              description: 'Idioma do template'
+            },
+            variables: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['owner_name', 'plate', 'plan_name', 'current_mileage', 'due_mileage', 'due_date', 'workshop_name']
+              },
+              description: 'Variáveis na ordem dos placeholders do corpo'
+            },
+            active: {
+              type: 'boolean',
+              description: 'Se o plano gera lembretes'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de criação'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da última atualização'
+            }
+          }
+        },
+        VehicleMaintenanceStatus: {
+          type: 'object',
+          properties: {
+            plan: {
+              $ref: '#/components/schemas/MaintenancePlan'
+            },
+            last_service_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Última execução registrada'
+            },
+            last_service_mileage: {
+              type: 'integer',
+              nullable: true,
+              description: 'Quilometragem na última execução'
+            },
+            last_reminded_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Último lembrete enviado'
+            },
+            due: {
+              type: 'boolean',
+              description: 'Se o plano está vencido'
+            },
+            due_reason: {
+              type: 'string',
+              enum: ['mileage', 'time'],
+              nullable: true,
+              description: 'O que venceu primeiro'
+            },
+            current_mileage: {
+              type: 'integer',
+              nullable: true,
+              description: 'Última leitura do hodômetro'
+            },
+            due_mileage: {
+              type: 'integer',
+              nullable: true,
+              description: 'Quilometragem de vencimento'
+            },
+            due_date: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Data de vencimento'
+            }
+          }
+        },
+        OdometerReading: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da leitura'
+            },
+            vehicle_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do veículo'
+            },
+            order_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Ordem em que a leitura foi registrada'
+            },
+            mileage: {
+              type: 'integer',
+              description: 'Quilometragem'
+            },
+            source: {
+              type: 'string',
+              enum: ['order', 'manual'],
+              description: 'Origem da leitura'
+            },
+            recorded_by: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Usuário que registrou'
+            },
+            recorded_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data da leitura'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de criação'
+            }
+          }
+        },
+        Customer: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do cliente'
+            },
+            name: {
+              type: 'string',
+              description: 'Nome do cliente'
+            },
+            erp_id: {
+              type: 'string',
+              nullable: true,
+              description: 'ID do cliente no ERP da oficina'
+            },
+            document: {
+              type: 'string',
+              nullable: true,
+              description: 'CPF ou CNPJ sem pontuação'
+            },
+            document_type: {
+              type: 'string',
+              enum: ['cpf', 'cnpj'],
+              nullable: true,
+              description: 'Tipo do documento'
+            },
+            document_formatted: {
+              type: 'string',
+              nullable: true,
+              description: 'CPF ou CNPJ formatado (mascarado para usuários viewer)'
+            },
+            phones: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Telefones em formato canônico; o primeiro é o principal'
+            },
+            email: {
+              type: 'string',
+              nullable: true,
+              description: 'Email do cliente'
+            },
+            consent_whatsapp: {
+              type: 'boolean',
+              description: 'Aceita mensagens de atendimento pelo WhatsApp'
+            },
+            consent_marketing: {
+              type: 'boolean',
+              description: 'Aceita mensagens de marketing'
+            },
+            consent_updated_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Última alteração dos consentimentos'
+            },
+            notes: {
+              type: 'string',
+              nullable: true,
+              description: 'Observações'
+            },
+            vehicles: {
+              type: 'array',
+              items: {
+                type: 'object'
+              },
+              description: 'Veículos vinculados (apenas na busca por ID)'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de criação'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de atualização'
+            }
+          }
+        },
+        Appointment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do agendamento'
+            },
+            workshop_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Oficina'
+            },
+            vehicle_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Veículo'
+            },
+            plate: {
+              type: 'string',
+              nullable: true,
+              description: 'Placa do veículo'
+            },
+            customer_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Cliente'
+            },
+            contact_phone: {
+              type: 'string',
+              nullable: true,
+              description: 'Telefone de contato'
+            },
+            scheduled_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Início do atendimento'
+            },
+            local_date: {
+              type: 'string',
+              format: 'date',
+              description: 'Data no fuso da oficina'
+            },
+            duration_minutes: {
+              type: 'integer',
+              description: 'Duração prevista'
+            },
+            service_description: {
+              type: 'string',
+              nullable: true,
+              description: 'Serviço solicitado'
+            },
+            notes: {
+              type: 'string',
+              nullable: true,
+              description: 'Observações'
+            },
+            status: {
+              type: 'string',
+              enum: ['scheduled', 'confirmed', 'checked_in', 'cancelled', 'no_show'],
+              description: 'Status do agendamento'
+            },
+            source: {
+              type: 'string',
+              description: 'Origem do agendamento'
+            },
+            order_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Ordem aberta na chegada do veículo'
+            },
+            confirmed_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Data da confirmação'
+            },
+            checked_in_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Data da chegada do veículo'
+            },
+            cancelled_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Data do cancelamento'
+            },
+            cancel_reason: {
+              type: 'string',
+              nullable: true,
+              description: 'Motivo do cancelamento'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de criação'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Data de atualização'
+            }
+          }
+        },
+        WorkshopAvailability: {
+          type: 'object',
+          properties: {
+            workshop_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Oficina'
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+              description: 'Data local'
+            },
+            timezone: {
+              type: 'string',
+              description: 'Fuso horário da oficina'
+            },
+            open: {
+              type: 'boolean',
+              description: 'Se a oficina funciona na data'
+            },
+            reason: {
+              type: 'string',
+              enum: ['closed', 'working_hours_not_configured', 'day_full'],
+              nullable: true,
+              description: 'Motivo de não haver horários'
+            },
+            slot_minutes: {
+              type: 'integer',
+              description: 'Intervalo entre horários'
+            },
+            working_hours: {
+              type: 'object',
+              properties: {
+                open: {
+                  type: 'string',
+                  example: '08:00'
+                },
+                close: {
+                  type: 'string',
+                  example: '18:00'
+                }
+              }
+            },
+            capacity: {
+              type: 'object',
+              properties: {
+                daily_limit: {
+                  type: 'integer',
+                  description: 'max_vehicles_per_day'
+                },
+                booked: {
+                  type: 'integer',
+                  description: 'Agendamentos ativos no dia'
+                },
+                remaining: {
+                  type: 'integer',
+                  description: 'Vagas restantes no dia'
+                },
+                simultaneous_limit: {
+                  type: 'integer',
+                  description: 'max_mechanics'
+                }
+              }
+            },
+            slots: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  time: {
+                    type: 'string',
+                    example: '08:00'
+                  },
+                  starts_at: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  available: {
+                    type: 'boolean'
+                  },
+                  remaining: {
+                    type: 'integer',
+                    description: 'Vagas restantes no horário'
+                  }
+                }
+              }
+            }
+          }
+        },
+        OrderTimeEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do apontamento'
+            },
+            order_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da ordem de serviço'
+            },
+            order_item_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Item da ordem trabalhado'
+            },
+            user_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do mecânico'
+            },
+            user_name: {
+              type: 'string',
+              description: 'Nome do mecânico'
+            },
+            started_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Entrada'
+            },
+            ended_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Saída (nula enquanto o apontamento está aberto)'
+            },
+            duration_minutes: {
+              type: 'integer',
+              description: 'Minutos trabalhados (até agora, se aberto)'
+            },
+            notes: {
+              type: 'string',
+              description: 'Observações'
+            }
+          }
+        },
+        MechanicsWorkload: {
+          type: 'object',
+          properties: {
+            workshop_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            timezone: {
+              type: 'string',
+              example: 'America/Sao_Paulo'
+            },
+            period: {
+              type: 'object',
+              properties: {
+                from: {
+                  type: 'string',
+                  format: 'date'
+                },
+                to: {
+                  type: 'string',
+                  format: 'date'
+                }
+              }
+            },
+            max_mechanics: {
+              type: 'integer',
+              description: 'Atendimentos simultâneos configurados na oficina'
+            },
+            mechanics: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  user_id: {
+                    type: 'string',
+                    format: 'uuid'
+                  },
+                  name: {
+                    type: 'string'
+                  },
+                  email: {
+                    type: 'string',
+                    format: 'email'
+                  },
+                  workshop_id: {
+                    type: 'string',
+                    format: 'uuid',
+                    nullable: true,
+                    description: 'Nulo quando o mecânico atende todas as oficinas'
+                  },
+                  clocked_in: {
+                    type: 'object',
+                    nullable: true,
+                    description: 'Apontamento em andamento',
+                    properties: {
+                      order_id: {
+                        type: 'string',
+                        format: 'uuid'
+                      },
+                      order_item_id: {
+                        type: 'string',
+                        format: 'uuid',
+                        nullable: true
+                      },
+                      started_at: {
+                        type: 'string',
+                        format: 'date-time'
+                      }
+                    }
+                  },
+                  open_orders: {
+                    type: 'array',
+                    description: 'Ordens em aberto atribuídas ao mecânico (pela ordem ou por itens)',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        order_id: {
+                          type: 'string',
+                          format: 'uuid'
+                        },
+                        status: {
+                          type: 'string'
+                        },
+                        workshop_id: {
+                          type: 'string',
+                          format: 'uuid',
+                          nullable: true
+                        },
+                        plate: {
+                          type: 'string'
+                        },
+                        assigned_order: {
+                          type: 'boolean'
+                        },
+                        assigned_items: {
+                          type: 'integer'
+                        }
+                      }
+                    }
+                  },
+                  open_orders_count: {
+                    type: 'integer'
+                  },
+                  logged_minutes: {
+                    type: 'integer'
+                  },
+                  logged_hours: {
+                    type: 'number'
+                  }
+                }
+              }
+            },
+            totals: {
+              type: 'object',
+              properties: {
+                mechanics: {
+                  type: 'integer'
+                },
+                clocked_in: {
+                  type: 'integer'
+                },
+                open_orders: {
+                  type: 'integer'
+                },
+                logged_hours: {
+                  type: 'number'
+                }
+              }
+            }
+          }
+        },
+        ErpSyncRun: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da execução'
+            },
+            workshop_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da oficina'
+            },
+            connector: {
+              type: 'string',
+              description: 'Conector de ERP utilizado',
+              example: 'csv'
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'completed', 'completed_with_errors', 'failed'],
+              description: 'Status da execução'
+            },
+            requested_by: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Usuário que solicitou a sincronização'
+            },
+            counts: {
+              type: 'object',
+              description: 'Contadores por entidade: lidos do ERP (pulled), criados, atualizados, enviados ao ERP (pushed), conflitos e erros',
+              properties: {
+                customers: {
+                  type: 'object',
+                  properties: {
+                    pulled: {
+                      type: 'integer'
+                    },
+                    created: {
+                      type: 'integer'
+                    },
+                    updated: {
+                      type: 'integer'
+                    },
+                    pushed: {
+                      type: 'integer'
+                    },
+                    conflicts: {
+                      type: 'integer'
+                    },
+                    errors: {
+                      type: 'integer'
+                    }
+                  }
+                },
+                vehicles: {
+                  type: 'object',
+                  properties: {
+                    pulled: {
+                      type: 'integer'
+                    },
+                    created: {
+                      type: 'integer'
+                    },
+                    updated: {
+                      type: 'integer'
+                    },
+                    pushed: {
+                      type: 'integer'
+                    },
+                    conflicts: {
+                      type: 'integer'
+                    },
+                    errors: {
+                      type: 'integer'
+                    }
+                  }
+                },
+                orders: {
+                  type: 'object',
+                  properties: {
+                    pulled: {
+                      type: 'integer'
+                    },
+                    created: {
+                      type: 'integer'
+                    },
+                    updated: {
+                      type: 'integer'
+                    },
+                    pushed: {
+                      type: 'integer'
+                    },
+                    conflicts: {
+                      type: 'integer'
+                    },
+                    errors: {
+                      type: 'integer'
+                    }
+                  }
+                }
+              }
+            },
+            conflicts: {
+              type: 'array',
+              description: 'Registros alterados no ERP e localmente desde a última sincronização (a versão local é mantida e reenviada)',
+              items: {
+                type: 'object',
+                properties: {
+                  entity: {
+                    type: 'string',
+                    enum: ['customers', 'vehicles', 'orders']
+                  },
+                  erp_id: {
+                    type: 'string'
+                  },
+                  local_id: {
+                    type: 'string',
+                    format: 'uuid'
+                  },
+                  local_updated_at: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  erp_updated_at: {
+                    type: 'string',
+                    format: 'date-time'
+                  }
+                }
+              }
+            },
+            errors: {
+              type: 'array',
+              description: 'Registros que não puderam ser importados ou enviados',
+              items: {
+                type: 'object',
+                properties: {
+                  entity: {
+                    type: 'string',
+                    enum: ['customers', 'vehicles', 'orders']
+                  },
+                  direction: {
+                    type: 'string',
+                    enum: ['pull', 'push']
+                  },
+                  erp_id: {
+                    type: 'string'
+                  },
+                  local_id: {
+                    type: 'string',
+                    format: 'uuid'
+                  },
+                  row: {
+                    type: 'integer',
+                    description: 'Linha do arquivo (conector CSV)'
+                  },
+                  message: {
+                    type: 'string'
+                  }
+                }
+              }
+            },
+            error: {
+              type: 'string',
+              nullable: true,
+              description: 'Motivo da falha da execução (status failed)'
+            },
+            started_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            finished_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Part: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da peça'
+            },
+            sku: {
+              type: 'string',
+              description: 'Código da peça (único no tenant)',
+              example: 'FO-1234'
+            },
+            description: {
+              type: 'string',
+              description: 'Descrição da peça',
+              example: 'Filtro de óleo'
+            },
+            unit: {
+              type: 'string',
+              description: 'Unidade de medida',
+              example: 'un'
+            },
+            cost: {
+              type: 'number',
+              format: 'float',
+              description: 'Custo de referência',
+              example: 18.5
+            },
+            price: {
+              type: 'number',
+              format: 'float',
+              description: 'Preço de venda sugerido nos itens das ordens',
+              example: 35
+            },
+            supplier: {
+              type: 'string',
+              nullable: true,
+              description: 'Fornecedor'
+            },
+            active: {
+              type: 'boolean',
+              description: 'Peças inativas não podem ser usadas em novos itens'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        PartStock: {
+          type: 'object',
+          properties: {
+            workshop_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da oficina'
+            },
+            part: {
+              $ref: '#/components/schemas/Part'
+            },
+            quantity: {
+              type: 'number',
+              description: 'Quantidade física em estoque'
+            },
+            reserved: {
+              type: 'number',
+              description: 'Reservado pelos itens de ordens aprovadas ou em andamento'
+            },
+            available: {
+              type: 'number',
+              description: 'Disponível (quantity - reserved)'
+            },
+            min_quantity: {
+              type: 'number',
+              description: 'Estoque mínimo'
+            },
+            location: {
+              type: 'string',
+              nullable: true,
+              description: 'Localização física na oficina'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        StockMovement: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da movimentação'
+            },
+            workshop_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da oficina'
+            },
+            part_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da peça'
+            },
+            part: {
+              type: 'object',
+              description: 'Resumo da peça (na listagem)',
+              properties: {
+                id: {
+                  type: 'string',
+                  format: 'uuid'
+                },
+                sku: {
+                  type: 'string'
+                },
+                description: {
+                  type: 'string'
+                }
+              }
+            },
+            type: {
+              type: 'string',
+              enum: ['purchase', 'adjustment', 'consumption'],
+              description: 'Compra, ajuste ou consumo por ordem de serviço'
+            },
+            quantity: {
+              type: 'number',
+              description: 'Positiva para entrada e negativa para saída'
+            },
+            unit_cost: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              description: 'Custo unitário (compras)'
+            },
+            balance: {
+              type: 'number',
+              description: 'Saldo da peça na oficina após a movimentação'
+            },
+            order_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Ordem de serviço que consumiu a peça'
+            },
+            order_item_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Item da ordem que consumiu a peça'
+            },
+            notes: {
+              type: 'string',
+              nullable: true
+            },
+            created_by: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Usuário que lançou (nulo no consumo automático)'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        LowStockReport: {
+          type: 'object',
+          properties: {
+            workshop_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID da oficina'
+            },
+            generated_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            items: {
+              type: 'array',
+              items: {
+                allOf: [
+                  {
+                    $ref: '#/components/schemas/PartStock'
+                  },
+                  {
+                    type: 'object',
+                    properties: {
+                      shortage: {
+                        type: 'number',
+                        description: 'Quantidade que falta para voltar ao estoque mínimo'
+                      }
+                    }
+                  }
+                ]
+              }
+            },
+            total: {
+              type: 'integer'
+            }
+          }
+        },
+        User: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID único do usuário'
+            },
+            tenant_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID do tenant'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Email do usuário'
+            },
+            name: {
+              type: 'string',
+              description: 'Nome completo do usuário'
+            },
+            role: {
+              type: 'string',
+              enum: ['admin', 'manager', 'user', 'viewer', 'mechanic'],
+              description: 'Papel do usuário no sistema'
+            },
+            workshop_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Oficina do mecânico (nulo = atende todas as oficinas do tenant)'
             },
             status: {
               type: 'string',